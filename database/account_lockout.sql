@@ -0,0 +1,22 @@
+-- Account lockout after repeated failed logins (users.max_login_attempts, users.account_lockout_duration)
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS failed_login_attempts INTEGER DEFAULT 0;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS last_failed_login_at TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP;
+
+-- Every password login attempt, for per-IP limits and the security trail
+CREATE TABLE IF NOT EXISTS login_attempts (
+    id BIGSERIAL PRIMARY KEY,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE, -- NULL when the email matched no account
+    email VARCHAR(255),
+    ip_address INET,
+    success BOOLEAN NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_login_attempts_ip ON login_attempts(ip_address, created_at) WHERE success = false;
+CREATE INDEX IF NOT EXISTS idx_login_attempts_user ON login_attempts(user_id, created_at);
+
+INSERT INTO system_settings (category, key, value, description, data_type) VALUES
+('users', 'max_login_attempts_per_ip', '20', 'Failed logins from one IP address before it is blocked for the lockout duration', 'number')
+ON CONFLICT (category, key) DO NOTHING;
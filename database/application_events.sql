@@ -0,0 +1,24 @@
+-- Application events log: every status transition with actor, notes and timestamp
+
+CREATE TABLE IF NOT EXISTS application_events (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    application_id UUID REFERENCES applications(id) ON DELETE CASCADE,
+    actor_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    actor_role VARCHAR(20), -- 'job_seeker', 'employer', 'admin', 'system'
+    event_type VARCHAR(50) NOT NULL, -- 'applied', 'status_change', 'bulk_status_change', 'interview_scheduled'
+    from_status VARCHAR(50),
+    to_status VARCHAR(50),
+    internal_note TEXT, -- Recruiter only, never shown to the candidate
+    candidate_note TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Backfill an 'applied' event for existing applications
+INSERT INTO application_events (application_id, actor_role, event_type, to_status, created_at)
+SELECT a.id, 'job_seeker', 'applied', 'applied', a.applied_at
+FROM applications a
+WHERE NOT EXISTS (SELECT 1 FROM application_events ae WHERE ae.application_id = a.id);
+
+-- Add indexes for performance
+CREATE INDEX IF NOT EXISTS idx_application_events_application_id ON application_events(application_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_application_events_actor ON application_events(actor_user_id);
@@ -0,0 +1,16 @@
+-- Device sessions with rotating refresh tokens (extends the tables from add_missing_tables.sql)
+
+-- A session is one login on one device; its refresh tokens form a single rotation family
+ALTER TABLE user_sessions ALTER COLUMN session_token DROP NOT NULL; -- sessions are identified by id
+ALTER TABLE user_sessions ADD COLUMN IF NOT EXISTS last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+ALTER TABLE user_sessions ADD COLUMN IF NOT EXISTS revoked_at TIMESTAMP;
+ALTER TABLE user_sessions ADD COLUMN IF NOT EXISTS revoke_reason VARCHAR(50); -- 'logout', 'user_revoked', 'token_reuse', 'password_reset'
+
+ALTER TABLE refresh_tokens ADD COLUMN IF NOT EXISTS session_id UUID REFERENCES user_sessions(id) ON DELETE CASCADE;
+ALTER TABLE refresh_tokens ADD COLUMN IF NOT EXISTS used_at TIMESTAMP; -- set on rotation; presenting the token again is reuse
+ALTER TABLE refresh_tokens ADD COLUMN IF NOT EXISTS replaced_by UUID REFERENCES refresh_tokens(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_session ON refresh_tokens(session_id);
+CREATE INDEX IF NOT EXISTS idx_user_sessions_active ON user_sessions(user_id, last_used_at DESC) WHERE is_active = true;
+
+CREATE TRIGGER update_user_sessions_updated_at BEFORE UPDATE ON user_sessions FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,10 @@
+-- Per-company preferences
+
+CREATE TABLE IF NOT EXISTS company_settings (
+    company_id UUID PRIMARY KEY REFERENCES companies(id) ON DELETE CASCADE,
+    default_meeting_provider VARCHAR(50) NOT NULL DEFAULT 'google_meet', -- 'google_meet', 'zoom', 'jitsi'
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TRIGGER update_company_settings_updated_at BEFORE UPDATE ON company_settings FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
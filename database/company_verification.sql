@@ -0,0 +1,52 @@
+-- Company verification requests: proof of the website domain (DNS TXT record or an emailed
+-- code) and GST/CIN documents, reviewed by an admin
+
+CREATE TABLE IF NOT EXISTS company_verification_requests (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    company_id UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+    requested_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    -- draft: collecting evidence; pending: waiting in the admin queue
+    status VARCHAR(20) NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'pending', 'approved', 'rejected')),
+    domain VARCHAR(255) NOT NULL, -- Host of the company website, without www.
+    dns_token VARCHAR(64) NOT NULL, -- Expected as a "jobsro-verification=<token>" TXT record
+    domain_verified_at TIMESTAMP,
+    domain_method VARCHAR(10) CHECK (domain_method IN ('dns', 'email')),
+    email_address VARCHAR(255), -- Address on the domain the code was sent to
+    email_code_hash VARCHAR(64),
+    email_code_expires_at TIMESTAMP,
+    email_code_attempts INTEGER DEFAULT 0,
+    gst_number VARCHAR(15),
+    cin_number VARCHAR(21),
+    submitted_at TIMESTAMP,
+    reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    reviewed_at TIMESTAMP,
+    decision_reason TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- At most one open request per company
+CREATE UNIQUE INDEX IF NOT EXISTS idx_company_verification_open
+    ON company_verification_requests(company_id) WHERE status IN ('draft', 'pending');
+CREATE INDEX IF NOT EXISTS idx_company_verification_status ON company_verification_requests(status, submitted_at);
+
+-- Uploaded GST and CIN certificates, kept only for the reviewing admin
+CREATE TABLE IF NOT EXISTS company_verification_documents (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    request_id UUID NOT NULL REFERENCES company_verification_requests(id) ON DELETE CASCADE,
+    document_type VARCHAR(10) NOT NULL CHECK (document_type IN ('gst', 'cin')),
+    file_name VARCHAR(255) NOT NULL,
+    mime_type VARCHAR(100) NOT NULL,
+    size_bytes INTEGER NOT NULL,
+    content BYTEA NOT NULL,
+    uploaded_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_company_verification_documents_request ON company_verification_documents(request_id);
+
+CREATE TRIGGER update_company_verification_requests_updated_at BEFORE UPDATE ON company_verification_requests FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- When and how a company was verified; set by an approved request
+ALTER TABLE companies ADD COLUMN IF NOT EXISTS verified_at TIMESTAMP;
+ALTER TABLE companies ADD COLUMN IF NOT EXISTS verification_methods JSONB DEFAULT '[]'; -- e.g. ["dns", "gst"]
@@ -0,0 +1,55 @@
+-- Moderation queue for jobs and company reviews, and user reports that feed it
+
+-- admin_tables.sql declared content_moderation with INTEGER content and moderator ids, which
+-- cannot hold the UUID keys of jobs, reviews and users. Nothing has written to it, so replace it.
+DROP TABLE IF EXISTS content_moderation;
+
+CREATE TABLE content_moderation (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    content_type VARCHAR(20) NOT NULL CHECK (content_type IN ('job', 'review')),
+    content_id UUID NOT NULL,
+    source VARCHAR(20) NOT NULL CHECK (source IN ('auto', 'report')),
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'in_review', 'approved', 'rejected')),
+    reason TEXT, -- Why the item was queued
+    details JSONB DEFAULT '{}',
+    report_count INTEGER DEFAULT 0,
+    claimed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    claimed_at TIMESTAMP,
+    decision_reason TEXT,
+    moderated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    moderated_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- At most one open item per piece of content; new reports are added to it
+CREATE UNIQUE INDEX IF NOT EXISTS idx_content_moderation_open
+    ON content_moderation(content_type, content_id) WHERE status IN ('pending', 'in_review');
+CREATE INDEX IF NOT EXISTS idx_content_moderation_status ON content_moderation(status, created_at);
+
+CREATE TABLE IF NOT EXISTS content_reports (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    moderation_id UUID REFERENCES content_moderation(id) ON DELETE SET NULL,
+    content_type VARCHAR(20) NOT NULL CHECK (content_type IN ('job', 'review')),
+    content_id UUID NOT NULL,
+    reporter_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    reason VARCHAR(30) NOT NULL CHECK (reason IN ('spam', 'scam', 'offensive', 'misleading', 'discriminatory', 'other')),
+    details TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(content_type, content_id, reporter_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_content_reports_moderation ON content_reports(moderation_id);
+
+CREATE TRIGGER update_content_moderation_updated_at BEFORE UPDATE ON content_moderation FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Jobs held for review before going live, and jobs taken down by a moderator
+ALTER TYPE job_status ADD VALUE IF NOT EXISTS 'pending_review';
+ALTER TYPE job_status ADD VALUE IF NOT EXISTS 'rejected';
+
+-- Review visibility: existing reviews stay published, new ones wait for moderation
+ALTER TABLE company_reviews ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'published'
+    CHECK (status IN ('pending', 'published', 'hidden'));
+ALTER TABLE company_reviews ALTER COLUMN status SET DEFAULT 'pending';
+
+CREATE INDEX IF NOT EXISTS idx_company_reviews_company_status ON company_reviews(company_id, status);
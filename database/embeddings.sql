@@ -0,0 +1,33 @@
+-- Embedding vectors for semantic job/candidate matching
+
+-- Fitted local TF-IDF models (IDF weights per hashed term bucket)
+CREATE TABLE IF NOT EXISTS embedding_models (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    provider VARCHAR(50) NOT NULL,
+    version INTEGER NOT NULL,
+    dimensions INTEGER NOT NULL,
+    document_count INTEGER NOT NULL,
+    idf REAL[] NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(provider, version)
+);
+
+-- Persisted job and profile vectors, one per provider
+CREATE TABLE IF NOT EXISTS entity_embeddings (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    entity_type VARCHAR(20) NOT NULL CHECK (entity_type IN ('job', 'job_seeker')),
+    entity_id UUID NOT NULL,
+    provider VARCHAR(50) NOT NULL,
+    model_version INTEGER NOT NULL,
+    dimensions INTEGER NOT NULL,
+    vector REAL[] NOT NULL,
+    content_hash VARCHAR(64) NOT NULL, -- Vectors are recomputed when the source text changes
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(entity_type, entity_id, provider)
+);
+
+-- Add indexes for performance
+CREATE INDEX IF NOT EXISTS idx_entity_embeddings_provider ON entity_embeddings(provider, entity_type);
+
+CREATE TRIGGER update_entity_embeddings_updated_at BEFORE UPDATE ON entity_embeddings FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
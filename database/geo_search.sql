@@ -0,0 +1,11 @@
+-- Geocoded job locations for radius search (resolved from the bundled city/pincode gazetteer)
+
+-- Existing jobs are not geocoded here; after deploying, run `npm run geo:backfill` in server/
+-- or they stay out of radius searches until edited
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS geo_city VARCHAR(100);
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS latitude DECIMAL(9,6);
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS longitude DECIMAL(9,6);
+
+-- Add indexes for performance
+CREATE INDEX IF NOT EXISTS idx_jobs_geo_city ON jobs(geo_city);
+CREATE INDEX IF NOT EXISTS idx_jobs_lat_lng ON jobs(latitude, longitude);
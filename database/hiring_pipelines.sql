@@ -0,0 +1,91 @@
+-- Configurable hiring pipelines
+-- Applications move through ordered, per-job stages instead of the fixed application_status enum
+
+-- Pipelines (company_id NULL = system pipeline)
+CREATE TABLE IF NOT EXISTS hiring_pipelines (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    company_id UUID REFERENCES companies(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    is_system BOOLEAN DEFAULT FALSE,
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Ordered stages; the first stage is where new applications land
+CREATE TABLE IF NOT EXISTS pipeline_stages (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    pipeline_id UUID REFERENCES hiring_pipelines(id) ON DELETE CASCADE,
+    stage_key VARCHAR(50) NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    position INTEGER NOT NULL,
+    stage_type VARCHAR(20) DEFAULT 'active' CHECK (stage_type IN ('active', 'rejected', 'hired')),
+    allowed_transitions TEXT[] DEFAULT '{}', -- stage_keys this stage may move to
+    email_enabled BOOLEAN DEFAULT TRUE,
+    email_message TEXT,
+    email_color VARCHAR(20) DEFAULT '#0ea5e9',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(pipeline_id, stage_key),
+    UNIQUE(pipeline_id, position)
+);
+
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS pipeline_id UUID REFERENCES hiring_pipelines(id);
+ALTER TABLE companies ADD COLUMN IF NOT EXISTS default_pipeline_id UUID REFERENCES hiring_pipelines(id) ON DELETE SET NULL;
+
+-- Application status now holds a stage_key of the job's pipeline
+DROP MATERIALIZED VIEW IF EXISTS mv_job_statistics;
+ALTER TABLE applications ALTER COLUMN status DROP DEFAULT;
+ALTER TABLE applications ALTER COLUMN status TYPE VARCHAR(50) USING status::text;
+ALTER TABLE applications ALTER COLUMN status SET DEFAULT 'applied';
+
+-- Recreate job statistics view (from optimization.sql) against the new column type
+CREATE MATERIALIZED VIEW IF NOT EXISTS mv_job_statistics AS
+SELECT
+    j.id,
+    j.title,
+    j.company_id,
+    c.name as company_name,
+    j.location,
+    j.employment_type,
+    j.industry,
+    j.created_at,
+    j.expires_at,
+    j.status,
+    COUNT(a.id) as application_count,
+    COUNT(CASE WHEN a.status = 'pending' THEN 1 END) as pending_applications,
+    COUNT(CASE WHEN a.status = 'reviewed' THEN 1 END) as reviewed_applications,
+    COUNT(CASE WHEN a.status = 'interviewed' THEN 1 END) as interviewed_applications,
+    COUNT(CASE WHEN a.status = 'hired' THEN 1 END) as hired_applications,
+    AVG(CASE WHEN a.created_at IS NOT NULL THEN 1.0 ELSE 0.0 END) as application_rate
+FROM jobs j
+LEFT JOIN companies c ON j.company_id = c.id
+LEFT JOIN applications a ON j.id = a.job_id
+WHERE j.deleted_at IS NULL
+GROUP BY j.id, j.title, j.company_id, c.name, j.location, j.employment_type,
+         j.industry, j.created_at, j.expires_at, j.status;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_mv_job_statistics_id ON mv_job_statistics(id);
+
+-- Default pipeline mirroring the legacy application_status enum
+INSERT INTO hiring_pipelines (id, company_id, name, is_system)
+VALUES ('00000000-0000-0000-0000-000000000001', NULL, 'Default pipeline', TRUE)
+ON CONFLICT (id) DO NOTHING;
+
+INSERT INTO pipeline_stages (pipeline_id, stage_key, name, position, stage_type, allowed_transitions, email_enabled, email_message, email_color) VALUES
+('00000000-0000-0000-0000-000000000001', 'applied', 'Applied', 0, 'active', '{viewed,shortlisted,interviewed,rejected,hired}', FALSE, NULL, '#0ea5e9'),
+('00000000-0000-0000-0000-000000000001', 'viewed', 'Viewed', 1, 'active', '{viewed,shortlisted,interviewed,rejected,hired}', TRUE, 'Your application has been viewed by the employer.', '#0ea5e9'),
+('00000000-0000-0000-0000-000000000001', 'shortlisted', 'Shortlisted', 2, 'active', '{viewed,shortlisted,interviewed,rejected,hired}', TRUE, 'Great news! You have been shortlisted for this position.', '#10b981'),
+('00000000-0000-0000-0000-000000000001', 'interviewed', 'Interviewed', 3, 'active', '{viewed,shortlisted,interviewed,rejected,hired}', TRUE, 'You have been selected for an interview.', '#7c3aed'),
+('00000000-0000-0000-0000-000000000001', 'rejected', 'Rejected', 4, 'rejected', '{viewed,shortlisted,interviewed,rejected,hired}', TRUE, 'Thank you for your interest. Unfortunately, you were not selected for this position.', '#ef4444'),
+('00000000-0000-0000-0000-000000000001', 'hired', 'Hired', 5, 'hired', '{viewed,shortlisted,interviewed,rejected,hired}', TRUE, 'Congratulations! You have been selected for this position.', '#10b981')
+ON CONFLICT (pipeline_id, stage_key) DO NOTHING;
+
+-- Move existing jobs onto the default pipeline
+UPDATE jobs SET pipeline_id = '00000000-0000-0000-0000-000000000001' WHERE pipeline_id IS NULL;
+
+-- Add indexes for performance
+CREATE INDEX IF NOT EXISTS idx_hiring_pipelines_company_id ON hiring_pipelines(company_id);
+CREATE INDEX IF NOT EXISTS idx_pipeline_stages_pipeline_id ON pipeline_stages(pipeline_id, position);
+CREATE INDEX IF NOT EXISTS idx_jobs_pipeline_id ON jobs(pipeline_id);
+
+CREATE TRIGGER update_hiring_pipelines_updated_at BEFORE UPDATE ON hiring_pipelines FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
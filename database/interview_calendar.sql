@@ -0,0 +1,12 @@
+-- Calendar invites and subscription feeds for interviews
+
+-- Bumped on every reschedule/cancel so calendar clients replace the earlier invite
+ALTER TABLE video_interviews ADD COLUMN IF NOT EXISTS ics_sequence INTEGER NOT NULL DEFAULT 0;
+
+-- Secret feed URL per user; resetting the token revokes old subscriptions
+CREATE TABLE IF NOT EXISTS calendar_feeds (
+    user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    token VARCHAR(64) UNIQUE NOT NULL,
+    last_accessed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
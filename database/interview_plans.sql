@@ -0,0 +1,66 @@
+-- Interview plans, panels and structured scorecards
+
+-- One plan per job: the rounds every candidate goes through
+CREATE TABLE IF NOT EXISTS interview_plans (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    job_id UUID UNIQUE NOT NULL REFERENCES jobs(id) ON DELETE CASCADE,
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS interview_rounds (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    plan_id UUID NOT NULL REFERENCES interview_plans(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    duration_minutes INTEGER NOT NULL DEFAULT 60,
+    panelist_ids UUID[] NOT NULL DEFAULT '{}', -- Default panel, added to every interview for the round
+    -- [{"key": "system_design", "name": "System design", "weight": 1, "rubric": {"1": "...", "4": "..."}}]
+    competencies JSONB NOT NULL DEFAULT '[]',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (plan_id, position) DEFERRABLE INITIALLY DEFERRED
+);
+
+ALTER TABLE video_interviews ADD COLUMN IF NOT EXISTS round_id UUID REFERENCES interview_rounds(id) ON DELETE SET NULL;
+ALTER TABLE scheduling_links ADD COLUMN IF NOT EXISTS round_id UUID REFERENCES interview_rounds(id) ON DELETE SET NULL;
+
+-- Everyone on the panel for an interview (the lead interviewer included)
+CREATE TABLE IF NOT EXISTS interview_panelists (
+    interview_id UUID NOT NULL REFERENCES video_interviews(id) ON DELETE CASCADE,
+    panelist_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (interview_id, panelist_id)
+);
+
+-- One scorecard per panelist per interview; read-only once submitted
+CREATE TABLE IF NOT EXISTS interview_scorecards (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    interview_id UUID NOT NULL REFERENCES video_interviews(id) ON DELETE CASCADE,
+    panelist_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    ratings JSONB NOT NULL DEFAULT '[]', -- [{"competency": "system_design", "rating": 3, "notes": "..."}]
+    recommendation VARCHAR(20) CHECK (recommendation IN ('strong_no_hire', 'no_hire', 'hire', 'strong_hire')),
+    summary TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'submitted')),
+    submitted_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (interview_id, panelist_id)
+);
+
+-- Existing interviews keep their interviewer as a one-person panel
+INSERT INTO interview_panelists (interview_id, panelist_id)
+SELECT id, interviewer_id FROM video_interviews WHERE interviewer_id IS NOT NULL
+ON CONFLICT DO NOTHING;
+
+-- Add indexes for performance
+CREATE INDEX IF NOT EXISTS idx_interview_rounds_plan_id ON interview_rounds(plan_id, position);
+CREATE INDEX IF NOT EXISTS idx_video_interviews_round_id ON video_interviews(round_id);
+CREATE INDEX IF NOT EXISTS idx_interview_panelists_panelist_id ON interview_panelists(panelist_id);
+CREATE INDEX IF NOT EXISTS idx_interview_scorecards_interview_id ON interview_scorecards(interview_id);
+
+CREATE TRIGGER update_interview_plans_updated_at BEFORE UPDATE ON interview_plans FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_interview_rounds_updated_at BEFORE UPDATE ON interview_rounds FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_interview_scorecards_updated_at BEFORE UPDATE ON interview_scorecards FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
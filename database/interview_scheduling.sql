@@ -0,0 +1,62 @@
+-- Interviewer availability and candidate self-scheduling links
+
+-- scheduleInterview() stores the employer's notes with the interview
+ALTER TABLE video_interviews ADD COLUMN IF NOT EXISTS notes TEXT;
+
+-- Working hours (in the interviewer's timezone) and buffers around interviews
+CREATE TABLE IF NOT EXISTS interviewer_settings (
+    user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    timezone VARCHAR(64) NOT NULL DEFAULT 'Asia/Kolkata',
+    -- {"mon": [{"start": "09:00", "end": "18:00"}], ...}; days without an entry are off
+    working_hours JSONB NOT NULL DEFAULT '{
+        "mon": [{"start": "09:00", "end": "18:00"}],
+        "tue": [{"start": "09:00", "end": "18:00"}],
+        "wed": [{"start": "09:00", "end": "18:00"}],
+        "thu": [{"start": "09:00", "end": "18:00"}],
+        "fri": [{"start": "09:00", "end": "18:00"}]
+    }',
+    buffer_before_minutes INTEGER NOT NULL DEFAULT 0 CHECK (buffer_before_minutes >= 0),
+    buffer_after_minutes INTEGER NOT NULL DEFAULT 15 CHECK (buffer_after_minutes >= 0),
+    min_notice_hours INTEGER NOT NULL DEFAULT 12 CHECK (min_notice_hours >= 0),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Windows an interviewer has published as open for interviews
+CREATE TABLE IF NOT EXISTS interviewer_availability (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    interviewer_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    starts_at TIMESTAMP NOT NULL,
+    ends_at TIMESTAMP NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (ends_at > starts_at)
+);
+
+-- Links sent to candidates to pick their own interview slot
+CREATE TABLE IF NOT EXISTS scheduling_links (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    token VARCHAR(64) UNIQUE NOT NULL,
+    application_id UUID NOT NULL REFERENCES applications(id) ON DELETE CASCADE,
+    created_by UUID REFERENCES users(id),
+    interviewer_ids UUID[] NOT NULL, -- The slot is booked with whichever of these is free
+    duration_minutes INTEGER NOT NULL DEFAULT 60,
+    meeting_platform VARCHAR(50) NOT NULL DEFAULT 'google_meet',
+    notes TEXT,
+    slots_until TIMESTAMP NOT NULL, -- Latest time offered to the candidate
+    expires_at TIMESTAMP NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'booked', 'cancelled', 'expired')),
+    booked_start TIMESTAMP, -- Reserved before the interview is created, so it blocks the slot
+    booked_interviewer_id UUID REFERENCES users(id),
+    booked_at TIMESTAMP,
+    interview_id UUID REFERENCES video_interviews(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Add indexes for performance
+CREATE INDEX IF NOT EXISTS idx_interviewer_availability_interviewer ON interviewer_availability(interviewer_id, starts_at);
+CREATE INDEX IF NOT EXISTS idx_scheduling_links_application_id ON scheduling_links(application_id);
+CREATE INDEX IF NOT EXISTS idx_scheduling_links_booked ON scheduling_links(booked_interviewer_id, booked_start) WHERE status = 'booked';
+
+CREATE TRIGGER update_interviewer_settings_updated_at BEFORE UPDATE ON interviewer_settings FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_scheduling_links_updated_at BEFORE UPDATE ON scheduling_links FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,19 @@
+-- Job alerts store the job search filters they were saved from
+
+ALTER TABLE job_alerts ADD COLUMN IF NOT EXISTS filters JSONB NOT NULL DEFAULT '{}'; -- same keys as GET /api/jobs
+ALTER TABLE job_alerts ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+
+-- Carry the old per-column criteria over; those columns are no longer read
+UPDATE job_alerts SET filters = jsonb_strip_nulls(jsonb_build_object(
+    'keywords', NULLIF(array_to_string(keywords, ' '), ''),
+    'location', location,
+    'salary_min', salary_min,
+    'experience_min', experience_min,
+    'employment_type', CASE WHEN employment_type IS NULL THEN NULL ELSE jsonb_build_array(employment_type) END
+))
+WHERE filters = '{}';
+
+CREATE INDEX IF NOT EXISTS idx_job_alerts_job_seeker ON job_alerts(job_seeker_id);
+CREATE INDEX IF NOT EXISTS idx_job_alerts_due ON job_alerts(frequency, last_sent) WHERE is_active = true;
+
+CREATE TRIGGER update_job_alerts_updated_at BEFORE UPDATE ON job_alerts FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,20 @@
+-- Scam risk assessments of job postings
+
+CREATE TABLE IF NOT EXISTS job_risk_assessments (
+    job_id UUID PRIMARY KEY REFERENCES jobs(id) ON DELETE CASCADE,
+    score INTEGER NOT NULL,
+    flags JSONB NOT NULL DEFAULT '[]', -- [{ code, points, message }]
+    assessed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_job_risk_assessments_score ON job_risk_assessments(score DESC);
+
+-- Whitespace- and case-insensitive fingerprint of the description, to spot text copied across employers
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS description_fingerprint CHAR(32)
+    GENERATED ALWAYS AS (md5(lower(regexp_replace(description, '\s+', ' ', 'g')))) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_jobs_description_fingerprint ON jobs(description_fingerprint);
+
+INSERT INTO system_settings (category, key, value, description, data_type) VALUES
+('jobs', 'scam_hold_threshold', '50', 'Scam risk score (0-100) at which new and edited jobs are held for moderation', 'number')
+ON CONFLICT (category, key) DO NOTHING;
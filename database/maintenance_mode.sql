@@ -0,0 +1,11 @@
+-- Read-only mode and maintenance exemptions (general.maintenance_mode is seeded in admin_tables.sql)
+
+INSERT INTO system_settings (category, key, value, description, data_type) VALUES
+('general', 'read_only_mode', 'false', 'Block writes while keeping job search and browsing available', 'boolean'),
+('general', 'maintenance_allowed_ips', '[]', 'IP addresses exempt from maintenance and read-only mode', 'json'),
+('general', 'maintenance_retry_after_minutes', '30', 'Retry-After sent during maintenance when the announcement has no end date', 'number')
+ON CONFLICT (category, key) DO NOTHING;
+
+-- Only announcements in the 'maintenance' category are shown on maintenance and read-only responses
+ALTER TABLE system_announcements ADD COLUMN IF NOT EXISTS category VARCHAR(30) DEFAULT 'general';
+CREATE INDEX IF NOT EXISTS idx_system_announcements_category ON system_announcements(category);
@@ -0,0 +1,27 @@
+-- Learning-to-rank: versioned match weight models trained from recruiter decisions and feedback
+
+-- Columns written by POST /api/ai/feedback
+ALTER TABLE ai_training_data ADD COLUMN IF NOT EXISTS feedback_comments TEXT;
+ALTER TABLE ai_training_data ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+
+-- Trained weight sets with their evaluation metrics
+CREATE TABLE IF NOT EXISTS match_weight_models (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    version INTEGER UNIQUE NOT NULL,
+    weights JSONB NOT NULL, -- { "skills": 0.4, "experience": 0.2, ... }
+    baseline_weights JSONB NOT NULL, -- Weights that were live when this model was trained
+    metrics JSONB NOT NULL, -- Validation NDCG/precision@k for the model and the baseline
+    training_queries INTEGER NOT NULL,
+    validation_queries INTEGER NOT NULL,
+    example_count INTEGER NOT NULL,
+    promoted BOOLEAN DEFAULT FALSE,
+    is_active BOOLEAN DEFAULT FALSE,
+    trained_by UUID REFERENCES users(id),
+    promoted_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Add indexes for performance
+CREATE INDEX IF NOT EXISTS idx_match_weight_models_created_at ON match_weight_models(created_at);
+CREATE INDEX IF NOT EXISTS idx_ai_training_data_match_pair ON ai_training_data ((input_data->>'job_id'), (input_data->>'job_seeker_profile_id'))
+    WHERE data_type = 'job_match_score';
@@ -0,0 +1,8 @@
+-- Tunable match score factor weights (normalised to sum to 1 when applied)
+INSERT INTO system_settings (category, key, value, description, data_type) VALUES
+('ai', 'match_weight_skills', '0.35', 'Match score weight for required skills', 'number'),
+('ai', 'match_weight_experience', '0.25', 'Match score weight for years of experience', 'number'),
+('ai', 'match_weight_semantic', '0.20', 'Match score weight for job/profile text similarity', 'number'),
+('ai', 'match_weight_location', '0.10', 'Match score weight for location', 'number'),
+('ai', 'match_weight_education', '0.10', 'Match score weight for education', 'number')
+ON CONFLICT (category, key) DO NOTHING;
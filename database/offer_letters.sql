@@ -0,0 +1,76 @@
+-- Offer letters: company templates, offers with CTC breakup, e-acceptance and expiry
+
+-- Pipelines get an 'offer' stage type
+ALTER TABLE pipeline_stages DROP CONSTRAINT IF EXISTS pipeline_stages_stage_type_check;
+ALTER TABLE pipeline_stages ADD CONSTRAINT pipeline_stages_stage_type_check
+    CHECK (stage_type IN ('active', 'offer', 'rejected', 'hired'));
+
+-- Add an 'offered' stage to the default pipeline, ahead of rejected/hired. The shift only
+-- runs while the stage is missing, so running this file again leaves positions alone.
+UPDATE pipeline_stages SET position = position + 100
+WHERE pipeline_id = '00000000-0000-0000-0000-000000000001' AND stage_key IN ('rejected', 'hired')
+  AND NOT EXISTS (
+    SELECT 1 FROM pipeline_stages
+    WHERE pipeline_id = '00000000-0000-0000-0000-000000000001' AND stage_key = 'offered'
+  );
+
+UPDATE pipeline_stages SET position = position - 99
+WHERE pipeline_id = '00000000-0000-0000-0000-000000000001' AND position >= 100;
+
+INSERT INTO pipeline_stages (pipeline_id, stage_key, name, position, stage_type, allowed_transitions, email_enabled, email_message, email_color)
+VALUES ('00000000-0000-0000-0000-000000000001', 'offered', 'Offered', 4, 'offer', '{viewed,shortlisted,interviewed,offered,rejected,hired}', FALSE, NULL, '#f59e0b')
+ON CONFLICT (pipeline_id, stage_key) DO NOTHING;
+
+UPDATE pipeline_stages SET allowed_transitions = array_append(allowed_transitions, 'offered')
+WHERE pipeline_id = '00000000-0000-0000-0000-000000000001'
+  AND stage_key <> 'offered' AND NOT ('offered' = ANY(allowed_transitions));
+
+-- Company offer letter templates (plain text with {{placeholders}})
+CREATE TABLE IF NOT EXISTS offer_templates (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    company_id UUID REFERENCES companies(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    body TEXT NOT NULL,
+    is_default BOOLEAN DEFAULT FALSE,
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Offers
+CREATE TABLE IF NOT EXISTS offers (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    application_id UUID REFERENCES applications(id) ON DELETE CASCADE,
+    company_id UUID REFERENCES companies(id),
+    template_id UUID REFERENCES offer_templates(id) ON DELETE SET NULL,
+    created_by UUID REFERENCES users(id),
+    designation VARCHAR(200) NOT NULL,
+    ctc_total INTEGER NOT NULL,
+    ctc_breakup JSONB NOT NULL, -- [{ "component": "Basic", "amount": 600000 }]
+    currency VARCHAR(10) DEFAULT 'INR',
+    joining_date DATE NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    status VARCHAR(20) DEFAULT 'sent' CHECK (status IN ('sent', 'accepted', 'declined', 'expired', 'withdrawn')),
+    letter_body TEXT NOT NULL, -- Rendered letter, frozen at send time
+    previous_application_status VARCHAR(50), -- Restored when the offer expires or is withdrawn
+    offer_stage_key VARCHAR(50),
+    responded_at TIMESTAMP,
+    signature_name VARCHAR(200),
+    signature_hash VARCHAR(128),
+    signed_ip INET,
+    signed_user_agent TEXT,
+    decline_reason TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Only one open offer per application
+CREATE UNIQUE INDEX IF NOT EXISTS idx_offers_open_application ON offers(application_id) WHERE status = 'sent';
+
+-- Add indexes for performance
+CREATE INDEX IF NOT EXISTS idx_offer_templates_company_id ON offer_templates(company_id);
+CREATE INDEX IF NOT EXISTS idx_offers_status_expires ON offers(status, expires_at);
+CREATE INDEX IF NOT EXISTS idx_offers_company_id ON offers(company_id);
+
+CREATE TRIGGER update_offer_templates_updated_at BEFORE UPDATE ON offer_templates FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_offers_updated_at BEFORE UPDATE ON offers FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,28 @@
+-- Phone verification and passwordless OTP login
+
+-- Job seekers can sign up with only a phone number
+ALTER TABLE users ALTER COLUMN email DROP NOT NULL;
+ALTER TABLE users ADD CONSTRAINT users_email_or_phone CHECK (email IS NOT NULL OR phone IS NOT NULL);
+
+-- A verified number identifies one account for OTP login
+CREATE UNIQUE INDEX IF NOT EXISTS idx_users_verified_phone ON users(phone)
+    WHERE phone_verified = true AND deleted_at IS NULL;
+
+CREATE TABLE IF NOT EXISTS phone_otps (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    phone VARCHAR(20) NOT NULL, -- E.164
+    purpose VARCHAR(20) NOT NULL CHECK (purpose IN ('login', 'verify')),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE, -- set for 'verify', the account claiming the number
+    code_hash VARCHAR(64) NOT NULL,
+    attempts INTEGER DEFAULT 0,
+    expires_at TIMESTAMP NOT NULL,
+    consumed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_phone_otps_phone ON phone_otps(phone, purpose, created_at DESC);
+
+-- Requesting client, so one address cannot text codes to any number of phones
+ALTER TABLE phone_otps ADD COLUMN IF NOT EXISTS ip_address INET;
+
+CREATE INDEX IF NOT EXISTS idx_phone_otps_ip ON phone_otps(ip_address, created_at);
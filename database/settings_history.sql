@@ -0,0 +1,13 @@
+-- Version history of system_settings values, for auditing and rollback
+
+CREATE TABLE IF NOT EXISTS system_setting_history (
+    id BIGSERIAL PRIMARY KEY,
+    category VARCHAR(50) NOT NULL,
+    key VARCHAR(100) NOT NULL,
+    version INTEGER NOT NULL, -- Version 1 is the value before the first recorded change
+    value TEXT NOT NULL,
+    changed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    reason TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(category, key, version)
+);
@@ -0,0 +1,259 @@
+-- Skills taxonomy: canonical skills with aliases, categories and parent/child relations
+
+CREATE TABLE IF NOT EXISTS skills (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(100) UNIQUE NOT NULL, -- Canonical display name
+    category VARCHAR(50) NOT NULL,
+    parent_id UUID REFERENCES skills(id) ON DELETE SET NULL, -- e.g. React -> JavaScript
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Lowercased, whitespace-collapsed spellings that resolve to a canonical skill
+CREATE TABLE IF NOT EXISTS skill_aliases (
+    alias VARCHAR(100) PRIMARY KEY,
+    skill_id UUID REFERENCES skills(id) ON DELETE CASCADE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Add indexes for performance
+CREATE INDEX IF NOT EXISTS idx_skills_parent_id ON skills(parent_id);
+CREATE INDEX IF NOT EXISTS idx_skills_category ON skills(category);
+CREATE INDEX IF NOT EXISTS idx_skill_aliases_skill_id ON skill_aliases(skill_id);
+
+CREATE TRIGGER update_skills_updated_at BEFORE UPDATE ON skills FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Seed canonical skills
+INSERT INTO skills (name, category) VALUES
+-- Programming languages
+('JavaScript', 'programming_language'),
+('TypeScript', 'programming_language'),
+('Python', 'programming_language'),
+('Java', 'programming_language'),
+('C#', 'programming_language'),
+('C++', 'programming_language'),
+('Go', 'programming_language'),
+('PHP', 'programming_language'),
+('Ruby', 'programming_language'),
+('Kotlin', 'programming_language'),
+('Swift', 'programming_language'),
+('Dart', 'programming_language'),
+('SQL', 'programming_language'),
+
+-- Web
+('HTML', 'frontend'),
+('CSS', 'frontend'),
+('Sass', 'frontend'),
+('Tailwind CSS', 'frontend'),
+('Bootstrap', 'frontend'),
+('React', 'frontend'),
+('Redux', 'frontend'),
+('Next.js', 'frontend'),
+('Angular', 'frontend'),
+('Vue.js', 'frontend'),
+('jQuery', 'frontend'),
+('Node.js', 'backend'),
+('Express', 'backend'),
+('NestJS', 'backend'),
+('Django', 'backend'),
+('Flask', 'backend'),
+('FastAPI', 'backend'),
+('Spring Boot', 'backend'),
+('Hibernate', 'backend'),
+('.NET', 'backend'),
+('Laravel', 'backend'),
+('Ruby on Rails', 'backend'),
+('REST APIs', 'backend'),
+('GraphQL', 'backend'),
+('Microservices', 'backend'),
+
+-- Mobile
+('React Native', 'mobile'),
+('Flutter', 'mobile'),
+('Android', 'mobile'),
+('iOS', 'mobile'),
+
+-- Databases
+('PostgreSQL', 'database'),
+('MySQL', 'database'),
+('SQL Server', 'database'),
+('Oracle Database', 'database'),
+('MongoDB', 'database'),
+('Redis', 'database'),
+('Elasticsearch', 'database'),
+
+-- Cloud and DevOps
+('AWS', 'cloud'),
+('Azure', 'cloud'),
+('Google Cloud', 'cloud'),
+('Docker', 'devops'),
+('Kubernetes', 'devops'),
+('Terraform', 'devops'),
+('Jenkins', 'devops'),
+('CI/CD', 'devops'),
+('Git', 'devops'),
+('Linux', 'devops'),
+
+-- Data and AI
+('Machine Learning', 'data_science'),
+('Deep Learning', 'data_science'),
+('Natural Language Processing', 'data_science'),
+('TensorFlow', 'data_science'),
+('PyTorch', 'data_science'),
+('Pandas', 'data_science'),
+('NumPy', 'data_science'),
+('Data Analysis', 'data_science'),
+('Power BI', 'data_science'),
+('Tableau', 'data_science'),
+('Excel', 'data_science'),
+
+-- Testing
+('Selenium', 'testing'),
+('Jest', 'testing'),
+('Manual Testing', 'testing'),
+
+-- Design
+('Figma', 'design'),
+('Adobe Photoshop', 'design'),
+('UI/UX Design', 'design'),
+
+-- Business
+('Digital Marketing', 'business'),
+('SEO', 'business'),
+('Sales', 'business'),
+('Accounting', 'business'),
+('Tally', 'business'),
+('GST', 'business'),
+('Project Management', 'business'),
+('Agile', 'business'),
+
+-- Soft skills
+('Communication', 'soft_skill'),
+('Leadership', 'soft_skill'),
+('Problem Solving', 'soft_skill'),
+('Teamwork', 'soft_skill')
+ON CONFLICT (name) DO NOTHING;
+
+-- Parent/child relations (knowing the child implies the parent)
+UPDATE skills child SET parent_id = parent.id
+FROM (VALUES
+    ('TypeScript', 'JavaScript'),
+    ('React', 'JavaScript'),
+    ('Redux', 'React'),
+    ('Next.js', 'React'),
+    ('React Native', 'React'),
+    ('Angular', 'TypeScript'),
+    ('Vue.js', 'JavaScript'),
+    ('jQuery', 'JavaScript'),
+    ('Node.js', 'JavaScript'),
+    ('Express', 'Node.js'),
+    ('NestJS', 'Node.js'),
+    ('Jest', 'JavaScript'),
+    ('Sass', 'CSS'),
+    ('Tailwind CSS', 'CSS'),
+    ('Bootstrap', 'CSS'),
+    ('Django', 'Python'),
+    ('Flask', 'Python'),
+    ('FastAPI', 'Python'),
+    ('Pandas', 'Python'),
+    ('NumPy', 'Python'),
+    ('Spring Boot', 'Java'),
+    ('Hibernate', 'Java'),
+    ('.NET', 'C#'),
+    ('Laravel', 'PHP'),
+    ('Ruby on Rails', 'Ruby'),
+    ('Flutter', 'Dart'),
+    ('Android', 'Kotlin'),
+    ('iOS', 'Swift'),
+    ('PostgreSQL', 'SQL'),
+    ('MySQL', 'SQL'),
+    ('SQL Server', 'SQL'),
+    ('Oracle Database', 'SQL'),
+    ('Kubernetes', 'Docker'),
+    ('Jenkins', 'CI/CD'),
+    ('Deep Learning', 'Machine Learning'),
+    ('Natural Language Processing', 'Machine Learning'),
+    ('TensorFlow', 'Deep Learning'),
+    ('PyTorch', 'Deep Learning'),
+    ('Power BI', 'Data Analysis'),
+    ('Tableau', 'Data Analysis'),
+    ('SEO', 'Digital Marketing'),
+    ('Tally', 'Accounting'),
+    ('GST', 'Accounting')
+) AS relation(child_name, parent_name)
+JOIN skills parent ON parent.name = relation.parent_name
+WHERE child.name = relation.child_name;
+
+-- Every canonical name resolves to itself
+INSERT INTO skill_aliases (alias, skill_id)
+SELECT lower(name), id FROM skills
+ON CONFLICT (alias) DO NOTHING;
+
+INSERT INTO skill_aliases (alias, skill_id)
+SELECT alias.alias, s.id
+FROM (VALUES
+    ('js', 'JavaScript'), ('java script', 'JavaScript'), ('javascript es6', 'JavaScript'),
+    ('es6', 'JavaScript'), ('ecmascript', 'JavaScript'), ('vanilla js', 'JavaScript'),
+    ('ts', 'TypeScript'),
+    ('python3', 'Python'), ('py', 'Python'),
+    ('core java', 'Java'), ('j2ee', 'Java'), ('java ee', 'Java'),
+    ('csharp', 'C#'), ('c sharp', 'C#'),
+    ('cpp', 'C++'), ('c plus plus', 'C++'),
+    ('golang', 'Go'),
+    ('structured query language', 'SQL'),
+    ('html5', 'HTML'), ('css3', 'CSS'), ('scss', 'Sass'), ('tailwind', 'Tailwind CSS'),
+    ('reactjs', 'React'), ('react.js', 'React'), ('react js', 'React'),
+    ('nextjs', 'Next.js'), ('next js', 'Next.js'),
+    ('angularjs', 'Angular'), ('angular.js', 'Angular'),
+    ('vue', 'Vue.js'), ('vuejs', 'Vue.js'), ('vue js', 'Vue.js'),
+    ('node', 'Node.js'), ('nodejs', 'Node.js'), ('node js', 'Node.js'),
+    ('express.js', 'Express'), ('expressjs', 'Express'), ('express js', 'Express'),
+    ('nest.js', 'NestJS'), ('nest js', 'NestJS'),
+    ('spring', 'Spring Boot'), ('springboot', 'Spring Boot'), ('spring framework', 'Spring Boot'),
+    ('dotnet', '.NET'), ('asp.net', '.NET'), ('.net core', '.NET'), ('asp.net core', '.NET'),
+    ('rails', 'Ruby on Rails'), ('ror', 'Ruby on Rails'),
+    ('rest', 'REST APIs'), ('rest api', 'REST APIs'), ('restful apis', 'REST APIs'), ('restful api', 'REST APIs'),
+    ('microservice architecture', 'Microservices'),
+    ('react-native', 'React Native'),
+    ('android development', 'Android'), ('ios development', 'iOS'),
+    ('postgres', 'PostgreSQL'), ('postgresql', 'PostgreSQL'), ('psql', 'PostgreSQL'),
+    ('mssql', 'SQL Server'), ('ms sql', 'SQL Server'), ('microsoft sql server', 'SQL Server'),
+    ('oracle', 'Oracle Database'), ('oracle db', 'Oracle Database'),
+    ('mongo', 'MongoDB'), ('mongo db', 'MongoDB'),
+    ('elastic search', 'Elasticsearch'),
+    ('amazon web services', 'AWS'), ('microsoft azure', 'Azure'),
+    ('gcp', 'Google Cloud'), ('google cloud platform', 'Google Cloud'),
+    ('k8s', 'Kubernetes'),
+    ('ci cd', 'CI/CD'), ('cicd', 'CI/CD'), ('continuous integration', 'CI/CD'),
+    ('github', 'Git'), ('gitlab', 'Git'),
+    ('ml', 'Machine Learning'), ('dl', 'Deep Learning'), ('nlp', 'Natural Language Processing'),
+    ('data analytics', 'Data Analysis'),
+    ('powerbi', 'Power BI'), ('ms excel', 'Excel'), ('microsoft excel', 'Excel'), ('advanced excel', 'Excel'),
+    ('photoshop', 'Adobe Photoshop'),
+    ('ui/ux', 'UI/UX Design'), ('ui ux', 'UI/UX Design'), ('ux design', 'UI/UX Design'), ('ui design', 'UI/UX Design'),
+    ('search engine optimization', 'SEO'), ('online marketing', 'Digital Marketing'),
+    ('tally erp', 'Tally'), ('tally erp 9', 'Tally'), ('tally prime', 'Tally'),
+    ('goods and services tax', 'GST'),
+    ('scrum', 'Agile'),
+    ('communication skills', 'Communication'), ('team player', 'Teamwork'), ('problem-solving', 'Problem Solving')
+) AS alias(alias, name)
+JOIN skills s ON s.name = alias.name
+ON CONFLICT (alias) DO NOTHING;
+
+-- Canonicalise a skills array: resolve aliases, drop blanks and case-insensitive duplicates, keep order
+CREATE OR REPLACE FUNCTION normalize_skills(input TEXT[])
+RETURNS TEXT[] AS $$
+    SELECT array_agg(name ORDER BY first_position)
+    FROM (
+        SELECT MIN(COALESCE(s.name, trim(raw.skill))) AS name, MIN(raw.position) AS first_position
+        FROM unnest(input) WITH ORDINALITY AS raw(skill, position)
+        LEFT JOIN skill_aliases a ON a.alias = lower(regexp_replace(trim(raw.skill), '\s+', ' ', 'g'))
+        LEFT JOIN skills s ON s.id = a.skill_id
+        WHERE trim(raw.skill) <> ''
+        GROUP BY lower(COALESCE(s.name, trim(raw.skill)))
+    ) normalized;
+$$ LANGUAGE sql STABLE;
+
+-- Backfill existing jobs and profiles
+UPDATE jobs SET skills_required = normalize_skills(skills_required) WHERE skills_required IS NOT NULL;
+UPDATE job_seekers SET skills = normalize_skills(skills) WHERE skills IS NOT NULL;
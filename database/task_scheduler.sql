@@ -0,0 +1,64 @@
+-- Background task scheduler: cron schedules, a run queue with retries, dead letters and leader leases
+
+-- One row per registered task; schedule and retry policy are editable by admins
+CREATE TABLE IF NOT EXISTS scheduled_tasks (
+    name VARCHAR(100) PRIMARY KEY,
+    description TEXT,
+    cron_expression VARCHAR(100) NOT NULL, -- 5-field cron, evaluated in UTC
+    enabled BOOLEAN DEFAULT TRUE,
+    max_attempts INTEGER DEFAULT 3 CHECK (max_attempts >= 1),
+    backoff_seconds INTEGER DEFAULT 60 CHECK (backoff_seconds >= 0), -- doubled on each retry
+    timeout_seconds INTEGER DEFAULT 300 CHECK (timeout_seconds > 0), -- a running claim is abandoned after this
+    next_run_at TIMESTAMP,
+    last_run_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Queue of task executions; a run is retried in place until it succeeds or is dead-lettered
+CREATE TABLE IF NOT EXISTS task_runs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    task_name VARCHAR(100) NOT NULL REFERENCES scheduled_tasks(name) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'running', 'succeeded', 'failed')),
+    trigger VARCHAR(20) NOT NULL DEFAULT 'schedule' CHECK (trigger IN ('schedule', 'manual', 'retry')),
+    scheduled_for TIMESTAMP NOT NULL, -- cron occurrence (or request time for manual runs)
+    run_after TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP, -- pushed back by the retry backoff
+    attempts INTEGER DEFAULT 0,
+    locked_by VARCHAR(255),
+    locked_until TIMESTAMP,
+    started_at TIMESTAMP,
+    finished_at TIMESTAMP,
+    duration_ms INTEGER,
+    result JSONB,
+    last_error TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- A cron occurrence is enqueued once, however many workers see it
+CREATE UNIQUE INDEX IF NOT EXISTS idx_task_runs_occurrence ON task_runs(task_name, scheduled_for) WHERE trigger = 'schedule';
+CREATE INDEX IF NOT EXISTS idx_task_runs_queue ON task_runs(run_after) WHERE status IN ('pending', 'running');
+CREATE INDEX IF NOT EXISTS idx_task_runs_task ON task_runs(task_name, created_at DESC);
+
+-- Runs that exhausted their attempts
+CREATE TABLE IF NOT EXISTS task_dead_letters (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    run_id UUID NOT NULL REFERENCES task_runs(id) ON DELETE CASCADE,
+    task_name VARCHAR(100) NOT NULL REFERENCES scheduled_tasks(name) ON DELETE CASCADE,
+    attempts INTEGER NOT NULL,
+    error TEXT,
+    retried_run_id UUID REFERENCES task_runs(id) ON DELETE SET NULL,
+    retried_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_task_dead_letters_open ON task_dead_letters(created_at DESC) WHERE retried_at IS NULL;
+
+-- Leader election: the worker holding an unexpired lease enqueues cron occurrences
+CREATE TABLE IF NOT EXISTS scheduler_leases (
+    name VARCHAR(100) PRIMARY KEY,
+    holder VARCHAR(255) NOT NULL,
+    acquired_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL
+);
+
+CREATE TRIGGER update_scheduled_tasks_updated_at BEFORE UPDATE ON scheduled_tasks FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
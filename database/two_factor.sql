@@ -0,0 +1,29 @@
+-- TOTP two-factor authentication (RFC 6238) with one-time recovery codes
+
+CREATE TABLE IF NOT EXISTS user_two_factor (
+    user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    secret_encrypted TEXT NOT NULL, -- AES-256-GCM with ENCRYPTION_KEY
+    enabled_at TIMESTAMP, -- NULL while enrollment is pending confirmation
+    last_used_step BIGINT, -- TOTP time step of the last accepted code; older codes are replays
+    failed_attempts INTEGER DEFAULT 0,
+    last_failed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS user_recovery_codes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    code_hash VARCHAR(64) NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_recovery_codes_user ON user_recovery_codes(user_id) WHERE used_at IS NULL;
+
+CREATE TRIGGER update_user_two_factor_updated_at BEFORE UPDATE ON user_two_factor FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Roles that must enroll before they can sign in, e.g. ["admin", "employer"]
+INSERT INTO system_settings (category, key, value, description, data_type) VALUES
+('security', 'require_2fa_roles', '[]', 'Roles that must use two-factor authentication', 'json')
+ON CONFLICT (category, key) DO NOTHING;
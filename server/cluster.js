@@ -142,6 +142,15 @@ class ClusterManager {
           this.restartWorker(workerId);
         }
         break;
+
+      case 'settings_changed':
+        // Tell the other workers to drop their cached system settings
+        for (const [id, info] of this.workers) {
+          if (id !== workerId && info.worker.isConnected()) {
+            info.worker.send({ type: 'settings_changed' });
+          }
+        }
+        break;
     }
   }
 
@@ -343,6 +352,10 @@ class ClusterManager {
         console.log(`🛑 Worker ${process.pid} received shutdown signal`);
         process.exit(0);
         break;
+
+      case 'settings_changed':
+        require('./services/settingsService').invalidate({ broadcast: false });
+        break;
     }
   }
 
@@ -4,6 +4,7 @@ const LinkedInStrategy = require('passport-linkedin-oauth2').Strategy;
 const JwtStrategy = require('passport-jwt').Strategy;
 const ExtractJwt = require('passport-jwt').ExtractJwt;
 const { dbOperations } = require('./database');
+const sessionService = require('../services/sessionService');
 const logger = require('../utils/logger');
 
 const setupPassport = (app) => {
@@ -31,11 +32,22 @@ const setupPassport = (app) => {
     algorithms: ['HS256']
   }, async (payload, done) => {
     try {
+      // Tokens issued for another purpose (2FA challenges, unsubscribe links) carry an audience
+      if (payload.aud) {
+        return done(null, false);
+      }
+
       const user = await dbOperations.findUserById(payload.userId);
-      if (user && user.status === 'active') {
-        return done(null, user);
+      if (!user || user.status !== 'active') {
+        return done(null, false);
       }
-      return done(null, false);
+
+      // Tokens from a logged-out or revoked session stop working immediately
+      if (payload.sid && !(await sessionService.isActive(payload.sid))) {
+        return done(null, false);
+      }
+
+      return done(null, user, { sessionId: payload.sid });
     } catch (error) {
       logger.error('JWT Strategy Error:', error);
       return done(error, false);
@@ -0,0 +1,112 @@
+const Joi = require('joi');
+
+/**
+ * Schema for every known system setting, keyed by "category.key". Values are stored as text
+ * in system_settings and parsed to `type`; `default` applies when a row is missing or holds
+ * an invalid value. JSON settings are checked against a Joi `schema`.
+ */
+
+const USER_ROLES = ['job_seeker', 'employer', 'recruiter', 'admin'];
+
+const fileFormats = Joi.array().items(Joi.string().lowercase().pattern(/^[a-z0-9]+$/)).unique().min(1);
+const matchWeight = { type: 'number', min: 0, max: 1 };
+
+const settingsSchema = {
+  // General
+  'general.site_name': { type: 'string', default: 'JobsRo', maxLength: 100 },
+  'general.site_description': { type: 'string', default: '', maxLength: 500 },
+  'general.contact_email': { type: 'string', default: 'admin@jobsro.com', format: 'email' },
+  'general.support_email': { type: 'string', default: 'support@jobsro.com', format: 'email' },
+  'general.maintenance_mode': { type: 'boolean', default: false },
+  'general.read_only_mode': { type: 'boolean', default: false },
+  'general.maintenance_allowed_ips': {
+    type: 'json',
+    default: [],
+    schema: Joi.array().items(Joi.string().ip({ cidr: 'forbidden' })).unique()
+  },
+  'general.maintenance_retry_after_minutes': { type: 'number', integer: true, default: 30, min: 1, max: 1440 },
+
+  // Jobs
+  'jobs.max_job_posting_duration': { type: 'number', integer: true, default: 90, min: 1, max: 365 },
+  'jobs.auto_expire_jobs': { type: 'boolean', default: true },
+  'jobs.featured_job_price': { type: 'number', default: 999, min: 0 },
+  'jobs.urgent_job_price': { type: 'number', default: 499, min: 0 },
+  'jobs.max_applications_per_job': { type: 'number', integer: true, default: 100, min: 1 },
+  'jobs.scam_hold_threshold': { type: 'number', integer: true, default: 50, min: 1, max: 100 },
+
+  // Users
+  'users.email_verification_required': { type: 'boolean', default: true },
+  'users.max_login_attempts': { type: 'number', integer: true, default: 5, min: 1, max: 100 },
+  'users.account_lockout_duration': { type: 'number', integer: true, default: 30, min: 1, max: 1440 },
+  'users.max_login_attempts_per_ip': { type: 'number', integer: true, default: 20, min: 1, max: 10000 },
+  'users.password_reset_expiry': { type: 'number', integer: true, default: 60, min: 5, max: 1440 },
+
+  // Payments
+  'payments.razorpay_enabled': { type: 'boolean', default: true },
+  'payments.free_job_postings_per_month': { type: 'number', integer: true, default: 3, min: 0 },
+  'payments.premium_subscription_price': { type: 'number', default: 2999, min: 0 },
+  'payments.pro_subscription_price': { type: 'number', default: 4999, min: 0 },
+
+  // Notifications
+  'notifications.email_notifications_enabled': { type: 'boolean', default: true },
+  'notifications.sms_notifications_enabled': { type: 'boolean', default: true },
+  'notifications.push_notifications_enabled': { type: 'boolean', default: false },
+  'notifications.daily_job_alerts': { type: 'boolean', default: true },
+
+  // AI
+  'ai.openai_enabled': { type: 'boolean', default: true },
+  'ai.resume_parsing_enabled': { type: 'boolean', default: true },
+  'ai.job_matching_enabled': { type: 'boolean', default: true },
+  'ai.match_score_threshold': { type: 'number', integer: true, default: 60, min: 0, max: 100 },
+  'ai.match_weight_skills': { ...matchWeight, default: 0.35 },
+  'ai.match_weight_experience': { ...matchWeight, default: 0.25 },
+  'ai.match_weight_semantic': { ...matchWeight, default: 0.20 },
+  'ai.match_weight_location': { ...matchWeight, default: 0.10 },
+  'ai.match_weight_education': { ...matchWeight, default: 0.10 },
+
+  // Security
+  'security.jwt_expiry_hours': { type: 'number', integer: true, default: 24, min: 1, max: 720 },
+  'security.refresh_token_expiry_days': { type: 'number', integer: true, default: 7, min: 1, max: 365 },
+  'security.rate_limit_requests_per_minute': { type: 'number', integer: true, default: 100, min: 10, max: 100000 },
+  'security.cors_origins': { type: 'string', default: '*' },
+  'security.require_2fa_roles': {
+    type: 'json',
+    default: [],
+    schema: Joi.array().items(Joi.string().valid(...USER_ROLES)).unique()
+  },
+
+  // Uploads
+  'uploads.max_resume_size_mb': { type: 'number', integer: true, default: 5, min: 1, max: 50 },
+  'uploads.max_company_logo_size_mb': { type: 'number', integer: true, default: 2, min: 1, max: 20 },
+  'uploads.allowed_resume_formats': { type: 'json', default: ['pdf', 'doc', 'docx', 'txt'], schema: fileFormats },
+  'uploads.allowed_image_formats': { type: 'json', default: ['jpg', 'jpeg', 'png', 'gif'], schema: fileFormats }
+};
+
+// Joi validator for a setting's parsed value
+const buildValidator = (definition) => {
+  switch (definition.type) {
+    case 'number': {
+      let schema = Joi.number();
+      if (definition.integer) schema = schema.integer();
+      if (definition.min !== undefined) schema = schema.min(definition.min);
+      if (definition.max !== undefined) schema = schema.max(definition.max);
+      return schema;
+    }
+    case 'boolean':
+      return Joi.boolean().strict();
+    case 'json':
+      return definition.schema || Joi.any();
+    default: {
+      let schema = Joi.string().allow('');
+      if (definition.maxLength) schema = schema.max(definition.maxLength);
+      if (definition.format === 'email') schema = schema.email();
+      if (definition.enum) schema = schema.valid(...definition.enum);
+      return schema;
+    }
+  }
+};
+
+module.exports = {
+  settingsSchema,
+  buildValidator
+};
@@ -1,3 +1,4 @@
+const cluster = require('cluster');
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
@@ -16,6 +17,9 @@ const logger = require('./utils/logger');
 const { securityManager } = require('./config/advanced-security');
 const { cacheManager } = require('./config/cache');
 const { performanceMonitor } = require('./utils/performance');
+const taskScheduler = require('./services/taskScheduler');
+const { registerScheduledTasks } = require('./services/scheduledTasks');
+const settingsService = require('./services/settingsService');
 
 // Import routes
 const authRoutes = require('./routes/auth');
@@ -27,12 +31,16 @@ const paymentRoutes = require('./routes/payments');
 const adminRoutes = require('./routes/admin');
 const aiRoutes = require('./routes/ai');
 const interviewRoutes = require('./routes/interviews');
+const interviewPlanRoutes = require('./routes/interviewPlans');
 const notificationRoutes = require('./routes/notifications');
+const pipelineRoutes = require('./routes/pipelines');
+const offerRoutes = require('./routes/offers');
 
 // Import middleware
 const { errorHandler } = require('./middleware/errorHandler');
 const { notFound } = require('./middleware/notFound');
 const securityMiddleware = require('./middleware/security');
+const { maintenanceMode, getMode } = require('./middleware/maintenance');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -58,11 +66,17 @@ app.use((req, res, next) => {
 app.use(securityManager.getSecurityHeaders());
 app.use(securityManager.createSecurityMiddleware());
 
-// Advanced adaptive rate limiting
-const limiter = securityManager.createAdaptiveRateLimit({
-  windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000,
-  max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100
-});
+// Advanced adaptive rate limiting; RATE_LIMIT_* env vars override the
+// security.rate_limit_requests_per_minute setting
+const limiter = securityManager.createAdaptiveRateLimit(process.env.RATE_LIMIT_MAX_REQUESTS
+  ? {
+    windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000,
+    max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100
+  }
+  : {
+    windowMs: 60 * 1000,
+    max: () => settingsService.get('security', 'rate_limit_requests_per_minute')
+  });
 app.use('/api', limiter);
 
 // Cache middleware for static responses
@@ -130,17 +144,21 @@ app.use(session({
 setupPassport(app);
 
 // Health check endpoint
-app.get('/health', (req, res) => {
+app.get('/health', async (req, res) => {
   res.json({
     status: 'OK',
+    mode: (await getMode()) || 'normal',
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
     environment: process.env.NODE_ENV || 'development'
   });
 });
 
+// Maintenance and read-only mode (admins and allow-listed IPs are exempt)
+app.use('/api', maintenanceMode);
+
 // API Routes
-app.use('/api/auth', authRoutes);
+app.use('/api/auth', securityMiddleware.authenticationMonitoring, authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/jobs', jobRoutes);
 app.use('/api/applications', applicationRoutes);
@@ -149,7 +167,10 @@ app.use('/api/payments', paymentRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/ai', aiRoutes);
 app.use('/api/interviews', interviewRoutes);
+app.use('/api/interview-plans', interviewPlanRoutes);
 app.use('/api/notifications', notificationRoutes);
+app.use('/api/pipelines', pipelineRoutes);
+app.use('/api/offers', offerRoutes);
 
 // Serve static files in production
 if (process.env.NODE_ENV === 'production') {
@@ -195,6 +216,11 @@ const startServer = async () => {
     await connectDB();
     logger.info('Database connected successfully');
     
+    // Background tasks (reminders, expiry, alert digests); safe to run in every cluster worker
+    if (process.env.SCHEDULER_ENABLED !== 'false') {
+      await taskScheduler.start();
+    }
+
     // Start server
     const server = app.listen(PORT, () => {
       logger.info(`🚀 JobsRo Server running on port ${PORT}`);
@@ -209,8 +235,10 @@ const startServer = async () => {
   }
 };
 
-// Start the server
-if (require.main === module) {
+registerScheduledTasks();
+
+// Start the server (cluster workers load this file via require)
+if (require.main === module || cluster.isWorker) {
   startServer();
 }
 
@@ -16,6 +16,7 @@ const authenticateJWT = (req, res, next) => {
     }
     
     req.user = user;
+    req.sessionId = info?.sessionId || null;
     next();
   })(req, res, next);
 };
@@ -177,38 +178,6 @@ const rateLimitByUser = (maxRequests = 5, windowMs = 15 * 60 * 1000) => {
   };
 };
 
-// Generate JWT tokens
-const generateTokens = (user) => {
-  const payload = {
-    userId: user.id,
-    email: user.email,
-    role: user.role
-  };
-
-  const accessToken = jwt.sign(payload, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || '15m',
-    algorithm: 'HS256'
-  });
-
-  const refreshToken = jwt.sign(payload, process.env.REFRESH_TOKEN_SECRET, {
-    expiresIn: process.env.REFRESH_TOKEN_EXPIRES_IN || '7d',
-    algorithm: 'HS256'
-  });
-
-  return { accessToken, refreshToken };
-};
-
-// Verify refresh token
-const verifyRefreshToken = (token) => {
-  try {
-    return jwt.verify(token, process.env.REFRESH_TOKEN_SECRET, {
-      algorithms: ['HS256']
-    });
-  } catch (error) {
-    throw new Error('Invalid refresh token');
-  }
-};
-
 // Extract user info from token without verification (for logging)
 const extractUserFromToken = (req) => {
   try {
@@ -233,7 +202,5 @@ module.exports = {
   requireVerifiedEmail,
   requireActiveAccount,
   rateLimitByUser,
-  generateTokens,
-  verifyRefreshToken,
   extractUserFromToken
 };
\ No newline at end of file
@@ -0,0 +1,99 @@
+const { query } = require('../config/database');
+const settingsService = require('../services/settingsService');
+const { optionalAuth } = require('./auth');
+const logger = require('../utils/logger');
+
+const ANNOUNCEMENT_TTL = 30 * 1000;
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Requests needed to sign in, so admins can still get a token
+const SESSION_PATHS = ['/api/auth/login', '/api/auth/2fa/verify', '/api/auth/refresh', '/api/auth/logout'];
+
+const DEFAULT_MESSAGES = {
+  maintenance: 'JobsRo is down for scheduled maintenance. Please try again shortly.',
+  read_only: 'JobsRo is temporarily read-only. You can search and browse jobs, but changes are paused.'
+};
+
+let announcementCache = { value: null, loadedAt: 0 };
+
+// Latest live maintenance announcement shown to everyone, cached briefly since it is read
+// on every blocked request; null if there is none or it cannot be read
+const getAnnouncement = async () => {
+  if (Date.now() - announcementCache.loadedAt < ANNOUNCEMENT_TTL) {
+    return announcementCache.value;
+  }
+
+  let announcement = null;
+  try {
+    const result = await query(`
+      SELECT title, message, end_date FROM system_announcements
+      WHERE is_active = true AND category = 'maintenance' AND target_roles IS NULL
+        AND start_date <= NOW() AND (end_date IS NULL OR end_date > NOW())
+      ORDER BY start_date DESC, created_at DESC
+      LIMIT 1
+    `);
+    announcement = result.rows[0] || null;
+  } catch (error) {
+    logger.warn('Failed to load system announcement:', error.message);
+  }
+
+  announcementCache = { value: announcement, loadedAt: Date.now() };
+  return announcement;
+};
+
+// 'maintenance', 'read_only' or null; maintenance wins if both are switched on
+const getMode = async () => {
+  if (await settingsService.get('general', 'maintenance_mode')) return 'maintenance';
+  if (await settingsService.get('general', 'read_only_mode')) return 'read_only';
+  return null;
+};
+
+const isAdmin = (req, res) => new Promise((resolve) => {
+  optionalAuth(req, res, () => resolve(req.user?.role === 'admin'));
+});
+
+const sendUnavailable = async (res, mode) => {
+  const announcement = await getAnnouncement();
+  const endsAt = announcement?.end_date ? new Date(announcement.end_date) : null;
+  const retryAfter = endsAt
+    ? Math.max(Math.ceil((endsAt.getTime() - Date.now()) / 1000), 1)
+    : (await settingsService.get('general', 'maintenance_retry_after_minutes')) * 60;
+
+  res.set('Retry-After', String(retryAfter));
+  return res.status(503).json({
+    error: mode === 'maintenance' ? 'Service unavailable for maintenance' : 'Service is in read-only mode',
+    code: mode === 'maintenance' ? 'MAINTENANCE_MODE' : 'READ_ONLY_MODE',
+    title: announcement?.title || null,
+    message: announcement?.message || DEFAULT_MESSAGES[mode],
+    retry_after: retryAfter,
+    ends_at: endsAt
+  });
+};
+
+// Honour general.maintenance_mode (all API requests get a 503) and general.read_only_mode
+// (only writes do, so job search and browsing stay up). Admins and the IP addresses in
+// general.maintenance_allowed_ips are exempt.
+const maintenanceMode = async (req, res, next) => {
+  try {
+    const mode = await getMode();
+    if (!mode) return next();
+
+    if (mode === 'read_only' && READ_METHODS.includes(req.method)) return next();
+    if (SESSION_PATHS.includes(req.baseUrl + req.path)) return next();
+
+    const allowedIps = await settingsService.get('general', 'maintenance_allowed_ips');
+    if (allowedIps.includes(req.ip)) return next();
+
+    if (await isAdmin(req, res)) return next();
+
+    return sendUnavailable(res, mode);
+  } catch (error) {
+    logger.error('Maintenance mode check failed:', error);
+    next();
+  }
+};
+
+module.exports = {
+  maintenanceMode,
+  getMode
+};
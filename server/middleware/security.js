@@ -340,24 +340,37 @@ const sqlInjectionDetection = (req, res, next) => {
 // Enhanced authentication monitoring
 const authenticationMonitoring = async (req, res, next) => {
   const originalSend = res.send;
+  // Full path, since this may be mounted on the auth router itself
+  const path = req.baseUrl + req.path;
   
   res.send = function(data) {
-    // Monitor failed authentication attempts
-    if (req.path.includes('/auth/') && res.statusCode === 401) {
+    // Monitor failed second-factor codes, which also count against the account
+    if (res.locals.twoFactorFailure) {
+      ipReputationManager.addViolation(req.ip, 'failed_2fa', 5);
+
+      logger.warn('Two-factor authentication failure', {
+        ip: req.ip,
+        path,
+        userId: res.locals.twoFactorFailure.userId,
+        userAgent: req.get('User-Agent'),
+        timestamp: new Date().toISOString()
+      });
+    } else if (path.includes('/auth/') && res.statusCode === 401) {
+      // Monitor failed authentication attempts
       ipReputationManager.addViolation(req.ip, 'failed_authentication', 3);
       
       // Log detailed authentication failure
       logger.warn('Authentication failure', {
         ip: req.ip,
-        path: req.path,
+        path,
         userAgent: req.get('User-Agent'),
         timestamp: new Date().toISOString()
       });
     }
     
-    // Monitor successful logins
-    if (req.path.includes('/auth/login') && res.statusCode === 200) {
-      logger.info('Successful login', {
+    // Monitor successful logins (a password accepted pending a second factor is not one yet)
+    if (/\/auth\/(login|phone\/login|2fa\/verify)$/.test(path) && res.statusCode === 200) {
+      logger.info(res.locals.twoFactorPending ? 'Password accepted, second factor required' : 'Successful login', {
         ip: req.ip,
         userAgent: req.get('User-Agent'),
         timestamp: new Date().toISOString()
@@ -1,5 +1,10 @@
 const Joi = require('joi');
 const logger = require('../utils/logger');
+const { validateCron } = require('../utils/cron');
+
+// Indian GST identification number and company identification number
+const GSTIN_PATTERN = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+const CIN_PATTERN = /^[LU]\d{5}[A-Z]{2}\d{4}[A-Z]{3}\d{6}$/;
 
 // Custom validation middleware
 const validate = (schema, property = 'body') => {
@@ -31,6 +36,28 @@ const validate = (schema, property = 'body') => {
   };
 };
 
+// Search criteria shared by job search and saved job alerts
+const jobSearchFilters = {
+  keywords: Joi.string().max(200).optional(),
+  location: Joi.string().max(100).optional(),
+  skills: Joi.array().items(Joi.string().max(50)).max(10).optional(),
+  employment_type: Joi.array().items(
+    Joi.string().valid('full_time', 'part_time', 'contract', 'internship', 'temporary')
+  ).max(5).optional(),
+  experience_min: Joi.number().integer().min(0).max(50).optional(),
+  experience_max: Joi.number().integer().min(0).max(50).optional(),
+  salary_min: Joi.number().integer().min(0).optional(),
+  salary_max: Joi.number().integer().min(0).optional(),
+  remote_ok: Joi.boolean().optional(),
+  company_id: Joi.string().uuid().optional(),
+  industry: Joi.string().max(100).optional(),
+  lat: Joi.number().min(-90).max(90).optional(),
+  lng: Joi.number().min(-180).max(180).optional(),
+  radius_km: Joi.number().min(1).max(500).optional()
+};
+
+const jobAlertFilters = Joi.object(jobSearchFilters).and('lat', 'lng');
+
 // Common validation schemas
 const schemas = {
   // User Registration
@@ -54,6 +81,53 @@ const schemas = {
     remember_me: Joi.boolean().default(false)
   }),
 
+  // Two-factor authentication
+  twoFactorVerify: Joi.object({
+    challenge_token: Joi.string().required(),
+    code: Joi.string().trim().max(20).required()
+  }),
+
+  twoFactorSetup: Joi.object({
+    challenge_token: Joi.string().optional()
+  }),
+
+  twoFactorEnable: Joi.object({
+    challenge_token: Joi.string().optional(),
+    code: Joi.string().trim().pattern(/^\d{6}$/).required()
+  }),
+
+  twoFactorDisable: Joi.object({
+    password: Joi.string().required(),
+    code: Joi.string().trim().max(20).required()
+  }),
+
+  twoFactorCode: Joi.object({
+    code: Joi.string().trim().max(20).required()
+  }),
+
+  // Phone OTP
+  phoneOtpRequest: Joi.object({
+    phone: Joi.string().pattern(/^\+?[1-9]\d{1,14}$/).required(),
+    purpose: Joi.string().valid('login', 'verify').default('login')
+  }),
+
+  phoneVerify: Joi.object({
+    phone: Joi.string().pattern(/^\+?[1-9]\d{1,14}$/).required(),
+    code: Joi.string().trim().pattern(/^\d{6}$/).required()
+  }),
+
+  phoneLogin: Joi.object({
+    phone: Joi.string().pattern(/^\+?[1-9]\d{1,14}$/).required(),
+    code: Joi.string().trim().pattern(/^\d{6}$/).required(),
+    // Only needed to sign up a new number
+    first_name: Joi.string().max(100).optional(),
+    last_name: Joi.string().max(100).optional()
+  }),
+
+  accountUnlock: Joi.object({
+    token: Joi.string().required()
+  }),
+
   // Password Reset Request
   passwordResetRequest: Joi.object({
     email: Joi.string().email().required()
@@ -118,7 +192,8 @@ const schemas = {
     application_deadline: Joi.date().min('now').optional(),
     openings_count: Joi.number().integer().min(1).max(100).default(1),
     is_featured: Joi.boolean().default(false),
-    is_premium: Joi.boolean().default(false)
+    is_premium: Joi.boolean().default(false),
+    pipeline_id: Joi.string().uuid().optional()
   }),
 
   // Job Application
@@ -130,24 +205,34 @@ const schemas = {
 
   // Job Search
   jobSearch: Joi.object({
-    keywords: Joi.string().max(200).optional(),
-    location: Joi.string().max(100).optional(),
-    skills: Joi.array().items(Joi.string().max(50)).max(10).optional(),
-    employment_type: Joi.array().items(
-      Joi.string().valid('full_time', 'part_time', 'contract', 'internship', 'temporary')
-    ).max(5).optional(),
-    experience_min: Joi.number().integer().min(0).max(50).optional(),
-    experience_max: Joi.number().integer().min(0).max(50).optional(),
-    salary_min: Joi.number().integer().min(0).optional(),
-    salary_max: Joi.number().integer().min(0).optional(),
-    remote_ok: Joi.boolean().optional(),
-    company_id: Joi.string().uuid().optional(),
-    industry: Joi.string().max(100).optional(),
+    ...jobSearchFilters,
     posted_after: Joi.date().optional(),
-    sort_by: Joi.string().valid('relevance', 'date', 'salary').default('relevance'),
+    radius_km: Joi.number().min(1).max(500).default(25),
+    sort_by: Joi.string().valid('relevance', 'date', 'salary', 'distance').default('relevance'),
     sort_order: Joi.string().valid('asc', 'desc').default('desc'),
     page: Joi.number().integer().min(1).default(1),
-    limit: Joi.number().integer().min(1).max(100).default(20)
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    include_facets: Joi.boolean().default(true)
+  }).and('lat', 'lng'),
+
+  // Job Alerts (filters take the same criteria as job search)
+  jobAlertFilters,
+
+  jobAlert: Joi.object({
+    name: Joi.string().max(100).required(),
+    frequency: Joi.string().valid('immediate', 'daily', 'weekly').default('daily'),
+    filters: jobAlertFilters.default({})
+  }),
+
+  jobAlertUpdate: Joi.object({
+    name: Joi.string().max(100),
+    frequency: Joi.string().valid('immediate', 'daily', 'weekly'),
+    is_active: Joi.boolean(),
+    filters: jobAlertFilters
+  }).min(1),
+
+  jobAlertUnsubscribe: Joi.object({
+    token: Joi.string().required()
   }),
 
   // Company Profile
@@ -166,13 +251,173 @@ const schemas = {
     ).optional()
   }),
 
+  // Company Review
+  companyReview: Joi.object({
+    rating: Joi.number().integer().min(1).max(5).required(),
+    title: Joi.string().max(200).required(),
+    pros: Joi.string().max(5000).optional(),
+    cons: Joi.string().max(5000).optional(),
+    advice_to_management: Joi.string().max(5000).optional(),
+    job_title: Joi.string().max(100).optional(),
+    employment_status: Joi.string().valid('current', 'former').optional(),
+    years_at_company: Joi.number().integer().min(0).max(60).optional(),
+    is_anonymous: Joi.boolean().default(true)
+  }),
+
+  // Company Settings
+  companySettings: Joi.object({
+    default_meeting_provider: Joi.string().valid('google_meet', 'zoom', 'jitsi').required()
+  }),
+
+  // Company Verification
+  companyVerificationRequest: Joi.object({
+    gst_number: Joi.string().trim().uppercase().pattern(GSTIN_PATTERN).optional()
+      .messages({ 'string.pattern.base': 'gst_number must be a valid 15-character GSTIN' }),
+    cin_number: Joi.string().trim().uppercase().pattern(CIN_PATTERN).optional()
+      .messages({ 'string.pattern.base': 'cin_number must be a valid 21-character CIN' })
+  }),
+
+  companyVerificationEmail: Joi.object({
+    email: Joi.string().email().required()
+  }),
+
+  companyVerificationCode: Joi.object({
+    code: Joi.string().trim().pattern(/^\d{6}$/).required()
+  }),
+
+  companyVerificationDocument: Joi.object({
+    document_type: Joi.string().valid('gst', 'cin').required(),
+    document_number: Joi.string().trim().uppercase().required()
+      .when('document_type', {
+        is: 'gst',
+        then: Joi.string().pattern(GSTIN_PATTERN),
+        otherwise: Joi.string().pattern(CIN_PATTERN)
+      })
+      .messages({ 'string.pattern.base': 'document_number must be a valid GSTIN or CIN for the document type' })
+  }),
+
   // Video Interview
   videoInterview: Joi.object({
     application_id: Joi.string().uuid().required(),
     scheduled_at: Joi.date().min('now').required(),
     duration_minutes: Joi.number().integer().min(15).max(180).default(60),
-    meeting_platform: Joi.string().valid('google_meet', 'zoom').required(),
-    notes: Joi.string().max(1000).optional()
+    meeting_platform: Joi.string().valid('google_meet', 'zoom', 'jitsi').optional(), // Company default when omitted
+    notes: Joi.string().max(1000).optional(),
+    round_id: Joi.string().uuid().optional(),
+    panelist_ids: Joi.array().items(Joi.string().uuid()).max(10).default([])
+  }),
+
+  // Interview Plan
+  interviewPlan: Joi.object({
+    rounds: Joi.array().items(Joi.object({
+      id: Joi.string().uuid().optional(), // Existing round to keep
+      name: Joi.string().max(100).required(),
+      description: Joi.string().max(1000).optional(),
+      duration_minutes: Joi.number().integer().min(15).max(180).default(60),
+      panelist_ids: Joi.array().items(Joi.string().uuid()).max(10).default([]),
+      competencies: Joi.array().items(Joi.object({
+        key: Joi.string().pattern(/^[a-z0-9_]+$/).max(50).required(),
+        name: Joi.string().max(100).required(),
+        description: Joi.string().max(500).optional(),
+        weight: Joi.number().min(0.1).max(5).default(1),
+        rubric: Joi.object().pattern(
+          Joi.string().valid('1', '2', '3', '4'),
+          Joi.string().max(500)
+        ).optional()
+      })).min(1).max(15).unique('key').required()
+    })).min(1).max(10).required()
+  }),
+
+  scorecard: Joi.object({
+    ratings: Joi.array().items(Joi.object({
+      competency: Joi.string().max(50).required(),
+      rating: Joi.number().integer().min(1).max(4).required(),
+      notes: Joi.string().max(2000).allow('').optional()
+    })).max(15).unique('competency').default([]),
+    recommendation: Joi.string().valid('strong_no_hire', 'no_hire', 'hire', 'strong_hire').optional(),
+    summary: Joi.string().max(5000).allow('').optional(),
+    submit: Joi.boolean().default(false)
+  }),
+
+  // Interviewer Availability
+  interviewerSettings: Joi.object({
+    timezone: Joi.string().max(64).optional(),
+    working_hours: Joi.object().pattern(
+      Joi.string().valid('mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'),
+      Joi.array().items(Joi.object({
+        start: Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).required(),
+        end: Joi.string().pattern(/^(([01]\d|2[0-3]):[0-5]\d|24:00)$/).required()
+      })).max(4)
+    ).optional(),
+    buffer_before_minutes: Joi.number().integer().min(0).max(120).optional(),
+    buffer_after_minutes: Joi.number().integer().min(0).max(120).optional(),
+    min_notice_hours: Joi.number().integer().min(0).max(336).optional()
+  }).min(1),
+
+  availabilityWindows: Joi.object({
+    windows: Joi.array().items(Joi.object({
+      starts_at: Joi.date().required(),
+      ends_at: Joi.date().greater(Joi.ref('starts_at')).required()
+    })).min(1).max(100).required()
+  }),
+
+  schedulingLink: Joi.object({
+    application_id: Joi.string().uuid().required(),
+    interviewer_ids: Joi.array().items(Joi.string().uuid()).min(1).max(10).optional(),
+    duration_minutes: Joi.number().integer().min(15).max(180).default(60),
+    meeting_platform: Joi.string().valid('google_meet', 'zoom', 'jitsi').optional(),
+    notes: Joi.string().max(1000).optional(),
+    round_id: Joi.string().uuid().optional(),
+    days_ahead: Joi.number().integer().min(1).max(60).default(14),
+    expires_in_days: Joi.number().integer().min(1).max(30).default(7)
+  }),
+
+  schedulingBooking: Joi.object({
+    start: Joi.date().required()
+  }),
+
+  // Hiring Pipeline
+  hiringPipeline: Joi.object({
+    name: Joi.string().max(100).required(),
+    company_id: Joi.string().uuid().optional(), // Admin only
+    is_company_default: Joi.boolean().default(false),
+    stages: Joi.array().items(Joi.object({
+      stage_key: Joi.string().pattern(/^[a-z0-9_]+$/).max(50).required(),
+      name: Joi.string().max(100).required(),
+      stage_type: Joi.string().valid('active', 'offer', 'rejected', 'hired').default('active'),
+      allowed_transitions: Joi.array().items(Joi.string().max(50)).default([]),
+      email_enabled: Joi.boolean().default(true),
+      email_message: Joi.string().max(1000).optional(),
+      email_color: Joi.string().pattern(/^#[0-9a-fA-F]{6}$/).optional()
+    })).min(2).max(20).required()
+  }),
+
+  // Offer Letter
+  offerLetter: Joi.object({
+    application_id: Joi.string().uuid().required(),
+    designation: Joi.string().max(200).required(),
+    ctc_breakup: Joi.array().items(Joi.object({
+      component: Joi.string().max(100).required(),
+      amount: Joi.number().integer().min(0).required()
+    })).min(1).max(20).required(),
+    currency: Joi.string().valid('INR', 'USD', 'EUR', 'GBP').default('INR'),
+    joining_date: Joi.date().min('now').required(),
+    expires_at: Joi.date().min('now').required(),
+    template_id: Joi.string().uuid().optional()
+  }),
+
+  offerAcceptance: Joi.object({
+    signature_name: Joi.string().min(2).max(200).required()
+  }),
+
+  offerDecline: Joi.object({
+    reason: Joi.string().max(1000).optional()
+  }),
+
+  offerTemplate: Joi.object({
+    name: Joi.string().max(100).required(),
+    body: Joi.string().min(50).max(20000).required(),
+    is_default: Joi.boolean().default(false)
   }),
 
   // Subscription
@@ -189,7 +434,43 @@ const schemas = {
     email_marketing: Joi.boolean().default(false),
     sms_interviews: Joi.boolean().default(true),
     sms_urgent: Joi.boolean().default(true)
-  })
+  }),
+
+  // System settings (values are checked against the setting's own schema by settingsService)
+  settingUpdate: Joi.object({
+    value: Joi.any().required(),
+    reason: Joi.string().max(500).optional()
+  }),
+
+  settingRollback: Joi.object({
+    version: Joi.number().integer().min(1).required()
+  }),
+
+  // Content moderation
+  contentReport: Joi.object({
+    reason: Joi.string().valid('spam', 'scam', 'offensive', 'misleading', 'discriminatory', 'other').required(),
+    details: Joi.string().max(1000).allow('').optional()
+  }),
+
+  moderationApproval: Joi.object({
+    reason: Joi.string().max(1000).optional()
+  }),
+
+  moderationRejection: Joi.object({
+    reason: Joi.string().max(1000).required()
+  }),
+
+  // Scheduled Task (admin)
+  scheduledTask: Joi.object({
+    cron_expression: Joi.string().max(100).custom((value, helpers) => {
+      const error = validateCron(value);
+      return error ? helpers.message(error) : value.trim();
+    }),
+    enabled: Joi.boolean(),
+    max_attempts: Joi.number().integer().min(1).max(10),
+    backoff_seconds: Joi.number().integer().min(0).max(86400),
+    timeout_seconds: Joi.number().integer().min(10).max(86400)
+  }).min(1)
 };
 
 // Validation for pagination
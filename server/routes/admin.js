@@ -7,6 +7,11 @@ const {
 } = require('../middleware/auth');
 const { validate, schemas } = require('../middleware/validation');
 const logger = require('../utils/logger');
+const taskScheduler = require('../services/taskScheduler');
+const accountLockoutService = require('../services/accountLockoutService');
+const settingsService = require('../services/settingsService');
+const moderationService = require('../services/moderationService');
+const companyVerificationService = require('../services/companyVerificationService');
 
 const router = express.Router();
 
@@ -317,41 +322,72 @@ router.patch('/users/:id/status',
   async (req, res) => {
     try {
       const { id } = req.params;
-      const { status, reason } = req.body;
+      const { status, reason, unlock } = req.body;
+
+      if (status === undefined && !unlock) {
+        return res.status(400).json({ error: 'Provide a status or unlock: true' });
+      }
 
       const validStatuses = ['active', 'suspended', 'banned', 'inactive'];
-      if (!validStatuses.includes(status)) {
+      if (status !== undefined && !validStatuses.includes(status)) {
         return res.status(400).json({ error: 'Invalid status value' });
       }
 
-      const result = await query(`
-        UPDATE users 
-        SET status = $1, updated_at = NOW()
-        WHERE id = $2
-        RETURNING id, email, status
-      `, [status, id]);
+      let user = null;
 
-      if (result.rows.length === 0) {
-        return res.status(404).json({ error: 'User not found' });
+      if (status !== undefined) {
+        const result = await query(`
+          UPDATE users 
+          SET status = $1, updated_at = NOW()
+          WHERE id = $2
+          RETURNING id, email, status, locked_until
+        `, [status, id]);
+
+        if (result.rows.length === 0) {
+          return res.status(404).json({ error: 'User not found' });
+        }
+        user = result.rows[0];
+
+        // Log admin action
+        await query(`
+          INSERT INTO admin_actions (admin_user_id, action_type, target_type, target_id, details)
+          VALUES ($1, $2, $3, $4, $5)
+        `, [
+          req.user.id,
+          'user_status_change',
+          'user',
+          id,
+          JSON.stringify({ old_status: status, new_status: status, reason })
+        ]);
+
+        logger.info(`User status updated: ${id} -> ${status} by admin ${req.user.id}`);
       }
 
-      // Log admin action
-      await query(`
-        INSERT INTO admin_actions (admin_user_id, action_type, target_type, target_id, details)
-        VALUES ($1, $2, $3, $4, $5)
-      `, [
-        req.user.id,
-        'user_status_change',
-        'user',
-        id,
-        JSON.stringify({ old_status: status, new_status: status, reason })
-      ]);
+      // Lift a failed-login lockout
+      if (unlock) {
+        user = await accountLockoutService.unlock(id);
+
+        if (!user) {
+          return res.status(404).json({ error: 'User not found' });
+        }
 
-      logger.info(`User status updated: ${id} -> ${status} by admin ${req.user.id}`);
+        await query(`
+          INSERT INTO admin_actions (admin_user_id, action_type, target_type, target_id, details)
+          VALUES ($1, $2, $3, $4, $5)
+        `, [
+          req.user.id,
+          'account_unlock',
+          'user',
+          id,
+          JSON.stringify({ reason })
+        ]);
+
+        logger.info(`User account unlocked: ${id} by admin ${req.user.id}`);
+      }
 
       res.json({
         message: 'User status updated successfully',
-        user: result.rows[0]
+        user
       });
     } catch (error) {
       logger.error('Admin update user status error:', error);
@@ -395,11 +431,13 @@ router.get('/jobs',
             j.*,
             c.name as company_name,
             u.email as employer_email,
+            ra.score as risk_score, ra.flags as risk_flags,
             (SELECT COUNT(*) FROM applications WHERE job_id = j.id) as application_count
           FROM jobs j
           LEFT JOIN companies c ON j.company_id = c.id
           LEFT JOIN employers e ON j.employer_id = e.id
           LEFT JOIN users u ON e.user_id = u.id
+          LEFT JOIN job_risk_assessments ra ON ra.job_id = j.id
           ${whereClause}
           ${orderClause}
           LIMIT $${queryParams.length + 1} OFFSET $${queryParams.length + 2}
@@ -565,19 +603,22 @@ router.get('/payments',
 router.get('/settings',
   async (req, res) => {
     try {
-      const settingsResult = await query(`
-        SELECT * FROM system_settings ORDER BY category, key
-      `);
+      const rows = await settingsService.list();
 
       const settings = {};
-      settingsResult.rows.forEach(setting => {
+      rows.forEach(setting => {
         if (!settings[setting.category]) {
           settings[setting.category] = {};
         }
         settings[setting.category][setting.key] = {
           value: setting.value,
+          parsed_value: setting.parsed_value,
+          valid: setting.valid,
           description: setting.description,
-          data_type: setting.data_type
+          data_type: setting.data_type,
+          rules: setting.rules,
+          version: setting.version,
+          updated_at: setting.updated_at
         };
       });
 
@@ -589,41 +630,52 @@ router.get('/settings',
   }
 );
 
-// Update system setting
+// Record a setting change in the admin log
+const logSettingChange = (req, actionType, result, details = {}) => query(`
+  INSERT INTO admin_actions (admin_user_id, action_type, target_type, target_id, details)
+  VALUES ($1, $2, $3, $4, $5)
+`, [
+  req.user.id,
+  actionType,
+  'setting',
+  `${result.setting.category}.${result.setting.key}`,
+  JSON.stringify({
+    old_value: result.previousValue,
+    new_value: result.setting.value,
+    version: result.version,
+    ...details
+  })
+]);
+
+// Update system setting (validated against the setting's schema)
 router.put('/settings/:category/:key',
+  validate(schemas.settingUpdate),
   async (req, res) => {
     try {
       const { category, key } = req.params;
-      const { value } = req.body;
+      const { value, reason } = req.body;
 
-      const result = await query(`
-        UPDATE system_settings 
-        SET value = $1, updated_at = NOW()
-        WHERE category = $2 AND key = $3
-        RETURNING *
-      `, [value, category, key]);
+      const result = await settingsService.update(category, key, value, {
+        userId: req.user.id,
+        reason
+      });
 
-      if (result.rows.length === 0) {
+      if (!result) {
         return res.status(404).json({ error: 'Setting not found' });
       }
 
-      // Log admin action
-      await query(`
-        INSERT INTO admin_actions (admin_user_id, action_type, target_type, target_id, details)
-        VALUES ($1, $2, $3, $4, $5)
-      `, [
-        req.user.id,
-        'system_setting_update',
-        'setting',
-        `${category}.${key}`,
-        JSON.stringify({ new_value: value })
-      ]);
+      if (result.error) {
+        return res.status(400).json({ error: result.error });
+      }
+
+      await logSettingChange(req, 'system_setting_update', result, { reason });
 
-      logger.info(`System setting updated: ${category}.${key} by admin ${req.user.id}`);
+      logger.info(`System setting updated: ${category}.${key} (v${result.version}) by admin ${req.user.id}`);
 
       res.json({
         message: 'Setting updated successfully',
-        setting: result.rows[0]
+        setting: result.setting,
+        version: result.version
       });
     } catch (error) {
       logger.error('Admin update setting error:', error);
@@ -632,6 +684,55 @@ router.put('/settings/:category/:key',
   }
 );
 
+// Version history of a setting, newest first
+router.get('/settings/:category/:key/history',
+  async (req, res) => {
+    try {
+      const { category, key } = req.params;
+      const history = await settingsService.getHistory(category, key);
+
+      res.json({ history });
+    } catch (error) {
+      logger.error('Admin get setting history error:', error);
+      res.status(500).json({ error: 'Failed to fetch setting history' });
+    }
+  }
+);
+
+// Restore an earlier version of a setting (recorded as a new version)
+router.post('/settings/:category/:key/rollback',
+  validate(schemas.settingRollback),
+  async (req, res) => {
+    try {
+      const { category, key } = req.params;
+      const { version } = req.body;
+
+      const result = await settingsService.rollback(category, key, version, { userId: req.user.id });
+
+      if (!result) {
+        return res.status(404).json({ error: 'Setting version not found' });
+      }
+
+      if (result.error) {
+        return res.status(400).json({ error: `Version ${version} is no longer valid: ${result.error}` });
+      }
+
+      await logSettingChange(req, 'system_setting_rollback', result, { rolled_back_to: version });
+
+      logger.info(`System setting ${category}.${key} rolled back to v${version} by admin ${req.user.id}`);
+
+      res.json({
+        message: 'Setting rolled back successfully',
+        setting: result.setting,
+        version: result.version
+      });
+    } catch (error) {
+      logger.error('Admin rollback setting error:', error);
+      res.status(500).json({ error: 'Failed to roll back setting' });
+    }
+  }
+);
+
 // Admin Actions Log
 router.get('/actions',
   async (req, res) => {
@@ -694,6 +795,524 @@ router.get('/actions',
   }
 );
 
+// Background Tasks
+router.get('/tasks',
+  async (req, res) => {
+    try {
+      const [tasksResult, leaseResult] = await Promise.all([
+        query(`
+          SELECT 
+            st.*,
+            lr.status as last_status,
+            lr.last_error,
+            (SELECT COUNT(*) FROM task_runs WHERE task_name = st.name AND status IN ('pending', 'running')) as queued_runs,
+            (SELECT COUNT(*) FROM task_dead_letters WHERE task_name = st.name AND retried_at IS NULL) as open_dead_letters
+          FROM scheduled_tasks st
+          LEFT JOIN LATERAL (
+            SELECT status, last_error FROM task_runs
+            WHERE task_name = st.name
+            ORDER BY created_at DESC
+            LIMIT 1
+          ) lr ON true
+          ORDER BY st.name
+        `),
+        query('SELECT holder, acquired_at, expires_at FROM scheduler_leases WHERE expires_at > NOW()')
+      ]);
+
+      res.json({
+        tasks: tasksResult.rows,
+        leader: leaseResult.rows[0] || null
+      });
+    } catch (error) {
+      logger.error('Admin get tasks error:', error);
+      res.status(500).json({ error: 'Failed to fetch scheduled tasks' });
+    }
+  }
+);
+
+// Task run history
+router.get('/tasks/runs',
+  async (req, res) => {
+    try {
+      const { page = 1, limit = 50, task, status } = req.query;
+      const offset = (page - 1) * limit;
+
+      let whereClause = 'WHERE 1=1';
+      const queryParams = [];
+
+      if (task) {
+        whereClause += ` AND task_name = $${queryParams.length + 1}`;
+        queryParams.push(task);
+      }
+
+      if (status) {
+        whereClause += ` AND status = $${queryParams.length + 1}`;
+        queryParams.push(status);
+      }
+
+      const [runsResult, countResult] = await Promise.all([
+        query(`
+          SELECT * FROM task_runs
+          ${whereClause}
+          ORDER BY created_at DESC
+          LIMIT $${queryParams.length + 1} OFFSET $${queryParams.length + 2}
+        `, [...queryParams, limit, offset]),
+
+        query(`
+          SELECT COUNT(*) as total
+          FROM task_runs
+          ${whereClause}
+        `, queryParams)
+      ]);
+
+      const total = parseInt(countResult.rows[0].total);
+      const totalPages = Math.ceil(total / limit);
+
+      res.json({
+        runs: runsResult.rows,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          totalPages,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      });
+    } catch (error) {
+      logger.error('Admin get task runs error:', error);
+      res.status(500).json({ error: 'Failed to fetch task runs' });
+    }
+  }
+);
+
+// Runs that exhausted their retries
+router.get('/tasks/dead-letters',
+  async (req, res) => {
+    try {
+      const { page = 1, limit = 50, task, include_retried } = req.query;
+      const offset = (page - 1) * limit;
+
+      let whereClause = 'WHERE 1=1';
+      const queryParams = [];
+
+      if (task) {
+        whereClause += ` AND dl.task_name = $${queryParams.length + 1}`;
+        queryParams.push(task);
+      }
+
+      if (include_retried !== 'true') {
+        whereClause += ' AND dl.retried_at IS NULL';
+      }
+
+      const [lettersResult, countResult] = await Promise.all([
+        query(`
+          SELECT 
+            dl.*,
+            tr.scheduled_for,
+            tr.trigger,
+            tr.started_at as last_attempt_at
+          FROM task_dead_letters dl
+          JOIN task_runs tr ON dl.run_id = tr.id
+          ${whereClause}
+          ORDER BY dl.created_at DESC
+          LIMIT $${queryParams.length + 1} OFFSET $${queryParams.length + 2}
+        `, [...queryParams, limit, offset]),
+
+        query(`
+          SELECT COUNT(*) as total
+          FROM task_dead_letters dl
+          ${whereClause}
+        `, queryParams)
+      ]);
+
+      const total = parseInt(countResult.rows[0].total);
+      const totalPages = Math.ceil(total / limit);
+
+      res.json({
+        dead_letters: lettersResult.rows,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          totalPages,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      });
+    } catch (error) {
+      logger.error('Admin get dead letters error:', error);
+      res.status(500).json({ error: 'Failed to fetch dead letters' });
+    }
+  }
+);
+
+// Re-queue a dead-lettered run
+router.post('/tasks/dead-letters/:id/retry',
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const letterResult = await query('SELECT * FROM task_dead_letters WHERE id = $1', [id]);
+      if (letterResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Dead letter not found' });
+      }
+
+      const run = await taskScheduler.retryDeadLetter(id);
+      if (!run) {
+        return res.status(409).json({ error: 'Dead letter has already been retried' });
+      }
+
+      await query(`
+        INSERT INTO admin_actions (admin_user_id, action_type, target_type, target_id, details)
+        VALUES ($1, $2, $3, $4, $5)
+      `, [
+        req.user.id,
+        'task_dead_letter_retry',
+        'task',
+        letterResult.rows[0].task_name,
+        JSON.stringify({ dead_letter_id: id, run_id: run.id })
+      ]);
+
+      res.status(201).json({
+        message: 'Task run re-queued',
+        run
+      });
+    } catch (error) {
+      logger.error('Admin retry dead letter error:', error);
+      res.status(500).json({ error: 'Failed to retry task run' });
+    }
+  }
+);
+
+// Trigger a task outside its schedule
+router.post('/tasks/:name/run',
+  async (req, res) => {
+    try {
+      const { name } = req.params;
+
+      const taskResult = await query('SELECT name FROM scheduled_tasks WHERE name = $1', [name]);
+      if (taskResult.rows.length === 0 || !taskScheduler.has(name)) {
+        return res.status(404).json({ error: 'Task not found' });
+      }
+
+      const run = await taskScheduler.enqueue(name);
+
+      await query(`
+        INSERT INTO admin_actions (admin_user_id, action_type, target_type, target_id, details)
+        VALUES ($1, $2, $3, $4, $5)
+      `, [
+        req.user.id,
+        'task_run',
+        'task',
+        name,
+        JSON.stringify({ run_id: run.id })
+      ]);
+
+      res.status(201).json({
+        message: 'Task run queued',
+        run
+      });
+    } catch (error) {
+      logger.error('Admin run task error:', error);
+      res.status(500).json({ error: 'Failed to queue task run' });
+    }
+  }
+);
+
+// Update a task's schedule or retry policy
+router.put('/tasks/:name',
+  validate(schemas.scheduledTask),
+  async (req, res) => {
+    try {
+      const { name } = req.params;
+
+      const task = await taskScheduler.updateTask(name, req.body);
+      if (!task) {
+        return res.status(404).json({ error: 'Task not found' });
+      }
+
+      await query(`
+        INSERT INTO admin_actions (admin_user_id, action_type, target_type, target_id, details)
+        VALUES ($1, $2, $3, $4, $5)
+      `, [
+        req.user.id,
+        'task_update',
+        'task',
+        name,
+        JSON.stringify(req.body)
+      ]);
+
+      logger.info(`Scheduled task ${name} updated by admin ${req.user.id}`);
+
+      res.json({
+        message: 'Task updated successfully',
+        task
+      });
+    } catch (error) {
+      logger.error('Admin update task error:', error);
+      res.status(500).json({ error: 'Failed to update task' });
+    }
+  }
+);
+
+// Moderation queue, open items first by report count (status=open|pending|in_review|approved|rejected|all)
+router.get('/moderation',
+  async (req, res) => {
+    try {
+      const { page = 1, limit = 20, status = 'open', content_type, source } = req.query;
+
+      const { items, total } = await moderationService.list({
+        status: status === 'all' ? null : status,
+        contentType: content_type,
+        source,
+        page,
+        limit
+      });
+
+      const totalPages = Math.ceil(total / limit);
+
+      res.json({
+        items,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          totalPages,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      });
+    } catch (error) {
+      logger.error('Admin get moderation queue error:', error);
+      res.status(500).json({ error: 'Failed to fetch moderation queue' });
+    }
+  }
+);
+
+// Moderation item with its content and user reports
+router.get('/moderation/:id',
+  async (req, res) => {
+    try {
+      const item = await moderationService.getItem(req.params.id);
+      if (!item) {
+        return res.status(404).json({ error: 'Moderation item not found' });
+      }
+
+      res.json({ item });
+    } catch (error) {
+      logger.error('Admin get moderation item error:', error);
+      res.status(500).json({ error: 'Failed to fetch moderation item' });
+    }
+  }
+);
+
+// Response for a claim or decision the service refused
+const sendModerationError = (res, result) => {
+  switch (result.error) {
+    case 'not_found':
+      return res.status(404).json({ error: 'Moderation item not found' });
+    case 'closed':
+      return res.status(409).json({ error: `Moderation item has already been ${result.item.status}` });
+    default:
+      return res.status(409).json({
+        error: 'Moderation item is claimed by another admin',
+        claimed_by: result.item.claimed_by,
+        claimed_at: result.item.claimed_at
+      });
+  }
+};
+
+// Claim an item so other admins know it is being reviewed
+router.post('/moderation/:id/claim',
+  async (req, res) => {
+    try {
+      const result = await moderationService.claim(req.params.id, req.user.id);
+      if (result.error) {
+        return sendModerationError(res, result);
+      }
+
+      res.json({
+        message: 'Moderation item claimed',
+        item: result.item
+      });
+    } catch (error) {
+      logger.error('Admin claim moderation item error:', error);
+      res.status(500).json({ error: 'Failed to claim moderation item' });
+    }
+  }
+);
+
+// Approve: publish a held job or review, or dismiss reports against live content
+router.post('/moderation/:id/approve',
+  validate(schemas.moderationApproval),
+  async (req, res) => {
+    try {
+      const result = await moderationService.decide(req.params.id, req.user.id, 'approved', req.body.reason);
+      if (result.error) {
+        return sendModerationError(res, result);
+      }
+
+      res.json({
+        message: 'Content approved',
+        item: result.item,
+        content: result.content
+      });
+    } catch (error) {
+      logger.error('Admin approve moderation item error:', error);
+      res.status(500).json({ error: 'Failed to approve content' });
+    }
+  }
+);
+
+// Reject: take the job down or hide the review
+router.post('/moderation/:id/reject',
+  validate(schemas.moderationRejection),
+  async (req, res) => {
+    try {
+      const result = await moderationService.decide(req.params.id, req.user.id, 'rejected', req.body.reason);
+      if (result.error) {
+        return sendModerationError(res, result);
+      }
+
+      res.json({
+        message: 'Content rejected',
+        item: result.item,
+        content: result.content
+      });
+    } catch (error) {
+      logger.error('Admin reject moderation item error:', error);
+      res.status(500).json({ error: 'Failed to reject content' });
+    }
+  }
+);
+
+// Company verification queue, oldest submission first (status=pending|draft|approved|rejected|all)
+router.get('/company-verifications',
+  async (req, res) => {
+    try {
+      const { page = 1, limit = 20, status = 'pending' } = req.query;
+
+      const { requests, total } = await companyVerificationService.list({
+        status: status === 'all' ? null : status,
+        page,
+        limit
+      });
+
+      const totalPages = Math.ceil(total / limit);
+
+      res.json({
+        requests,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          totalPages,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      });
+    } catch (error) {
+      logger.error('Admin get company verifications error:', error);
+      res.status(500).json({ error: 'Failed to fetch company verification requests' });
+    }
+  }
+);
+
+// Verification request with its domain proof and documents
+router.get('/company-verifications/:id',
+  async (req, res) => {
+    try {
+      const request = await companyVerificationService.getRequest(req.params.id);
+      if (!request) {
+        return res.status(404).json({ error: 'Verification request not found' });
+      }
+
+      res.json({ request });
+    } catch (error) {
+      logger.error('Admin get company verification error:', error);
+      res.status(500).json({ error: 'Failed to fetch verification request' });
+    }
+  }
+);
+
+// Download an uploaded GST or CIN document
+router.get('/company-verifications/:id/documents/:documentId',
+  async (req, res) => {
+    try {
+      const document = await companyVerificationService.getDocument(req.params.id, req.params.documentId);
+      if (!document) {
+        return res.status(404).json({ error: 'Document not found' });
+      }
+
+      res.set({
+        'Content-Type': document.mime_type,
+        'Content-Disposition': `attachment; filename="${document.file_name.replace(/[^\x20-\x7e]|["\\]/g, '_')}"`
+      });
+      res.send(document.content);
+    } catch (error) {
+      logger.error('Admin download verification document error:', error);
+      res.status(500).json({ error: 'Failed to download document' });
+    }
+  }
+);
+
+// Response for a verification decision the service refused
+const sendVerificationError = (res, result) => {
+  if (result.error === 'not_found') {
+    return res.status(404).json({ error: 'Verification request not found' });
+  }
+  return res.status(409).json({
+    error: result.request.status === 'draft'
+      ? 'Verification request has not been submitted'
+      : `Verification request has already been ${result.request.status}`
+  });
+};
+
+// Approve: mark the company verified
+router.post('/company-verifications/:id/approve',
+  validate(schemas.moderationApproval),
+  async (req, res) => {
+    try {
+      const result = await companyVerificationService.decide(req.params.id, req.user.id, 'approved', req.body.reason);
+      if (result.error) {
+        return sendVerificationError(res, result);
+      }
+
+      res.json({
+        message: 'Company verified',
+        request: result.request,
+        company: result.company
+      });
+    } catch (error) {
+      logger.error('Admin approve company verification error:', error);
+      res.status(500).json({ error: 'Failed to approve verification request' });
+    }
+  }
+);
+
+// Reject: the employer is told why and may start a new request
+router.post('/company-verifications/:id/reject',
+  validate(schemas.moderationRejection),
+  async (req, res) => {
+    try {
+      const result = await companyVerificationService.decide(req.params.id, req.user.id, 'rejected', req.body.reason);
+      if (result.error) {
+        return sendVerificationError(res, result);
+      }
+
+      res.json({
+        message: 'Verification request rejected',
+        request: result.request,
+        company: result.company
+      });
+    } catch (error) {
+      logger.error('Admin reject company verification error:', error);
+      res.status(500).json({ error: 'Failed to reject verification request' });
+    }
+  }
+);
+
 // System Health Check
 router.get('/health',
   async (req, res) => {
@@ -8,6 +8,8 @@ const {
   requireActiveAccount 
 } = require('../middleware/auth');
 const aiService = require('../services/aiService');
+const rankingService = require('../services/rankingService');
+const skillService = require('../services/skillService');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -59,14 +61,17 @@ router.post('/parse-resume',
               resume_parsed_data = $1,
               headline = COALESCE(NULLIF($2, ''), headline),
               summary = COALESCE(NULLIF($3, ''), summary),
-              skills = COALESCE($4, skills),
+              skills = COALESCE(NULLIF($4::text[], '{}'), skills),
               updated_at = NOW()
             WHERE id = $5
           `, [
             JSON.stringify(parsedData),
             parsedData.personal_info?.name,
             parsedData.summary,
-            [...(parsedData.skills?.technical || []), ...(parsedData.skills?.soft || [])],
+            await skillService.normalizeSkills([
+              ...(parsedData.skills?.technical || []),
+              ...(parsedData.skills?.soft || [])
+            ]),
             jobSeekerId
           ]);
 
@@ -251,6 +256,65 @@ router.post('/match-score',
   }
 );
 
+// Explain a match score factor by factor
+router.get('/match-score/:jobId/explain',
+  authenticateJWT,
+  requireActiveAccount,
+  requireRole(['job_seeker', 'employer', 'admin']),
+  async (req, res) => {
+    try {
+      const { jobId } = req.params;
+      let jobSeekerProfileId = req.query.job_seeker_profile_id;
+
+      if (req.user.role === 'job_seeker') {
+        // Candidates can only explain their own score
+        const jobSeekerResult = await query(
+          'SELECT id FROM job_seekers WHERE user_id = $1',
+          [req.user.id]
+        );
+
+        if (jobSeekerResult.rows.length === 0) {
+          return res.status(404).json({ error: 'Job seeker profile not found' });
+        }
+
+        jobSeekerProfileId = jobSeekerResult.rows[0].id;
+      } else {
+        if (!jobSeekerProfileId) {
+          return res.status(400).json({ error: 'job_seeker_profile_id is required' });
+        }
+
+        // Verify job ownership for employers
+        if (req.user.role === 'employer') {
+          const jobCheck = await query(`
+            SELECT j.id
+            FROM jobs j
+            JOIN employers e ON j.employer_id = e.id
+            WHERE j.id = $1 AND e.user_id = $2
+          `, [jobId, req.user.id]);
+
+          if (jobCheck.rows.length === 0) {
+            return res.status(403).json({ error: 'Permission denied or job not found' });
+          }
+        }
+      }
+
+      const explanation = await aiService.explainMatchScore(jobId, jobSeekerProfileId);
+
+      res.json({
+        job_id: jobId,
+        job_seeker_profile_id: jobSeekerProfileId,
+        ...explanation
+      });
+    } catch (error) {
+      if (error.message === 'Job not found' || error.message === 'Job seeker profile not found') {
+        return res.status(404).json({ error: error.message });
+      }
+      logger.error('Match score explanation error:', error);
+      res.status(500).json({ error: 'Failed to explain match score' });
+    }
+  }
+);
+
 // Get job search suggestions
 router.get('/search-suggestions',
   authenticateJWT,
@@ -338,7 +402,7 @@ router.get('/training-stats',
         queryParams.push(end_date);
       }
 
-      const [totalResult, typeStatsResult, feedbackStatsResult] = await Promise.all([
+      const [totalResult, typeStatsResult, feedbackStatsResult, modelHistory] = await Promise.all([
         // Total training records
         query(`SELECT COUNT(*) as total FROM ai_training_data ${whereClause}`, queryParams),
         
@@ -364,13 +428,18 @@ router.get('/training-stats',
           FROM ai_training_data 
           ${whereClause} AND feedback_score IS NOT NULL
           GROUP BY score_range
-        `, queryParams)
+        `, queryParams),
+
+        // Trained match weight models, newest first
+        rankingService.getModelHistory()
       ]);
 
       res.json({
         total: parseInt(totalResult.rows[0].total),
         by_type: typeStatsResult.rows,
         feedback_distribution: feedbackStatsResult.rows,
+        active_model: modelHistory.find(model => model.is_active) || null,
+        model_history: modelHistory,
         period: {
           start_date: start_date || null,
           end_date: end_date || null
@@ -383,6 +452,27 @@ router.get('/training-stats',
   }
 );
 
+// Train match score weights from recruiter decisions and feedback (Admin only)
+router.post('/train-match-weights',
+  authenticateJWT,
+  requireRole('admin'),
+  async (req, res) => {
+    try {
+      const result = await rankingService.trainMatchWeights({ trainedBy: req.user.id });
+
+      res.json({
+        message: result.status === 'insufficient_data'
+          ? 'Not enough labelled matches to train'
+          : `Model ${result.status}`,
+        ...result
+      });
+    } catch (error) {
+      logger.error('Match weight training error:', error);
+      res.status(500).json({ error: 'Failed to train match weights' });
+    }
+  }
+);
+
 // Provide feedback on AI match scores (for training)
 router.post('/feedback',
   authenticateJWT,
@@ -429,7 +519,7 @@ router.post('/feedback',
   }
 );
 
-// Get skill suggestions based on job market trends
+// Get skill suggestions from the skills taxonomy, ranked by job market demand
 router.get('/skill-suggestions',
   authenticateJWT,
   requireRole('job_seeker'),
@@ -437,43 +527,23 @@ router.get('/skill-suggestions',
   async (req, res) => {
     try {
       const { current_skills } = req.query;
-      const skills = current_skills ? current_skills.split(',').map(s => s.trim()) : [];
-
-      // Get trending skills from job postings
-      const trendingSkillsResult = await query(`
-        SELECT 
-          skill,
-          COUNT(*) as job_count,
-          AVG(salary_max) as avg_salary
-        FROM (
-          SELECT 
-            unnest(skills_required) as skill,
-            salary_max
-          FROM jobs 
-          WHERE status = 'active' 
-            AND created_at >= NOW() - INTERVAL '3 months'
-            AND skills_required IS NOT NULL
-        ) skill_jobs
-        GROUP BY skill
-        HAVING COUNT(*) >= 5
-        ORDER BY job_count DESC, avg_salary DESC
-        LIMIT 20
-      `);
-
-      // Filter out skills the user already has
-      const suggestions = trendingSkillsResult.rows
-        .filter(row => !skills.some(userSkill => 
-          userSkill.toLowerCase() === row.skill.toLowerCase()
-        ))
-        .slice(0, 10);
+      let skills = current_skills ? current_skills.split(',').map(s => s.trim()) : [];
+
+      // Default to the skills on the user's profile
+      if (!current_skills) {
+        const profileResult = await query(
+          'SELECT skills FROM job_seekers WHERE user_id = $1',
+          [req.user.id]
+        );
+        skills = profileResult.rows[0]?.skills || [];
+      }
+
+      const normalizedSkills = await skillService.normalizeSkills(skills);
+      const suggestions = await skillService.suggestSkills(normalizedSkills, 10);
 
       res.json({
-        current_skills: skills,
-        suggestions: suggestions.map(row => ({
-          skill: row.skill,
-          demand: parseInt(row.job_count),
-          average_salary: row.avg_salary ? Math.round(row.avg_salary) : null
-        })),
+        current_skills: normalizedSkills,
+        suggestions,
         generated_at: new Date().toISOString()
       });
     } catch (error) {
@@ -9,6 +9,8 @@ const {
 } = require('../middleware/auth');
 const { validate, schemas } = require('../middleware/validation');
 const { sendEmail } = require('../services/email');
+const pipelineService = require('../services/pipelineService');
+const applicationEventService = require('../services/applicationEventService');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -69,6 +71,10 @@ router.post('/',
         return res.status(409).json({ error: 'You have already applied to this job' });
       }
 
+      // New applications land in the first stage of the job's pipeline
+      const pipeline = await pipelineService.getPipelineForJob(job_id);
+      const initialStage = pipelineService.getInitialStage(pipeline);
+
       // Create application in transaction
       const application = await transaction(async (client) => {
         // Insert application
@@ -76,9 +82,9 @@ router.post('/',
           INSERT INTO applications (
             job_id, job_seeker_id, cover_letter, resume_url, 
             applied_salary_expectation, status
-          ) VALUES ($1, $2, $3, $4, $5, 'applied')
+          ) VALUES ($1, $2, $3, $4, $5, $6)
           RETURNING *
-        `, [job_id, jobSeeker.id, cover_letter, resume_url, applied_salary_expectation]);
+        `, [job_id, jobSeeker.id, cover_letter, resume_url, applied_salary_expectation, initialStage.stage_key]);
 
         // Update job applications count
         await client.query(
@@ -86,6 +92,13 @@ router.post('/',
           [job_id]
         );
 
+        await applicationEventService.record({
+          applicationId: applicationResult.rows[0].id,
+          actor: req.user,
+          eventType: 'applied',
+          toStatus: initialStage.stage_key
+        }, client);
+
         return applicationResult.rows[0];
       });
 
@@ -258,6 +271,51 @@ router.get('/:id',
   }
 );
 
+// Get application status timeline
+router.get('/:id/timeline',
+  authenticateJWT,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const userId = req.user.id;
+
+      const applicationResult = await query(`
+        SELECT a.id, a.status, js.user_id as job_seeker_user_id, emp.user_id as employer_user_id
+        FROM applications a
+        JOIN jobs j ON a.job_id = j.id
+        LEFT JOIN job_seekers js ON a.job_seeker_id = js.id
+        LEFT JOIN employers emp ON j.employer_id = emp.id
+        WHERE a.id = $1
+      `, [id]);
+
+      if (applicationResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Application not found' });
+      }
+
+      const application = applicationResult.rows[0];
+      const isRecruiter = req.user.role === 'admin' || application.employer_user_id === userId;
+      const isCandidate = application.job_seeker_user_id === userId;
+
+      if (!isRecruiter && !isCandidate) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+
+      const timeline = await applicationEventService.getTimeline(id, {
+        includeInternal: isRecruiter
+      });
+
+      res.json({
+        application_id: id,
+        current_status: application.status,
+        timeline
+      });
+    } catch (error) {
+      logger.error('Get application timeline error:', error);
+      res.status(500).json({ error: 'Failed to fetch application timeline' });
+    }
+  }
+);
+
 // Update application status (Employers only)
 router.patch('/:id/status',
   authenticateJWT,
@@ -266,12 +324,10 @@ router.patch('/:id/status',
   async (req, res) => {
     try {
       const { id } = req.params;
-      const { status, recruiter_notes } = req.body;
+      const { status, recruiter_notes, candidate_note } = req.body;
       const userId = req.user.id;
 
-      // Validate status
-      const validStatuses = ['viewed', 'shortlisted', 'interviewed', 'rejected', 'hired'];
-      if (!validStatuses.includes(status)) {
+      if (!status) {
         return res.status(400).json({ error: 'Invalid status' });
       }
 
@@ -300,48 +356,42 @@ router.patch('/:id/status',
         return res.status(403).json({ error: 'Permission denied' });
       }
 
-      // Update application status
-      const updatedApplication = await query(`
-        UPDATE applications SET
-          status = $1,
-          recruiter_notes = COALESCE($2, recruiter_notes),
-          updated_at = NOW()
-        WHERE id = $3
-        RETURNING *
-      `, [status, recruiter_notes, id]);
-
-      // Send status update email to job seeker
+      // Validate stage and transition against the job's pipeline
+      const pipeline = await pipelineService.getPipelineForJob(application.job_id);
+      const transitionError = pipelineService.validateTransition(pipeline, application.status, status);
+      if (transitionError) {
+        return res.status(400).json({ error: transitionError });
+      }
+      const stage = pipelineService.getStage(pipeline, status);
+
+      // Update application status and record the transition
+      const updatedApplication = await transaction(async (client) => {
+        const result = await client.query(`
+          UPDATE applications SET
+            status = $1,
+            recruiter_notes = COALESCE($2, recruiter_notes),
+            updated_at = NOW()
+          WHERE id = $3
+          RETURNING *
+        `, [status, recruiter_notes, id]);
+
+        await applicationEventService.record({
+          applicationId: id,
+          actor: req.user,
+          eventType: 'status_change',
+          fromStatus: application.status,
+          toStatus: status,
+          internalNote: recruiter_notes,
+          candidateNote: candidate_note
+        }, client);
+
+        return result.rows[0];
+      });
+
+      // Send the stage's status update email to job seeker
       if (application.job_seeker_email) {
         try {
-          const statusMessages = {
-            viewed: 'Your application has been viewed by the employer.',
-            shortlisted: 'Great news! You have been shortlisted for this position.',
-            interviewed: 'You have been selected for an interview.',
-            rejected: 'Thank you for your interest. Unfortunately, you were not selected for this position.',
-            hired: 'Congratulations! You have been selected for this position.'
-          };
-
-          const statusColors = {
-            viewed: '#0ea5e9',
-            shortlisted: '#10b981',
-            interviewed: '#7c3aed',
-            rejected: '#ef4444',
-            hired: '#10b981'
-          };
-
-          await sendEmail({
-            to: application.job_seeker_email,
-            template: 'application-status',
-            data: {
-              name: application.job_seeker_first_name,
-              jobTitle: application.job_title,
-              companyName: application.company_name,
-              status: status.charAt(0).toUpperCase() + status.slice(1),
-              statusColor: statusColors[status],
-              message: statusMessages[status],
-              applicationUrl: `${process.env.FRONTEND_URL}/applications/${id}`
-            }
-          });
+          await sendStageEmail(application, stage);
         } catch (emailError) {
           logger.error('Failed to send status update email:', emailError);
         }
@@ -351,7 +401,7 @@ router.patch('/:id/status',
 
       res.json({
         message: 'Application status updated successfully',
-        application: updatedApplication.rows[0]
+        application: updatedApplication
       });
     } catch (error) {
       logger.error('Update application status error:', error);
@@ -502,15 +552,14 @@ router.patch('/bulk/status',
   requireRole(['employer', 'admin']),
   async (req, res) => {
     try {
-      const { application_ids, status, recruiter_notes } = req.body;
+      const { application_ids, status, recruiter_notes, candidate_note } = req.body;
       const userId = req.user.id;
 
       if (!Array.isArray(application_ids) || application_ids.length === 0) {
         return res.status(400).json({ error: 'Application IDs array is required' });
       }
 
-      const validStatuses = ['viewed', 'shortlisted', 'interviewed', 'rejected', 'hired'];
-      if (!validStatuses.includes(status)) {
+      if (!status) {
         return res.status(400).json({ error: 'Invalid status' });
       }
 
@@ -529,15 +578,66 @@ router.patch('/bulk/status',
         }
       }
 
-      // Update applications
-      const result = await query(`
-        UPDATE applications SET
-          status = $1,
-          recruiter_notes = COALESCE($2, recruiter_notes),
-          updated_at = NOW()
-        WHERE id = ANY($3)
-        RETURNING id
-      `, [status, recruiter_notes, application_ids]);
+      // Validate each transition against its job's pipeline
+      const applicationsResult = await query(`
+        SELECT a.id, a.status, a.job_id, j.title as job_title, c.name as company_name,
+               u.email as job_seeker_email, u.first_name as job_seeker_first_name
+        FROM applications a
+        JOIN jobs j ON a.job_id = j.id
+        LEFT JOIN companies c ON j.company_id = c.id
+        LEFT JOIN job_seekers js ON a.job_seeker_id = js.id
+        LEFT JOIN users u ON js.user_id = u.id
+        WHERE a.id = ANY($1)
+      `, [application_ids]);
+
+      const pipelines = new Map();
+      const invalid = [];
+      for (const application of applicationsResult.rows) {
+        if (!pipelines.has(application.job_id)) {
+          pipelines.set(application.job_id, await pipelineService.getPipelineForJob(application.job_id));
+        }
+        const transitionError = pipelineService.validateTransition(
+          pipelines.get(application.job_id), application.status, status
+        );
+        if (transitionError) {
+          invalid.push({ application_id: application.id, error: transitionError });
+        }
+      }
+
+      if (invalid.length > 0) {
+        return res.status(400).json({ error: 'Invalid status for some applications', details: invalid });
+      }
+
+      // Update applications and record each transition
+      const result = await transaction(async (client) => {
+        const updateResult = await client.query(`
+          UPDATE applications SET
+            status = $1,
+            recruiter_notes = COALESCE($2, recruiter_notes),
+            updated_at = NOW()
+          WHERE id = ANY($3)
+          RETURNING id
+        `, [status, recruiter_notes, application_ids]);
+
+        await applicationEventService.recordMany(applicationsResult.rows, {
+          actor: req.user,
+          eventType: 'bulk_status_change',
+          toStatus: status,
+          internalNote: recruiter_notes,
+          candidateNote: candidate_note
+        }, client);
+
+        return updateResult;
+      });
+
+      // Send stage emails (async, don't wait)
+      const emailPromises = applicationsResult.rows
+        .filter(application => application.job_seeker_email)
+        .map(application => sendStageEmail(
+          application,
+          pipelineService.getStage(pipelines.get(application.job_id), status)
+        ));
+      Promise.allSettled(emailPromises);
 
       logger.info(`Bulk application status update: ${result.rowCount} applications to ${status} by user ${userId}`);
 
@@ -552,4 +652,25 @@ router.patch('/bulk/status',
   }
 );
 
+// Candidate email configured on a pipeline stage
+const sendStageEmail = async (application, stage) => {
+  if (!stage.email_enabled || !stage.email_message) {
+    return null;
+  }
+
+  return sendEmail({
+    to: application.job_seeker_email,
+    template: 'application-status',
+    data: {
+      name: application.job_seeker_first_name,
+      jobTitle: application.job_title,
+      companyName: application.company_name,
+      status: stage.name,
+      statusColor: stage.email_color,
+      message: stage.email_message,
+      applicationUrl: `${process.env.FRONTEND_URL}/applications/${application.id}`
+    }
+  });
+};
+
 module.exports = router;
\ No newline at end of file
@@ -4,17 +4,163 @@ const passport = require('passport');
 const crypto = require('crypto');
 const { dbOperations, query, transaction } = require('../config/database');
 const { 
-  generateTokens, 
-  verifyRefreshToken, 
   authenticateJWT, 
   rateLimitByUser 
 } = require('../middleware/auth');
 const { validate, schemas } = require('../middleware/validation');
 const { sendEmail } = require('../services/email');
+const sessionService = require('../services/sessionService');
+const twoFactorService = require('../services/twoFactorService');
+const phoneOtpService = require('../services/phoneOtpService');
+const accountLockoutService = require('../services/accountLockoutService');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
+// Device details recorded on the session
+const clientInfo = (req) => ({
+  ipAddress: req.ip,
+  userAgent: req.get('user-agent')
+});
+
+// Role-specific profile returned with the user on login
+const getProfileData = async (user) => {
+  if (user.role === 'job_seeker') {
+    const profile = await query(
+      'SELECT * FROM job_seekers WHERE user_id = $1',
+      [user.id]
+    );
+    return profile.rows[0] || {};
+  } else if (user.role === 'employer') {
+    const profile = await query(
+      `SELECT e.*, c.name as company_name, c.logo_url as company_logo
+       FROM employers e
+       LEFT JOIN companies c ON e.company_id = c.id
+       WHERE e.user_id = $1`,
+      [user.id]
+    );
+    return profile.rows[0] || {};
+  } else if (user.role === 'recruiter') {
+    const profile = await query(
+      'SELECT * FROM recruiters WHERE user_id = $1',
+      [user.id]
+    );
+    return profile.rows[0] || {};
+  }
+  return {};
+};
+
+// Finish a login once every required factor has been checked: start a session and send
+// the user with their tokens
+const completeLogin = async (req, res, user, extra = {}) => {
+  // Update last login
+  await query(
+    'UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = $1',
+    [user.id]
+  );
+
+  // Start a session and issue its tokens
+  const tokens = await sessionService.createSession(user, clientInfo(req));
+
+  let profileData = {};
+  try {
+    profileData = await getProfileData(user);
+  } catch (profileError) {
+    logger.warn('Profile fetch error during login:', profileError);
+  }
+
+  logger.info(`User logged in: ${user.email || user.phone}`);
+
+  res.json({
+    message: 'Login successful',
+    user: {
+      id: user.id,
+      email: user.email,
+      role: user.role,
+      first_name: user.first_name,
+      last_name: user.last_name,
+      phone: user.phone,
+      profile_image: user.profile_image,
+      status: user.status,
+      email_verified: user.email_verified,
+      phone_verified: user.phone_verified,
+      profile: profileData
+    },
+    tokens,
+    ...extra
+  });
+};
+
+// Second-factor step a password-verified user still has to complete, or null. Users with
+// 2FA enabled must enter a code; users whose role requires 2FA must enroll first.
+const getLoginChallenge = async (user) => {
+  if (await twoFactorService.isEnabled(user.id)) {
+    return {
+      two_factor_required: true,
+      challenge_token: twoFactorService.createChallengeToken(user.id, 'login')
+    };
+  }
+
+  if (await twoFactorService.isRequired(user.role)) {
+    return {
+      two_factor_setup_required: true,
+      challenge_token: twoFactorService.createChallengeToken(user.id, 'setup')
+    };
+  }
+
+  return null;
+};
+
+const sendAccountLocked = (res, lockedUntil) => {
+  res.status(423).json({
+    error: 'Account is temporarily locked due to too many failed login attempts',
+    code: 'ACCOUNT_LOCKED',
+    locked_until: lockedUntil
+  });
+};
+
+// Password (or phone code) accepted; the client continues with the challenge token
+const sendLoginChallenge = (res, challenge) => {
+  res.locals.twoFactorPending = true;
+  res.json({
+    message: challenge.two_factor_required ?
+      'Two-factor authentication required' : 'Two-factor authentication must be set up',
+    ...challenge
+  });
+};
+
+// Frontend page where OAuth logins complete their second factor
+const getTwoFactorRedirect = (challenge) => {
+  const redirectUrl = new URL('/auth/two-factor', process.env.FRONTEND_URL);
+  redirectUrl.searchParams.set('challenge', challenge.challenge_token);
+  redirectUrl.searchParams.set('mode', challenge.two_factor_required ? 'verify' : 'setup');
+  return redirectUrl.toString();
+};
+
+// Lets the 2FA setup endpoints be used either with an access token or, for users the
+// policy forces to enroll during login, with a 'setup' challenge token
+const authenticateTwoFactorSetup = async (req, res, next) => {
+  if (!req.body.challenge_token) {
+    return authenticateJWT(req, res, next);
+  }
+
+  try {
+    const challenge = twoFactorService.verifyChallengeToken(req.body.challenge_token);
+    const user = challenge?.purpose === 'setup' && await dbOperations.findUserById(challenge.userId);
+
+    if (!user || user.status !== 'active') {
+      return res.status(401).json({ error: 'Invalid or expired challenge token' });
+    }
+
+    req.user = user;
+    req.twoFactorChallenge = challenge;
+    next();
+  } catch (error) {
+    logger.error('Two-factor challenge error:', error);
+    res.status(500).json({ error: 'Authentication error' });
+  }
+};
+
 // Register new user
 router.post('/register', 
   validate(schemas.userRegistration),
@@ -92,22 +238,34 @@ router.post('/register',
         // Don't fail registration if email fails
       }
 
-      // Generate JWT tokens
-      const tokens = generateTokens(result);
-
       logger.info(`New user registered: ${email} (${role})`);
 
+      const user = {
+        id: result.id,
+        email: result.email,
+        role: result.role,
+        first_name: result.first_name,
+        last_name: result.last_name,
+        status: result.status,
+        email_verified: false
+      };
+
+      // Roles that must use 2FA enroll before they get a session
+      const challenge = await getLoginChallenge(result);
+      if (challenge) {
+        return res.status(201).json({
+          message: 'User registered successfully. Two-factor authentication must be set up',
+          user,
+          ...challenge
+        });
+      }
+
+      // Start a session and issue its tokens
+      const tokens = await sessionService.createSession(result, clientInfo(req));
+
       res.status(201).json({
         message: 'User registered successfully',
-        user: {
-          id: result.id,
-          email: result.email,
-          role: result.role,
-          first_name: result.first_name,
-          last_name: result.last_name,
-          status: result.status,
-          email_verified: false
-        },
+        user,
         tokens
       });
     } catch (error) {
@@ -124,10 +282,18 @@ router.post('/login',
   async (req, res) => {
     try {
       const { email, password, remember_me } = req.body;
+      const lockoutSettings = await accountLockoutService.getSettings();
+      const attempt = { email, ipAddress: req.ip };
+
+      // Too many failed logins from this address, across accounts
+      if (await accountLockoutService.isIpBlocked(req.ip, lockoutSettings)) {
+        return res.status(429).json({ error: 'Too many failed login attempts. Please try again later.' });
+      }
 
       // Find user
       const user = await dbOperations.findUserByEmail(email);
       if (!user) {
+        await accountLockoutService.recordFailure(null, attempt, lockoutSettings);
         return res.status(401).json({ error: 'Invalid credentials' });
       }
 
@@ -140,68 +306,30 @@ router.post('/login',
         return res.status(403).json({ error: 'Account has been deactivated' });
       }
 
-      // Verify password
-      const isValidPassword = await bcrypt.compare(password, user.password_hash);
+      // Locked accounts don't get to try passwords
+      if (accountLockoutService.isLocked(user)) {
+        return sendAccountLocked(res, user.locked_until);
+      }
+
+      // Verify password (accounts created by phone login have none)
+      const isValidPassword = Boolean(user.password_hash) && await bcrypt.compare(password, user.password_hash);
       if (!isValidPassword) {
+        const { locked, lockedUntil } = await accountLockoutService.recordFailure(user, attempt, lockoutSettings);
+        if (locked) {
+          return sendAccountLocked(res, lockedUntil);
+        }
         return res.status(401).json({ error: 'Invalid credentials' });
       }
 
-      // Update last login
-      await query(
-        'UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = $1',
-        [user.id]
-      );
+      await accountLockoutService.recordSuccess(user, attempt);
 
-      // Generate JWT tokens
-      const tokens = generateTokens(user);
-
-      // Get user profile data based on role
-      let profileData = {};
-      try {
-        if (user.role === 'job_seeker') {
-          const profile = await query(
-            'SELECT * FROM job_seekers WHERE user_id = $1',
-            [user.id]
-          );
-          profileData = profile.rows[0] || {};
-        } else if (user.role === 'employer') {
-          const profile = await query(
-            `SELECT e.*, c.name as company_name, c.logo_url as company_logo
-             FROM employers e
-             LEFT JOIN companies c ON e.company_id = c.id
-             WHERE e.user_id = $1`,
-            [user.id]
-          );
-          profileData = profile.rows[0] || {};
-        } else if (user.role === 'recruiter') {
-          const profile = await query(
-            'SELECT * FROM recruiters WHERE user_id = $1',
-            [user.id]
-          );
-          profileData = profile.rows[0] || {};
-        }
-      } catch (profileError) {
-        logger.warn('Profile fetch error during login:', profileError);
+      // Second factor, when enabled or required by policy
+      const challenge = await getLoginChallenge(user);
+      if (challenge) {
+        return sendLoginChallenge(res, challenge);
       }
 
-      logger.info(`User logged in: ${email}`);
-
-      res.json({
-        message: 'Login successful',
-        user: {
-          id: user.id,
-          email: user.email,
-          role: user.role,
-          first_name: user.first_name,
-          last_name: user.last_name,
-          phone: user.phone,
-          profile_image: user.profile_image,
-          status: user.status,
-          email_verified: user.email_verified,
-          profile: profileData
-        },
-        tokens
-      });
+      await completeLogin(req, res, user);
     } catch (error) {
       logger.error('Login error:', error);
       res.status(500).json({ error: 'Login failed' });
@@ -220,17 +348,19 @@ router.post('/refresh',
         return res.status(400).json({ error: 'Refresh token required' });
       }
 
-      // Verify refresh token
-      const decoded = verifyRefreshToken(refreshToken);
-      
-      // Find user
-      const user = await dbOperations.findUserById(decoded.userId);
-      if (!user || user.status !== 'active') {
-        return res.status(401).json({ error: 'Invalid refresh token' });
+      // Rotate: the presented token is spent and a new pair is issued
+      const { tokens, error } = await sessionService.rotate(refreshToken, clientInfo(req));
+
+      if (error === 'reused') {
+        return res.status(401).json({
+          error: 'Invalid refresh token - session has been revoked',
+          code: 'REFRESH_TOKEN_REUSED'
+        });
       }
 
-      // Generate new tokens
-      const tokens = generateTokens(user);
+      if (error) {
+        return res.status(401).json({ error: 'Invalid refresh token' });
+      }
 
       res.json({ tokens });
     } catch (error) {
@@ -240,13 +370,398 @@ router.post('/refresh',
   }
 );
 
-// Logout (client-side token removal mostly, but we can blacklist if needed)
-router.post('/logout', authenticateJWT, (req, res) => {
-  // In a more complex setup, you might want to blacklist the token
-  logger.info(`User logged out: ${req.user.email}`);
-  res.json({ message: 'Logged out successfully' });
+// Logout: end the current session so its access and refresh tokens stop working
+router.post('/logout', authenticateJWT, async (req, res) => {
+  try {
+    let sessionId = req.sessionId;
+
+    // Access tokens issued before sessions existed carry no session id
+    if (!sessionId && req.body.refreshToken) {
+      const session = await sessionService.findSessionByRefreshToken(req.body.refreshToken);
+      sessionId = session?.session_id;
+    }
+
+    if (sessionId) {
+      await sessionService.revokeSession(sessionId, { userId: req.user.id, reason: 'logout' });
+    }
+
+    logger.info(`User logged out: ${req.user.email}`);
+    res.json({ message: 'Logout successful' });
+  } catch (error) {
+    logger.error('Logout error:', error);
+    res.status(500).json({ error: 'Logout failed' });
+  }
 });
 
+// List the user's active sessions (one per signed-in device)
+router.get('/sessions', authenticateJWT, async (req, res) => {
+  try {
+    const sessions = await sessionService.listSessions(req.user.id, req.sessionId);
+    res.json({ sessions });
+  } catch (error) {
+    logger.error('Get sessions error:', error);
+    res.status(500).json({ error: 'Failed to fetch sessions' });
+  }
+});
+
+// Sign out a device
+router.delete('/sessions/:id', authenticateJWT, async (req, res) => {
+  try {
+    const revoked = await sessionService.revokeSession(req.params.id, {
+      userId: req.user.id,
+      reason: 'user_revoked'
+    });
+
+    if (!revoked) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    logger.info(`Session ${req.params.id} revoked by user ${req.user.id}`);
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    logger.error('Revoke session error:', error);
+    res.status(500).json({ error: 'Failed to revoke session' });
+  }
+});
+
+// Second step of a login for users with 2FA: exchange the challenge token and a TOTP or
+// recovery code for a session
+router.post('/2fa/verify',
+  validate(schemas.twoFactorVerify),
+  rateLimitByUser(10, 15 * 60 * 1000),
+  async (req, res) => {
+    try {
+      const challenge = twoFactorService.verifyChallengeToken(req.body.challenge_token);
+      const user = challenge?.purpose === 'login' && await dbOperations.findUserById(challenge.userId);
+
+      if (!user || user.status !== 'active') {
+        return res.status(401).json({ error: 'Invalid or expired challenge token' });
+      }
+
+      const result = await twoFactorService.verify(user.id, req.body.code);
+
+      if (result.locked) {
+        return res.status(429).json({ error: 'Too many failed attempts. Please try again later.' });
+      }
+
+      if (!result.valid) {
+        res.locals.twoFactorFailure = { userId: user.id };
+        return res.status(401).json({ error: 'Invalid verification code', code: 'INVALID_2FA_CODE' });
+      }
+
+      if (result.method === 'recovery_code') {
+        logger.info(`Recovery code used to sign in user ${user.id}`);
+      }
+
+      await completeLogin(req, res, user);
+    } catch (error) {
+      logger.error('Two-factor verification error:', error);
+      res.status(500).json({ error: 'Two-factor verification failed' });
+    }
+  }
+);
+
+// Two-factor status for the current user
+router.get('/2fa', authenticateJWT, async (req, res) => {
+  try {
+    const status = await twoFactorService.getStatus(req.user.id);
+    const required = await twoFactorService.isRequired(req.user.role);
+
+    res.json({ two_factor: { ...status, required } });
+  } catch (error) {
+    logger.error('Get two-factor status error:', error);
+    res.status(500).json({ error: 'Failed to fetch two-factor status' });
+  }
+});
+
+// Start enrollment: a new secret and the otpauth:// URI to show as a QR code
+router.post('/2fa/setup',
+  validate(schemas.twoFactorSetup),
+  authenticateTwoFactorSetup,
+  async (req, res) => {
+    try {
+      const setup = await twoFactorService.beginSetup(req.user);
+
+      if (!setup) {
+        return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+      }
+
+      res.json(setup);
+    } catch (error) {
+      logger.error('Two-factor setup error:', error);
+      res.status(500).json({ error: 'Failed to start two-factor setup' });
+    }
+  }
+);
+
+// Confirm enrollment with a code from the authenticator app. Recovery codes are returned
+// once; when enrolling during login, the session tokens are returned too.
+router.post('/2fa/enable',
+  validate(schemas.twoFactorEnable),
+  authenticateTwoFactorSetup,
+  async (req, res) => {
+    try {
+      const recoveryCodes = await twoFactorService.enable(req.user.id, req.body.code);
+
+      if (!recoveryCodes) {
+        res.locals.twoFactorFailure = { userId: req.user.id };
+        return res.status(400).json({ error: 'Invalid verification code or no pending setup', code: 'INVALID_2FA_CODE' });
+      }
+
+      if (req.twoFactorChallenge) {
+        return completeLogin(req, res, req.user, { recovery_codes: recoveryCodes });
+      }
+
+      res.json({
+        message: 'Two-factor authentication enabled',
+        recovery_codes: recoveryCodes
+      });
+    } catch (error) {
+      logger.error('Two-factor enable error:', error);
+      res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+    }
+  }
+);
+
+// Turn 2FA off; needs the password and a current code, and is refused when required by policy
+router.post('/2fa/disable',
+  authenticateJWT,
+  validate(schemas.twoFactorDisable),
+  async (req, res) => {
+    try {
+      if (await twoFactorService.isRequired(req.user.role)) {
+        return res.status(403).json({ error: 'Two-factor authentication is required for your role' });
+      }
+
+      const isValidPassword = await bcrypt.compare(req.body.password, req.user.password_hash);
+      if (!isValidPassword) {
+        return res.status(401).json({ error: 'Invalid password' });
+      }
+
+      const result = await twoFactorService.verify(req.user.id, req.body.code);
+
+      if (result.locked) {
+        return res.status(429).json({ error: 'Too many failed attempts. Please try again later.' });
+      }
+
+      if (!result.valid) {
+        res.locals.twoFactorFailure = { userId: req.user.id };
+        return res.status(401).json({ error: 'Invalid verification code', code: 'INVALID_2FA_CODE' });
+      }
+
+      await twoFactorService.disable(req.user.id);
+
+      logger.info(`Two-factor authentication disabled for user ${req.user.id}`);
+      res.json({ message: 'Two-factor authentication disabled' });
+    } catch (error) {
+      logger.error('Two-factor disable error:', error);
+      res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+    }
+  }
+);
+
+// Replace the recovery codes; needs a current code
+router.post('/2fa/recovery-codes',
+  authenticateJWT,
+  validate(schemas.twoFactorCode),
+  async (req, res) => {
+    try {
+      const result = await twoFactorService.verify(req.user.id, req.body.code);
+
+      if (result.locked) {
+        return res.status(429).json({ error: 'Too many failed attempts. Please try again later.' });
+      }
+
+      if (!result.valid) {
+        res.locals.twoFactorFailure = { userId: req.user.id };
+        return res.status(401).json({ error: 'Invalid verification code', code: 'INVALID_2FA_CODE' });
+      }
+
+      const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(req.user.id);
+      res.json({ recovery_codes: recoveryCodes });
+    } catch (error) {
+      logger.error('Recovery code regeneration error:', error);
+      res.status(500).json({ error: 'Failed to regenerate recovery codes' });
+    }
+  }
+);
+
+// Text a one-time code, either to sign in with ('login') or to verify the signed-in user's
+// number ('verify'). Login codes are sent whether or not the number has an account.
+router.post('/phone/send-otp',
+  validate(schemas.phoneOtpRequest),
+  (req, res, next) => (req.body.purpose === 'verify' ? authenticateJWT(req, res, next) : next()),
+  async (req, res) => {
+    try {
+      const { purpose } = req.body;
+      const phone = phoneOtpService.normalizePhone(req.body.phone);
+      if (!phone) {
+        return res.status(400).json({ error: 'Invalid phone number' });
+      }
+
+      if (purpose === 'verify') {
+        const owner = await phoneOtpService.findUserByPhone(phone);
+        if (owner && owner.id !== req.user.id) {
+          return res.status(409).json({ error: 'Phone number is already verified on another account' });
+        }
+      }
+
+      const result = await phoneOtpService.sendOtp(phone, purpose, purpose === 'verify' ? req.user.id : null, req.ip);
+
+      if (result.retryAfter) {
+        return res.status(429).json({
+          error: 'Please wait before requesting another code.',
+          retryAfter: result.retryAfter
+        });
+      }
+
+      res.json({ message: 'Verification code sent', expires_at: result.expiresAt });
+    } catch (error) {
+      logger.error('Send OTP error:', error);
+      res.status(500).json({ error: 'Failed to send verification code' });
+    }
+  }
+);
+
+// Verify the signed-in user's phone number
+router.post('/phone/verify',
+  authenticateJWT,
+  validate(schemas.phoneVerify),
+  async (req, res) => {
+    try {
+      const phone = phoneOtpService.normalizePhone(req.body.phone);
+      if (!phone) {
+        return res.status(400).json({ error: 'Invalid phone number' });
+      }
+
+      const result = await phoneOtpService.verifyOtp(phone, 'verify', req.body.code, req.user.id);
+
+      if (result.error === 'too_many_attempts') {
+        return res.status(429).json({ error: 'Too many incorrect attempts. Please request a new code.' });
+      }
+
+      if (result.error) {
+        return res.status(400).json({ error: 'Invalid or expired code' });
+      }
+
+      const verified = await phoneOtpService.markVerified(req.user.id, phone);
+      if (!verified) {
+        return res.status(409).json({ error: 'Phone number is already verified on another account' });
+      }
+
+      logger.info(`Phone verified for user: ${req.user.id}`);
+      res.json({ message: 'Phone number verified', phone });
+    } catch (error) {
+      logger.error('Phone verification error:', error);
+      res.status(500).json({ error: 'Phone verification failed' });
+    }
+  }
+);
+
+// Passwordless login for job seekers with a texted code. A number without an account signs
+// up a new job seeker, which needs first and last name.
+router.post('/phone/login',
+  validate(schemas.phoneLogin),
+  async (req, res) => {
+    try {
+      const { code, first_name, last_name } = req.body;
+      const phone = phoneOtpService.normalizePhone(req.body.phone);
+      if (!phone) {
+        return res.status(400).json({ error: 'Invalid phone number' });
+      }
+
+      const lockoutSettings = await accountLockoutService.getSettings();
+
+      // Same lockout as password login: blocked addresses and locked accounts can't try codes
+      if (await accountLockoutService.isIpBlocked(req.ip, lockoutSettings)) {
+        return res.status(429).json({ error: 'Too many failed login attempts. Please try again later.' });
+      }
+
+      let user = await phoneOtpService.findUserByPhone(phone);
+      const attempt = { email: user?.email || null, ipAddress: req.ip };
+
+      if (user && accountLockoutService.isLocked(user)) {
+        return sendAccountLocked(res, user.locked_until);
+      }
+
+      // Checked before the code so the client can ask for names without spending it
+      if (!user && !(first_name && last_name)) {
+        return res.status(400).json({
+          error: 'First and last name are required to sign up',
+          code: 'REGISTRATION_DETAILS_REQUIRED'
+        });
+      }
+
+      const result = await phoneOtpService.verifyOtp(phone, 'login', code);
+
+      if (result.error) {
+        const { locked, lockedUntil } = await accountLockoutService.recordFailure(user, attempt, lockoutSettings);
+        if (locked) {
+          return sendAccountLocked(res, lockedUntil);
+        }
+
+        if (result.error === 'too_many_attempts') {
+          return res.status(429).json({ error: 'Too many incorrect attempts. Please request a new code.' });
+        }
+        return res.status(401).json({ error: 'Invalid or expired code', code: 'INVALID_OTP' });
+      }
+
+      let isNewUser = false;
+      if (!user) {
+        user = await phoneOtpService.createJobSeeker(phone, { first_name, last_name });
+        if (!user) {
+          return res.status(409).json({ error: 'Phone number is already registered' });
+        }
+        isNewUser = true;
+      }
+
+      if (user.role !== 'job_seeker') {
+        return res.status(403).json({ error: 'Phone login is only available for job seekers' });
+      }
+
+      if (user.status === 'suspended') {
+        return res.status(403).json({ error: 'Account has been suspended' });
+      }
+
+      if (user.status === 'deactivated') {
+        return res.status(403).json({ error: 'Account has been deactivated' });
+      }
+
+      await accountLockoutService.recordSuccess(user, attempt);
+
+      // Second factor, when enabled or required by policy
+      const challenge = await getLoginChallenge(user);
+      if (challenge) {
+        return sendLoginChallenge(res, challenge);
+      }
+
+      await completeLogin(req, res, user, { is_new_user: isNewUser });
+    } catch (error) {
+      logger.error('Phone login error:', error);
+      res.status(500).json({ error: 'Login failed' });
+    }
+  }
+);
+
+// Unlock an account from the link in the lockout email
+router.post('/unlock',
+  validate(schemas.accountUnlock),
+  async (req, res) => {
+    try {
+      const unlocked = await accountLockoutService.unlockWithToken(req.body.token);
+
+      if (!unlocked) {
+        return res.status(400).json({ error: 'Invalid or expired unlock link' });
+      }
+
+      res.json({ message: 'Account unlocked. You can log in again.' });
+    } catch (error) {
+      logger.error('Account unlock error:', error);
+      res.status(500).json({ error: 'Failed to unlock account' });
+    }
+  }
+);
+
 // Verify email
 router.post('/verify-email', async (req, res) => {
   try {
@@ -377,6 +892,9 @@ router.post('/reset-password',
           'UPDATE password_resets SET used_at = NOW() WHERE token = $1',
           [token]
         );
+
+        // Sign out every device that used the old password
+        await sessionService.revokeAllSessions(userId, 'password_reset', client);
       });
 
       logger.info(`Password reset completed for user: ${userId}`);
@@ -397,7 +915,13 @@ router.get('/google/callback',
   passport.authenticate('google', { session: false }),
   async (req, res) => {
     try {
-      const tokens = generateTokens(req.user);
+      // Hand the second factor to the frontend's 2FA page
+      const challenge = await getLoginChallenge(req.user);
+      if (challenge) {
+        return res.redirect(getTwoFactorRedirect(challenge));
+      }
+
+      const tokens = await sessionService.createSession(req.user, clientInfo(req));
       
       // Redirect to frontend with tokens
       const redirectUrl = new URL('/auth/callback', process.env.FRONTEND_URL);
@@ -421,7 +945,12 @@ router.get('/linkedin/callback',
   passport.authenticate('linkedin', { session: false }),
   async (req, res) => {
     try {
-      const tokens = generateTokens(req.user);
+      const challenge = await getLoginChallenge(req.user);
+      if (challenge) {
+        return res.redirect(getTwoFactorRedirect(challenge));
+      }
+
+      const tokens = await sessionService.createSession(req.user, clientInfo(req));
       
       const redirectUrl = new URL('/auth/callback', process.env.FRONTEND_URL);
       redirectUrl.searchParams.set('token', tokens.accessToken);
@@ -439,31 +968,7 @@ router.get('/linkedin/callback',
 router.get('/me', authenticateJWT, async (req, res) => {
   try {
     const user = req.user;
-    
-    // Get profile data based on role
-    let profileData = {};
-    if (user.role === 'job_seeker') {
-      const profile = await query(
-        'SELECT * FROM job_seekers WHERE user_id = $1',
-        [user.id]
-      );
-      profileData = profile.rows[0] || {};
-    } else if (user.role === 'employer') {
-      const profile = await query(
-        `SELECT e.*, c.name as company_name, c.logo_url as company_logo
-         FROM employers e
-         LEFT JOIN companies c ON e.company_id = c.id
-         WHERE e.user_id = $1`,
-        [user.id]
-      );
-      profileData = profile.rows[0] || {};
-    } else if (user.role === 'recruiter') {
-      const profile = await query(
-        'SELECT * FROM recruiters WHERE user_id = $1',
-        [user.id]
-      );
-      profileData = profile.rows[0] || {};
-    }
+    const profileData = await getProfileData(user);
 
     res.json({
       user: {
@@ -476,6 +981,7 @@ router.get('/me', authenticateJWT, async (req, res) => {
         profile_image: user.profile_image,
         status: user.status,
         email_verified: user.email_verified,
+        phone_verified: user.phone_verified,
         profile: profileData
       }
     });
@@ -1,10 +1,36 @@
 const express = require('express');
-const { query } = require('../config/database');
-const { optionalAuth } = require('../middleware/auth');
+const multer = require('multer');
+const { query, transaction } = require('../config/database');
+const {
+  optionalAuth,
+  authenticateJWT,
+  requireRole,
+  requireActiveAccount
+} = require('../middleware/auth');
+const { validate, schemas } = require('../middleware/validation');
+const meetingProviders = require('../services/meetingProviders');
+const moderationService = require('../services/moderationService');
+const companyVerificationService = require('../services/companyVerificationService');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
+// Configure multer for GST and CIN certificate uploads
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = ['application/pdf', 'image/jpeg', 'image/png'];
+    if (allowedTypes.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only PDF, JPEG, and PNG files are allowed.'));
+    }
+  }
+});
+
 // Get all companies with pagination
 router.get('/',
   optionalAuth,
@@ -40,7 +66,7 @@ router.get('/',
                COUNT(cr.id) as review_count
         FROM companies c
         LEFT JOIN jobs j ON c.id = j.company_id AND j.status = 'active' AND j.deleted_at IS NULL
-        LEFT JOIN company_reviews cr ON c.id = cr.company_id
+        LEFT JOIN company_reviews cr ON c.id = cr.company_id AND cr.status = 'published'
         ${whereClause}
         GROUP BY c.id
         ORDER BY c.verified DESC, active_jobs_count DESC, c.name ASC
@@ -92,7 +118,7 @@ router.get('/:identifier',
                COUNT(cr.id) as review_count
         FROM companies c
         LEFT JOIN jobs j ON c.id = j.company_id AND j.status = 'active' AND j.deleted_at IS NULL
-        LEFT JOIN company_reviews cr ON c.id = cr.company_id
+        LEFT JOIN company_reviews cr ON c.id = cr.company_id AND cr.status = 'published'
         WHERE ${isUUID ? 'c.id = $1' : 'c.slug = $1'}
         GROUP BY c.id
       `;
@@ -118,13 +144,13 @@ router.get('/:identifier',
 
       company.recent_jobs = jobsResult.rows;
 
-      // Get company reviews (sample)
+      // Get company reviews (sample of published reviews, verified employees first)
       const reviewsResult = await query(`
-        SELECT rating, title, pros, cons, job_title, employment_status,
-               years_at_company, created_at
+        SELECT id, rating, title, pros, cons, job_title, employment_status,
+               years_at_company, is_verified, created_at
         FROM company_reviews
-        WHERE company_id = $1 AND is_verified = true
-        ORDER BY created_at DESC
+        WHERE company_id = $1 AND status = 'published'
+        ORDER BY is_verified DESC, created_at DESC
         LIMIT 5
       `, [company.id]);
 
@@ -138,6 +164,410 @@ router.get('/:identifier',
   }
 );
 
+// Write a review (Job seekers); it is published once a moderator approves it
+router.post('/:id/reviews',
+  authenticateJWT,
+  requireRole('job_seeker'),
+  requireActiveAccount,
+  validate(schemas.companyReview),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const review = req.body;
+
+      const companyResult = await query('SELECT id FROM companies WHERE id = $1', [id]);
+      if (companyResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Company not found' });
+      }
+
+      const existing = await query(
+        `SELECT id FROM company_reviews WHERE company_id = $1 AND reviewer_id = $2 AND status <> 'hidden'`,
+        [id, req.user.id]
+      );
+      if (existing.rows.length > 0) {
+        return res.status(409).json({ error: 'You have already reviewed this company' });
+      }
+
+      const created = await transaction(async (client) => {
+        const result = await client.query(`
+          INSERT INTO company_reviews (
+            company_id, reviewer_id, rating, title, pros, cons, advice_to_management,
+            job_title, employment_status, years_at_company, is_anonymous, status
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, 'pending')
+          RETURNING *
+        `, [
+          id, req.user.id, review.rating, review.title, review.pros, review.cons,
+          review.advice_to_management, review.job_title, review.employment_status,
+          review.years_at_company, review.is_anonymous
+        ]);
+
+        await moderationService.enqueue({
+          contentType: 'review',
+          contentId: result.rows[0].id,
+          source: 'auto',
+          reason: 'New company review'
+        }, client);
+
+        return result.rows[0];
+      });
+
+      logger.info(`Company review ${created.id} submitted for ${id} by user ${req.user.id}`);
+
+      res.status(201).json({
+        message: 'Review submitted for moderation',
+        review: created
+      });
+    } catch (error) {
+      logger.error('Create company review error:', error);
+      res.status(500).json({ error: 'Failed to submit review' });
+    }
+  }
+);
+
+// Report a published review for moderation
+router.post('/reviews/:reviewId/report',
+  authenticateJWT,
+  validate(schemas.contentReport),
+  async (req, res) => {
+    try {
+      const result = await moderationService.report(req.user.id, 'review', req.params.reviewId, req.body);
+
+      if (!result) {
+        return res.status(404).json({ error: 'Review not found' });
+      }
+
+      if (result.error) {
+        return res.status(409).json({ error: 'You have already reported this review' });
+      }
+
+      res.status(201).json({
+        message: 'Review reported',
+        report: result.report
+      });
+    } catch (error) {
+      logger.error('Report review error:', error);
+      res.status(500).json({ error: 'Failed to report review' });
+    }
+  }
+);
+
+// Check the company exists and the user may manage it (its employers and admins); sends the error response otherwise
+const checkCompanyAccess = async (req, res) => {
+  const companyResult = await query('SELECT id FROM companies WHERE id = $1', [req.params.id]);
+
+  if (companyResult.rows.length === 0) {
+    res.status(404).json({ error: 'Company not found' });
+    return false;
+  }
+
+  if (req.user.role !== 'admin') {
+    const employerResult = await query(
+      'SELECT id FROM employers WHERE user_id = $1 AND company_id = $2',
+      [req.user.id, req.params.id]
+    );
+
+    if (employerResult.rows.length === 0) {
+      res.status(403).json({ error: 'Access denied' });
+      return false;
+    }
+  }
+
+  return true;
+};
+
+// Get company settings (Company employers and admins)
+router.get('/:id/settings',
+  authenticateJWT,
+  requireRole(['employer', 'admin']),
+  requireActiveAccount,
+  async (req, res) => {
+    try {
+      if (!(await checkCompanyAccess(req, res))) return;
+
+      res.json({
+        settings: {
+          company_id: req.params.id,
+          default_meeting_provider: await meetingProviders.getCompanyDefault(req.params.id)
+        },
+        meeting_providers: meetingProviders.list()
+      });
+    } catch (error) {
+      logger.error('Get company settings error:', error);
+      res.status(500).json({ error: 'Failed to fetch company settings' });
+    }
+  }
+);
+
+// Update company settings (Company employers and admins)
+router.put('/:id/settings',
+  authenticateJWT,
+  requireRole(['employer', 'admin']),
+  requireActiveAccount,
+  validate(schemas.companySettings),
+  async (req, res) => {
+    try {
+      if (!(await checkCompanyAccess(req, res))) return;
+
+      const result = await query(`
+        INSERT INTO company_settings (company_id, default_meeting_provider)
+        VALUES ($1, $2)
+        ON CONFLICT (company_id) DO UPDATE SET default_meeting_provider = EXCLUDED.default_meeting_provider
+        RETURNING company_id, default_meeting_provider
+      `, [req.params.id, req.body.default_meeting_provider]);
+
+      logger.info(`Company settings updated for ${req.params.id} by user ${req.user.id}`);
+
+      res.json({
+        message: 'Company settings updated',
+        settings: result.rows[0]
+      });
+    } catch (error) {
+      logger.error('Update company settings error:', error);
+      res.status(500).json({ error: 'Failed to update company settings' });
+    }
+  }
+);
+
+// Open verification request for the company; sends a 404 if there is none
+const getOpenVerification = async (req, res) => {
+  const request = await companyVerificationService.getOpenRequest(req.params.id);
+  if (!request) {
+    res.status(404).json({ error: 'No open verification request. Start one first.' });
+  }
+  return request;
+};
+
+// Get the company's latest verification request (Company employers and admins)
+router.get('/:id/verification',
+  authenticateJWT,
+  requireRole(['employer', 'admin']),
+  requireActiveAccount,
+  async (req, res) => {
+    try {
+      if (!(await checkCompanyAccess(req, res))) return;
+
+      const companyResult = await query(
+        'SELECT verified, verified_at, verification_methods FROM companies WHERE id = $1',
+        [req.params.id]
+      );
+
+      res.json({
+        company: companyResult.rows[0],
+        verification: await companyVerificationService.getStatus(req.params.id)
+      });
+    } catch (error) {
+      logger.error('Get company verification error:', error);
+      res.status(500).json({ error: 'Failed to fetch verification status' });
+    }
+  }
+);
+
+// Start a verification request for the company website domain
+router.post('/:id/verification',
+  authenticateJWT,
+  requireRole(['employer', 'admin']),
+  requireActiveAccount,
+  validate(schemas.companyVerificationRequest),
+  async (req, res) => {
+    try {
+      if (!(await checkCompanyAccess(req, res))) return;
+
+      const result = await companyVerificationService.start(req.params.id, req.user.id, req.body);
+
+      switch (result.error) {
+        case 'already_verified':
+          return res.status(409).json({ error: 'Company is already verified' });
+        case 'exists':
+          return res.status(409).json({ error: 'Company already has an open verification request', verification: result.request });
+        case 'no_website':
+          return res.status(400).json({ error: 'Add a valid company website before requesting verification' });
+        case 'personal_domain':
+          return res.status(400).json({ error: 'The company website must be on a domain the company owns' });
+        case 'not_found':
+          return res.status(404).json({ error: 'Company not found' });
+      }
+
+      res.status(201).json({
+        message: 'Verification request started',
+        verification: result.request
+      });
+    } catch (error) {
+      logger.error('Start company verification error:', error);
+      res.status(500).json({ error: 'Failed to start verification' });
+    }
+  }
+);
+
+// Check the DNS TXT record proving control of the domain
+router.post('/:id/verification/dns-check',
+  authenticateJWT,
+  requireRole(['employer', 'admin']),
+  requireActiveAccount,
+  async (req, res) => {
+    try {
+      if (!(await checkCompanyAccess(req, res))) return;
+      const request = await getOpenVerification(req, res);
+      if (!request) return;
+
+      const { verified, found } = await companyVerificationService.checkDns(request);
+
+      if (!verified) {
+        return res.status(422).json({
+          error: 'Verification TXT record not found',
+          expected: companyVerificationService.getDnsRecord(request),
+          found
+        });
+      }
+
+      res.json({
+        message: 'Domain verified',
+        verification: await companyVerificationService.getStatus(req.params.id)
+      });
+    } catch (error) {
+      logger.error('Company verification DNS check error:', error);
+      res.status(500).json({ error: 'Failed to check DNS record' });
+    }
+  }
+);
+
+// Email a code to an address on the company domain
+router.post('/:id/verification/email',
+  authenticateJWT,
+  requireRole(['employer', 'admin']),
+  requireActiveAccount,
+  validate(schemas.companyVerificationEmail),
+  async (req, res) => {
+    try {
+      if (!(await checkCompanyAccess(req, res))) return;
+      const request = await getOpenVerification(req, res);
+      if (!request) return;
+
+      const result = await companyVerificationService.sendEmailCode(request, req.body.email, req.user);
+
+      if (result.error) {
+        return res.status(400).json({ error: `Email address must be on ${request.domain}` });
+      }
+
+      if (result.retryAfter) {
+        res.set('Retry-After', String(result.retryAfter));
+        return res.status(429).json({
+          error: 'Please wait before requesting another code',
+          retry_after: result.retryAfter
+        });
+      }
+
+      res.json({
+        message: 'Verification code sent',
+        expires_at: result.expiresAt
+      });
+    } catch (error) {
+      logger.error('Company verification email error:', error);
+      res.status(500).json({ error: 'Failed to send verification code' });
+    }
+  }
+);
+
+// Confirm the emailed code
+router.post('/:id/verification/email/confirm',
+  authenticateJWT,
+  requireRole(['employer', 'admin']),
+  requireActiveAccount,
+  validate(schemas.companyVerificationCode),
+  async (req, res) => {
+    try {
+      if (!(await checkCompanyAccess(req, res))) return;
+      const request = await getOpenVerification(req, res);
+      if (!request) return;
+
+      const result = await companyVerificationService.verifyEmailCode(request, req.body.code);
+
+      if (result.error === 'too_many_attempts') {
+        return res.status(429).json({ error: 'Too many incorrect codes. Request a new code.' });
+      }
+      if (result.error) {
+        return res.status(400).json({ error: 'Invalid or expired code' });
+      }
+
+      res.json({
+        message: 'Domain verified',
+        verification: await companyVerificationService.getStatus(req.params.id)
+      });
+    } catch (error) {
+      logger.error('Company verification code error:', error);
+      res.status(500).json({ error: 'Failed to verify code' });
+    }
+  }
+);
+
+// Upload a GST or CIN certificate
+router.post('/:id/verification/documents',
+  authenticateJWT,
+  requireRole(['employer', 'admin']),
+  requireActiveAccount,
+  upload.single('document'),
+  validate(schemas.companyVerificationDocument),
+  async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({ error: 'Document file is required' });
+      }
+
+      if (!(await checkCompanyAccess(req, res))) return;
+      const request = await getOpenVerification(req, res);
+      if (!request) return;
+
+      const result = await companyVerificationService.addDocument(request, req.user.id, {
+        documentType: req.body.document_type,
+        documentNumber: req.body.document_number,
+        file: req.file
+      });
+
+      if (result.error) {
+        return res.status(409).json({ error: 'Document limit reached for this request' });
+      }
+
+      res.status(201).json({
+        message: 'Document uploaded',
+        document: result.document
+      });
+    } catch (error) {
+      logger.error('Company verification document error:', error);
+      res.status(500).json({ error: 'Failed to upload document' });
+    }
+  }
+);
+
+// Send the request to the admin review queue
+router.post('/:id/verification/submit',
+  authenticateJWT,
+  requireRole(['employer', 'admin']),
+  requireActiveAccount,
+  async (req, res) => {
+    try {
+      if (!(await checkCompanyAccess(req, res))) return;
+      const request = await getOpenVerification(req, res);
+      if (!request) return;
+
+      const result = await companyVerificationService.submit(request);
+
+      if (result.error === 'not_draft') {
+        return res.status(409).json({ error: 'Verification request is already waiting for review' });
+      }
+      if (result.error) {
+        return res.status(400).json({ error: 'Verify the domain or upload a GST or CIN document before submitting' });
+      }
+
+      res.json({
+        message: 'Verification request submitted for review',
+        verification: result.request
+      });
+    } catch (error) {
+      logger.error('Submit company verification error:', error);
+      res.status(500).json({ error: 'Failed to submit verification request' });
+    }
+  }
+);
+
 // Get company jobs
 router.get('/:id/jobs',
   optionalAuth,
@@ -0,0 +1,136 @@
+const express = require('express');
+const { query } = require('../config/database');
+const {
+  authenticateJWT,
+  requireRole,
+  requireActiveAccount
+} = require('../middleware/auth');
+const { validate, schemas } = require('../middleware/validation');
+const interviewPlanService = require('../services/interviewPlanService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+router.use(authenticateJWT, requireRole(['employer', 'admin']), requireActiveAccount);
+
+// Job with its owner and company, or null
+const getJob = async (jobId) => {
+  const result = await query(`
+    SELECT j.id, j.title, j.company_id, e.user_id as employer_user_id
+    FROM jobs j
+    JOIN employers e ON j.employer_id = e.id
+    WHERE j.id = $1
+  `, [jobId]);
+
+  return result.rows[0] || null;
+};
+
+// Get the interview plan for a job (hiring company)
+router.get('/jobs/:jobId', async (req, res) => {
+  try {
+    const job = await getJob(req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    if (req.user.role !== 'admin' &&
+        !(await interviewPlanService.belongToHiringTeam([req.user.id], job.company_id, job.employer_user_id))) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const plan = await interviewPlanService.getPlan(job.id);
+
+    if (!plan) {
+      return res.status(404).json({ error: 'This job has no interview plan yet' });
+    }
+
+    res.json({ plan });
+  } catch (error) {
+    logger.error('Get interview plan error:', error);
+    res.status(500).json({ error: 'Failed to fetch interview plan' });
+  }
+});
+
+// Create or replace the interview plan for a job (job owner)
+router.put('/jobs/:jobId', validate(schemas.interviewPlan), async (req, res) => {
+  try {
+    const job = await getJob(req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    if (req.user.role !== 'admin' && job.employer_user_id !== req.user.id) {
+      return res.status(403).json({ error: 'Permission denied' });
+    }
+
+    const { rounds } = req.body;
+
+    // Rounds sent with an id must already belong to this plan
+    const existing = await interviewPlanService.getPlan(job.id);
+    const existingIds = new Set((existing?.rounds || []).map(round => round.id));
+    if (rounds.some(round => round.id && !existingIds.has(round.id))) {
+      return res.status(400).json({ error: "Round is not part of this job's plan" });
+    }
+
+    const panelistIds = rounds.flatMap(round => round.panelist_ids);
+    if (!(await interviewPlanService.belongToHiringTeam(panelistIds, job.company_id, job.employer_user_id))) {
+      return res.status(400).json({ error: 'Panelists must be members of the hiring company' });
+    }
+
+    const plan = await interviewPlanService.savePlan(job.id, rounds, req.user.id);
+
+    res.json({
+      message: 'Interview plan saved',
+      plan
+    });
+  } catch (error) {
+    logger.error('Save interview plan error:', error);
+    res.status(500).json({ error: 'Failed to save interview plan' });
+  }
+});
+
+// Aggregated scorecards and hire recommendation for an application
+router.get('/applications/:applicationId/summary', async (req, res) => {
+  try {
+    const { applicationId } = req.params;
+
+    const applicationResult = await query(`
+      SELECT a.id, e.user_id as employer_user_id
+      FROM applications a
+      JOIN jobs j ON a.job_id = j.id
+      JOIN employers e ON j.employer_id = e.id
+      WHERE a.id = $1
+    `, [applicationId]);
+
+    if (applicationResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+
+    const application = applicationResult.rows[0];
+
+    const hasPermission =
+      req.user.role === 'admin' ||
+      application.employer_user_id === req.user.id ||
+      await interviewPlanService.isApplicationPanelist(applicationId, req.user.id);
+
+    if (!hasPermission) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    // Panelists see the panel's scores only after submitting their own
+    if (await interviewPlanService.hasPendingScorecard(applicationId, req.user.id)) {
+      return res.status(403).json({ error: 'Submit your scorecards before viewing the panel summary' });
+    }
+
+    const summary = await interviewPlanService.getApplicationSummary(applicationId);
+
+    res.json({ summary });
+  } catch (error) {
+    logger.error('Get interview summary error:', error);
+    res.status(500).json({ error: 'Failed to fetch interview summary' });
+  }
+});
+
+module.exports = router;
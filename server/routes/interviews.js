@@ -8,10 +8,27 @@ const {
 } = require('../middleware/auth');
 const { validate, schemas } = require('../middleware/validation');
 const videoInterviewService = require('../services/videoInterviewService');
+const schedulingService = require('../services/schedulingService');
+const interviewPlanService = require('../services/interviewPlanService');
+const calendarService = require('../services/calendarService');
+const meetingProviders = require('../services/meetingProviders');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
+// WHERE clause ($1 = user id) for the interviews a user takes part in, or null for other roles
+const participantFilter = (role) => {
+  if (role === 'job_seeker') {
+    return 'WHERE js.user_id = $1';
+  }
+  if (role === 'employer') {
+    return `WHERE (vi.interviewer_id = $1 OR EXISTS (
+      SELECT 1 FROM interview_panelists ip WHERE ip.interview_id = vi.id AND ip.panelist_id = $1
+    ))`;
+  }
+  return null;
+};
+
 // Schedule video interview (Employers only)
 router.post('/schedule',
   authenticateJWT,
@@ -25,15 +42,17 @@ router.post('/schedule',
         application_id, 
         scheduled_at, 
         duration_minutes = 60, 
-        meeting_platform = 'google_meet',
-        notes = ''
+        meeting_platform,
+        notes = '',
+        round_id,
+        panelist_ids
       } = req.body;
       
       const interviewerId = req.user.id;
 
       // Verify application exists and user has permission
       const applicationCheck = await query(`
-        SELECT a.id, j.title as job_title, e.user_id as employer_user_id
+        SELECT a.id, a.job_id, j.title as job_title, j.company_id, e.user_id as employer_user_id
         FROM applications a
         JOIN jobs j ON a.job_id = j.id
         JOIN employers e ON j.employer_id = e.id
@@ -57,28 +76,47 @@ router.post('/schedule',
         return res.status(400).json({ error: 'Interview must be scheduled for a future time' });
       }
 
-      // Check for scheduling conflicts
-      const conflictCheck = await query(`
-        SELECT id FROM video_interviews
-        WHERE interviewer_id = $1
-          AND status IN ('scheduled', 'in_progress')
-          AND scheduled_at BETWEEN $2 - INTERVAL '${duration_minutes} minutes' 
-          AND $2 + INTERVAL '${duration_minutes} minutes'
-      `, [interviewerId, scheduled_at]);
-
-      if (conflictCheck.rows.length > 0) {
+      // Check for scheduling conflicts (including the interviewer's buffers and reserved slots)
+      if (await schedulingService.hasConflict(interviewerId, scheduled_at, duration_minutes)) {
         return res.status(409).json({ 
           error: 'You have a scheduling conflict with another interview' 
         });
       }
 
+      let round = null;
+      if (round_id) {
+        round = await interviewPlanService.getRoundForJob(round_id, application.job_id);
+        if (!round) {
+          return res.status(400).json({ error: "Interview round is not part of this job's plan" });
+        }
+      }
+
+      // Panelists must belong to the hiring company and be free as well
+      const panel = [...new Set([...panelist_ids, ...(round ? round.panelist_ids : [])])]
+        .filter(id => id !== interviewerId);
+
+      if (!(await interviewPlanService.belongToHiringTeam(panel, application.company_id, application.employer_user_id))) {
+        return res.status(400).json({ error: 'Panelists must be members of the hiring company' });
+      }
+
+      for (const panelistId of panel) {
+        if (await schedulingService.hasConflict(panelistId, scheduled_at, duration_minutes)) {
+          return res.status(409).json({
+            error: 'A panelist has a scheduling conflict with another interview',
+            panelist_id: panelistId
+          });
+        }
+      }
+
       const result = await videoInterviewService.scheduleInterview({
         applicationId: application_id,
         interviewerId,
         scheduledAt: scheduled_at,
         durationMinutes: duration_minutes,
         platform: meeting_platform,
-        notes
+        notes,
+        roundId: round_id || null,
+        panelistIds: panel
       });
 
       logger.info(`Interview scheduled by user ${interviewerId} for application ${application_id}`);
@@ -105,16 +143,10 @@ router.get('/my-interviews',
       const { status, upcoming_only, page = 1, limit = 20 } = req.query;
       const offset = (page - 1) * limit;
 
-      let whereClause = '';
-      let queryParams = [];
-      
-      if (req.user.role === 'job_seeker') {
-        whereClause = 'WHERE js.user_id = $1';
-        queryParams = [userId];
-      } else if (req.user.role === 'employer') {
-        whereClause = 'WHERE vi.interviewer_id = $1';
-        queryParams = [userId];
-      } else {
+      let whereClause = participantFilter(req.user.role);
+      const queryParams = [userId];
+
+      if (!whereClause) {
         return res.status(403).json({ error: 'Invalid user role' });
       }
 
@@ -176,6 +208,388 @@ router.get('/my-interviews',
   }
 );
 
+// iCal subscription URL for the user's upcoming interviews
+router.get('/calendar-feed',
+  authenticateJWT,
+  requireRole(['job_seeker', 'employer']),
+  requireActiveAccount,
+  async (req, res) => {
+    try {
+      const token = await calendarService.getFeedToken(req.user.id);
+
+      res.json({ url: calendarService.getFeedUrl(token) });
+    } catch (error) {
+      logger.error('Get calendar feed error:', error);
+      res.status(500).json({ error: 'Failed to get calendar feed' });
+    }
+  }
+);
+
+// Replace the feed URL, cutting off existing subscriptions
+router.post('/calendar-feed/reset',
+  authenticateJWT,
+  requireRole(['job_seeker', 'employer']),
+  requireActiveAccount,
+  async (req, res) => {
+    try {
+      const token = await calendarService.resetFeedToken(req.user.id);
+
+      res.json({
+        message: 'Calendar feed URL reset',
+        url: calendarService.getFeedUrl(token)
+      });
+    } catch (error) {
+      logger.error('Reset calendar feed error:', error);
+      res.status(500).json({ error: 'Failed to reset calendar feed' });
+    }
+  }
+);
+
+// iCal feed of upcoming interviews (public, token based)
+router.get('/calendar/:token.ics',
+  async (req, res) => {
+    try {
+      const feedUser = await calendarService.getFeedUser(req.params.token);
+      const whereClause = feedUser && participantFilter(feedUser.role);
+
+      if (!whereClause) {
+        return res.status(404).json({ error: 'Calendar feed not found' });
+      }
+
+      // Same interviews as my-interviews?upcoming_only=true, minus cancellations
+      const interviewsResult = await query(`
+        SELECT vi.*, j.title as job_title, c.name as company_name
+        FROM video_interviews vi
+        JOIN applications a ON vi.application_id = a.id
+        JOIN jobs j ON a.job_id = j.id
+        LEFT JOIN companies c ON j.company_id = c.id
+        LEFT JOIN job_seekers js ON a.job_seeker_id = js.id
+        ${whereClause}
+          AND vi.scheduled_at > NOW()
+          AND vi.status != 'cancelled'
+        ORDER BY vi.scheduled_at ASC
+      `, [feedUser.id]);
+
+      res.set('Content-Type', 'text/calendar; charset=utf-8');
+      res.set('Content-Disposition', 'inline; filename="interviews.ics"');
+      res.send(calendarService.buildFeed(interviewsResult.rows));
+    } catch (error) {
+      logger.error('Calendar feed error:', error);
+      res.status(500).json({ error: 'Failed to build calendar feed' });
+    }
+  }
+);
+
+// Get own availability settings and upcoming windows (Interviewers)
+router.get('/availability',
+  authenticateJWT,
+  requireRole(['employer', 'admin']),
+  requireActiveAccount,
+  async (req, res) => {
+    try {
+      const settings = await schedulingService.getSettings(req.user.id);
+      const windows = await schedulingService.getWindows(
+        req.user.id,
+        new Date(),
+        new Date(Date.now() + 60 * 24 * 60 * 60 * 1000)
+      );
+
+      res.json({ settings, windows });
+    } catch (error) {
+      logger.error('Get availability error:', error);
+      res.status(500).json({ error: 'Failed to fetch availability' });
+    }
+  }
+);
+
+// Update working hours, timezone and buffers (Interviewers)
+router.put('/availability/settings',
+  authenticateJWT,
+  requireRole(['employer', 'admin']),
+  requireActiveAccount,
+  validate(schemas.interviewerSettings),
+  async (req, res) => {
+    try {
+      const { timezone, working_hours } = req.body;
+
+      if (timezone && !schedulingService.isValidTimezone(timezone)) {
+        return res.status(400).json({ error: 'Invalid timezone' });
+      }
+
+      const invalidHours = Object.values(working_hours || {})
+        .flat()
+        .some(hours => hours.end <= hours.start);
+      if (invalidHours) {
+        return res.status(400).json({ error: 'Working hours must end after they start' });
+      }
+
+      const settings = await schedulingService.updateSettings(req.user.id, req.body);
+
+      res.json({
+        message: 'Availability settings updated',
+        settings
+      });
+    } catch (error) {
+      logger.error('Update availability settings error:', error);
+      res.status(500).json({ error: 'Failed to update availability settings' });
+    }
+  }
+);
+
+// Publish availability windows (Interviewers)
+router.post('/availability/windows',
+  authenticateJWT,
+  requireRole(['employer', 'admin']),
+  requireActiveAccount,
+  validate(schemas.availabilityWindows),
+  async (req, res) => {
+    try {
+      const { windows } = req.body;
+
+      if (windows.some(window => window.ends_at <= new Date())) {
+        return res.status(400).json({ error: 'Availability windows must end in the future' });
+      }
+
+      const created = await schedulingService.addWindows(req.user.id, windows);
+
+      res.status(201).json({
+        message: 'Availability published',
+        windows: created
+      });
+    } catch (error) {
+      logger.error('Publish availability error:', error);
+      res.status(500).json({ error: 'Failed to publish availability' });
+    }
+  }
+);
+
+// Remove an availability window (Interviewers)
+router.delete('/availability/windows/:windowId',
+  authenticateJWT,
+  requireRole(['employer', 'admin']),
+  requireActiveAccount,
+  async (req, res) => {
+    try {
+      const deleted = await schedulingService.deleteWindow(req.user.id, req.params.windowId);
+
+      if (!deleted) {
+        return res.status(404).json({ error: 'Availability window not found' });
+      }
+
+      res.json({ message: 'Availability window removed' });
+    } catch (error) {
+      logger.error('Delete availability window error:', error);
+      res.status(500).json({ error: 'Failed to remove availability window' });
+    }
+  }
+);
+
+// Send a candidate a self-scheduling link (Employers only)
+router.post('/scheduling-links',
+  authenticateJWT,
+  requireRole(['employer', 'admin']),
+  requireActiveAccount,
+  validate(schemas.schedulingLink),
+  async (req, res) => {
+    try {
+      const {
+        application_id,
+        interviewer_ids,
+        duration_minutes,
+        meeting_platform,
+        notes,
+        round_id,
+        days_ahead,
+        expires_in_days
+      } = req.body;
+
+      const applicationResult = await query(`
+        SELECT a.id, a.job_id, j.title as job_title, j.company_id, e.user_id as employer_user_id,
+               c.name as company_name, cu.email as candidate_email, cu.first_name as candidate_name
+        FROM applications a
+        JOIN jobs j ON a.job_id = j.id
+        JOIN employers e ON j.employer_id = e.id
+        JOIN job_seekers js ON a.job_seeker_id = js.id
+        JOIN users cu ON js.user_id = cu.id
+        LEFT JOIN companies c ON j.company_id = c.id
+        WHERE a.id = $1
+      `, [application_id]);
+
+      if (applicationResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Application not found' });
+      }
+
+      const application = applicationResult.rows[0];
+
+      if (req.user.role !== 'admin' && application.employer_user_id !== req.user.id) {
+        return res.status(403).json({ error: 'Permission denied' });
+      }
+
+      // Interviewers must belong to the hiring company (or be admins)
+      const interviewerIds = [...new Set(interviewer_ids || [req.user.id])];
+      if (!(await interviewPlanService.belongToHiringTeam(interviewerIds, application.company_id, application.employer_user_id))) {
+        return res.status(400).json({ error: 'Interviewers must be members of the hiring company' });
+      }
+
+      if (round_id && !(await interviewPlanService.getRoundForJob(round_id, application.job_id))) {
+        return res.status(400).json({ error: "Interview round is not part of this job's plan" });
+      }
+
+      const existingLink = await query(
+        `SELECT id FROM scheduling_links WHERE application_id = $1 AND status = 'active' AND expires_at > NOW()`,
+        [application_id]
+      );
+
+      if (existingLink.rows.length > 0) {
+        return res.status(409).json({ error: 'This application already has an active scheduling link' });
+      }
+
+      const link = await schedulingService.createLink({
+        application,
+        interviewerIds,
+        durationMinutes: duration_minutes,
+        platform: meeting_platform || await meetingProviders.getCompanyDefault(application.company_id),
+        notes,
+        roundId: round_id,
+        daysAhead: days_ahead,
+        expiresInDays: expires_in_days,
+        createdBy: req.user.id
+      });
+
+      // Lets the employer spot interviewers who have not published availability yet
+      const slots = await schedulingService.getLinkSlots(link);
+
+      logger.info(`Scheduling link created by user ${req.user.id} for application ${application_id}`);
+
+      res.status(201).json({
+        message: 'Scheduling link sent to the candidate',
+        link: {
+          id: link.id,
+          url: link.url,
+          interviewer_ids: link.interviewer_ids,
+          duration_minutes: link.duration_minutes,
+          slots_until: link.slots_until,
+          expires_at: link.expires_at,
+          status: link.status
+        },
+        open_slots: slots.length
+      });
+    } catch (error) {
+      logger.error('Create scheduling link error:', error);
+      res.status(500).json({ error: 'Failed to create scheduling link' });
+    }
+  }
+);
+
+// Open slots for a self-scheduling link (public, token based)
+router.get('/scheduling-links/:token',
+  async (req, res) => {
+    try {
+      const link = await schedulingService.getLinkByToken(req.params.token);
+
+      if (!link) {
+        return res.status(404).json({ error: 'Scheduling link not found' });
+      }
+
+      if (link.status !== 'active') {
+        return res.status(410).json({ error: `This scheduling link is ${link.status}`, status: link.status });
+      }
+
+      const slots = await schedulingService.getLinkSlots(link);
+
+      res.json({
+        job_title: link.job_title,
+        company_name: link.company_name,
+        duration_minutes: link.duration_minutes,
+        meeting_platform: link.meeting_platform,
+        expires_at: link.expires_at,
+        slots
+      });
+    } catch (error) {
+      logger.error('Get scheduling link error:', error);
+      res.status(500).json({ error: 'Failed to fetch available slots' });
+    }
+  }
+);
+
+// Book a slot from a self-scheduling link (public, token based)
+router.post('/scheduling-links/:token/book',
+  validate(schemas.schedulingBooking),
+  async (req, res) => {
+    try {
+      const link = await schedulingService.getLinkByToken(req.params.token);
+
+      if (!link) {
+        return res.status(404).json({ error: 'Scheduling link not found' });
+      }
+
+      if (link.status !== 'active') {
+        return res.status(410).json({ error: `This scheduling link is ${link.status}`, status: link.status });
+      }
+
+      const result = await schedulingService.bookSlot(link, req.body.start);
+
+      if (!result) {
+        return res.status(409).json({ error: 'This slot is no longer available' });
+      }
+
+      res.status(201).json({
+        message: 'Interview booked successfully',
+        interview: {
+          id: result.interview.id,
+          scheduled_at: result.interview.scheduled_at,
+          duration_minutes: result.interview.duration_minutes,
+          meeting_platform: result.interview.meeting_platform,
+          meeting_url: result.interview.meeting_url
+        }
+      });
+    } catch (error) {
+      logger.error('Book scheduling slot error:', error);
+      res.status(500).json({ error: 'Failed to book interview' });
+    }
+  }
+);
+
+// Cancel an unused self-scheduling link (Employers only)
+router.patch('/scheduling-links/:id/cancel',
+  authenticateJWT,
+  requireRole(['employer', 'admin']),
+  requireActiveAccount,
+  async (req, res) => {
+    try {
+      const linkResult = await query(`
+        SELECT sl.id, sl.status, e.user_id as employer_user_id
+        FROM scheduling_links sl
+        JOIN applications a ON sl.application_id = a.id
+        JOIN jobs j ON a.job_id = j.id
+        JOIN employers e ON j.employer_id = e.id
+        WHERE sl.id = $1
+      `, [req.params.id]);
+
+      if (linkResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Scheduling link not found' });
+      }
+
+      const link = linkResult.rows[0];
+
+      if (req.user.role !== 'admin' && link.employer_user_id !== req.user.id) {
+        return res.status(403).json({ error: 'Permission denied' });
+      }
+
+      if (link.status !== 'active') {
+        return res.status(400).json({ error: `Scheduling link is already ${link.status}` });
+      }
+
+      await query(`UPDATE scheduling_links SET status = 'cancelled' WHERE id = $1 AND status = 'active'`, [link.id]);
+
+      res.json({ message: 'Scheduling link cancelled' });
+    } catch (error) {
+      logger.error('Cancel scheduling link error:', error);
+      res.status(500).json({ error: 'Failed to cancel scheduling link' });
+    }
+  }
+);
+
 // Get interview details
 router.get('/:id',
   authenticateJWT,
@@ -219,7 +633,8 @@ router.get('/:id',
       const hasPermission = 
         req.user.role === 'admin' ||
         interview.candidate_user_id === userId ||
-        interview.interviewer_id === userId;
+        interview.interviewer_id === userId ||
+        (req.user.role === 'employer' && await interviewPlanService.isPanelist(id, userId));
 
       if (!hasPermission) {
         return res.status(403).json({ error: 'Access denied' });
@@ -384,6 +799,133 @@ router.patch('/:id/complete',
   }
 );
 
+// Scorecards for an interview (job owner, admins and panelists)
+router.get('/:id/scorecards',
+  authenticateJWT,
+  requireRole(['employer', 'admin']),
+  requireActiveAccount,
+  async (req, res) => {
+    try {
+      const interview = await interviewPlanService.getInterviewContext(req.params.id);
+
+      if (!interview) {
+        return res.status(404).json({ error: 'Interview not found' });
+      }
+
+      const hasPermission =
+        req.user.role === 'admin' ||
+        interview.employer_user_id === req.user.id ||
+        interview.panelist_ids.includes(req.user.id);
+
+      if (!hasPermission) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+
+      const { scorecards, othersHidden } = await interviewPlanService.getVisibleScorecards(interview, req.user.id);
+
+      res.json({
+        interview_id: interview.id,
+        round_name: interview.round_name,
+        competencies: interview.competencies || [],
+        scorecards,
+        others_hidden: othersHidden
+      });
+    } catch (error) {
+      logger.error('Get scorecards error:', error);
+      res.status(500).json({ error: 'Failed to fetch scorecards' });
+    }
+  }
+);
+
+// Save or submit own scorecard (Panelists only)
+router.put('/:id/scorecard',
+  authenticateJWT,
+  requireRole(['employer', 'admin']),
+  requireActiveAccount,
+  validate(schemas.scorecard),
+  async (req, res) => {
+    try {
+      const interview = await interviewPlanService.getInterviewContext(req.params.id);
+
+      if (!interview) {
+        return res.status(404).json({ error: 'Interview not found' });
+      }
+
+      if (!interview.panelist_ids.includes(req.user.id)) {
+        return res.status(403).json({ error: 'Only panelists can fill in a scorecard' });
+      }
+
+      if (interview.status === 'cancelled') {
+        return res.status(400).json({ error: 'Interview was cancelled' });
+      }
+
+      const { ratings, recommendation, summary, submit } = req.body;
+
+      const validationError = interviewPlanService.validateScorecard(interview.competencies, req.body, submit);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+
+      const scorecard = await interviewPlanService.saveScorecard({
+        interviewId: interview.id,
+        panelistId: req.user.id,
+        ratings,
+        recommendation,
+        summary,
+        submit
+      });
+
+      if (!scorecard) {
+        return res.status(409).json({ error: 'Scorecard has already been submitted' });
+      }
+
+      res.json({
+        message: submit ? 'Scorecard submitted' : 'Scorecard saved',
+        scorecard
+      });
+    } catch (error) {
+      logger.error('Save scorecard error:', error);
+      res.status(500).json({ error: 'Failed to save scorecard' });
+    }
+  }
+);
+
+// Meeting recording from the provider (Interviewers and admins)
+router.get('/:id/recording',
+  authenticateJWT,
+  requireRole(['employer', 'admin']),
+  requireActiveAccount,
+  async (req, res) => {
+    try {
+      const interview = await interviewPlanService.getInterviewContext(req.params.id);
+
+      if (!interview) {
+        return res.status(404).json({ error: 'Interview not found' });
+      }
+
+      const hasPermission =
+        req.user.role === 'admin' ||
+        interview.employer_user_id === req.user.id ||
+        interview.panelist_ids.includes(req.user.id);
+
+      if (!hasPermission) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+
+      const recordingUrl = await videoInterviewService.fetchRecording(interview.id);
+
+      if (!recordingUrl) {
+        return res.status(404).json({ error: 'No recording is available for this interview' });
+      }
+
+      res.json({ recording_url: recordingUrl });
+    } catch (error) {
+      logger.error('Get interview recording error:', error);
+      res.status(500).json({ error: 'Failed to fetch interview recording' });
+    }
+  }
+);
+
 // Get interview statistics (for dashboards)
 router.get('/stats/summary',
   authenticateJWT,
@@ -470,24 +1012,18 @@ router.post('/test-meeting',
     try {
       const { platform = 'google_meet', topic = 'Test Interview' } = req.body;
 
-      let meetingDetails;
-      const startTime = new Date(Date.now() + 60 * 60 * 1000); // 1 hour from now
-
-      if (platform === 'zoom') {
-        meetingDetails = await videoInterviewService.createZoomMeeting({
-          topic,
-          startTime,
-          duration: 60
-        });
-      } else {
-        meetingDetails = await videoInterviewService.createGoogleMeet({
-          summary: topic,
-          startTime,
-          duration: 60,
-          attendees: [req.user.email]
-        });
+      const provider = meetingProviders.get(platform);
+      if (!provider) {
+        return res.status(400).json({ error: 'Unknown meeting platform' });
       }
 
+      const meetingDetails = await provider.createMeeting({
+        topic,
+        startTime: new Date(Date.now() + 60 * 60 * 1000), // 1 hour from now
+        duration: 60,
+        attendees: [req.user.email]
+      });
+
       res.json({
         message: 'Test meeting created',
         meeting_details: meetingDetails
@@ -8,11 +8,21 @@ const {
   requireActiveAccount 
 } = require('../middleware/auth');
 const { validate, schemas } = require('../middleware/validation');
-const { sendEmail } = require('../services/email');
+const { cacheManager } = require('../config/cache');
+const geoService = require('../services/geoService');
+const pipelineService = require('../services/pipelineService');
+const skillService = require('../services/skillService');
+const jobSearchService = require('../services/jobSearchService');
+const jobAlertService = require('../services/jobAlertService');
+const moderationService = require('../services/moderationService');
+const jobRiskService = require('../services/jobRiskService');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
+// Relevance multiplier for jobs from verified companies
+const VERIFIED_COMPANY_BOOST = 1.25;
+
 // Get all jobs with filtering and pagination
 router.get('/',
   optionalAuth,
@@ -32,92 +42,25 @@ router.get('/',
         company_id,
         industry,
         posted_after,
+        lat,
+        lng,
+        radius_km,
         sort_by,
         sort_order,
         page,
-        limit
+        limit,
+        include_facets
       } = req.query;
 
       const offset = (page - 1) * limit;
       
       // Build dynamic query
-      let whereClause = `WHERE j.status = 'active' AND j.deleted_at IS NULL`;
-      let queryParams = [];
-      let paramCount = 0;
-
-      // Full-text search on title and description
-      if (keywords) {
-        whereClause += ` AND (
-          to_tsvector('english', j.title || ' ' || j.description) @@ plainto_tsquery('english', $${++paramCount})
-          OR j.title ILIKE $${++paramCount}
-          OR j.description ILIKE $${++paramCount}
-        )`;
-        queryParams.push(keywords, `%${keywords}%`, `%${keywords}%`);
-      }
-
-      // Location filter
-      if (location) {
-        whereClause += ` AND (j.location ILIKE $${++paramCount} OR j.remote_ok = true)`;
-        queryParams.push(`%${location}%`);
-      }
-
-      // Skills filter
-      if (skills && skills.length > 0) {
-        whereClause += ` AND j.skills_required && $${++paramCount}`;
-        queryParams.push(skills);
-      }
-
-      // Employment type filter
-      if (employment_type && employment_type.length > 0) {
-        whereClause += ` AND j.employment_type = ANY($${++paramCount})`;
-        queryParams.push(employment_type);
-      }
-
-      // Experience range filter
-      if (experience_min !== undefined) {
-        whereClause += ` AND (j.experience_max >= $${++paramCount} OR j.experience_max IS NULL)`;
-        queryParams.push(experience_min);
-      }
-      
-      if (experience_max !== undefined) {
-        whereClause += ` AND (j.experience_min <= $${++paramCount} OR j.experience_min IS NULL)`;
-        queryParams.push(experience_max);
-      }
-
-      // Salary filter
-      if (salary_min !== undefined) {
-        whereClause += ` AND (j.salary_max >= $${++paramCount} OR j.salary_max IS NULL)`;
-        queryParams.push(salary_min);
-      }
-
-      if (salary_max !== undefined) {
-        whereClause += ` AND (j.salary_min <= $${++paramCount} OR j.salary_min IS NULL)`;
-        queryParams.push(salary_max);
-      }
-
-      // Remote work filter
-      if (remote_ok !== undefined) {
-        whereClause += ` AND j.remote_ok = $${++paramCount}`;
-        queryParams.push(remote_ok);
-      }
-
-      // Company filter
-      if (company_id) {
-        whereClause += ` AND j.company_id = $${++paramCount}`;
-        queryParams.push(company_id);
-      }
+      const { whereClause, params, distanceExpression } = await jobSearchService.buildFilters(req.query);
+      const queryParams = [...params];
+      let paramCount = queryParams.length;
 
-      // Industry filter
-      if (industry) {
-        whereClause += ` AND j.industry ILIKE $${++paramCount}`;
-        queryParams.push(`%${industry}%`);
-      }
-
-      // Posted after filter
-      if (posted_after) {
-        whereClause += ` AND j.posted_at >= $${++paramCount}`;
-        queryParams.push(posted_after);
-      }
+      // Snapshot filter params before pagination params are appended
+      const filterParams = [...queryParams];
 
       // Build ORDER BY clause
       let orderClause = 'ORDER BY ';
@@ -125,12 +68,15 @@ router.get('/',
         orderClause += `COALESCE(j.salary_max, j.salary_min, 0) ${sort_order.toUpperCase()}, `;
       } else if (sort_by === 'date') {
         orderClause += `j.posted_at ${sort_order.toUpperCase()}, `;
+      } else if (sort_by === 'distance' && distanceExpression) {
+        orderClause += `${distanceExpression} ${sort_order.toUpperCase()}, `;
       } else if (sort_by === 'relevance' && keywords) {
-        orderClause += `ts_rank(to_tsvector('english', j.title || ' ' || j.description), plainto_tsquery('english', $1)) DESC, `;
+        orderClause += `ts_rank(to_tsvector('english', j.title || ' ' || j.description), plainto_tsquery('english', $1))
+          * CASE WHEN c.verified THEN ${VERIFIED_COMPANY_BOOST} ELSE 1 END DESC, `;
       }
       
-      // Always include featured and premium jobs first, then by creation date
-      orderClause += `j.is_featured DESC, j.is_premium DESC, j.created_at DESC`;
+      // Always include featured and premium jobs first, then verified companies, then by creation date
+      orderClause += `j.is_featured DESC, j.is_premium DESC, c.verified DESC NULLS LAST, j.created_at DESC`;
 
       // Main query
       const jobsQuery = `
@@ -143,6 +89,7 @@ router.get('/',
           j.is_featured, j.is_premium, j.posted_at, j.application_deadline,
           c.id as company_id, c.name as company_name, c.logo_url as company_logo,
           c.industry as company_industry, c.company_size, c.verified as company_verified,
+          ${distanceExpression ? `ROUND(${distanceExpression}::numeric, 1)` : 'NULL'} as distance_km,
           CASE WHEN $${paramCount + 1} IS NOT NULL THEN
             (SELECT COUNT(*) FROM saved_jobs sj WHERE sj.job_id = j.id AND sj.job_seeker_id = $${paramCount + 1})
           ELSE 0 END as is_saved
@@ -163,10 +110,18 @@ router.get('/',
         ${whereClause}
       `;
 
+      // Facets are keyed on the applied filters only, so every page shares one cache entry
+      const facetCacheParams = {
+        keywords, location, skills, employment_type, experience_min, experience_max,
+        salary_min, salary_max, remote_ok, company_id, industry, posted_after,
+        ...(distanceExpression && { lat, lng, radius_km })
+      };
+
       // Execute queries
-      const [jobsResult, countResult] = await Promise.all([
+      const [jobsResult, countResult, facets] = await Promise.all([
         query(jobsQuery, queryParams),
-        query(countQuery, queryParams.slice(0, paramCount - 2)) // Remove limit, offset, and user_id
+        query(countQuery, queryParams.slice(0, paramCount - 2)), // Remove limit, offset, and user_id
+        include_facets ? getJobFacets(whereClause, filterParams, facetCacheParams) : null
       ]);
 
       const jobs = jobsResult.rows;
@@ -204,8 +159,10 @@ router.get('/',
           remote_ok,
           company_id,
           industry,
-          posted_after
-        }
+          posted_after,
+          radius: distanceExpression ? { lat, lng, radius_km } : null
+        },
+        ...(facets && { facets })
       });
     } catch (error) {
       logger.error('Get jobs error:', error);
@@ -367,6 +324,34 @@ router.post('/',
         slug = `${baseSlug}-${counter++}`;
       }
 
+      // Store skills under their canonical taxonomy names
+      jobData.skills_required = await skillService.normalizeSkills(jobData.skills_required);
+
+      // Resolve hiring pipeline (requested, company default or system default)
+      const pipelineId = await pipelineService.resolvePipelineId(employer.company_id, jobData.pipeline_id);
+      if (!pipelineId) {
+        return res.status(400).json({ error: 'Invalid hiring pipeline' });
+      }
+
+      // Geocode location for radius search
+      const geo = geoService.geocode(jobData.location);
+
+      // Jobs from unverified companies and likely scams wait for a moderator before going live
+      const risk = await jobRiskService.assess(jobData, { employerId: employer.id, posterEmail: req.user.email });
+      const holdReasons = [];
+      if (req.user.role !== 'admin') {
+        if (employer.company_id) {
+          const companyResult = await query('SELECT verified FROM companies WHERE id = $1', [employer.company_id]);
+          if (companyResult.rows[0]?.verified === false) {
+            holdReasons.push('New job from unverified company');
+          }
+        }
+        if (risk.hold) {
+          holdReasons.push(jobRiskService.describe(risk));
+        }
+      }
+      const heldForReview = holdReasons.length > 0;
+
       // Create job in transaction
       const job = await transaction(async (client) => {
         // Insert job
@@ -377,10 +362,10 @@ router.post('/',
             experience_min, experience_max, salary_min, salary_max, salary_disclosed,
             currency, skills_required, education_level, industry, job_function,
             application_deadline, openings_count, is_featured, is_premium,
-            status, posted_at
+            geo_city, latitude, longitude, pipeline_id, status, posted_at
           ) VALUES (
             $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15,
-            $16, $17, $18, $19, $20, $21, $22, $23, $24, 'active', NOW()
+            $16, $17, $18, $19, $20, $21, $22, $23, $24, $25, $26, $27, $28, $29, NOW()
           ) RETURNING *
         `, [
           employer.id, employer.company_id, jobData.title, slug, jobData.description,
@@ -390,9 +375,23 @@ router.post('/',
           jobData.salary_disclosed, jobData.currency, jobData.skills_required,
           jobData.education_level, jobData.industry, jobData.job_function,
           jobData.application_deadline, jobData.openings_count,
-          jobData.is_featured, jobData.is_premium
+          jobData.is_featured, jobData.is_premium,
+          geo?.city || null, geo?.latitude || null, geo?.longitude || null, pipelineId,
+          heldForReview ? 'pending_review' : 'active'
         ]);
 
+        await jobRiskService.save(client, jobResult.rows[0].id, risk);
+
+        if (heldForReview) {
+          await moderationService.enqueue({
+            contentType: 'job',
+            contentId: jobResult.rows[0].id,
+            source: 'auto',
+            reason: holdReasons.join('; '),
+            details: { risk_score: risk.score, risk_flags: risk.flags }
+          }, client);
+        }
+
         // Update employer job count
         await client.query(
           'UPDATE employers SET jobs_posted_count = jobs_posted_count + 1 WHERE id = $1',
@@ -404,17 +403,20 @@ router.post('/',
 
       logger.info(`Job created: ${job.title} by employer ${userId}`);
 
-      // Send job alerts to matching candidates (async)
-      setTimeout(async () => {
-        try {
-          await sendJobAlerts(job);
-        } catch (error) {
-          logger.error('Failed to send job alerts:', error);
-        }
-      }, 1000);
+      // Send immediate job alerts to matching candidates (async); digests go out on schedule.
+      // Held jobs are alerted when a moderator approves them.
+      if (!heldForReview) {
+        setTimeout(async () => {
+          try {
+            await jobAlertService.sendImmediateAlerts(job);
+          } catch (error) {
+            logger.error('Failed to send job alerts:', error);
+          }
+        }, 1000);
+      }
 
       res.status(201).json({
-        message: 'Job posted successfully',
+        message: heldForReview ? 'Job submitted for review' : 'Job posted successfully',
         job: {
           id: job.id,
           title: job.title,
@@ -484,33 +486,98 @@ router.put('/:id',
         }
       }
 
-      // Update job
-      const result = await query(`
-        UPDATE jobs SET
-          title = $1, slug = $2, description = $3, requirements = $4,
-          responsibilities = $5, location = $6, remote_ok = $7, employment_type = $8,
-          experience_min = $9, experience_max = $10, salary_min = $11, salary_max = $12,
-          salary_disclosed = $13, currency = $14, skills_required = $15,
-          education_level = $16, industry = $17, job_function = $18,
-          application_deadline = $19, openings_count = $20, is_featured = $21,
-          is_premium = $22, updated_at = NOW()
-        WHERE id = $23
-        RETURNING *
-      `, [
-        jobData.title, slug, jobData.description, jobData.requirements,
-        jobData.responsibilities, jobData.location, jobData.remote_ok,
-        jobData.employment_type, jobData.experience_min, jobData.experience_max,
-        jobData.salary_min, jobData.salary_max, jobData.salary_disclosed,
-        jobData.currency, jobData.skills_required, jobData.education_level,
-        jobData.industry, jobData.job_function, jobData.application_deadline,
-        jobData.openings_count, jobData.is_featured, jobData.is_premium, id
+      // Store skills under their canonical taxonomy names
+      jobData.skills_required = await skillService.normalizeSkills(jobData.skills_required);
+
+      // Switching pipelines must keep every existing application on a valid stage
+      let pipelineId = existingJob.pipeline_id;
+      if (jobData.pipeline_id && jobData.pipeline_id !== existingJob.pipeline_id) {
+        pipelineId = await pipelineService.resolvePipelineId(existingJob.company_id, jobData.pipeline_id);
+        if (!pipelineId) {
+          return res.status(400).json({ error: 'Invalid hiring pipeline' });
+        }
+
+        const pipeline = await pipelineService.getPipeline(pipelineId);
+        const statusesResult = await query(
+          'SELECT DISTINCT status FROM applications WHERE job_id = $1',
+          [id]
+        );
+        const unmapped = statusesResult.rows
+          .map(row => row.status)
+          .filter(status => !pipelineService.getStage(pipeline, status));
+
+        if (unmapped.length > 0) {
+          return res.status(409).json({
+            error: 'Existing applications are in stages missing from the new pipeline',
+            stages: unmapped
+          });
+        }
+      }
+
+      // Re-geocode location for radius search
+      const geo = geoService.geocode(jobData.location);
+
+      // Re-score the edited posting; hold a live job if the edit raises new red flags
+      const isAdmin = req.user.role === 'admin';
+      const [risk, previousRisk] = await Promise.all([
+        jobRiskService.assess(jobData, {
+          employerId: existingJob.employer_id,
+          jobId: id,
+          posterEmail: isAdmin ? null : req.user.email
+        }),
+        jobRiskService.getAssessment(id)
       ]);
+      const holdForReview = !isAdmin && risk.hold &&
+        ['active', 'pending_review'].includes(existingJob.status) &&
+        jobRiskService.getNewFlags(risk, previousRisk).length > 0;
+
+      // Update job
+      const job = await transaction(async (client) => {
+        const result = await client.query(`
+          UPDATE jobs SET
+            title = $1, slug = $2, description = $3, requirements = $4,
+            responsibilities = $5, location = $6, remote_ok = $7, employment_type = $8,
+            experience_min = $9, experience_max = $10, salary_min = $11, salary_max = $12,
+            salary_disclosed = $13, currency = $14, skills_required = $15,
+            education_level = $16, industry = $17, job_function = $18,
+            application_deadline = $19, openings_count = $20, is_featured = $21,
+            is_premium = $22, geo_city = $23, latitude = $24, longitude = $25,
+            pipeline_id = $26, status = CASE WHEN $28 THEN 'pending_review'::job_status ELSE status END,
+            updated_at = NOW()
+          WHERE id = $27
+          RETURNING *
+        `, [
+          jobData.title, slug, jobData.description, jobData.requirements,
+          jobData.responsibilities, jobData.location, jobData.remote_ok,
+          jobData.employment_type, jobData.experience_min, jobData.experience_max,
+          jobData.salary_min, jobData.salary_max, jobData.salary_disclosed,
+          jobData.currency, jobData.skills_required, jobData.education_level,
+          jobData.industry, jobData.job_function, jobData.application_deadline,
+          jobData.openings_count, jobData.is_featured, jobData.is_premium,
+          geo?.city || null, geo?.latitude || null, geo?.longitude || null, pipelineId, id,
+          holdForReview
+        ]);
+
+        await jobRiskService.save(client, id, risk);
+
+        if (holdForReview) {
+          await moderationService.enqueue({
+            contentType: 'job',
+            contentId: id,
+            source: 'auto',
+            reason: jobRiskService.describe(risk),
+            details: { risk_score: risk.score, risk_flags: risk.flags }
+          }, client);
+        }
+
+        return result.rows[0];
+      });
 
-      logger.info(`Job updated: ${result.rows[0].title} by user ${userId}`);
+      logger.info(`Job updated: ${job.title} by user ${userId}${holdForReview ? ' (held for review)' : ''}`);
 
       res.json({
-        message: 'Job updated successfully',
-        job: result.rows[0]
+        message: holdForReview ? 'Job updated and held for review' : 'Job updated successfully',
+        job
       });
     } catch (error) {
       logger.error('Update job error:', error);
@@ -696,67 +763,146 @@ router.post('/:id/save',
   }
 );
 
-// Job alert matching function
-const sendJobAlerts = async (job) => {
-  try {
-    // Find matching job alerts
-    const alertsResult = await query(`
-      SELECT ja.*, js.user_id, u.email, u.first_name
-      FROM job_alerts ja
-      JOIN job_seekers js ON ja.job_seeker_id = js.id
-      JOIN users u ON js.user_id = u.id
-      WHERE ja.is_active = true 
-        AND u.status = 'active'
-        AND (ja.last_sent IS NULL OR ja.last_sent < NOW() - INTERVAL '1 day')
-        AND (
-          (ja.keywords IS NULL OR $1 ILIKE ANY(ja.keywords))
-          OR (ja.location IS NULL OR $2 ILIKE '%' || ja.location || '%')
-          OR (ja.salary_min IS NULL OR $3 >= ja.salary_min)
-          OR (ja.experience_min IS NULL OR $4 >= ja.experience_min)
-          OR (ja.employment_type IS NULL OR $5 = ja.employment_type)
-        )
-    `, [
-      job.title + ' ' + job.description,
-      job.location,
-      job.salary_max,
-      job.experience_max,
-      job.employment_type
-    ]);
-
-    // Send emails to matching candidates
-    const emailPromises = alertsResult.rows.map(alert => 
-      sendEmail({
-        to: alert.email,
-        template: 'job-alert',
-        data: {
-          name: alert.first_name,
-          jobCount: 1,
-          jobs: [{
-            title: job.title,
-            companyName: job.company_name,
-            location: job.location,
-            salary: job.salary_disclosed ? 
-              `₹${job.salary_min}-${job.salary_max}` : 'Salary not disclosed',
-            summary: job.description.substring(0, 200) + '...',
-            jobUrl: `${process.env.FRONTEND_URL}/jobs/${job.slug}`
-          }],
-          viewAllUrl: `${process.env.FRONTEND_URL}/jobs`,
-          unsubscribeUrl: `${process.env.FRONTEND_URL}/unsubscribe?token=${alert.id}`
-        }
-      }).then(() => {
-        // Update last_sent timestamp
-        return query(
-          'UPDATE job_alerts SET last_sent = NOW() WHERE id = $1',
-          [alert.id]
-        );
-      })
-    );
+// Report a job for moderation (e.g. a scam or misleading posting)
+router.post('/:id/report',
+  authenticateJWT,
+  validate(schemas.contentReport),
+  async (req, res) => {
+    try {
+      const result = await moderationService.report(req.user.id, 'job', req.params.id, req.body);
 
-    await Promise.allSettled(emailPromises);
-    logger.info(`Job alerts sent for job: ${job.title}`);
-  } catch (error) {
-    logger.error('Send job alerts error:', error);
+      if (!result) {
+        return res.status(404).json({ error: 'Job not found' });
+      }
+
+      if (result.error) {
+        return res.status(409).json({ error: 'You have already reported this job' });
+      }
+
+      res.status(201).json({
+        message: 'Job reported',
+        report: result.report
+      });
+    } catch (error) {
+      logger.error('Report job error:', error);
+      res.status(500).json({ error: 'Failed to report job' });
+    }
   }
+);
+
+// Facet aggregation for job search, computed against the active search filters
+const getJobFacets = async (whereClause, params, cacheParams) => {
+  const cacheKey = { ...cacheParams, facets: true };
+  const cached = await cacheManager.getJobSearch(cacheKey);
+  if (cached) {
+    return cached;
+  }
+
+  const baseFrom = `
+    FROM jobs j
+    LEFT JOIN companies c ON j.company_id = c.id
+    ${whereClause}
+  `;
+
+  const [
+    employmentTypeResult,
+    industryResult,
+    experienceResult,
+    salaryResult,
+    remoteResult,
+    companyResult,
+    skillsResult
+  ] = await Promise.all([
+    query(`
+      SELECT j.employment_type as value, COUNT(*) as count
+      ${baseFrom}
+      GROUP BY j.employment_type
+      ORDER BY count DESC
+    `, params),
+    query(`
+      SELECT j.industry as value, COUNT(*) as count
+      ${baseFrom} AND j.industry IS NOT NULL
+      GROUP BY j.industry
+      ORDER BY count DESC
+      LIMIT 20
+    `, params),
+    query(`
+      SELECT band as value, COUNT(*) as count
+      FROM (
+        SELECT CASE
+          WHEN COALESCE(j.experience_min, 0) < 1 THEN '0-1'
+          WHEN j.experience_min < 3 THEN '1-3'
+          WHEN j.experience_min < 5 THEN '3-5'
+          WHEN j.experience_min < 10 THEN '5-10'
+          ELSE '10+'
+        END as band
+        ${baseFrom}
+      ) bands
+      GROUP BY band
+    `, params),
+    query(`
+      SELECT band as value, COUNT(*) as count
+      FROM (
+        SELECT CASE
+          WHEN COALESCE(j.salary_max, j.salary_min) < 300000 THEN '0-3L'
+          WHEN COALESCE(j.salary_max, j.salary_min) < 600000 THEN '3-6L'
+          WHEN COALESCE(j.salary_max, j.salary_min) < 1000000 THEN '6-10L'
+          WHEN COALESCE(j.salary_max, j.salary_min) < 2000000 THEN '10-20L'
+          ELSE '20L+'
+        END as band
+        ${baseFrom} AND COALESCE(j.salary_max, j.salary_min) IS NOT NULL
+      ) bands
+      GROUP BY band
+    `, params),
+    query(`
+      SELECT j.remote_ok as value, COUNT(*) as count
+      ${baseFrom}
+      GROUP BY j.remote_ok
+    `, params),
+    query(`
+      SELECT c.id as value, c.name as label, COUNT(*) as count
+      ${baseFrom} AND c.id IS NOT NULL
+      GROUP BY c.id, c.name
+      ORDER BY count DESC
+      LIMIT 20
+    `, params),
+    query(`
+      SELECT skill as value, COUNT(*) as count
+      FROM jobs j
+      LEFT JOIN companies c ON j.company_id = c.id
+      CROSS JOIN LATERAL unnest(j.skills_required) as skill
+      ${whereClause}
+      GROUP BY skill
+      ORDER BY count DESC
+      LIMIT 20
+    `, params)
+  ]);
+
+  const toBuckets = (rows) => rows.map(row => ({
+    value: row.value,
+    ...(row.label !== undefined && { label: row.label }),
+    count: parseInt(row.count)
+  }));
+
+  // Keep band order stable regardless of which bands have matches
+  const orderBands = (rows, bands) => bands.map(band => {
+    const row = rows.find(r => r.value === band);
+    return { value: band, count: row ? parseInt(row.count) : 0 };
+  });
+
+  const facets = {
+    employment_type: toBuckets(employmentTypeResult.rows),
+    industry: toBuckets(industryResult.rows),
+    experience: orderBands(experienceResult.rows, ['0-1', '1-3', '3-5', '5-10', '10+']),
+    salary: orderBands(salaryResult.rows, ['0-3L', '3-6L', '6-10L', '10-20L', '20L+']),
+    remote_ok: toBuckets(remoteResult.rows),
+    company: toBuckets(companyResult.rows),
+    skills: toBuckets(skillsResult.rows)
+  };
+
+  await cacheManager.cacheJobSearch(cacheKey, facets, 300);
+
+  return facets;
 };
 
 module.exports = router;
\ No newline at end of file
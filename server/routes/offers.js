@@ -0,0 +1,362 @@
+const express = require('express');
+const { query } = require('../config/database');
+const {
+  authenticateJWT,
+  requireRole,
+  requireActiveAccount
+} = require('../middleware/auth');
+const { validate, schemas } = require('../middleware/validation');
+const offerService = require('../services/offerService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+router.use(authenticateJWT);
+
+// Resolve the company an employer acts for
+const getEmployerCompanyId = async (userId) => {
+  const result = await query(
+    'SELECT company_id FROM employers WHERE user_id = $1',
+    [userId]
+  );
+  return result.rows[0]?.company_id || null;
+};
+
+// Load an offer the current user may see; sends the error response otherwise
+const loadOffer = async (req, res) => {
+  const offer = await offerService.getOffer(req.params.id);
+
+  if (!offer) {
+    res.status(404).json({ error: 'Offer not found' });
+    return null;
+  }
+
+  const hasPermission =
+    req.user.role === 'admin' ||
+    offer.candidate_user_id === req.user.id ||
+    offer.employer_user_id === req.user.id;
+
+  if (!hasPermission) {
+    res.status(403).json({ error: 'Access denied' });
+    return null;
+  }
+
+  return offerService.refreshStatus(offer);
+};
+
+// List company offer templates
+router.get('/templates',
+  requireRole(['employer', 'admin']),
+  async (req, res) => {
+    try {
+      const companyId = await getEmployerCompanyId(req.user.id);
+
+      const result = await query(`
+        SELECT * FROM offer_templates
+        WHERE company_id = $1
+        ORDER BY is_default DESC, created_at DESC
+      `, [companyId]);
+
+      res.json({ templates: result.rows });
+    } catch (error) {
+      logger.error('Get offer templates error:', error);
+      res.status(500).json({ error: 'Failed to fetch offer templates' });
+    }
+  }
+);
+
+// Create a company offer template
+router.post('/templates',
+  requireRole('employer'),
+  requireActiveAccount,
+  validate(schemas.offerTemplate),
+  async (req, res) => {
+    try {
+      const { name, body, is_default } = req.body;
+      const companyId = await getEmployerCompanyId(req.user.id);
+
+      if (!companyId) {
+        return res.status(400).json({ error: 'Employer is not linked to a company' });
+      }
+
+      if (is_default) {
+        await query(
+          'UPDATE offer_templates SET is_default = false WHERE company_id = $1',
+          [companyId]
+        );
+      }
+
+      const result = await query(`
+        INSERT INTO offer_templates (company_id, name, body, is_default, created_by)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING *
+      `, [companyId, name, body, is_default, req.user.id]);
+
+      res.status(201).json({
+        message: 'Offer template created successfully',
+        template: result.rows[0]
+      });
+    } catch (error) {
+      logger.error('Create offer template error:', error);
+      res.status(500).json({ error: 'Failed to create offer template' });
+    }
+  }
+);
+
+// List offers for the current user
+router.get('/', async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    let whereClause = 'WHERE 1=1';
+    let queryParams = [];
+    let paramCount = 0;
+
+    // Candidates see their own offers, employers the offers on their jobs, admins everything
+    if (req.user.role === 'job_seeker') {
+      whereClause += ` AND js.user_id = $${++paramCount}`;
+      queryParams.push(req.user.id);
+    } else if (req.user.role === 'employer') {
+      whereClause += ` AND emp.user_id = $${++paramCount}`;
+      queryParams.push(req.user.id);
+    }
+
+    if (status) {
+      whereClause += ` AND o.status = $${++paramCount}`;
+      queryParams.push(status);
+    }
+
+    const result = await query(`
+      SELECT o.id, o.application_id, o.designation, o.ctc_total, o.currency,
+             o.joining_date, o.expires_at, o.status, o.responded_at, o.created_at,
+             j.title as job_title, c.name as company_name,
+             u.first_name as candidate_first_name, u.last_name as candidate_last_name
+      FROM offers o
+      JOIN applications a ON o.application_id = a.id
+      JOIN jobs j ON a.job_id = j.id
+      LEFT JOIN companies c ON o.company_id = c.id
+      LEFT JOIN job_seekers js ON a.job_seeker_id = js.id
+      LEFT JOIN users u ON js.user_id = u.id
+      LEFT JOIN employers emp ON j.employer_id = emp.id
+      ${whereClause}
+      ORDER BY o.created_at DESC
+    `, queryParams);
+
+    res.json({ offers: result.rows });
+  } catch (error) {
+    logger.error('Get offers error:', error);
+    res.status(500).json({ error: 'Failed to fetch offers' });
+  }
+});
+
+// Create an offer from an application (Employers only)
+router.post('/',
+  requireRole(['employer', 'admin']),
+  requireActiveAccount,
+  validate(schemas.offerLetter),
+  async (req, res) => {
+    try {
+      const data = req.body;
+
+      if (new Date(data.expires_at) > new Date(data.joining_date)) {
+        return res.status(400).json({ error: 'Offer must expire before the joining date' });
+      }
+
+      const applicationResult = await query(`
+        SELECT a.*, j.title as job_title, j.company_id, c.name as company_name,
+               u.email as job_seeker_email, u.first_name as job_seeker_first_name,
+               u.last_name as job_seeker_last_name, emp.user_id as employer_user_id
+        FROM applications a
+        JOIN jobs j ON a.job_id = j.id
+        LEFT JOIN companies c ON j.company_id = c.id
+        LEFT JOIN job_seekers js ON a.job_seeker_id = js.id
+        LEFT JOIN users u ON js.user_id = u.id
+        LEFT JOIN employers emp ON j.employer_id = emp.id
+        WHERE a.id = $1
+      `, [data.application_id]);
+
+      if (applicationResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Application not found' });
+      }
+
+      const application = applicationResult.rows[0];
+
+      if (req.user.role !== 'admin' && application.employer_user_id !== req.user.id) {
+        return res.status(403).json({ error: 'Permission denied' });
+      }
+
+      const openOffer = await query(
+        `SELECT id FROM offers WHERE application_id = $1 AND status = 'sent'`,
+        [application.id]
+      );
+
+      if (openOffer.rows.length > 0) {
+        return res.status(409).json({ error: 'This application already has an open offer' });
+      }
+
+      let template = null;
+      if (data.template_id) {
+        template = await offerService.getTemplate(application.company_id, data.template_id);
+        if (!template) {
+          return res.status(404).json({ error: 'Offer template not found' });
+        }
+      } else {
+        template = await offerService.getTemplate(application.company_id);
+      }
+
+      const offer = await offerService.createOffer(application, data, req.user, template);
+
+      res.status(201).json({
+        message: 'Offer sent successfully',
+        offer
+      });
+    } catch (error) {
+      logger.error('Create offer error:', error);
+      res.status(500).json({ error: 'Failed to create offer' });
+    }
+  }
+);
+
+// Get single offer
+router.get('/:id', async (req, res) => {
+  try {
+    const offer = await loadOffer(req, res);
+    if (!offer) return;
+
+    res.json({
+      offer: {
+        ...offer,
+        signature_valid: offer.status === 'accepted' ? offerService.verifyAcceptance(offer) : null
+      }
+    });
+  } catch (error) {
+    logger.error('Get offer error:', error);
+    res.status(500).json({ error: 'Failed to fetch offer' });
+  }
+});
+
+// Download offer letter as PDF
+router.get('/:id/pdf', async (req, res) => {
+  try {
+    const offer = await loadOffer(req, res);
+    if (!offer) return;
+
+    const pdf = await offerService.generatePdf(offer);
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="offer-letter-${offer.id}.pdf"`
+    });
+    res.send(pdf);
+  } catch (error) {
+    logger.error('Generate offer PDF error:', error);
+    res.status(500).json({ error: 'Failed to generate offer letter' });
+  }
+});
+
+// Accept offer (Candidate only)
+router.post('/:id/accept',
+  requireRole('job_seeker'),
+  validate(schemas.offerAcceptance),
+  async (req, res) => {
+    try {
+      const offer = await loadOffer(req, res);
+      if (!offer) return;
+
+      if (offer.candidate_user_id !== req.user.id) {
+        return res.status(403).json({ error: 'Permission denied' });
+      }
+
+      if (offer.status !== 'sent') {
+        return res.status(400).json({ error: `Offer is already ${offer.status}` });
+      }
+
+      const acceptedOffer = await offerService.acceptOffer(offer, {
+        signatureName: req.body.signature_name,
+        ip: req.ip,
+        userAgent: req.get('User-Agent'),
+        user: req.user
+      });
+
+      if (!acceptedOffer) {
+        return res.status(409).json({ error: 'Offer is no longer open' });
+      }
+
+      res.json({
+        message: 'Offer accepted successfully',
+        offer: acceptedOffer
+      });
+    } catch (error) {
+      logger.error('Accept offer error:', error);
+      res.status(500).json({ error: 'Failed to accept offer' });
+    }
+  }
+);
+
+// Decline offer (Candidate only)
+router.post('/:id/decline',
+  requireRole('job_seeker'),
+  validate(schemas.offerDecline),
+  async (req, res) => {
+    try {
+      const offer = await loadOffer(req, res);
+      if (!offer) return;
+
+      if (offer.candidate_user_id !== req.user.id) {
+        return res.status(403).json({ error: 'Permission denied' });
+      }
+
+      if (offer.status !== 'sent') {
+        return res.status(400).json({ error: `Offer is already ${offer.status}` });
+      }
+
+      const declinedOffer = await offerService.declineOffer(offer, {
+        reason: req.body.reason,
+        user: req.user
+      });
+
+      if (!declinedOffer) {
+        return res.status(409).json({ error: 'Offer is no longer open' });
+      }
+
+      res.json({
+        message: 'Offer declined',
+        offer: declinedOffer
+      });
+    } catch (error) {
+      logger.error('Decline offer error:', error);
+      res.status(500).json({ error: 'Failed to decline offer' });
+    }
+  }
+);
+
+// Withdraw offer (Employers only)
+router.post('/:id/withdraw',
+  requireRole(['employer', 'admin']),
+  async (req, res) => {
+    try {
+      const offer = await loadOffer(req, res);
+      if (!offer) return;
+
+      if (offer.status !== 'sent') {
+        return res.status(400).json({ error: `Offer is already ${offer.status}` });
+      }
+
+      const withdrawnOffer = await offerService.withdrawOffer(offer, req.user);
+
+      if (!withdrawnOffer) {
+        return res.status(409).json({ error: 'Offer is no longer open' });
+      }
+
+      res.json({
+        message: 'Offer withdrawn',
+        offer: withdrawnOffer
+      });
+    } catch (error) {
+      logger.error('Withdraw offer error:', error);
+      res.status(500).json({ error: 'Failed to withdraw offer' });
+    }
+  }
+);
+
+module.exports = router;
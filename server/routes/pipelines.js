@@ -0,0 +1,167 @@
+const express = require('express');
+const { query } = require('../config/database');
+const {
+  authenticateJWT,
+  requireRole,
+  requireActiveAccount
+} = require('../middleware/auth');
+const { validate, schemas } = require('../middleware/validation');
+const pipelineService = require('../services/pipelineService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+router.use(authenticateJWT, requireRole(['employer', 'admin']));
+
+// Resolve the company an employer acts for
+const getEmployerCompanyId = async (userId) => {
+  const result = await query(
+    'SELECT company_id FROM employers WHERE user_id = $1',
+    [userId]
+  );
+  return result.rows[0]?.company_id || null;
+};
+
+// List pipelines available to the current user
+router.get('/', async (req, res) => {
+  try {
+    let pipelinesResult;
+
+    if (req.user.role === 'admin') {
+      const { company_id } = req.query;
+      pipelinesResult = await query(`
+        SELECT * FROM hiring_pipelines
+        WHERE $1::uuid IS NULL OR company_id = $1 OR is_system = true
+        ORDER BY is_system DESC, created_at ASC
+      `, [company_id || null]);
+    } else {
+      const companyId = await getEmployerCompanyId(req.user.id);
+      pipelinesResult = await query(`
+        SELECT * FROM hiring_pipelines
+        WHERE is_system = true OR company_id = $1
+        ORDER BY is_system DESC, created_at ASC
+      `, [companyId]);
+    }
+
+    const pipelines = await Promise.all(
+      pipelinesResult.rows.map(pipeline => pipelineService.getPipeline(pipeline.id))
+    );
+
+    res.json({ pipelines });
+  } catch (error) {
+    logger.error('Get pipelines error:', error);
+    res.status(500).json({ error: 'Failed to fetch pipelines' });
+  }
+});
+
+// Get single pipeline
+router.get('/:id', async (req, res) => {
+  try {
+    const pipeline = await pipelineService.getPipeline(req.params.id);
+
+    if (!pipeline) {
+      return res.status(404).json({ error: 'Pipeline not found' });
+    }
+
+    if (req.user.role !== 'admin' && !pipeline.is_system) {
+      const companyId = await getEmployerCompanyId(req.user.id);
+      if (pipeline.company_id !== companyId) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+    }
+
+    res.json({ pipeline });
+  } catch (error) {
+    logger.error('Get pipeline error:', error);
+    res.status(500).json({ error: 'Failed to fetch pipeline' });
+  }
+});
+
+// Create a company pipeline
+router.post('/',
+  requireActiveAccount,
+  validate(schemas.hiringPipeline),
+  async (req, res) => {
+    try {
+      const data = req.body;
+
+      const companyId = req.user.role === 'admin'
+        ? data.company_id
+        : await getEmployerCompanyId(req.user.id);
+
+      if (!companyId) {
+        return res.status(400).json({ error: 'Company is required to create a pipeline' });
+      }
+
+      const stagesError = pipelineService.validateStages(data.stages);
+      if (stagesError) {
+        return res.status(400).json({ error: stagesError });
+      }
+
+      const pipeline = await pipelineService.createPipeline(companyId, data, req.user.id);
+
+      res.status(201).json({
+        message: 'Pipeline created successfully',
+        pipeline
+      });
+    } catch (error) {
+      logger.error('Create pipeline error:', error);
+      res.status(500).json({ error: 'Failed to create pipeline' });
+    }
+  }
+);
+
+// Update a company pipeline (replaces its stages)
+router.put('/:id',
+  requireActiveAccount,
+  validate(schemas.hiringPipeline),
+  async (req, res) => {
+    try {
+      const data = req.body;
+      const pipeline = await pipelineService.getPipeline(req.params.id);
+
+      if (!pipeline) {
+        return res.status(404).json({ error: 'Pipeline not found' });
+      }
+
+      if (pipeline.is_system) {
+        return res.status(403).json({ error: 'System pipelines cannot be modified' });
+      }
+
+      if (req.user.role !== 'admin') {
+        const companyId = await getEmployerCompanyId(req.user.id);
+        if (pipeline.company_id !== companyId) {
+          return res.status(403).json({ error: 'Permission denied' });
+        }
+      }
+
+      const stagesError = pipelineService.validateStages(data.stages);
+      if (stagesError) {
+        return res.status(400).json({ error: stagesError });
+      }
+
+      const stagesInUse = await pipelineService.getRemovedStagesInUse(
+        pipeline.id,
+        data.stages.map(stage => stage.stage_key)
+      );
+      if (stagesInUse.length > 0) {
+        return res.status(409).json({
+          error: 'Cannot remove stages that still hold applications',
+          stages: stagesInUse
+        });
+      }
+
+      const updatedPipeline = await pipelineService.updatePipeline(pipeline, data);
+
+      res.json({
+        message: 'Pipeline updated successfully',
+        pipeline: updatedPipeline
+      });
+    } catch (error) {
+      logger.error('Update pipeline error:', error);
+      res.status(500).json({ error: 'Failed to update pipeline' });
+    }
+  }
+);
+
+module.exports = router;
@@ -7,6 +7,8 @@ const {
   requireOwnershipOrAdmin 
 } = require('../middleware/auth');
 const { validate, schemas } = require('../middleware/validation');
+const skillService = require('../services/skillService');
+const jobAlertService = require('../services/jobAlertService');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -141,6 +143,9 @@ router.put('/profile/job-seeker',
 
       const jobSeekerId = jobSeekerResult.rows[0].id;
 
+      // Store skills under their canonical taxonomy names
+      profileData.skills = await skillService.normalizeSkills(profileData.skills);
+
       // Update profile
       const result = await query(`
         UPDATE job_seekers SET
@@ -250,6 +255,176 @@ router.get('/saved-jobs',
   }
 );
 
+// Job seeker profile id for the current user; sends the error response itself
+const getJobSeekerId = async (req, res) => {
+  if (req.user.role !== 'job_seeker') {
+    res.status(403).json({ error: 'Access denied' });
+    return null;
+  }
+
+  const result = await query('SELECT id FROM job_seekers WHERE user_id = $1', [req.user.id]);
+  if (result.rows.length === 0) {
+    res.status(404).json({ error: 'Job seeker profile not found' });
+    return null;
+  }
+
+  return result.rows[0].id;
+};
+
+// Unsubscribe from a job alert via the signed link in alert emails (no login needed)
+router.post('/job-alerts/unsubscribe',
+  validate(schemas.jobAlertUnsubscribe),
+  async (req, res) => {
+    try {
+      const alert = await jobAlertService.unsubscribe(req.body.token);
+      if (!alert) {
+        return res.status(400).json({ error: 'Invalid unsubscribe link' });
+      }
+
+      res.json({ message: `Unsubscribed from "${alert.name}"`, alert });
+    } catch (error) {
+      logger.error('Job alert unsubscribe error:', error);
+      res.status(500).json({ error: 'Failed to unsubscribe' });
+    }
+  }
+);
+
+// Get job alerts
+router.get('/job-alerts',
+  authenticateJWT,
+  async (req, res) => {
+    try {
+      const jobSeekerId = await getJobSeekerId(req, res);
+      if (!jobSeekerId) return;
+
+      const alerts = await jobAlertService.listAlerts(jobSeekerId);
+      res.json({ alerts });
+    } catch (error) {
+      logger.error('Get job alerts error:', error);
+      res.status(500).json({ error: 'Failed to fetch job alerts' });
+    }
+  }
+);
+
+// Create job alert
+router.post('/job-alerts',
+  authenticateJWT,
+  requireActiveAccount,
+  validate(schemas.jobAlert),
+  async (req, res) => {
+    try {
+      const jobSeekerId = await getJobSeekerId(req, res);
+      if (!jobSeekerId) return;
+
+      const alert = await jobAlertService.createAlert(jobSeekerId, req.body);
+      if (!alert) {
+        return res.status(400).json({ error: 'Job alert limit reached' });
+      }
+
+      res.status(201).json({ message: 'Job alert created', alert });
+    } catch (error) {
+      logger.error('Create job alert error:', error);
+      res.status(500).json({ error: 'Failed to create job alert' });
+    }
+  }
+);
+
+// Save a job search as an alert: pass the search's query string unchanged
+router.post('/job-alerts/from-search',
+  authenticateJWT,
+  requireActiveAccount,
+  validate(schemas.jobAlertFilters, 'query'),
+  validate(schemas.jobAlert),
+  async (req, res) => {
+    try {
+      const jobSeekerId = await getJobSeekerId(req, res);
+      if (!jobSeekerId) return;
+
+      const alert = await jobAlertService.createAlert(jobSeekerId, {
+        ...req.body,
+        filters: req.query
+      });
+      if (!alert) {
+        return res.status(400).json({ error: 'Job alert limit reached' });
+      }
+
+      res.status(201).json({ message: 'Search saved as job alert', alert });
+    } catch (error) {
+      logger.error('Save search as job alert error:', error);
+      res.status(500).json({ error: 'Failed to save search as job alert' });
+    }
+  }
+);
+
+// Preview the active jobs an alert currently matches
+router.get('/job-alerts/:id/matches',
+  authenticateJWT,
+  async (req, res) => {
+    try {
+      const jobSeekerId = await getJobSeekerId(req, res);
+      if (!jobSeekerId) return;
+
+      const alert = await jobAlertService.getAlert(req.params.id, jobSeekerId);
+      if (!alert) {
+        return res.status(404).json({ error: 'Job alert not found' });
+      }
+
+      const jobs = await jobAlertService.findMatches(alert.filters);
+      res.json({
+        jobs,
+        total: jobs.length > 0 ? parseInt(jobs[0].total_matches) : 0
+      });
+    } catch (error) {
+      logger.error('Get job alert matches error:', error);
+      res.status(500).json({ error: 'Failed to fetch job alert matches' });
+    }
+  }
+);
+
+// Update job alert
+router.put('/job-alerts/:id',
+  authenticateJWT,
+  requireActiveAccount,
+  validate(schemas.jobAlertUpdate),
+  async (req, res) => {
+    try {
+      const jobSeekerId = await getJobSeekerId(req, res);
+      if (!jobSeekerId) return;
+
+      const alert = await jobAlertService.updateAlert(req.params.id, jobSeekerId, req.body);
+      if (!alert) {
+        return res.status(404).json({ error: 'Job alert not found' });
+      }
+
+      res.json({ message: 'Job alert updated', alert });
+    } catch (error) {
+      logger.error('Update job alert error:', error);
+      res.status(500).json({ error: 'Failed to update job alert' });
+    }
+  }
+);
+
+// Delete job alert
+router.delete('/job-alerts/:id',
+  authenticateJWT,
+  async (req, res) => {
+    try {
+      const jobSeekerId = await getJobSeekerId(req, res);
+      if (!jobSeekerId) return;
+
+      const deleted = await jobAlertService.deleteAlert(req.params.id, jobSeekerId);
+      if (!deleted) {
+        return res.status(404).json({ error: 'Job alert not found' });
+      }
+
+      res.json({ message: 'Job alert deleted' });
+    } catch (error) {
+      logger.error('Delete job alert error:', error);
+      res.status(500).json({ error: 'Failed to delete job alert' });
+    }
+  }
+);
+
 // Delete user account
 router.delete('/account',
   authenticateJWT,
@@ -0,0 +1,56 @@
+// Geocode jobs posted before radius search existed: node scripts/backfillJobGeo.js
+// Jobs only get coordinates when created or edited, and radius search skips jobs without them.
+require('dotenv').config();
+
+const { query, pool } = require('../config/database');
+const geoService = require('../services/geoService');
+const logger = require('../utils/logger');
+
+const BATCH_SIZE = 500;
+
+const backfill = async () => {
+  let lastId = null;
+  let geocoded = 0;
+  let unresolved = 0;
+
+  // Walk by id so locations the gazetteer cannot resolve are not fetched again
+  for (;;) {
+    const result = await query(`
+      SELECT id, location FROM jobs
+      WHERE latitude IS NULL AND location IS NOT NULL AND deleted_at IS NULL
+        AND ($1::uuid IS NULL OR id > $1)
+      ORDER BY id
+      LIMIT $2
+    `, [lastId, BATCH_SIZE]);
+
+    if (result.rows.length === 0) break;
+
+    for (const job of result.rows) {
+      const geo = geoService.geocode(job.location);
+      if (!geo) {
+        unresolved++;
+        continue;
+      }
+
+      await query(
+        'UPDATE jobs SET geo_city = $1, latitude = $2, longitude = $3 WHERE id = $4',
+        [geo.city, geo.latitude, geo.longitude, job.id]
+      );
+      geocoded++;
+    }
+
+    lastId = result.rows[result.rows.length - 1].id;
+  }
+
+  return { geocoded, unresolved };
+};
+
+backfill()
+  .then(({ geocoded, unresolved }) => {
+    logger.info(`Job geocoding backfill finished: ${geocoded} geocoded, ${unresolved} unresolved`);
+  })
+  .catch((error) => {
+    logger.error('Job geocoding backfill failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,16 @@
+// Offline learning-to-rank run for match score weights: node scripts/trainMatchWeights.js
+require('dotenv').config();
+
+const { pool } = require('../config/database');
+const rankingService = require('../services/rankingService');
+const logger = require('../utils/logger');
+
+rankingService.trainMatchWeights()
+  .then((result) => {
+    logger.info('Match weight training finished:', result.status);
+  })
+  .catch((error) => {
+    logger.error('Match weight training failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,175 @@
+const jwt = require('jsonwebtoken');
+const { query } = require('../config/database');
+const { sendEmail } = require('./email');
+const settingsService = require('./settingsService');
+const logger = require('../utils/logger');
+
+const UNLOCK_AUDIENCE = 'account-unlock';
+const ATTEMPT_RETENTION_DAYS = 90;
+
+// Password login lockout driven by the users.* system settings: an account is locked for
+// account_lockout_duration minutes after max_login_attempts failures within that window,
+// and an IP address is refused after max_login_attempts_per_ip failures across accounts.
+class AccountLockoutService {
+  async getSettings() {
+    const { max_login_attempts, account_lockout_duration, max_login_attempts_per_ip } =
+      await settingsService.getCategory('users');
+    return { max_login_attempts, account_lockout_duration, max_login_attempts_per_ip };
+  }
+
+  isLocked(user) {
+    return Boolean(user.locked_until && new Date(user.locked_until) > new Date());
+  }
+
+  async isIpBlocked(ipAddress, settings) {
+    const result = await query(`
+      SELECT COUNT(*) as failures FROM login_attempts
+      WHERE ip_address = $1 AND success = false
+        AND created_at > NOW() - make_interval(mins => $2)
+    `, [ipAddress, settings.account_lockout_duration]);
+
+    return parseInt(result.rows[0].failures) >= settings.max_login_attempts_per_ip;
+  }
+
+  // Record a failed password login and lock the account when it reaches the limit.
+  // `user` is null when the email matched no account. Returns { locked, lockedUntil }.
+  async recordFailure(user, { email, ipAddress }, settings) {
+    await query(`
+      INSERT INTO login_attempts (user_id, email, ip_address, success)
+      VALUES ($1, $2, $3, false)
+    `, [user?.id || null, email, ipAddress]);
+
+    if (!user) return { locked: false };
+
+    // Failures older than the lockout window start the count again
+    const result = await query(`
+      UPDATE users SET
+        failed_login_attempts = CASE
+          WHEN last_failed_login_at > NOW() - make_interval(mins => $2) THEN failed_login_attempts + 1
+          ELSE 1
+        END,
+        last_failed_login_at = NOW()
+      WHERE id = $1
+      RETURNING failed_login_attempts
+    `, [user.id, settings.account_lockout_duration]);
+
+    const attempts = result.rows[0].failed_login_attempts;
+    if (attempts < settings.max_login_attempts) {
+      return { locked: false };
+    }
+
+    const lockedUntil = await this.lock(user, { attempts, ipAddress }, settings);
+    return { locked: true, lockedUntil };
+  }
+
+  async lock(user, { attempts, ipAddress }, settings) {
+    const lockedUntil = new Date(Date.now() + settings.account_lockout_duration * 60 * 1000);
+
+    await query('UPDATE users SET locked_until = $1 WHERE id = $2', [lockedUntil, user.id]);
+
+    // Security trail; there is no acting admin for an automatic lockout
+    await query(`
+      INSERT INTO admin_actions (admin_user_id, action_type, target_type, target_id, details)
+      VALUES (NULL, $1, $2, $3, $4)
+    `, [
+      'account_lockout',
+      'user',
+      user.id,
+      JSON.stringify({ failed_attempts: attempts, locked_until: lockedUntil, ip_address: ipAddress })
+    ]);
+
+    logger.warn('Security event: account locked', {
+      userId: user.id,
+      failedAttempts: attempts,
+      lockedUntil: lockedUntil.toISOString(),
+      ip: ipAddress
+    });
+
+    if (user.email) {
+      try {
+        const unlockToken = this.getUnlockToken(user.id, lockedUntil);
+        await sendEmail({
+          to: user.email,
+          template: 'account-locked',
+          data: {
+            name: user.first_name,
+            attempts,
+            duration: settings.account_lockout_duration,
+            unlockUrl: `${process.env.FRONTEND_URL}/unlock-account?token=${unlockToken}`,
+            resetUrl: `${process.env.FRONTEND_URL}/forgot-password`
+          }
+        });
+      } catch (error) {
+        logger.error('Account locked email send failed:', error);
+      }
+    }
+
+    return lockedUntil;
+  }
+
+  async recordSuccess(user, { email, ipAddress }) {
+    await query(`
+      INSERT INTO login_attempts (user_id, email, ip_address, success)
+      VALUES ($1, $2, $3, true)
+    `, [user.id, email, ipAddress]);
+
+    if (user.failed_login_attempts > 0 || user.locked_until) {
+      await this.unlock(user.id);
+    }
+  }
+
+  // Clear the lock and failure count; the updated user, or null if there is no such user
+  async unlock(userId) {
+    const result = await query(`
+      UPDATE users SET failed_login_attempts = 0, last_failed_login_at = NULL, locked_until = NULL
+      WHERE id = $1
+      RETURNING id, email, status, locked_until
+    `, [userId]);
+
+    return result.rows[0] || null;
+  }
+
+  // Tied to one lockout, so an old link cannot unlock a later one
+  getUnlockToken(userId, lockedUntil) {
+    return jwt.sign({ locked_until: lockedUntil.getTime() }, process.env.JWT_SECRET, {
+      subject: userId,
+      audience: UNLOCK_AUDIENCE,
+      expiresIn: '24h',
+      algorithm: 'HS256'
+    });
+  }
+
+  // Unlock from the emailed link; null if the token is invalid or its lockout is over
+  async unlockWithToken(token) {
+    let payload;
+    try {
+      payload = jwt.verify(token, process.env.JWT_SECRET, {
+        audience: UNLOCK_AUDIENCE,
+        algorithms: ['HS256']
+      });
+    } catch (error) {
+      return null;
+    }
+
+    const result = await query(`
+      UPDATE users SET failed_login_attempts = 0, last_failed_login_at = NULL, locked_until = NULL
+      WHERE id = $1 AND locked_until = $2 AND locked_until > NOW()
+      RETURNING id
+    `, [payload.sub, new Date(payload.locked_until)]);
+
+    if (result.rows.length === 0) return null;
+
+    logger.info(`Account unlocked from email link: ${payload.sub}`);
+    return result.rows[0];
+  }
+
+  async cleanup() {
+    const result = await query(
+      'DELETE FROM login_attempts WHERE created_at < NOW() - make_interval(days => $1)',
+      [ATTEMPT_RETENTION_DAYS]
+    );
+    return { removed: result.rowCount };
+  }
+}
+
+module.exports = new AccountLockoutService();
@@ -1,12 +1,36 @@
 const { OpenAI } = require('openai');
 const { query, transaction } = require('../config/database');
 const logger = require('../utils/logger');
+const geoService = require('./geoService');
+const embeddingService = require('./embeddingService');
+const skillService = require('./skillService');
+const resumeParserService = require('./resumeParserService');
+const settingsService = require('./settingsService');
 const axios = require('axios');
 
-// Initialize OpenAI
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+// OpenAI client, created on first use so the service loads (and the offline parser and
+// local matching work) without an API key; null when no key is set
+let openai = null;
+const getOpenAI = () => {
+  if (!process.env.OPENAI_API_KEY) return null;
+  if (!openai) {
+    openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+  }
+  return openai;
+};
+
+// Answers for the OpenAI-only helpers when no key is set or the request fails
+const DEFAULT_SEARCH_SUGGESTIONS = {
+  keywords: ['software engineer', 'developer', 'programmer'],
+  job_titles: ['Software Engineer', 'Full Stack Developer', 'Backend Developer']
+};
+
+const DEFAULT_RESUME_ANALYSIS = {
+  score: 70,
+  strengths: ['Clear format', 'Relevant experience'],
+  weaknesses: ['Missing keywords', 'Lacks metrics'],
+  suggestions: ['Add quantifiable achievements', 'Include industry keywords']
+};
 
 // Resume parser service configuration
 const RESUME_PARSER_CONFIG = {
@@ -15,21 +39,46 @@ const RESUME_PARSER_CONFIG = {
   timeout: 30000
 };
 
+// Default factor weights; overridden by the match_weight_* keys in the 'ai' settings category
+const DEFAULT_MATCH_WEIGHTS = {
+  skills: 0.35,
+  experience: 0.25,
+  semantic: 0.20,
+  location: 0.10,
+  education: 0.10
+};
+
+const pluralize = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
 // AI matching algorithms
 class AIMatchingService {
-  
-  // Parse resume using AI
+  // Parse resume: external parser, then OpenAI, then the built-in rule-based parser
   async parseResume(resumeBuffer, filename) {
     try {
+      let parsedData = null;
+
       // First try external resume parser if available
       if (RESUME_PARSER_CONFIG.apiKey) {
-        const parsedData = await this.parseResumeWithExternalAPI(resumeBuffer, filename);
-        if (parsedData) return parsedData;
+        parsedData = await this.parseResumeWithExternalAPI(resumeBuffer, filename);
+      }
+
+      if (!parsedData) {
+        const resumeText = await this.extractTextFromResume(resumeBuffer, filename);
+
+        // Fallback to OpenAI for resume parsing
+        if (process.env.OPENAI_API_KEY) {
+          parsedData = await this.parseResumeWithOpenAI(resumeText).catch(error => {
+            logger.warn('Falling back to the offline resume parser:', error.message);
+            return null;
+          });
+        }
+
+        if (!parsedData) {
+          parsedData = await this.parseResumeOffline(resumeText);
+        }
       }
 
-      // Fallback to OpenAI for resume parsing
-      const resumeText = await this.extractTextFromResume(resumeBuffer, filename);
-      return await this.parseResumeWithOpenAI(resumeText);
+      return await this.normalizeParsedSkills(parsedData);
       
     } catch (error) {
       logger.error('Resume parsing failed:', error);
@@ -82,6 +131,11 @@ class AIMatchingService {
 
   // Parse resume using OpenAI
   async parseResumeWithOpenAI(resumeText) {
+    const client = getOpenAI();
+    if (!client) {
+      throw new Error('OPENAI_API_KEY is not set');
+    }
+
     try {
       const prompt = `
         Parse the following resume and extract structured information. Return a JSON object with the following structure:
@@ -139,7 +193,7 @@ class AIMatchingService {
         Return only valid JSON, no additional text.
       `;
 
-      const response = await openai.chat.completions.create({
+      const response = await client.chat.completions.create({
         model: process.env.AI_MODEL || 'gpt-4',
         messages: [
           {
@@ -164,6 +218,24 @@ class AIMatchingService {
     }
   }
 
+  // Parse resume text with the rule-based parser; adds per-field confidence and the fields to confirm
+  async parseResumeOffline(resumeText) {
+    const { data, confidence, needs_review } = await resumeParserService.parse(resumeText);
+
+    return {
+      ...this.normalizeResumeData(data),
+      confidence,
+      needs_review
+    };
+  }
+
+  // Map parsed skills onto the skills taxonomy
+  async normalizeParsedSkills(parsedData) {
+    parsedData.skills.technical = await skillService.normalizeSkills(parsedData.skills.technical);
+    parsedData.skills.soft = await skillService.normalizeSkills(parsedData.skills.soft);
+    return parsedData;
+  }
+
   // Normalize resume data to consistent format
   normalizeResumeData(data) {
     return {
@@ -209,69 +281,80 @@ class AIMatchingService {
     };
   }
 
-  // Calculate job-resume match score
-  async calculateMatchScore(jobId, jobSeekerProfileId) {
-    try {
-      // Get job details
-      const jobResult = await query(`
-        SELECT title, description, skills_required, experience_min, experience_max,
-               location, employment_type, education_level, industry
-        FROM jobs
-        WHERE id = $1
-      `, [jobId]);
-
-      if (jobResult.rows.length === 0) {
-        throw new Error('Job not found');
-      }
+  // Load the job and profile a match score is computed for
+  async getMatchSubjects(jobId, jobSeekerProfileId) {
+    const jobResult = await query(`
+      SELECT id, title, description, requirements, responsibilities, skills_required,
+             experience_min, experience_max, location, employment_type, education_level,
+             industry, job_function
+      FROM jobs
+      WHERE id = $1
+    `, [jobId]);
+
+    if (jobResult.rows.length === 0) {
+      throw new Error('Job not found');
+    }
 
-      const job = jobResult.rows[0];
+    const profileResult = await query(`
+      SELECT js.*, u.first_name, u.last_name
+      FROM job_seekers js
+      JOIN users u ON js.user_id = u.id
+      WHERE js.id = $1
+    `, [jobSeekerProfileId]);
 
-      // Get job seeker profile
-      const profileResult = await query(`
-        SELECT js.*, u.first_name, u.last_name
-        FROM job_seekers js
-        JOIN users u ON js.user_id = u.id
-        WHERE js.id = $1
-      `, [jobSeekerProfileId]);
+    if (profileResult.rows.length === 0) {
+      throw new Error('Job seeker profile not found');
+    }
 
-      if (profileResult.rows.length === 0) {
-        throw new Error('Job seeker profile not found');
-      }
+    return { job: jobResult.rows[0], profile: profileResult.rows[0] };
+  }
 
-      const profile = profileResult.rows[0];
+  // Factor weights from system settings, normalised to sum to 1
+  async getMatchWeights() {
+    const settings = await settingsService.getCategory('ai');
+    const weights = Object.fromEntries(
+      Object.keys(DEFAULT_MATCH_WEIGHTS).map(factor => [factor, settings[`match_weight_${factor}`]])
+    );
+
+    const total = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+    return total > 0
+      ? Object.fromEntries(Object.entries(weights).map(([factor, weight]) => [factor, weight / total]))
+      : { ...DEFAULT_MATCH_WEIGHTS };
+  }
 
-      // Calculate different match components
-      const skillsMatch = this.calculateSkillsMatch(job.skills_required || [], profile.skills || []);
-      const experienceMatch = this.calculateExperienceMatch(job, profile);
-      const locationMatch = this.calculateLocationMatch(job.location, profile.current_location, profile.preferred_locations);
-      const educationMatch = this.calculateEducationMatch(job.education_level, profile);
-      
-      // Use AI to calculate semantic match
-      const semanticMatch = await this.calculateSemanticMatch(job, profile);
-
-      // Weighted scoring
-      const weights = {
-        skills: 0.35,
-        experience: 0.25,
-        semantic: 0.20,
-        location: 0.10,
-        education: 0.10
-      };
+  // Raw 0-100 score for every factor plus the weighted total
+  async scoreMatch(job, profile, options = {}) {
+    await skillService.ensureLoaded();
+
+    const scores = {
+      skills: this.calculateSkillsMatch(job.skills_required || [], profile.skills || []),
+      experience: this.calculateExperienceMatch(job, profile),
+      // Embedding similarity between the job and the profile
+      semantic: options.semanticMatch ?? await this.calculateSemanticMatch(job, profile),
+      location: this.calculateLocationMatch(job.location, profile.current_location, profile.preferred_locations),
+      education: this.calculateEducationMatch(job.education_level, profile)
+    };
 
-      const totalScore = 
-        (skillsMatch * weights.skills) +
-        (experienceMatch * weights.experience) +
-        (semanticMatch * weights.semantic) +
-        (locationMatch * weights.location) +
-        (educationMatch * weights.education);
+    const weights = await this.getMatchWeights();
+    const totalScore = Object.keys(weights)
+      .reduce((sum, factor) => sum + scores[factor] * weights[factor], 0);
+
+    return { scores, weights, totalScore };
+  }
+
+  // Calculate job-resume match score; options.semanticMatch skips recomputing the semantic score
+  async calculateMatchScore(jobId, jobSeekerProfileId, options = {}) {
+    try {
+      const { job, profile } = await this.getMatchSubjects(jobId, jobSeekerProfileId);
+      const { scores, weights, totalScore } = await this.scoreMatch(job, profile, options);
 
       const matchDetails = {
         total_score: Math.round(totalScore),
-        skills_match: Math.round(skillsMatch),
-        experience_match: Math.round(experienceMatch),
-        semantic_match: Math.round(semanticMatch),
-        location_match: Math.round(locationMatch),
-        education_match: Math.round(educationMatch),
+        skills_match: Math.round(scores.skills),
+        experience_match: Math.round(scores.experience),
+        semantic_match: Math.round(scores.semantic),
+        location_match: Math.round(scores.location),
+        education_match: Math.round(scores.education),
         weights
       };
 
@@ -286,36 +369,124 @@ class AIMatchingService {
     }
   }
 
+  // Break a match score down into weighted factors with human-readable reasons
+  async explainMatchScore(jobId, jobSeekerProfileId) {
+    const { job, profile } = await this.getMatchSubjects(jobId, jobSeekerProfileId);
+    const { scores, weights, totalScore } = await this.scoreMatch(job, profile);
+
+    await skillService.ensureLoaded();
+    const skills = this.getSkillsBreakdown(job.skills_required || [], profile.skills || []);
+    const distanceKm = job.location ? geoService.distanceBetween(job.location, profile.current_location) : null;
+
+    const details = {
+      skills: {
+        reason: this.describeSkillsMatch(skills),
+        matched: skills.matched,
+        partial: skills.partial,
+        missing: skills.missing
+      },
+      experience: {
+        reason: this.describeExperienceMatch(job, profile),
+        candidate_years: profile.experience_years || 0,
+        required_min: job.experience_min,
+        required_max: job.experience_max
+      },
+      semantic: {
+        reason: this.describeSemanticMatch(scores.semantic)
+      },
+      location: {
+        reason: this.describeLocationMatch(job, scores.location, distanceKm),
+        distance_km: distanceKm === null ? null : Math.round(distanceKm)
+      },
+      education: {
+        reason: job.education_level
+          ? `Requires ${job.education_level}; education is not assessed yet`
+          : 'No education requirement'
+      }
+    };
+
+    const factors = Object.keys(weights).map(factor => ({
+      factor,
+      weight: Math.round(weights[factor] * 1000) / 1000,
+      raw_score: Math.round(scores[factor]),
+      weighted_score: Math.round(scores[factor] * weights[factor] * 10) / 10,
+      ...details[factor]
+    }));
+
+    return {
+      total_score: Math.round(totalScore),
+      factors,
+      skills,
+      reasons: factors.map(factor => factor.reason)
+    };
+  }
+
+  describeSkillsMatch({ matched, partial, missing }) {
+    const required = matched.length + partial.length + missing.length;
+    if (required === 0) return 'No specific skills required';
+
+    let reason = `${matched.length} of ${required} required skills`;
+    if (partial.length > 0) {
+      reason += `, ${partial.length} partially matched`;
+    }
+    return reason;
+  }
+
+  describeExperienceMatch(job, profile) {
+    const years = profile.experience_years || 0;
+    const min = job.experience_min || 0;
+    const max = job.experience_max;
+
+    if (years < min) {
+      return `${pluralize(min - years, 'year')} short of minimum`;
+    }
+    if (max !== null && max !== undefined && years > max) {
+      return `${pluralize(years - max, 'year')} above the maximum`;
+    }
+    if (max !== null && max !== undefined) {
+      return `${pluralize(years, 'year')} of experience, within the ${min}-${max} year range`;
+    }
+    return `${pluralize(years, 'year')} of experience, meets the ${min}+ year minimum`;
+  }
+
+  describeSemanticMatch(score) {
+    if (score >= 70) return 'Strong overlap between the job description and profile';
+    if (score >= 40) return 'Moderate overlap between the job description and profile';
+    return 'Little overlap between the job description and profile';
+  }
+
+  describeLocationMatch(job, score, distanceKm) {
+    if (!job.location) return 'Job location not specified';
+    if (distanceKm !== null) return `${Math.round(distanceKm)} km from current location`;
+    if (score >= 100) return 'Same location';
+    if (score >= 90) return 'In preferred locations';
+    if (score >= 70) return 'Same region';
+    return 'Different location';
+  }
+
+  // Split required skills into matched, partial and missing using the skills taxonomy
+  getSkillsBreakdown(jobSkills, profileSkills) {
+    const breakdown = { matched: [], partial: [], missing: [] };
+
+    jobSkills.forEach(skill => {
+      breakdown[skillService.classifySkill(skill, profileSkills)].push(skill);
+    });
+
+    return breakdown;
+  }
+
   // Calculate skills match percentage
   calculateSkillsMatch(jobSkills, profileSkills) {
     if (!jobSkills.length) return 100; // If no skills required, perfect match
     if (!profileSkills.length) return 0; // If no skills listed, no match
 
-    const normalizedJobSkills = jobSkills.map(s => s.toLowerCase().trim());
-    const normalizedProfileSkills = profileSkills.map(s => s.toLowerCase().trim());
-
-    let exactMatches = 0;
-    let partialMatches = 0;
-
-    normalizedJobSkills.forEach(jobSkill => {
-      if (normalizedProfileSkills.includes(jobSkill)) {
-        exactMatches++;
-      } else {
-        // Check for partial matches (contains)
-        const hasPartialMatch = normalizedProfileSkills.some(profileSkill => 
-          profileSkill.includes(jobSkill) || jobSkill.includes(profileSkill)
-        );
-        if (hasPartialMatch) {
-          partialMatches++;
-        }
-      }
-    });
+    const { matched, partial } = this.getSkillsBreakdown(jobSkills, profileSkills);
 
     const exactWeight = 1.0;
     const partialWeight = 0.5;
-    const totalWeight = exactMatches * exactWeight + partialMatches * partialWeight;
+    const totalWeight = matched.length * exactWeight + partial.length * partialWeight;
     
-    return Math.min(100, (totalWeight / normalizedJobSkills.length) * 100);
+    return Math.min(100, (totalWeight / jobSkills.length) * 100);
   }
 
   // Calculate experience match percentage
@@ -340,7 +511,32 @@ class AIMatchingService {
   // Calculate location match percentage
   calculateLocationMatch(jobLocation, profileLocation, preferredLocations) {
     if (!jobLocation) return 100; // Remote or location not specified
-    
+
+    // Use real distance when the job location resolves in the gazetteer
+    const jobPoint = geoService.geocode(jobLocation);
+    if (jobPoint) {
+      const scores = [];
+
+      const currentPoint = geoService.geocode(profileLocation);
+      if (currentPoint) {
+        scores.push(this.distanceToScore(geoService.distanceKm(jobPoint, currentPoint)));
+      }
+
+      if (Array.isArray(preferredLocations)) {
+        for (const loc of preferredLocations) {
+          const preferredPoint = geoService.geocode(loc);
+          if (preferredPoint) {
+            // Preferred locations rank slightly below where the candidate lives today
+            scores.push(this.distanceToScore(geoService.distanceKm(jobPoint, preferredPoint)) * 0.9);
+          }
+        }
+      }
+
+      if (scores.length > 0) {
+        return Math.max(...scores);
+      }
+    }
+
     const normalizedJobLocation = jobLocation.toLowerCase().trim();
     
     // Check current location
@@ -373,6 +569,12 @@ class AIMatchingService {
     return 30; // Different location, but still possible
   }
 
+  // Map a commute distance to a match percentage
+  distanceToScore(distanceKm) {
+    if (distanceKm <= 15) return 100; // Same city
+    return Math.max(30, 100 - (distanceKm - 15) * 0.35); // Bottoms out around 215 km
+  }
+
   // Calculate education match percentage
   calculateEducationMatch(jobEducationLevel, profile) {
     if (!jobEducationLevel) return 100; // No education requirement
@@ -382,53 +584,27 @@ class AIMatchingService {
     return 75;
   }
 
-  // Calculate semantic match using AI
+  // Calculate semantic match from job and profile embeddings
   async calculateSemanticMatch(job, profile) {
     try {
-      const prompt = `
-        Analyze the semantic similarity between this job posting and candidate profile.
-        Return a match score from 0-100 based on job responsibilities vs candidate experience,
-        industry alignment, role progression, and overall career fit.
-
-        Job:
-        Title: ${job.title}
-        Description: ${job.description}
-        Industry: ${job.industry || 'Not specified'}
-
-        Candidate:
-        Current Position: ${profile.current_position || 'Not specified'}
-        Current Company: ${profile.current_company || 'Not specified'}
-        Summary: ${profile.summary || 'Not provided'}
-        Experience Years: ${profile.experience_years || 0}
-
-        Return only a number between 0 and 100.
-      `;
-
-      const response = await openai.chat.completions.create({
-        model: process.env.AI_MODEL || 'gpt-4',
-        messages: [
-          {
-            role: 'system',
-            content: 'You are an expert career counselor analyzing job-candidate fit. Return only the numeric score.'
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        max_tokens: 10,
-        temperature: 0.1
-      });
-
-      const score = parseInt(response.choices[0].message.content.trim());
-      return Math.max(0, Math.min(100, score || 50));
-      
+      const scores = await embeddingService.scoreMatches('job_seeker', profile, 'job', [job]);
+      return scores.has(job.id) ? scores.get(job.id) : 50;
     } catch (error) {
       logger.warn('Semantic match calculation failed, using default:', error.message);
       return 50; // Default moderate score
     }
   }
 
+  // Semantic scores for many pairs at once, keyed by target id; empty if embeddings are unavailable
+  async calculateSemanticMatches(sourceType, source, targetType, targets) {
+    try {
+      return await embeddingService.scoreMatches(sourceType, source, targetType, targets);
+    } catch (error) {
+      logger.warn('Batch semantic match calculation failed, using defaults:', error.message);
+      return new Map();
+    }
+  }
+
   // Store match data for machine learning
   async storeMatchData(jobId, jobSeekerProfileId, matchDetails) {
     try {
@@ -453,6 +629,11 @@ class AIMatchingService {
     try {
       const { limit = 10, minScore = 60 } = options;
 
+      const profileResult = await query(
+        'SELECT * FROM job_seekers WHERE id = $1',
+        [jobSeekerProfileId]
+      );
+
       // Get active jobs
       const jobsResult = await query(`
         SELECT j.*, c.name as company_name, c.logo_url as company_logo
@@ -468,10 +649,17 @@ class AIMatchingService {
       const jobs = jobsResult.rows;
       const recommendations = [];
 
+      // Cosine similarity against every job's vector in one pass
+      const semanticScores = profileResult.rows.length > 0
+        ? await this.calculateSemanticMatches('job_seeker', profileResult.rows[0], 'job', jobs)
+        : new Map();
+
       // Calculate match scores for each job
       for (const job of jobs) {
         try {
-          const matchScore = await this.calculateMatchScore(job.id, jobSeekerProfileId);
+          const matchScore = await this.calculateMatchScore(job.id, jobSeekerProfileId, {
+            semanticMatch: semanticScores.get(job.id)
+          });
           
           if (matchScore.total_score >= minScore) {
             recommendations.push({
@@ -501,6 +689,8 @@ class AIMatchingService {
     try {
       const { limit = 10, minScore = 60 } = options;
 
+      const jobResult = await query('SELECT * FROM jobs WHERE id = $1', [jobId]);
+
       // Get active job seekers
       const candidatesResult = await query(`
         SELECT js.*, u.first_name, u.last_name, u.email, u.profile_image
@@ -515,10 +705,17 @@ class AIMatchingService {
       const candidates = candidatesResult.rows;
       const recommendations = [];
 
+      // Cosine similarity against every candidate's vector in one pass
+      const semanticScores = jobResult.rows.length > 0
+        ? await this.calculateSemanticMatches('job', jobResult.rows[0], 'job_seeker', candidates)
+        : new Map();
+
       // Calculate match scores for each candidate
       for (const candidate of candidates) {
         try {
-          const matchScore = await this.calculateMatchScore(jobId, candidate.id);
+          const matchScore = await this.calculateMatchScore(jobId, candidate.id, {
+            semanticMatch: semanticScores.get(candidate.id)
+          });
           
           if (matchScore.total_score >= minScore) {
             recommendations.push({
@@ -545,6 +742,9 @@ class AIMatchingService {
 
   // Generate job search suggestions
   async generateJobSearchSuggestions(jobSeekerProfileId) {
+    const client = getOpenAI();
+    if (!client) return DEFAULT_SEARCH_SUGGESTIONS;
+
     try {
       const profileResult = await query(`
         SELECT * FROM job_seekers WHERE id = $1
@@ -569,7 +769,7 @@ class AIMatchingService {
         Return only valid JSON.
       `;
 
-      const response = await openai.chat.completions.create({
+      const response = await client.chat.completions.create({
         model: process.env.AI_MODEL || 'gpt-4',
         messages: [
           {
@@ -589,15 +789,15 @@ class AIMatchingService {
       
     } catch (error) {
       logger.error('Job search suggestions failed:', error);
-      return {
-        keywords: ['software engineer', 'developer', 'programmer'],
-        job_titles: ['Software Engineer', 'Full Stack Developer', 'Backend Developer']
-      };
+      return DEFAULT_SEARCH_SUGGESTIONS;
     }
   }
 
   // Analyze resume and provide improvement suggestions
   async analyzeResumeForImprovements(resumeText) {
+    const client = getOpenAI();
+    if (!client) return DEFAULT_RESUME_ANALYSIS;
+
     try {
       const prompt = `
         Analyze this resume and provide specific improvement suggestions.
@@ -609,7 +809,7 @@ class AIMatchingService {
         Return only valid JSON.
       `;
 
-      const response = await openai.chat.completions.create({
+      const response = await client.chat.completions.create({
         model: process.env.AI_MODEL || 'gpt-4',
         messages: [
           {
@@ -629,12 +829,7 @@ class AIMatchingService {
       
     } catch (error) {
       logger.error('Resume analysis failed:', error);
-      return {
-        score: 70,
-        strengths: ['Clear format', 'Relevant experience'],
-        weaknesses: ['Missing keywords', 'Lacks metrics'],
-        suggestions: ['Add quantifiable achievements', 'Include industry keywords']
-      };
+      return DEFAULT_RESUME_ANALYSIS;
     }
   }
 }
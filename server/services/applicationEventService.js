@@ -0,0 +1,85 @@
+const { query } = require('../config/database');
+
+// Application status history
+class ApplicationEventService {
+
+  // Record a single event; pass a transaction client to keep it atomic with the status update
+  async record(event, db = { query }) {
+    const result = await db.query(`
+      INSERT INTO application_events (
+        application_id, actor_user_id, actor_role, event_type,
+        from_status, to_status, internal_note, candidate_note
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING *
+    `, [
+      event.applicationId,
+      event.actor?.id || null,
+      event.actor?.role || 'system',
+      event.eventType,
+      event.fromStatus || null,
+      event.toStatus || null,
+      event.internalNote || null,
+      event.candidateNote || null
+    ]);
+
+    return result.rows[0];
+  }
+
+  // Record the same transition for many applications, keeping each one's previous status
+  async recordMany(applications, event, db = { query }) {
+    if (applications.length === 0) return;
+
+    await db.query(`
+      INSERT INTO application_events (
+        application_id, actor_user_id, actor_role, event_type,
+        from_status, to_status, internal_note, candidate_note
+      )
+      SELECT prev.application_id, $3, $4, $5, prev.from_status, $6, $7, $8
+      FROM unnest($1::uuid[], $2::text[]) AS prev(application_id, from_status)
+    `, [
+      applications.map(application => application.id),
+      applications.map(application => application.status),
+      event.actor?.id || null,
+      event.actor?.role || 'system',
+      event.eventType,
+      event.toStatus,
+      event.internalNote || null,
+      event.candidateNote || null
+    ]);
+  }
+
+  // Timeline for an application; candidates never see internal notes or who acted
+  async getTimeline(applicationId, { includeInternal = false } = {}) {
+    const result = await query(`
+      SELECT ae.*, u.first_name as actor_first_name, u.last_name as actor_last_name
+      FROM application_events ae
+      LEFT JOIN users u ON ae.actor_user_id = u.id
+      WHERE ae.application_id = $1
+      ORDER BY ae.created_at ASC
+    `, [applicationId]);
+
+    return result.rows.map(event => {
+      const entry = {
+        id: event.id,
+        event_type: event.event_type,
+        from_status: event.from_status,
+        to_status: event.to_status,
+        candidate_note: event.candidate_note,
+        actor_role: event.actor_role,
+        created_at: event.created_at
+      };
+
+      if (includeInternal) {
+        entry.internal_note = event.internal_note;
+        entry.actor = event.actor_user_id ? {
+          id: event.actor_user_id,
+          name: `${event.actor_first_name} ${event.actor_last_name}`
+        } : null;
+      }
+
+      return entry;
+    });
+  }
+}
+
+module.exports = new ApplicationEventService();
@@ -0,0 +1,222 @@
+const crypto = require('crypto');
+const { query } = require('../config/database');
+
+const PRODUCT_ID = '-//JobsRo//Interviews//EN';
+const UID_DOMAIN = 'jobsro.com';
+const MAX_LINE_OCTETS = 75;
+
+// 2024-01-20T14:00:00.000Z -> 20240120T140000Z
+const formatDate = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// TEXT values (RFC 5545 3.3.11)
+const escapeText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Quoted parameter values such as CN cannot contain quotes
+const quoteParam = (value) => `"${String(value ?? '').replace(/"/g, "'")}"`;
+
+// Fold lines longer than 75 octets without splitting multi-byte characters (RFC 5545 3.1)
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+// RFC 5545 calendars for interview invites and subscription feeds
+class CalendarService {
+
+  // Invites must keep the same UID across updates so clients match them
+  getInterviewUid(interviewId) {
+    return `interview-${interviewId}@${UID_DOMAIN}`;
+  }
+
+  buildEvent(event) {
+    const lines = [
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `SEQUENCE:${event.sequence || 0}`,
+      `DTSTAMP:${formatDate(new Date())}`,
+      `DTSTART:${formatDate(event.start)}`,
+      `DTEND:${formatDate(event.end)}`,
+      `SUMMARY:${escapeText(event.summary)}`
+    ];
+
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+    if (event.url) lines.push(`URL:${event.url}`);
+
+    if (event.organizer) {
+      lines.push(`ORGANIZER;CN=${quoteParam(event.organizer.name)}:mailto:${event.organizer.email}`);
+    }
+
+    for (const attendee of event.attendees || []) {
+      lines.push(
+        `ATTENDEE;CN=${quoteParam(attendee.name)};ROLE=REQ-PARTICIPANT;PARTSTAT=NEEDS-ACTION;RSVP=FALSE:mailto:${attendee.email}`
+      );
+    }
+
+    lines.push(`STATUS:${event.cancelled ? 'CANCELLED' : 'CONFIRMED'}`);
+    lines.push('END:VEVENT');
+
+    return lines;
+  }
+
+  // Serialise a calendar; method is REQUEST/CANCEL for invites and PUBLISH for feeds
+  buildCalendar({ method = 'PUBLISH', name, events }) {
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:${PRODUCT_ID}`,
+      'CALSCALE:GREGORIAN',
+      `METHOD:${method}`
+    ];
+
+    if (name) {
+      lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+      lines.push('REFRESH-INTERVAL;VALUE=DURATION:PT1H');
+      lines.push('X-PUBLISHED-TTL:PT1H');
+    }
+
+    for (const event of events) {
+      lines.push(...this.buildEvent(event));
+    }
+
+    lines.push('END:VCALENDAR');
+
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+  }
+
+  // Event for an interview row joined with job, company and participants
+  interviewToEvent(interview, { withAttendees = true } = {}) {
+    const start = new Date(interview.scheduled_at);
+    const end = new Date(start.getTime() + interview.duration_minutes * 60 * 1000);
+    const company = interview.company_name ? ` at ${interview.company_name}` : '';
+
+    const description = [
+      `Interview for ${interview.job_title}${company}`,
+      interview.meeting_url && `Join: ${interview.meeting_url}`,
+      interview.meeting_id && `Meeting ID: ${interview.meeting_id}`,
+      interview.meeting_password && `Password: ${interview.meeting_password}`,
+      `Details: ${process.env.FRONTEND_URL}/interviews/${interview.id}`
+    ].filter(Boolean).join('\n');
+
+    return {
+      uid: this.getInterviewUid(interview.id),
+      sequence: interview.ics_sequence,
+      start,
+      end,
+      summary: `Interview: ${interview.job_title}${company}`,
+      description,
+      location: interview.meeting_url,
+      url: interview.meeting_url,
+      organizer: {
+        name: process.env.SENDGRID_FROM_NAME || 'JobsRo',
+        email: process.env.SENDGRID_FROM_EMAIL || 'noreply@jobsro.com'
+      },
+      attendees: withAttendees ? interview.attendees : [],
+      cancelled: interview.status === 'cancelled'
+    };
+  }
+
+  // .ics email attachment for the current state of an interview, or null if it is gone
+  async getInterviewInvite(interviewId) {
+    const result = await query(`
+      SELECT vi.*, j.title as job_title, c.name as company_name,
+             jsonb_build_array(jsonb_build_object(
+               'name', TRIM(cu.first_name || ' ' || COALESCE(cu.last_name, '')), 'email', cu.email
+             )) || COALESCE((
+               SELECT jsonb_agg(jsonb_build_object(
+                 'name', TRIM(pu.first_name || ' ' || COALESCE(pu.last_name, '')), 'email', pu.email
+               ))
+               FROM interview_panelists ip
+               JOIN users pu ON ip.panelist_id = pu.id
+               WHERE ip.interview_id = vi.id
+             ), '[]'::jsonb) as attendees
+      FROM video_interviews vi
+      JOIN applications a ON vi.application_id = a.id
+      JOIN jobs j ON a.job_id = j.id
+      JOIN job_seekers js ON a.job_seeker_id = js.id
+      JOIN users cu ON js.user_id = cu.id
+      LEFT JOIN companies c ON j.company_id = c.id
+      WHERE vi.id = $1
+    `, [interviewId]);
+
+    const interview = result.rows[0];
+    if (!interview) return null;
+
+    const method = interview.status === 'cancelled' ? 'CANCEL' : 'REQUEST';
+
+    return {
+      content: this.buildCalendar({ method, events: [this.interviewToEvent(interview)] }),
+      filename: method === 'CANCEL' ? 'interview-cancelled.ics' : 'interview.ics',
+      type: `text/calendar; charset=utf-8; method=${method}`
+    };
+  }
+
+  getFeedUrl(token) {
+    return `${process.env.API_BASE_URL}/interviews/calendar/${token}.ics`;
+  }
+
+  // Existing feed token for the user, created on first use
+  async getFeedToken(userId) {
+    const existing = await query('SELECT token FROM calendar_feeds WHERE user_id = $1', [userId]);
+    if (existing.rows.length > 0) return existing.rows[0].token;
+
+    return this.resetFeedToken(userId);
+  }
+
+  async resetFeedToken(userId) {
+    const token = crypto.randomBytes(24).toString('hex');
+
+    await query(`
+      INSERT INTO calendar_feeds (user_id, token)
+      VALUES ($1, $2)
+      ON CONFLICT (user_id) DO UPDATE SET token = EXCLUDED.token, created_at = NOW(), last_accessed_at = NULL
+    `, [userId, token]);
+
+    return token;
+  }
+
+  // Feed owner for a token, or null
+  async getFeedUser(token) {
+    const result = await query(`
+      UPDATE calendar_feeds cf
+      SET last_accessed_at = NOW()
+      FROM users u
+      WHERE cf.token = $1 AND cf.user_id = u.id AND u.status = 'active'
+      RETURNING u.id, u.role, u.first_name
+    `, [token]);
+
+    return result.rows[0] || null;
+  }
+
+  // Subscription feed of the user's upcoming interviews
+  buildFeed(interviews) {
+    return this.buildCalendar({
+      method: 'PUBLISH',
+      name: 'JobsRo interviews',
+      // Feed URLs get shared and cached, so they carry no attendee addresses
+      events: interviews.map(interview => this.interviewToEvent(interview, { withAttendees: false }))
+    });
+  }
+}
+
+module.exports = new CalendarService();
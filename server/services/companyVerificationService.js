@@ -0,0 +1,410 @@
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const { query, transaction } = require('../config/database');
+const { sendEmail } = require('./email');
+const jobRiskService = require('./jobRiskService');
+const logger = require('../utils/logger');
+
+const TXT_RECORD_PREFIX = 'jobsro-verification=';
+const CODE_TTL_MINUTES = 30; // Matches the company-domain-verification email template
+const MAX_CODE_ATTEMPTS = 5;
+const RESEND_INTERVAL_SECONDS = 60;
+const MAX_DOCUMENTS = 10;
+
+// Request columns shown to employers and admins; the email code hash stays server-side
+const REQUEST_COLUMNS = `
+  r.id, r.company_id, r.requested_by, r.status, r.domain, r.dns_token, r.domain_verified_at,
+  r.domain_method, r.email_address, r.email_code_expires_at, r.gst_number, r.cin_number,
+  r.submitted_at, r.reviewed_by, r.reviewed_at, r.decision_reason, r.created_at, r.updated_at`;
+
+// Company verification: an employer opens a request for their company, proves control of
+// the website domain (a DNS TXT record or a code emailed to an address on the domain)
+// and/or uploads GST and CIN certificates, then submits it to the admin queue. Approval
+// marks the company verified.
+class CompanyVerificationService {
+  // Host of the company website without "www.", or null if it is not a usable domain
+  getDomain(website) {
+    if (!website) return null;
+
+    try {
+      const url = new URL(/^https?:\/\//i.test(website) ? website : `https://${website}`);
+      const domain = url.hostname.toLowerCase().replace(/^www\./, '');
+      return /^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(domain) ? domain : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // TXT record the employer publishes to prove control of the domain
+  getDnsRecord(request) {
+    return {
+      type: 'TXT',
+      name: request.domain,
+      value: `${TXT_RECORD_PREFIX}${request.dns_token}`
+    };
+  }
+
+  hashCode(requestId, code) {
+    return crypto.createHmac('sha256', process.env.ENCRYPTION_KEY).update(`${requestId}:${code}`).digest('hex');
+  }
+
+  async getOpenRequest(companyId) {
+    const result = await query(`
+      SELECT ${REQUEST_COLUMNS} FROM company_verification_requests r
+      WHERE r.company_id = $1 AND r.status IN ('draft', 'pending')
+    `, [companyId]);
+    return result.rows[0] || null;
+  }
+
+  async getDocuments(requestId) {
+    const result = await query(`
+      SELECT id, document_type, file_name, mime_type, size_bytes, created_at
+      FROM company_verification_documents
+      WHERE request_id = $1
+      ORDER BY created_at
+    `, [requestId]);
+    return result.rows;
+  }
+
+  // Latest request for the company with its documents and DNS record; null if it never asked
+  async getStatus(companyId) {
+    const result = await query(`
+      SELECT ${REQUEST_COLUMNS} FROM company_verification_requests r
+      WHERE r.company_id = $1
+      ORDER BY r.created_at DESC
+      LIMIT 1
+    `, [companyId]);
+
+    const request = result.rows[0];
+    if (!request) return null;
+
+    return {
+      ...request,
+      dns_record: this.getDnsRecord(request),
+      documents: await this.getDocuments(request.id)
+    };
+  }
+
+  // Open a request for the company's website domain. Returns { request }, or { error } with
+  // 'not_found', 'already_verified', 'no_website', 'personal_domain' or 'exists'.
+  async start(companyId, userId, { gst_number, cin_number } = {}) {
+    const companyResult = await query('SELECT id, website, verified FROM companies WHERE id = $1', [companyId]);
+    const company = companyResult.rows[0];
+
+    if (!company) return { error: 'not_found' };
+    if (company.verified) return { error: 'already_verified' };
+
+    const domain = this.getDomain(company.website);
+    if (!domain) return { error: 'no_website' };
+    if (jobRiskService.isPersonalDomain(domain)) return { error: 'personal_domain' };
+
+    const result = await query(`
+      INSERT INTO company_verification_requests (company_id, requested_by, domain, dns_token, gst_number, cin_number)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (company_id) WHERE status IN ('draft', 'pending') DO NOTHING
+      RETURNING id
+    `, [companyId, userId, domain, crypto.randomBytes(16).toString('hex'), gst_number || null, cin_number || null]);
+
+    if (result.rows.length === 0) {
+      return { error: 'exists', request: await this.getOpenRequest(companyId) };
+    }
+
+    logger.info(`Company verification request ${result.rows[0].id} opened for ${companyId} by user ${userId}`);
+    return { request: await this.getStatus(companyId) };
+  }
+
+  async markDomainVerified(client, requestId, method) {
+    const result = await client.query(`
+      UPDATE company_verification_requests SET
+        domain_verified_at = NOW(), domain_method = $2,
+        email_code_hash = NULL, email_code_expires_at = NULL
+      WHERE id = $1
+      RETURNING id
+    `, [requestId, method]);
+    return result.rows[0];
+  }
+
+  // Look up the domain's TXT records for the request token. Returns { verified, found }
+  // where found lists the jobsro-verification records seen, to help with typos.
+  async checkDns(request) {
+    let records = [];
+    try {
+      records = (await dns.resolveTxt(request.domain)).map(chunks => chunks.join(''));
+    } catch (error) {
+      if (!['ENOTFOUND', 'ENODATA', 'ESERVFAIL', 'ETIMEOUT'].includes(error.code)) throw error;
+      logger.warn(`TXT lookup for ${request.domain} failed: ${error.code}`);
+    }
+
+    const found = records.filter(record => record.startsWith(TXT_RECORD_PREFIX));
+    const verified = found.includes(this.getDnsRecord(request).value);
+
+    if (verified && !request.domain_verified_at) {
+      await this.markDomainVerified({ query }, request.id, 'dns');
+      logger.info(`Company verification request ${request.id}: ${request.domain} verified by DNS`);
+    }
+
+    return { verified, found };
+  }
+
+  // Email a code to an address on the request domain (or a subdomain). Returns { expiresAt },
+  // { error: 'wrong_domain' } or { retryAfter } in seconds if a code was sent too recently.
+  async sendEmailCode(request, email, requester) {
+    const emailDomain = (email.split('@')[1] || '').toLowerCase();
+    if (emailDomain !== request.domain && !emailDomain.endsWith(`.${request.domain}`)) {
+      return { error: 'wrong_domain' };
+    }
+
+    if (request.email_code_expires_at) {
+      const sentAt = new Date(request.email_code_expires_at).getTime() - CODE_TTL_MINUTES * 60 * 1000;
+      const nextAllowed = sentAt + RESEND_INTERVAL_SECONDS * 1000;
+      if (nextAllowed > Date.now()) {
+        return { retryAfter: Math.ceil((nextAllowed - Date.now()) / 1000) };
+      }
+    }
+
+    const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+    const expiresAt = new Date(Date.now() + CODE_TTL_MINUTES * 60 * 1000);
+
+    await query(`
+      UPDATE company_verification_requests SET
+        email_address = $2, email_code_hash = $3, email_code_expires_at = $4, email_code_attempts = 0
+      WHERE id = $1
+    `, [request.id, email.toLowerCase(), this.hashCode(request.id, code), expiresAt]);
+
+    const companyResult = await query('SELECT name FROM companies WHERE id = $1', [request.company_id]);
+
+    await sendEmail({
+      to: email,
+      template: 'company-domain-verification',
+      data: {
+        requesterName: [requester.first_name, requester.last_name].filter(Boolean).join(' ') || requester.email,
+        companyName: companyResult.rows[0].name,
+        domain: request.domain,
+        code,
+        ttlMinutes: CODE_TTL_MINUTES
+      }
+    });
+
+    return { expiresAt };
+  }
+
+  // Check the emailed code. Returns { verified: true }, or { error } with 'invalid' or
+  // 'too_many_attempts'.
+  async verifyEmailCode(request, code) {
+    return transaction(async (client) => {
+      const result = await client.query(`
+        SELECT id, email_code_hash, email_code_attempts FROM company_verification_requests
+        WHERE id = $1 AND email_code_hash IS NOT NULL AND email_code_expires_at > NOW()
+        FOR UPDATE
+      `, [request.id]);
+
+      const row = result.rows[0];
+      if (!row) return { error: 'invalid' };
+      if (row.email_code_attempts >= MAX_CODE_ATTEMPTS) return { error: 'too_many_attempts' };
+
+      const expected = Buffer.from(row.email_code_hash);
+      const given = Buffer.from(this.hashCode(request.id, code));
+      if (!crypto.timingSafeEqual(expected, given)) {
+        await client.query(
+          'UPDATE company_verification_requests SET email_code_attempts = email_code_attempts + 1 WHERE id = $1',
+          [request.id]
+        );
+        return { error: row.email_code_attempts + 1 >= MAX_CODE_ATTEMPTS ? 'too_many_attempts' : 'invalid' };
+      }
+
+      await this.markDomainVerified(client, request.id, 'email');
+      logger.info(`Company verification request ${request.id}: ${request.domain} verified by email`);
+      return { verified: true };
+    });
+  }
+
+  // Store an uploaded GST or CIN certificate and its registration number. Returns
+  // { document } or { error: 'too_many_documents' }.
+  async addDocument(request, userId, { documentType, documentNumber, file }) {
+    return transaction(async (client) => {
+      const countResult = await client.query(
+        'SELECT COUNT(*) as count FROM company_verification_documents WHERE request_id = $1',
+        [request.id]
+      );
+      if (parseInt(countResult.rows[0].count) >= MAX_DOCUMENTS) {
+        return { error: 'too_many_documents' };
+      }
+
+      const result = await client.query(`
+        INSERT INTO company_verification_documents (request_id, document_type, file_name, mime_type, size_bytes, content, uploaded_by)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING id, document_type, file_name, mime_type, size_bytes, created_at
+      `, [request.id, documentType, file.originalname, file.mimetype, file.size, file.buffer, userId]);
+
+      await client.query(`
+        UPDATE company_verification_requests SET ${documentType === 'gst' ? 'gst_number' : 'cin_number'} = $2
+        WHERE id = $1
+      `, [request.id, documentNumber]);
+
+      return { document: result.rows[0] };
+    });
+  }
+
+  // Send a draft to the admin queue. Returns { request }, or { error } with 'not_draft' or
+  // 'no_evidence' (neither a verified domain nor any document).
+  async submit(request) {
+    if (request.status !== 'draft') return { error: 'not_draft' };
+
+    const documents = await this.getDocuments(request.id);
+    if (!request.domain_verified_at && documents.length === 0) {
+      return { error: 'no_evidence' };
+    }
+
+    await query(`
+      UPDATE company_verification_requests SET status = 'pending', submitted_at = NOW()
+      WHERE id = $1 AND status = 'draft'
+    `, [request.id]);
+
+    logger.info(`Company verification request ${request.id} submitted for review`);
+    return { request: await this.getStatus(request.company_id) };
+  }
+
+  // Admin queue, oldest submission first
+  async list({ status = 'pending', page = 1, limit = 20 } = {}) {
+    const params = [];
+    let whereClause = '';
+    if (status) {
+      params.push(status);
+      whereClause = `WHERE r.status = $1`;
+    }
+    const offset = (page - 1) * limit;
+
+    const [requestsResult, countResult] = await Promise.all([
+      query(`
+        SELECT ${REQUEST_COLUMNS},
+               c.name as company_name, c.slug as company_slug, c.website as company_website,
+               u.email as requested_by_email,
+               (SELECT COUNT(*) FROM company_verification_documents d WHERE d.request_id = r.id)::int as document_count
+        FROM company_verification_requests r
+        JOIN companies c ON r.company_id = c.id
+        LEFT JOIN users u ON r.requested_by = u.id
+        ${whereClause}
+        ORDER BY r.submitted_at ASC NULLS LAST, r.created_at ASC
+        LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+      `, [...params, limit, offset]),
+      query(`SELECT COUNT(*) as total FROM company_verification_requests r ${whereClause}`, params)
+    ]);
+
+    return { requests: requestsResult.rows, total: parseInt(countResult.rows[0].total) };
+  }
+
+  // Request with its company, requester and document list; null if there is no such request
+  async getRequest(id) {
+    const result = await query(`
+      SELECT ${REQUEST_COLUMNS},
+             c.name as company_name, c.slug as company_slug, c.website as company_website,
+             c.verified as company_verified,
+             u.email as requested_by_email, u.first_name as requested_by_first_name,
+             u.last_name as requested_by_last_name
+      FROM company_verification_requests r
+      JOIN companies c ON r.company_id = c.id
+      LEFT JOIN users u ON r.requested_by = u.id
+      WHERE r.id = $1
+    `, [id]);
+
+    const request = result.rows[0];
+    if (!request) return null;
+
+    return {
+      ...request,
+      dns_record: this.getDnsRecord(request),
+      documents: await this.getDocuments(id)
+    };
+  }
+
+  // Uploaded file with its content; null if it does not belong to the request
+  async getDocument(requestId, documentId) {
+    const result = await query(`
+      SELECT * FROM company_verification_documents WHERE id = $1 AND request_id = $2
+    `, [documentId, requestId]);
+    return result.rows[0] || null;
+  }
+
+  // Approve or reject a submitted request; approval marks the company verified with the
+  // methods that were proven. Logged to admin_actions. Returns { request, company } or
+  // { error } with 'not_found' or 'not_pending'.
+  async decide(id, adminId, decision, reason = null) {
+    const outcome = await transaction(async (client) => {
+      const result = await client.query('SELECT * FROM company_verification_requests WHERE id = $1 FOR UPDATE', [id]);
+      const request = result.rows[0];
+
+      if (!request) return { error: 'not_found' };
+      if (request.status !== 'pending') return { error: 'not_pending', request };
+
+      const documentsResult = await client.query(
+        'SELECT DISTINCT document_type FROM company_verification_documents WHERE request_id = $1 ORDER BY document_type',
+        [id]
+      );
+      const methods = [
+        ...(request.domain_verified_at ? [request.domain_method] : []),
+        ...documentsResult.rows.map(row => row.document_type)
+      ];
+
+      const updated = await client.query(`
+        UPDATE company_verification_requests r SET
+          status = $1, decision_reason = $2, reviewed_by = $3, reviewed_at = NOW()
+        WHERE id = $4
+        RETURNING ${REQUEST_COLUMNS}
+      `, [decision, reason, adminId, id]);
+
+      const companyResult = decision === 'approved'
+        ? await client.query(`
+            UPDATE companies SET verified = true, verified_at = NOW(), verification_methods = $2, updated_at = NOW()
+            WHERE id = $1
+            RETURNING id, name, slug, verified, verified_at, verification_methods
+          `, [request.company_id, JSON.stringify(methods)])
+        : await client.query(
+            'SELECT id, name, slug, verified, verified_at, verification_methods FROM companies WHERE id = $1',
+            [request.company_id]
+          );
+
+      await client.query(`
+        INSERT INTO admin_actions (admin_user_id, action_type, target_type, target_id, details)
+        VALUES ($1, $2, $3, $4, $5)
+      `, [
+        adminId,
+        decision === 'approved' ? 'company_verify' : 'company_verification_reject',
+        'company',
+        request.company_id,
+        JSON.stringify({ request_id: id, domain: request.domain, methods, reason })
+      ]);
+
+      return { request: updated.rows[0], company: companyResult.rows[0], requestedBy: request.requested_by };
+    });
+
+    if (outcome.error) return outcome;
+
+    logger.info(`Company verification request ${id} ${decision} by admin ${adminId}`);
+
+    if (outcome.requestedBy) {
+      try {
+        const userResult = await query('SELECT email, first_name FROM users WHERE id = $1', [outcome.requestedBy]);
+        const user = userResult.rows[0];
+        if (user) {
+          await sendEmail({
+            to: user.email,
+            template: 'company-verification-decision',
+            data: {
+              name: user.first_name,
+              companyName: outcome.company.name,
+              approved: decision === 'approved',
+              rejected: decision === 'rejected',
+              reason
+            }
+          });
+        }
+      } catch (error) {
+        logger.error('Company verification decision email send failed:', error);
+      }
+    }
+
+    return { request: outcome.request, company: outcome.company };
+  }
+}
+
+module.exports = new CompanyVerificationService();
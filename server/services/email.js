@@ -108,6 +108,51 @@ const templates = {
     `
   },
 
+  'account-locked': {
+    subject: 'JobsRo - Your Account Has Been Locked',
+    html: `
+      <div style="max-width: 600px; margin: 0 auto; font-family: Arial, sans-serif;">
+        <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center;">
+          <h1 style="color: white; margin: 0; font-size: 28px;">Account Locked</h1>
+        </div>
+        
+        <div style="padding: 40px 30px; background: #f8f9fa;">
+          <h2 style="color: #333; margin-top: 0;">Hi {{name}},</h2>
+          
+          <p style="color: #666; line-height: 1.6; font-size: 16px;">
+            We locked your JobsRo account after {{attempts}} failed login attempts.
+            It will unlock automatically in {{duration}} minutes.
+          </p>
+          
+          <p style="color: #666; line-height: 1.6; font-size: 16px;">
+            If this was you, you can unlock your account now:
+          </p>
+          
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="{{unlockUrl}}" 
+               style="background: #007bff; color: white; padding: 15px 30px; 
+                      text-decoration: none; border-radius: 5px; font-weight: bold;
+                      display: inline-block;">
+              Unlock Account
+            </a>
+          </div>
+          
+          <p style="color: #666; line-height: 1.6; font-size: 14px;">
+            If this wasn't you, someone may be trying to guess your password. We recommend
+            <a href="{{resetUrl}}" style="color: #007bff;">resetting your password</a>.
+          </p>
+        </div>
+        
+        <div style="background: #343a40; color: white; padding: 20px; text-align: center;">
+          <p style="margin: 0; font-size: 14px;">
+            © 2024 JobsRo. All rights reserved.<br>
+            Need help? Contact us at support@jobsro.com
+          </p>
+        </div>
+      </div>
+    `
+  },
+
   'job-alert': {
     subject: 'New Jobs Match Your Preferences - JobsRo',
     html: `
@@ -120,7 +165,7 @@ const templates = {
           <h2 style="color: #333; margin-top: 0;">Hi {{name}},</h2>
           
           <p style="color: #666; line-height: 1.6; font-size: 16px;">
-            We found {{jobCount}} new job opportunities that match your preferences:
+            We found {{jobCount}} new job opportunities matching your alert "{{alertName}}":
           </p>
           
           {{#each jobs}}
@@ -250,6 +295,257 @@ const templates = {
           </p>
         </div>
         
+        <div style="background: #343a40; color: white; padding: 20px; text-align: center;">
+          <p style="margin: 0; font-size: 14px;">
+            © 2024 JobsRo. All rights reserved.<br>
+            Need help? Contact us at support@jobsro.com
+          </p>
+        </div>
+      </div>
+    `
+  },
+
+  'interview-scheduling-link': {
+    subject: 'Pick Your Interview Slot - JobsRo',
+    html: `
+      <div style="max-width: 600px; margin: 0 auto; font-family: Arial, sans-serif;">
+        <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center;">
+          <h1 style="color: white; margin: 0; font-size: 28px;">Schedule Your Interview</h1>
+        </div>
+        
+        <div style="padding: 40px 30px; background: #f8f9fa;">
+          <h2 style="color: #333; margin-top: 0;">Hi {{name}},</h2>
+          
+          <p style="color: #666; line-height: 1.6; font-size: 16px;">
+            <strong>{{companyName}}</strong> would like to interview you for <strong>{{jobTitle}}</strong>.
+            Choose a time that suits you from the interviewers' open slots.
+          </p>
+          
+          <p style="color: #666; font-size: 16px; margin: 15px 0;">
+            <strong>Duration:</strong> {{duration}} minutes
+          </p>
+          
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="{{schedulingUrl}}" 
+               style="background: #007bff; color: white; padding: 15px 30px; 
+                      text-decoration: none; border-radius: 5px; font-weight: bold;
+                      display: inline-block;">
+              Pick a Time
+            </a>
+          </div>
+          
+          <p style="color: #666; line-height: 1.6; font-size: 14px;">
+            This link expires on {{expiresAt}}.
+          </p>
+        </div>
+        
+        <div style="background: #343a40; color: white; padding: 20px; text-align: center;">
+          <p style="margin: 0; font-size: 14px;">
+            © 2024 JobsRo. All rights reserved.<br>
+            Need help? Contact us at support@jobsro.com
+          </p>
+        </div>
+      </div>
+    `
+  },
+
+  'offer-letter': {
+    subject: 'You have received an offer - JobsRo',
+    html: `
+      <div style="max-width: 600px; margin: 0 auto; font-family: Arial, sans-serif;">
+        <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center;">
+          <h1 style="color: white; margin: 0; font-size: 28px;">Congratulations!</h1>
+        </div>
+        
+        <div style="padding: 40px 30px; background: #f8f9fa;">
+          <h2 style="color: #333; margin-top: 0;">Hi {{name}},</h2>
+          
+          <p style="color: #666; line-height: 1.6; font-size: 16px;">
+            <strong>{{companyName}}</strong> has sent you an offer. Your offer letter is attached.
+          </p>
+          
+          <div style="border: 1px solid #dee2e6; border-radius: 8px; padding: 20px; margin: 20px 0; background: white;">
+            <h3 style="color: #333; margin-top: 0;">{{designation}}</h3>
+            <p style="color: #666; font-size: 16px; margin: 15px 0;">
+              <strong>Annual CTC:</strong> {{ctcTotal}}
+            </p>
+            <p style="color: #666; font-size: 16px; margin: 15px 0;">
+              <strong>Joining Date:</strong> {{joiningDate}}
+            </p>
+            <p style="color: #666; font-size: 16px; margin: 15px 0;">
+              <strong>Respond By:</strong> {{expiresAt}}
+            </p>
+          </div>
+          
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="{{offerUrl}}" 
+               style="background: #28a745; color: white; padding: 15px 30px; 
+                      text-decoration: none; border-radius: 5px; font-weight: bold;
+                      display: inline-block;">
+              Review &amp; Respond
+            </a>
+          </div>
+          
+          <p style="color: #666; line-height: 1.6; font-size: 14px;">
+            This offer expires automatically if it is not accepted by the date above.
+          </p>
+        </div>
+        
+        <div style="background: #343a40; color: white; padding: 20px; text-align: center;">
+          <p style="margin: 0; font-size: 14px;">
+            © 2024 JobsRo. All rights reserved.<br>
+            Need help? Contact us at support@jobsro.com
+          </p>
+        </div>
+      </div>
+    `
+  },
+
+  'offer-response': {
+    subject: 'Offer Update - JobsRo',
+    html: `
+      <div style="max-width: 600px; margin: 0 auto; font-family: Arial, sans-serif;">
+        <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center;">
+          <h1 style="color: white; margin: 0; font-size: 28px;">Offer Update</h1>
+        </div>
+        
+        <div style="padding: 40px 30px; background: #f8f9fa;">
+          <h2 style="color: #333; margin-top: 0;">Hi {{name}},</h2>
+          
+          <p style="color: #666; line-height: 1.6; font-size: 16px;">
+            <strong>{{candidateName}}</strong> has <strong style="color: {{responseColor}};">{{response}}</strong>
+            the offer for <strong>{{designation}}</strong>.
+          </p>
+          
+          {{#if signatureName}}
+          <div style="border: 1px solid #dee2e6; border-radius: 8px; padding: 20px; margin: 20px 0; background: white;">
+            <p style="color: #666; margin: 10px 0;"><strong>Signed by:</strong> {{signatureName}}</p>
+            <p style="color: #666; margin: 10px 0;"><strong>Signed at:</strong> {{respondedAt}}</p>
+          </div>
+          {{/if}}
+          
+          {{#if declineReason}}
+          <p style="color: #666; font-size: 14px;"><strong>Reason:</strong> {{declineReason}}</p>
+          {{/if}}
+          
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="{{applicationUrl}}" 
+               style="background: #007bff; color: white; padding: 15px 30px; 
+                      text-decoration: none; border-radius: 5px; font-weight: bold;
+                      display: inline-block;">
+              View Candidate
+            </a>
+          </div>
+        </div>
+        
+        <div style="background: #343a40; color: white; padding: 20px; text-align: center;">
+          <p style="margin: 0; font-size: 14px;">
+            © 2024 JobsRo. All rights reserved.<br>
+            Need help? Contact us at support@jobsro.com
+          </p>
+        </div>
+      </div>
+    `
+  },
+
+  'offer-expired': {
+    subject: 'Offer Expired - JobsRo',
+    html: `
+      <div style="max-width: 600px; margin: 0 auto; font-family: Arial, sans-serif;">
+        <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center;">
+          <h1 style="color: white; margin: 0; font-size: 28px;">Offer Expired</h1>
+        </div>
+        
+        <div style="padding: 40px 30px; background: #f8f9fa;">
+          <h2 style="color: #333; margin-top: 0;">Hi {{name}},</h2>
+          
+          <p style="color: #666; line-height: 1.6; font-size: 16px;">
+            The offer for <strong>{{designation}}</strong> at <strong>{{companyName}}</strong>
+            expired on {{expiresAt}} without a response and has been closed.
+          </p>
+          
+          <p style="color: #666; line-height: 1.6; font-size: 14px;">
+            If you believe this is a mistake, please reach out to the hiring team.
+          </p>
+        </div>
+        
+        <div style="background: #343a40; color: white; padding: 20px; text-align: center;">
+          <p style="margin: 0; font-size: 14px;">
+            © 2024 JobsRo. All rights reserved.<br>
+            Need help? Contact us at support@jobsro.com
+          </p>
+        </div>
+      </div>
+    `
+  },
+
+  'company-domain-verification': {
+    subject: 'Your JobsRo company verification code',
+    html: `
+      <div style="max-width: 600px; margin: 0 auto; font-family: Arial, sans-serif;">
+        <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center;">
+          <h1 style="color: white; margin: 0; font-size: 28px;">Verify Your Company Domain</h1>
+        </div>
+
+        <div style="padding: 40px 30px; background: #f8f9fa;">
+          <p style="color: #666; line-height: 1.6; font-size: 16px;">
+            {{requesterName}} asked to verify <strong>{{companyName}}</strong> on JobsRo using this
+            address on <strong>{{domain}}</strong>. Enter this code to confirm:
+          </p>
+
+          <div style="text-align: center; margin: 30px 0;">
+            <span style="font-size: 32px; font-weight: bold; letter-spacing: 8px; color: #333;">{{code}}</span>
+          </div>
+
+          <p style="color: #666; line-height: 1.6; font-size: 14px;">
+            The code expires in {{ttlMinutes}} minutes. If you don't know about this request,
+            you can ignore this email.
+          </p>
+        </div>
+
+        <div style="background: #343a40; color: white; padding: 20px; text-align: center;">
+          <p style="margin: 0; font-size: 14px;">
+            © 2024 JobsRo. All rights reserved.<br>
+            Need help? Contact us at support@jobsro.com
+          </p>
+        </div>
+      </div>
+    `
+  },
+
+  'company-verification-decision': {
+    subject: 'Company Verification Update - JobsRo',
+    html: `
+      <div style="max-width: 600px; margin: 0 auto; font-family: Arial, sans-serif;">
+        <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center;">
+          <h1 style="color: white; margin: 0; font-size: 28px;">Company Verification</h1>
+        </div>
+
+        <div style="padding: 40px 30px; background: #f8f9fa;">
+          <h2 style="color: #333; margin-top: 0;">Hi {{name}},</h2>
+
+          {{#if approved}}
+          <p style="color: #666; line-height: 1.6; font-size: 16px;">
+            <strong>{{companyName}}</strong> is now verified on JobsRo. Candidates will see the
+            verified badge on your company page and jobs.
+          </p>
+          {{/if}}
+
+          {{#if rejected}}
+          <p style="color: #666; line-height: 1.6; font-size: 16px;">
+            We couldn't verify <strong>{{companyName}}</strong> from the details you submitted.
+          </p>
+
+          <p style="color: #666; line-height: 1.6; font-size: 16px;">
+            Reason: {{reason}}
+          </p>
+
+          <p style="color: #666; line-height: 1.6; font-size: 14px;">
+            You can start a new verification request from your company settings.
+          </p>
+          {{/if}}
+        </div>
+
         <div style="background: #343a40; color: white; padding: 20px; text-align: center;">
           <p style="margin: 0; font-size: 14px;">
             © 2024 JobsRo. All rights reserved.<br>
@@ -268,7 +564,15 @@ const renderTemplate = (templateName, data) => {
     throw new Error(`Template ${templateName} not found`);
   }
 
-  let html = template.html;
+  return {
+    subject: template.subject,
+    html: renderString(template.html, data)
+  };
+};
+
+// Render {{placeholders}}, {{#if}} and {{#each}} blocks in any template string
+const renderString = (source, data) => {
+  let html = source;
   
   // Simple template replacement (for production, consider using a proper template engine)
   Object.keys(data).forEach(key => {
@@ -296,14 +600,11 @@ const renderTemplate = (templateName, data) => {
     return '';
   });
 
-  return {
-    subject: template.subject,
-    html
-  };
+  return html;
 };
 
 // Main send email function
-const sendEmail = async ({ to, subject, template, data, html, text }) => {
+const sendEmail = async ({ to, subject, template, data, html, text, attachments }) => {
   try {
     let emailContent = {};
 
@@ -324,6 +625,18 @@ const sendEmail = async ({ to, subject, template, data, html, text }) => {
       text: emailContent.text || text
     };
 
+    // Attachments as [{ content: Buffer|string, filename, type }]
+    if (attachments && attachments.length > 0) {
+      msg.attachments = attachments.map(attachment => ({
+        content: Buffer.isBuffer(attachment.content) ?
+          attachment.content.toString('base64') :
+          Buffer.from(attachment.content).toString('base64'),
+        filename: attachment.filename,
+        type: attachment.type,
+        disposition: 'attachment'
+      }));
+    }
+
     if (process.env.NODE_ENV === 'development' && !process.env.SENDGRID_API_KEY) {
       logger.info('Email would be sent (dev mode):', {
         to: msg.to,
@@ -392,5 +705,6 @@ module.exports = {
   sendEmail,
   sendBulkEmails,
   renderTemplate,
+  renderString,
   templates
 };
\ No newline at end of file
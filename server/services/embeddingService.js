@@ -0,0 +1,343 @@
+const crypto = require('crypto');
+const { OpenAI } = require('openai');
+const { query, transaction } = require('../config/database');
+const logger = require('../utils/logger');
+
+const LOCAL_DIMENSIONS = 1024;
+const MODEL_RELOAD_INTERVAL = 10 * 60 * 1000; // Pick up models fitted by other workers
+const MODEL_MAX_AGE = 24 * 60 * 60 * 1000; // Refit the local model daily as the corpus changes
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'been', 'but', 'by', 'for', 'from', 'has', 'have',
+  'i', 'if', 'in', 'into', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'our', 'so', 'that',
+  'the', 'their', 'them', 'they', 'this', 'to', 'us', 'was', 'we', 'were', 'what', 'which',
+  'who', 'will', 'with', 'you', 'your'
+]);
+
+// Lowercase word tokens, keeping technical terms such as "c++", "c#" and "node.js" intact
+const tokenize = (text) => (String(text || '').toLowerCase().match(/[a-z0-9][a-z0-9+#.]*/g) || [])
+  .map(token => token.replace(/\.+$/, ''))
+  .filter(token => (token.length > 1 || /[+#]/.test(token)) && !STOP_WORDS.has(token));
+
+// Stable bucket for a term (feature hashing keeps vectors a fixed size)
+const hashTerm = (term, dimensions) =>
+  crypto.createHash('md5').update(term).digest().readUInt32BE(0) % dimensions;
+
+const normalize = (vector) => {
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm > 0 ? vector.map(value => value / norm) : vector;
+};
+
+// Offline TF-IDF embeddings over hashed unigrams and bigrams
+class LocalTfidfProvider {
+  constructor(dimensions = LOCAL_DIMENSIONS) {
+    this.name = 'local-tfidf';
+    this.dimensions = dimensions;
+    // Short job and profile texts share few terms, so even strong pairs rarely pass ~0.3
+    this.similarityRange = [0, 0.3];
+    this.model = null;
+  }
+
+  get version() {
+    return this.model ? this.model.version : 0;
+  }
+
+  termCounts(text) {
+    const tokens = tokenize(text);
+    const terms = [...tokens];
+    for (let i = 0; i < tokens.length - 1; i++) {
+      terms.push(`${tokens[i]} ${tokens[i + 1]}`);
+    }
+
+    const counts = new Map();
+    for (const term of terms) {
+      const bucket = hashTerm(term, this.dimensions);
+      counts.set(bucket, (counts.get(bucket) || 0) + 1);
+    }
+    return counts;
+  }
+
+  // Fit smoothed IDF weights over a corpus of documents
+  fit(documents, version = this.version + 1) {
+    const documentFrequency = new Array(this.dimensions).fill(0);
+    for (const document of documents) {
+      for (const bucket of this.termCounts(document).keys()) {
+        documentFrequency[bucket]++;
+      }
+    }
+
+    const documentCount = documents.length;
+    const idf = documentFrequency.map(df => Math.log((1 + documentCount) / (1 + df)) + 1);
+
+    return { version, documentCount, idf };
+  }
+
+  use(model) {
+    this.model = model;
+  }
+
+  // Without a fitted model every term weighs the same (plain sublinear TF)
+  async embed(texts) {
+    const idf = this.model ? this.model.idf : null;
+
+    return texts.map(text => {
+      const vector = new Array(this.dimensions).fill(0);
+      for (const [bucket, count] of this.termCounts(text)) {
+        vector[bucket] = (1 + Math.log(count)) * (idf ? idf[bucket] : 1);
+      }
+      return normalize(vector);
+    });
+  }
+}
+
+// Hosted embeddings from the OpenAI API
+class OpenAIEmbeddingProvider {
+  constructor() {
+    this.modelName = process.env.EMBEDDING_MODEL || 'text-embedding-3-small';
+    this.name = `openai/${this.modelName}`;
+    this.version = 1;
+    this.similarityRange = [0.2, 0.7];
+    this.client = null;
+  }
+
+  async embed(texts) {
+    if (!this.client) {
+      this.client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+    }
+
+    const response = await this.client.embeddings.create({
+      model: this.modelName,
+      input: texts
+    });
+
+    return response.data.map(item => item.embedding);
+  }
+}
+
+// Semantic matching over persisted job and profile vectors
+class EmbeddingService {
+  constructor() {
+    this.providers = new Map();
+    this.localProvider = new LocalTfidfProvider();
+    this.modelLoadedAt = 0;
+
+    this.registerProvider('local', this.localProvider);
+    this.registerProvider('openai', new OpenAIEmbeddingProvider());
+  }
+
+  // Providers expose { name, version, similarityRange, embed(texts) }
+  registerProvider(key, provider) {
+    this.providers.set(key, provider);
+  }
+
+  // EMBEDDING_PROVIDER picks a provider; without it OpenAI is only used when a key is configured
+  getProvider() {
+    const key = process.env.EMBEDDING_PROVIDER || (process.env.OPENAI_API_KEY ? 'openai' : 'local');
+    const provider = this.providers.get(key);
+
+    if (!provider) {
+      logger.warn(`Unknown embedding provider "${key}", using local model`);
+      return this.localProvider;
+    }
+
+    return provider;
+  }
+
+  buildJobText(job) {
+    return [
+      job.title,
+      job.description,
+      job.requirements,
+      job.responsibilities,
+      (job.skills_required || []).join(', '),
+      job.industry,
+      job.job_function
+    ].filter(Boolean).join('\n');
+  }
+
+  buildProfileText(profile) {
+    return [
+      profile.headline,
+      profile.current_position,
+      profile.summary,
+      (profile.skills || []).join(', '),
+      profile.current_company
+    ].filter(Boolean).join('\n');
+  }
+
+  buildText(entityType, entity) {
+    return entityType === 'job' ? this.buildJobText(entity) : this.buildProfileText(entity);
+  }
+
+  // Load the latest local model, refitting it when missing or older than a day
+  async prepareLocalModel() {
+    if (Date.now() - this.modelLoadedAt < MODEL_RELOAD_INTERVAL) return;
+
+    const result = await query(`
+      SELECT version, document_count, idf, created_at
+      FROM embedding_models
+      WHERE provider = $1
+      ORDER BY version DESC
+      LIMIT 1
+    `, [this.localProvider.name]);
+
+    const latest = result.rows[0];
+
+    if (latest && Date.now() - new Date(latest.created_at).getTime() < MODEL_MAX_AGE) {
+      this.localProvider.use({
+        version: latest.version,
+        documentCount: latest.document_count,
+        idf: latest.idf
+      });
+    } else {
+      await this.fitLocalModel(latest ? latest.version + 1 : 1);
+    }
+
+    this.modelLoadedAt = Date.now();
+  }
+
+  // Fit IDF weights over active jobs and job seeker profiles
+  async fitLocalModel(version) {
+    const jobsResult = await query(`
+      SELECT title, description, requirements, responsibilities, skills_required, industry, job_function
+      FROM jobs
+      WHERE status = 'active' AND deleted_at IS NULL
+    `);
+
+    const profilesResult = await query(`
+      SELECT headline, summary, current_position, current_company, skills
+      FROM job_seekers
+    `);
+
+    const documents = [
+      ...jobsResult.rows.map(job => this.buildJobText(job)),
+      ...profilesResult.rows.map(profile => this.buildProfileText(profile))
+    ];
+
+    const model = this.localProvider.fit(documents, version);
+
+    // Another worker may have fitted this version first; keep whichever row landed
+    const result = await query(`
+      INSERT INTO embedding_models (provider, version, dimensions, document_count, idf)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (provider, version) DO UPDATE SET provider = EXCLUDED.provider
+      RETURNING version, document_count, idf
+    `, [this.localProvider.name, model.version, this.localProvider.dimensions, model.documentCount, model.idf]);
+
+    const saved = result.rows[0];
+    this.localProvider.use({
+      version: saved.version,
+      documentCount: saved.document_count,
+      idf: saved.idf
+    });
+
+    logger.info(`Fitted local embedding model v${saved.version} on ${documents.length} documents`);
+  }
+
+  // Vectors keyed by entity id; persisted vectors are reused while the text and model are unchanged
+  async getVectors(entityType, entities, provider) {
+    if (provider === this.localProvider) {
+      await this.prepareLocalModel();
+    }
+
+    const texts = new Map(entities.map(entity => [entity.id, this.buildText(entityType, entity)]));
+    const hashes = new Map(
+      [...texts].map(([id, text]) => [id, crypto.createHash('sha256').update(text).digest('hex')])
+    );
+
+    const existing = await query(`
+      SELECT entity_id, model_version, content_hash, vector
+      FROM entity_embeddings
+      WHERE entity_type = $1 AND provider = $2 AND entity_id = ANY($3)
+    `, [entityType, provider.name, [...texts.keys()]]);
+
+    const vectors = new Map();
+    for (const row of existing.rows) {
+      if (row.model_version === provider.version && row.content_hash === hashes.get(row.entity_id)) {
+        vectors.set(row.entity_id, row.vector);
+      }
+    }
+
+    const missing = entities.filter(entity => !vectors.has(entity.id));
+    if (missing.length === 0) return vectors;
+
+    const embedded = await provider.embed(missing.map(entity => texts.get(entity.id)));
+
+    await transaction(async (client) => {
+      for (let i = 0; i < missing.length; i++) {
+        const entityId = missing[i].id;
+
+        await client.query(`
+          INSERT INTO entity_embeddings (entity_type, entity_id, provider, model_version, dimensions, vector, content_hash)
+          VALUES ($1, $2, $3, $4, $5, $6, $7)
+          ON CONFLICT (entity_type, entity_id, provider) DO UPDATE SET
+            model_version = EXCLUDED.model_version,
+            dimensions = EXCLUDED.dimensions,
+            vector = EXCLUDED.vector,
+            content_hash = EXCLUDED.content_hash
+        `, [entityType, entityId, provider.name, provider.version, embedded[i].length, embedded[i], hashes.get(entityId)]);
+
+        vectors.set(entityId, embedded[i]);
+      }
+    });
+
+    return vectors;
+  }
+
+  cosineSimilarity(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+      dot += a[i] * b[i];
+      normA += a[i] * a[i];
+      normB += b[i] * b[i];
+    }
+
+    if (normA === 0 || normB === 0) return 0;
+    return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+  }
+
+  // Map a provider's typical cosine range onto the 0-100 match scale
+  toScore(similarity, provider) {
+    const [low, high] = provider.similarityRange;
+    return Math.max(0, Math.min(100, ((similarity - low) / (high - low)) * 100));
+  }
+
+  // Semantic scores (0-100) of targets against a source, keyed by target id.
+  // Entities without any text are left out so callers can apply their own default.
+  async scoreMatches(sourceType, source, targetType, targets) {
+    const provider = this.getProvider();
+
+    try {
+      return await this.scoreWithProvider(provider, sourceType, source, targetType, targets);
+    } catch (error) {
+      if (provider === this.localProvider) throw error;
+
+      logger.warn(`Embedding provider ${provider.name} failed, falling back to local model:`, error.message);
+      return this.scoreWithProvider(this.localProvider, sourceType, source, targetType, targets);
+    }
+  }
+
+  async scoreWithProvider(provider, sourceType, source, targetType, targets) {
+    const scores = new Map();
+    if (!this.buildText(sourceType, source)) return scores;
+
+    const scorableTargets = targets.filter(target => this.buildText(targetType, target));
+    if (scorableTargets.length === 0) return scores;
+
+    const sourceVectors = await this.getVectors(sourceType, [source], provider);
+    const targetVectors = await this.getVectors(targetType, scorableTargets, provider);
+    const sourceVector = sourceVectors.get(source.id);
+
+    for (const target of scorableTargets) {
+      const similarity = this.cosineSimilarity(sourceVector, targetVectors.get(target.id));
+      scores.set(target.id, this.toScore(similarity, provider));
+    }
+
+    return scores;
+  }
+}
+
+module.exports = new EmbeddingService();
@@ -0,0 +1,98 @@
+const gazetteer = require('../data/indian-cities.json');
+
+const EARTH_RADIUS_KM = 6371;
+
+// Offline geocoding against the bundled Indian city/pincode gazetteer
+class GeoService {
+  constructor() {
+    this.cities = gazetteer.cities;
+    this.nameIndex = new Map();
+    this.pincodePrefixes = [];
+
+    for (const city of this.cities) {
+      for (const name of [city.name, ...city.aliases]) {
+        this.nameIndex.set(this.normalizeName(name), city);
+      }
+      for (const prefix of city.pincode_prefixes) {
+        this.pincodePrefixes.push({ prefix, city });
+      }
+    }
+
+    // Longest prefix first so "4007xx" resolves to Navi Mumbai before Mumbai
+    this.pincodePrefixes.sort((a, b) => b.prefix.length - a.prefix.length);
+
+    // Longest name first for the substring scan, so "Navi Mumbai" wins over "Mumbai"
+    this.namesByLength = [...this.nameIndex.keys()].sort((a, b) => b.length - a.length);
+  }
+
+  normalizeName(name) {
+    return name.toLowerCase().replace(/[^a-z\s-]/g, '').replace(/\s+/g, ' ').trim();
+  }
+
+  // Resolve a free-text location ("Andheri East, Mumbai 400069", "Bangalore") to a city
+  geocode(location) {
+    if (!location || typeof location !== 'string') return null;
+
+    // Pincodes are the most precise signal when present
+    const pincodeMatch = location.match(/\b(\d{6})\b/);
+    if (pincodeMatch) {
+      const city = this.lookupPincode(pincodeMatch[1]);
+      if (city) return this.toResult(city, pincodeMatch[1]);
+    }
+
+    // Try the whole string, then each comma separated part from most to least specific
+    const candidates = [location, ...location.split(/[,/|]/)];
+    for (const candidate of candidates) {
+      const city = this.nameIndex.get(this.normalizeName(candidate));
+      if (city) return this.toResult(city);
+    }
+
+    // Finally look for a known name anywhere in the text
+    const normalized = ` ${this.normalizeName(location)} `;
+    for (const name of this.namesByLength) {
+      if (normalized.includes(` ${name} `)) {
+        return this.toResult(this.nameIndex.get(name));
+      }
+    }
+
+    return null;
+  }
+
+  lookupPincode(pincode) {
+    const entry = this.pincodePrefixes.find(({ prefix }) => pincode.startsWith(prefix));
+    return entry ? entry.city : null;
+  }
+
+  toResult(city, pincode = null) {
+    return {
+      city: city.name,
+      state: city.state,
+      latitude: city.latitude,
+      longitude: city.longitude,
+      pincode
+    };
+  }
+
+  // Great-circle distance between two points in kilometres
+  distanceKm(from, to) {
+    const toRadians = (deg) => deg * Math.PI / 180;
+    const dLat = toRadians(to.latitude - from.latitude);
+    const dLng = toRadians(to.longitude - from.longitude);
+
+    const a = Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) *
+      Math.sin(dLng / 2) ** 2;
+
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+  }
+
+  // Distance between two free-text locations, or null if either cannot be resolved
+  distanceBetween(locationA, locationB) {
+    const a = this.geocode(locationA);
+    const b = this.geocode(locationB);
+    if (!a || !b) return null;
+    return this.distanceKm(a, b);
+  }
+}
+
+module.exports = new GeoService();
@@ -0,0 +1,400 @@
+const { query, transaction } = require('../config/database');
+const logger = require('../utils/logger');
+
+// Rubric scale shared by every competency; rounds can describe each level in their own words
+const RATING_SCALE = {
+  1: 'Strong no',
+  2: 'No',
+  3: 'Yes',
+  4: 'Strong yes'
+};
+
+const RECOMMENDATION_SCORES = {
+  strong_no_hire: 1,
+  no_hire: 2,
+  hire: 3,
+  strong_hire: 4
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const average = (values) => (values.length > 0
+  ? round2(values.reduce((sum, value) => sum + value, 0) / values.length)
+  : null);
+
+// Interview plans per job, interview panels and panelist scorecards
+class InterviewPlanService {
+
+  // Plan with its rounds in order, or null when the job has none
+  async getPlan(jobId) {
+    const planResult = await query('SELECT * FROM interview_plans WHERE job_id = $1', [jobId]);
+    const plan = planResult.rows[0];
+    if (!plan) return null;
+
+    const roundsResult = await query(
+      'SELECT * FROM interview_rounds WHERE plan_id = $1 ORDER BY position ASC',
+      [plan.id]
+    );
+
+    return { ...plan, rating_scale: RATING_SCALE, rounds: roundsResult.rows };
+  }
+
+  // Replace the rounds of a job's plan; rounds sent with an id are updated in place
+  async savePlan(jobId, rounds, userId) {
+    await transaction(async (client) => {
+      const planResult = await client.query(`
+        INSERT INTO interview_plans (job_id, created_by)
+        VALUES ($1, $2)
+        ON CONFLICT (job_id) DO UPDATE SET updated_at = NOW()
+        RETURNING id
+      `, [jobId, userId]);
+      const planId = planResult.rows[0].id;
+
+      const keptIds = rounds.filter(round => round.id).map(round => round.id);
+      await client.query(
+        'DELETE FROM interview_rounds WHERE plan_id = $1 AND NOT (id = ANY($2::uuid[]))',
+        [planId, keptIds]
+      );
+
+      for (const [index, round] of rounds.entries()) {
+        const values = [
+          index + 1,
+          round.name,
+          round.description || null,
+          round.duration_minutes,
+          round.panelist_ids,
+          JSON.stringify(round.competencies)
+        ];
+
+        if (round.id) {
+          await client.query(`
+            UPDATE interview_rounds
+            SET position = $3, name = $4, description = $5, duration_minutes = $6,
+                panelist_ids = $7, competencies = $8
+            WHERE id = $1 AND plan_id = $2
+          `, [round.id, planId, ...values]);
+        } else {
+          await client.query(`
+            INSERT INTO interview_rounds (
+              plan_id, position, name, description, duration_minutes, panelist_ids, competencies
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+          `, [planId, ...values]);
+        }
+      }
+    });
+
+    logger.info(`Interview plan saved for job ${jobId} by user ${userId}`);
+
+    return this.getPlan(jobId);
+  }
+
+  // Round, provided it belongs to the job's plan
+  async getRoundForJob(roundId, jobId) {
+    const result = await query(`
+      SELECT r.*
+      FROM interview_rounds r
+      JOIN interview_plans p ON r.plan_id = p.id
+      WHERE r.id = $1 AND p.job_id = $2
+    `, [roundId, jobId]);
+
+    return result.rows[0] || null;
+  }
+
+  // True when every user is an admin, the job owner or an employer at the hiring company
+  async belongToHiringTeam(userIds, companyId, ownerUserId) {
+    const uniqueIds = [...new Set(userIds)];
+    if (uniqueIds.length === 0) return true;
+
+    const result = await query(`
+      SELECT u.id
+      FROM users u
+      LEFT JOIN employers e ON e.user_id = u.id
+      WHERE u.id = ANY($1)
+        AND (u.role = 'admin' OR e.company_id = $2 OR u.id = $3)
+    `, [uniqueIds, companyId, ownerUserId]);
+
+    return result.rows.length === uniqueIds.length;
+  }
+
+  // Put the given users and the round's default panel on an interview
+  async addPanelists(interviewId, panelistIds, roundId = null, client = null) {
+    const run = client ? client.query.bind(client) : query;
+
+    const result = await run(`
+      INSERT INTO interview_panelists (interview_id, panelist_id)
+      SELECT DISTINCT $1::uuid, panelist_id
+      FROM unnest($2::uuid[] || COALESCE(
+        (SELECT panelist_ids FROM interview_rounds WHERE id = $3), '{}'::uuid[]
+      )) AS panelist_id
+      ON CONFLICT DO NOTHING
+      RETURNING panelist_id
+    `, [interviewId, panelistIds, roundId]);
+
+    return result.rows.map(row => row.panelist_id);
+  }
+
+  // Interview with the round, the job owner and the panel
+  async getInterviewContext(interviewId) {
+    const result = await query(`
+      SELECT vi.id, vi.application_id, vi.interviewer_id, vi.round_id, vi.status,
+             a.job_id, e.user_id as employer_user_id,
+             r.name as round_name, r.competencies,
+             COALESCE(
+               (SELECT array_agg(ip.panelist_id) FROM interview_panelists ip WHERE ip.interview_id = vi.id),
+               '{}'
+             ) as panelist_ids
+      FROM video_interviews vi
+      JOIN applications a ON vi.application_id = a.id
+      JOIN jobs j ON a.job_id = j.id
+      JOIN employers e ON j.employer_id = e.id
+      LEFT JOIN interview_rounds r ON vi.round_id = r.id
+      WHERE vi.id = $1
+    `, [interviewId]);
+
+    return result.rows[0] || null;
+  }
+
+  // Error message for a scorecard that cannot be saved, or null
+  validateScorecard(competencies, { ratings, recommendation }, submit) {
+    const known = new Set((competencies || []).map(competency => competency.key));
+
+    if (known.size > 0) {
+      const unknown = ratings.filter(rating => !known.has(rating.competency));
+      if (unknown.length > 0) {
+        return `Unknown competencies: ${unknown.map(rating => rating.competency).join(', ')}`;
+      }
+    }
+
+    if (!submit) return null;
+
+    const rated = new Set(ratings.map(rating => rating.competency));
+    const missing = [...known].filter(key => !rated.has(key));
+    if (missing.length > 0) {
+      return `Rate every competency before submitting. Missing: ${missing.join(', ')}`;
+    }
+
+    if (!recommendation) {
+      return 'A hire recommendation is required to submit';
+    }
+
+    return null;
+  }
+
+  async saveScorecard({ interviewId, panelistId, ratings, recommendation, summary, submit }) {
+    const result = await query(`
+      INSERT INTO interview_scorecards (
+        interview_id, panelist_id, ratings, recommendation, summary, status, submitted_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, CASE WHEN $6 = 'submitted' THEN NOW() END)
+      ON CONFLICT (interview_id, panelist_id) DO UPDATE
+      SET ratings = EXCLUDED.ratings,
+          recommendation = EXCLUDED.recommendation,
+          summary = EXCLUDED.summary,
+          status = EXCLUDED.status,
+          submitted_at = EXCLUDED.submitted_at
+      WHERE interview_scorecards.status = 'draft'
+      RETURNING *
+    `, [
+      interviewId,
+      panelistId,
+      JSON.stringify(ratings),
+      recommendation || null,
+      summary || null,
+      submit ? 'submitted' : 'draft'
+    ]);
+
+    if (submit && result.rows[0]) {
+      logger.info(`Scorecard submitted for interview ${interviewId} by user ${panelistId}`);
+    }
+
+    // No row means the scorecard was submitted in the meantime
+    return result.rows[0] || null;
+  }
+
+  // Scorecards the user may read: others' only once their own is in (panelists), drafts never
+  async getVisibleScorecards(interview, userId) {
+    const result = await query(`
+      SELECT s.*, u.first_name as panelist_first_name, u.last_name as panelist_last_name
+      FROM interview_scorecards s
+      JOIN users u ON s.panelist_id = u.id
+      WHERE s.interview_id = $1
+      ORDER BY s.submitted_at ASC NULLS LAST
+    `, [interview.id]);
+
+    const own = result.rows.find(scorecard => scorecard.panelist_id === userId) || null;
+    const isPanelist = interview.panelist_ids.includes(userId);
+    const othersHidden = isPanelist && own?.status !== 'submitted';
+
+    const scorecards = result.rows.filter(scorecard => (
+      scorecard.panelist_id === userId ||
+      (!othersHidden && scorecard.status === 'submitted')
+    ));
+
+    return { scorecards, othersHidden };
+  }
+
+  // True while the user still owes a scorecard on any live interview for the application
+  async hasPendingScorecard(applicationId, userId) {
+    const result = await query(`
+      SELECT 1
+      FROM video_interviews vi
+      JOIN interview_panelists ip ON ip.interview_id = vi.id AND ip.panelist_id = $2
+      LEFT JOIN interview_scorecards s ON s.interview_id = vi.id AND s.panelist_id = $2
+      WHERE vi.application_id = $1
+        AND vi.status != 'cancelled'
+        AND (s.id IS NULL OR s.status != 'submitted')
+      LIMIT 1
+    `, [applicationId, userId]);
+
+    return result.rows.length > 0;
+  }
+
+  async isPanelist(interviewId, userId) {
+    const result = await query(
+      'SELECT 1 FROM interview_panelists WHERE interview_id = $1 AND panelist_id = $2',
+      [interviewId, userId]
+    );
+
+    return result.rows.length > 0;
+  }
+
+  async isApplicationPanelist(applicationId, userId) {
+    const result = await query(`
+      SELECT 1
+      FROM video_interviews vi
+      JOIN interview_panelists ip ON ip.interview_id = vi.id
+      WHERE vi.application_id = $1 AND ip.panelist_id = $2
+      LIMIT 1
+    `, [applicationId, userId]);
+
+    return result.rows.length > 0;
+  }
+
+  scoreToRecommendation(score) {
+    if (score >= 3.5) return 'strong_hire';
+    if (score >= 2.5) return 'hire';
+    if (score >= 1.5) return 'no_hire';
+    return 'strong_no_hire';
+  }
+
+  // Weighted average of a scorecard's competency ratings
+  competencyScore(ratings, competencies) {
+    const weights = new Map((competencies || []).map(competency => [competency.key, competency.weight || 1]));
+
+    let total = 0;
+    let weightSum = 0;
+    for (const { competency, rating } of ratings) {
+      const weight = weights.get(competency) || 1;
+      total += rating * weight;
+      weightSum += weight;
+    }
+
+    return weightSum > 0 ? total / weightSum : null;
+  }
+
+  // Aggregate submitted scorecards per round and overall into a hire / no-hire recommendation
+  async getApplicationSummary(applicationId) {
+    const result = await query(`
+      SELECT vi.id as interview_id, vi.round_id, vi.status as interview_status, vi.scheduled_at,
+             r.name as round_name, r.position as round_position, r.competencies,
+             ip.panelist_id, u.first_name, u.last_name,
+             s.status as scorecard_status, s.ratings, s.recommendation
+      FROM video_interviews vi
+      JOIN interview_panelists ip ON ip.interview_id = vi.id
+      JOIN users u ON ip.panelist_id = u.id
+      LEFT JOIN interview_rounds r ON vi.round_id = r.id
+      LEFT JOIN interview_scorecards s ON s.interview_id = vi.id AND s.panelist_id = ip.panelist_id
+      WHERE vi.application_id = $1 AND vi.status != 'cancelled'
+      ORDER BY r.position ASC NULLS LAST, vi.scheduled_at ASC
+    `, [applicationId]);
+
+    const rounds = new Map();
+    const recommendationScores = [];
+    const competencyScores = [];
+    let strongNoHires = 0;
+
+    for (const row of result.rows) {
+      const roundKey = row.round_id || 'unplanned';
+      if (!rounds.has(roundKey)) {
+        rounds.set(roundKey, {
+          round_id: row.round_id,
+          name: row.round_name || 'Unplanned interviews',
+          position: row.round_position,
+          competencyDefs: row.competencies || [],
+          interviews: new Set(),
+          ratings: new Map(),
+          recommendationScores: [],
+          submitted: 0,
+          pending: []
+        });
+      }
+      const round = rounds.get(roundKey);
+      round.interviews.add(row.interview_id);
+
+      if (row.scorecard_status !== 'submitted') {
+        round.pending.push({
+          interview_id: row.interview_id,
+          panelist_id: row.panelist_id,
+          name: `${row.first_name} ${row.last_name}`.trim()
+        });
+        continue;
+      }
+
+      round.submitted += 1;
+
+      const score = RECOMMENDATION_SCORES[row.recommendation];
+      round.recommendationScores.push(score);
+      recommendationScores.push(score);
+      if (row.recommendation === 'strong_no_hire') strongNoHires += 1;
+
+      for (const { competency, rating } of row.ratings) {
+        if (!round.ratings.has(competency)) round.ratings.set(competency, []);
+        round.ratings.get(competency).push(rating);
+      }
+
+      const competencyScore = this.competencyScore(row.ratings, row.competencies);
+      if (competencyScore !== null) competencyScores.push(competencyScore);
+    }
+
+    const roundSummaries = [...rounds.values()].map(round => {
+      const names = new Map(round.competencyDefs.map(competency => [competency.key, competency.name]));
+      const score = average(round.recommendationScores);
+
+      return {
+        round_id: round.round_id,
+        name: round.name,
+        position: round.position,
+        interviews: round.interviews.size,
+        submitted: round.submitted,
+        pending: round.pending,
+        competencies: [...round.ratings.entries()].map(([key, ratings]) => ({
+          key,
+          name: names.get(key) || key,
+          average: average(ratings),
+          ratings: ratings.length
+        })),
+        score,
+        recommendation: score === null ? null : this.scoreToRecommendation(score)
+      };
+    });
+
+    const score = average(recommendationScores);
+    const pending = roundSummaries.reduce((sum, round) => sum + round.pending.length, 0);
+
+    return {
+      application_id: applicationId,
+      rounds: roundSummaries,
+      overall: {
+        decision: score === null ? null : (score >= 2.5 ? 'hire' : 'no_hire'),
+        recommendation: score === null ? null : this.scoreToRecommendation(score),
+        score,
+        competency_score: average(competencyScores),
+        submitted: recommendationScores.length,
+        pending,
+        complete: recommendationScores.length > 0 && pending === 0,
+        strong_no_hire_count: strongNoHires
+      }
+    };
+  }
+}
+
+module.exports = new InterviewPlanService();
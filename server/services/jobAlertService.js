@@ -0,0 +1,255 @@
+const jwt = require('jsonwebtoken');
+const { query } = require('../config/database');
+const { sendEmail } = require('./email');
+const jobSearchService = require('./jobSearchService');
+const settingsService = require('./settingsService');
+const logger = require('../utils/logger');
+
+const MAX_ALERTS_PER_USER = 20;
+const DIGEST_JOB_LIMIT = 20;
+const DIGEST_PERIOD_DAYS = { daily: 1, weekly: 7 };
+const UNSUBSCRIBE_AUDIENCE = 'job-alert-unsubscribe';
+
+class JobAlertService {
+  async listAlerts(jobSeekerId) {
+    const result = await query(`
+      SELECT id, name, frequency, filters, is_active, last_sent, created_at, updated_at
+      FROM job_alerts
+      WHERE job_seeker_id = $1
+      ORDER BY created_at DESC
+    `, [jobSeekerId]);
+
+    return result.rows;
+  }
+
+  async getAlert(alertId, jobSeekerId) {
+    const result = await query(
+      'SELECT * FROM job_alerts WHERE id = $1 AND job_seeker_id = $2',
+      [alertId, jobSeekerId]
+    );
+    return result.rows[0] || null;
+  }
+
+  // Null when the job seeker already has the maximum number of alerts
+  async createAlert(jobSeekerId, { name, frequency, filters }) {
+    const countResult = await query(
+      'SELECT COUNT(*) as total FROM job_alerts WHERE job_seeker_id = $1',
+      [jobSeekerId]
+    );
+    if (parseInt(countResult.rows[0].total) >= MAX_ALERTS_PER_USER) {
+      return null;
+    }
+
+    const result = await query(`
+      INSERT INTO job_alerts (job_seeker_id, name, frequency, filters)
+      VALUES ($1, $2, $3, $4)
+      RETURNING id, name, frequency, filters, is_active, last_sent, created_at, updated_at
+    `, [jobSeekerId, name, frequency, JSON.stringify(filters)]);
+
+    return result.rows[0];
+  }
+
+  async updateAlert(alertId, jobSeekerId, updates) {
+    const fields = Object.keys(updates);
+    const values = fields.map(field => (field === 'filters' ? JSON.stringify(updates[field]) : updates[field]));
+    const assignments = fields.map((field, i) => `${field} = $${i + 1}`);
+
+    const result = await query(`
+      UPDATE job_alerts SET ${assignments.join(', ')}
+      WHERE id = $${fields.length + 1} AND job_seeker_id = $${fields.length + 2}
+      RETURNING id, name, frequency, filters, is_active, last_sent, created_at, updated_at
+    `, [...values, alertId, jobSeekerId]);
+
+    return result.rows[0] || null;
+  }
+
+  async deleteAlert(alertId, jobSeekerId) {
+    const result = await query(
+      'DELETE FROM job_alerts WHERE id = $1 AND job_seeker_id = $2',
+      [alertId, jobSeekerId]
+    );
+    return result.rowCount > 0;
+  }
+
+  // Active jobs meeting every filter, newest first. `since`/`until` bound posted_at and
+  // `jobId` restricts the match to a single job.
+  async findMatches(filters, { since, until, jobId, limit = DIGEST_JOB_LIMIT } = {}) {
+    const { whereClause, params } = await jobSearchService.buildFilters(filters);
+    let conditions = whereClause;
+
+    if (since) {
+      params.push(since);
+      conditions += ` AND j.posted_at > $${params.length}`;
+    }
+    if (until) {
+      params.push(until);
+      conditions += ` AND j.posted_at <= $${params.length}`;
+    }
+    if (jobId) {
+      params.push(jobId);
+      conditions += ` AND j.id = $${params.length}`;
+    }
+
+    params.push(limit);
+    const result = await query(`
+      SELECT j.id, j.title, j.slug, j.description, j.location, j.remote_ok, j.employment_type,
+             j.salary_min, j.salary_max, j.salary_disclosed, j.posted_at,
+             c.name as company_name, COUNT(*) OVER() as total_matches
+      FROM jobs j
+      LEFT JOIN companies c ON j.company_id = c.id
+      ${conditions}
+      ORDER BY j.posted_at DESC
+      LIMIT $${params.length}
+    `, params);
+
+    return result.rows;
+  }
+
+  getUnsubscribeToken(alertId) {
+    return jwt.sign({ alert_id: alertId }, process.env.JWT_SECRET, {
+      audience: UNSUBSCRIBE_AUDIENCE,
+      algorithm: 'HS256'
+    });
+  }
+
+  // Deactivate the alert named in a signed unsubscribe link; null if the token is invalid
+  async unsubscribe(token) {
+    let payload;
+    try {
+      payload = jwt.verify(token, process.env.JWT_SECRET, {
+        audience: UNSUBSCRIBE_AUDIENCE,
+        algorithms: ['HS256']
+      });
+    } catch (error) {
+      return null;
+    }
+
+    const result = await query(`
+      UPDATE job_alerts SET is_active = false
+      WHERE id = $1
+      RETURNING id, name
+    `, [payload.alert_id]);
+
+    return result.rows[0] || null;
+  }
+
+  // Search page for the alert's filters, used as the "view all" link
+  getSearchUrl(filters) {
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries(filters || {})) {
+      [].concat(value).forEach(item => params.append(key, item));
+    }
+    const search = params.toString();
+    return `${process.env.FRONTEND_URL}/jobs${search ? `?${search}` : ''}`;
+  }
+
+  async sendAlertEmail(alert, jobs) {
+    await sendEmail({
+      to: alert.email,
+      template: 'job-alert',
+      data: {
+        name: alert.first_name,
+        alertName: alert.name,
+        jobCount: jobs[0].total_matches,
+        jobs: jobs.map(job => ({
+          title: job.title,
+          companyName: job.company_name,
+          location: job.location,
+          salary: job.salary_disclosed ?
+            `₹${job.salary_min}-${job.salary_max}` : 'Salary not disclosed',
+          summary: job.description.substring(0, 200) + '...',
+          jobUrl: `${process.env.FRONTEND_URL}/jobs/${job.slug}`
+        })),
+        viewAllUrl: this.getSearchUrl(alert.filters),
+        unsubscribeUrl: `${process.env.FRONTEND_URL}/unsubscribe?token=${this.getUnsubscribeToken(alert.id)}`
+      }
+    });
+  }
+
+  // Active alerts with their owner's contact details
+  async getActiveAlerts(whereClause, params) {
+    const result = await query(`
+      SELECT ja.*, u.email, u.first_name
+      FROM job_alerts ja
+      JOIN job_seekers js ON ja.job_seeker_id = js.id
+      JOIN users u ON js.user_id = u.id
+      WHERE ja.is_active = true AND u.status = 'active' AND ${whereClause}
+    `, params);
+
+    return result.rows;
+  }
+
+  // Email 'immediate' alerts that match a newly posted job
+  async sendImmediateAlerts(job) {
+    const alerts = await this.getActiveAlerts(`ja.frequency = 'immediate'`, []);
+    let sent = 0;
+
+    for (const alert of alerts) {
+      try {
+        const jobs = await this.findMatches(alert.filters, { jobId: job.id, limit: 1 });
+        if (jobs.length === 0) continue;
+
+        await this.sendAlertEmail(alert, jobs);
+        await query('UPDATE job_alerts SET last_sent = NOW() WHERE id = $1', [alert.id]);
+        sent++;
+      } catch (error) {
+        logger.error(`Failed to send job alert ${alert.id}:`, error);
+      }
+    }
+
+    if (sent > 0) {
+      logger.info(`Job alerts sent for job ${job.id}: ${sent}`);
+    }
+    return sent;
+  }
+
+  // Daily and weekly digests of jobs posted since each alert was last sent. An hour of
+  // slack keeps an alert due when yesterday's digest went out a little late.
+  async sendDigests() {
+    if (!(await settingsService.get('notifications', 'daily_job_alerts'))) {
+      return { skipped: true };
+    }
+
+    const until = new Date();
+    const alerts = await this.getActiveAlerts(`
+      ja.frequency IN ('daily', 'weekly')
+      AND (ja.last_sent IS NULL OR ja.last_sent < $1::timestamp
+           - CASE ja.frequency WHEN 'weekly' THEN INTERVAL '7 days' ELSE INTERVAL '1 day' END
+           + INTERVAL '1 hour')
+    `, [until]);
+
+    let sent = 0;
+    let failed = 0;
+
+    for (const alert of alerts) {
+      try {
+        const periodStart = new Date(until.getTime() - DIGEST_PERIOD_DAYS[alert.frequency] * 24 * 60 * 60 * 1000);
+        const jobs = await this.findMatches(alert.filters, { since: alert.last_sent || periodStart, until });
+
+        if (jobs.length > 0) {
+          await this.sendAlertEmail(alert, jobs);
+          sent++;
+        }
+
+        // Advance the window even when nothing matched so jobs are never sent twice
+        await query('UPDATE job_alerts SET last_sent = $1 WHERE id = $2', [until, alert.id]);
+      } catch (error) {
+        failed++;
+        logger.error(`Failed to send job alert digest ${alert.id}:`, error);
+      }
+    }
+
+    if (sent > 0) {
+      logger.info(`Sent ${sent} job alert digests`);
+    }
+
+    // Surface a wholesale failure (e.g. email provider down) so the scheduler retries
+    if (failed > 0 && failed === alerts.length) {
+      throw new Error(`All ${failed} job alert digests failed`);
+    }
+
+    return { due: alerts.length, sent, failed };
+  }
+}
+
+module.exports = new JobAlertService();
@@ -0,0 +1,192 @@
+const { query } = require('../config/database');
+const settingsService = require('./settingsService');
+
+// Points per red flag; the total (capped at 100) is compared with jobs.scam_hold_threshold
+const RULE_POINTS = {
+  fee_request: 50,
+  duplicate_text: 30,
+  unrealistic_salary: 25,
+  personal_email: 20,
+  contact_number: 15,
+  personal_account_email: 10
+};
+
+const FEE_PATTERNS = [
+  /\b(registration|joining|processing|training|security|interview|documentation|verification|kit|id card|form)\s+(fee|fees|charges?|deposit|amount)\b/gi,
+  /\brefundable\s+(deposit|fee|fees|amount)\b/gi,
+  /\b(advance\s+payment|pay\s+(rs\.?|inr|₹)\s*\d[\d,]*)/gi,
+  /₹\s*\d[\d,]*\s*(only\s+)?(to|for)\s+(register|registration|join|confirm)/gi
+];
+
+// A fee mention this close after a negation ("there is no registration fee", "we never
+// charge joining fees") is a reassurance, not a request
+const NEGATION_PATTERN = /\b(no|not|never|without|free of|waived|zero|nil|don'?t|doesn'?t|won'?t)\b/i;
+const NEGATION_WINDOW_WORDS = 4;
+
+const EMAIL_PATTERN = /[a-z0-9._%+-]+@([a-z0-9.-]+\.[a-z]{2,})/gi;
+
+// Digit runs that may be phone numbers, checked as Indian mobile numbers (with or without
+// +91 / 0) once spaces and dashes are removed
+const DIGIT_RUN_PATTERN = /\+?\d[\d\s-]{8,15}\d/g;
+const MOBILE_NUMBER_PATTERN = /^(?:\+?91|0)?[6-9]\d{9}$/;
+
+const PERSONAL_EMAIL_DOMAINS = new Set([
+  'gmail.com', 'googlemail.com', 'yahoo.com', 'yahoo.co.in', 'ymail.com', 'rediffmail.com',
+  'hotmail.com', 'outlook.com', 'live.com', 'msn.com', 'icloud.com', 'me.com', 'aol.com',
+  'protonmail.com', 'proton.me', 'zoho.com', 'mail.com', 'gmx.com'
+]);
+
+// Highest plausible INR annual salary for the minimum experience asked for
+const SALARY_CEILING_BASE = 1500000;
+const SALARY_CEILING_PER_YEAR = 1000000;
+
+// Descriptions shorter than this are too generic to call copies
+const MIN_DUPLICATE_LENGTH = 200;
+
+// Rule-based scam scoring for job postings: fee requests, personal contact emails,
+// salaries out of line with the experience asked for, text copied from other employers'
+// jobs and phone numbers in the description.
+class JobRiskService {
+  isPersonalDomain(domain) {
+    return PERSONAL_EMAIL_DOMAINS.has(domain.toLowerCase());
+  }
+
+  hasPhoneNumber(text) {
+    return (text.match(DIGIT_RUN_PATTERN) || [])
+      .some(run => MOBILE_NUMBER_PATTERN.test(run.replace(/[\s-]/g, '')));
+  }
+
+  // Whether the words just before `index`, within the same sentence, negate what follows
+  isNegated(text, index) {
+    const sentence = text.slice(0, index).split(/[.!?\n]/).pop();
+    const words = sentence.trim().split(/\s+/).slice(-NEGATION_WINDOW_WORDS).join(' ');
+    return NEGATION_PATTERN.test(words);
+  }
+
+  // First fee request in the text that is not negated, or null
+  findFeeRequest(text) {
+    for (const pattern of FEE_PATTERNS) {
+      for (const match of text.matchAll(pattern)) {
+        if (!this.isNegated(text, match.index)) return match[0].trim();
+      }
+    }
+    return null;
+  }
+
+  getText(job) {
+    return [job.title, job.description, job.requirements, job.responsibilities].filter(Boolean).join('\n');
+  }
+
+  // Flags that only need the posting itself
+  checkContent(job, { posterEmail } = {}) {
+    const text = this.getText(job);
+    const flags = [];
+
+    const feeRequest = this.findFeeRequest(text);
+    if (feeRequest) {
+      flags.push({
+        code: 'fee_request',
+        message: `Asks candidates to pay: "${feeRequest}"`
+      });
+    }
+
+    const personalDomains = [...new Set(
+      [...text.matchAll(EMAIL_PATTERN)].map(match => match[1].toLowerCase()).filter(domain => this.isPersonalDomain(domain))
+    )];
+    if (personalDomains.length > 0) {
+      flags.push({
+        code: 'personal_email',
+        message: `Contact email on a personal domain (${personalDomains.join(', ')})`
+      });
+    } else if (posterEmail && this.isPersonalDomain(posterEmail.split('@')[1] || '')) {
+      flags.push({
+        code: 'personal_account_email',
+        message: 'Posted from an account with a personal email domain'
+      });
+    }
+
+    if (this.hasPhoneNumber(job.description || '')) {
+      flags.push({
+        code: 'contact_number',
+        message: 'Phone number in the description'
+      });
+    }
+
+    const ceiling = SALARY_CEILING_BASE + SALARY_CEILING_PER_YEAR * (job.experience_min || 0);
+    if ((job.currency || 'INR') === 'INR' && job.salary_max > ceiling) {
+      flags.push({
+        code: 'unrealistic_salary',
+        message: `Salary up to ${job.salary_max} for ${job.experience_min || 0}+ years of experience (expected at most ${ceiling})`
+      });
+    }
+
+    return flags;
+  }
+
+  // Other employers' live or held jobs with the same description text
+  async countDuplicates(description, { employerId, jobId = null }) {
+    if (!description || description.trim().length < MIN_DUPLICATE_LENGTH) return 0;
+
+    const result = await query(`
+      SELECT COUNT(DISTINCT employer_id) as employers FROM jobs
+      WHERE description_fingerprint = md5(lower(regexp_replace($1, '\\s+', ' ', 'g')))
+        AND employer_id <> $2 AND ($3::uuid IS NULL OR id <> $3)
+        AND deleted_at IS NULL
+    `, [description, employerId, jobId]);
+
+    return parseInt(result.rows[0].employers);
+  }
+
+  // Score a new or edited posting. Returns { score, flags, hold } where each flag has a
+  // code, points and a message for moderators.
+  async assess(job, { employerId, jobId = null, posterEmail = null }) {
+    const flags = this.checkContent(job, { posterEmail });
+
+    const duplicates = await this.countDuplicates(job.description, { employerId, jobId });
+    if (duplicates > 0) {
+      flags.push({
+        code: 'duplicate_text',
+        message: `Description copied from jobs of ${duplicates} other employer${duplicates === 1 ? '' : 's'}`
+      });
+    }
+
+    for (const flag of flags) {
+      flag.points = RULE_POINTS[flag.code];
+    }
+
+    const score = Math.min(flags.reduce((sum, flag) => sum + flag.points, 0), 100);
+    const threshold = await settingsService.get('jobs', 'scam_hold_threshold');
+
+    return { score, flags, hold: score >= threshold };
+  }
+
+  // Reason shown in the moderation queue for a held job
+  describe(assessment) {
+    return `High scam risk (score ${assessment.score}): ${assessment.flags.map(flag => flag.message).join('; ')}`;
+  }
+
+  async getAssessment(jobId) {
+    const result = await query('SELECT * FROM job_risk_assessments WHERE job_id = $1', [jobId]);
+    return result.rows[0] || null;
+  }
+
+  // Flags in `assessment` that `previous` did not have, so an approved job is not held
+  // again for an edit that raises nothing new. Flags are compared with their message, so
+  // swapping the flagged text (a different fee, a new email domain) counts as new.
+  getNewFlags(assessment, previous) {
+    const key = flag => `${flag.code}:${flag.message}`;
+    const known = new Set((previous?.flags || []).map(key));
+    return assessment.flags.filter(flag => !known.has(key(flag)));
+  }
+
+  async save(client, jobId, assessment) {
+    await client.query(`
+      INSERT INTO job_risk_assessments (job_id, score, flags, assessed_at)
+      VALUES ($1, $2, $3, NOW())
+      ON CONFLICT (job_id) DO UPDATE SET
+        score = EXCLUDED.score, flags = EXCLUDED.flags, assessed_at = NOW()
+    `, [jobId, assessment.score, JSON.stringify(assessment.flags)]);
+  }
+}
+
+module.exports = new JobRiskService();
@@ -0,0 +1,132 @@
+const geoService = require('./geoService');
+const skillService = require('./skillService');
+
+const EARTH_RADIUS_KM = 6371;
+const DEFAULT_RADIUS_KM = 25;
+
+// Job search filters, shared by the job search endpoint and saved job alerts so an alert
+// matches exactly what the same search would return
+class JobSearchService {
+  // WHERE clause over `jobs j` for active jobs meeting every filter. Placeholders start at
+  // $1 (keywords first when present, which relevance sorting relies on).
+  async buildFilters(filters) {
+    const {
+      keywords,
+      location,
+      skills,
+      employment_type,
+      experience_min,
+      experience_max,
+      salary_min,
+      salary_max,
+      remote_ok,
+      company_id,
+      industry,
+      posted_after,
+      lat,
+      lng,
+      radius_km = DEFAULT_RADIUS_KM
+    } = filters;
+
+    let whereClause = `WHERE j.status = 'active' AND j.deleted_at IS NULL`;
+    const params = [];
+    let paramCount = 0;
+
+    // Full-text search on title and description
+    if (keywords) {
+      whereClause += ` AND (
+        to_tsvector('english', j.title || ' ' || j.description) @@ plainto_tsquery('english', $${++paramCount})
+        OR j.title ILIKE $${++paramCount}
+        OR j.description ILIKE $${++paramCount}
+      )`;
+      params.push(keywords, `%${keywords}%`, `%${keywords}%`);
+    }
+
+    // Location filter (also matches the geocoded city so "Bangalore" finds "Bengaluru")
+    if (location) {
+      const geo = geoService.geocode(location);
+      if (geo) {
+        whereClause += ` AND (j.location ILIKE $${++paramCount} OR j.geo_city = $${++paramCount} OR j.remote_ok = true)`;
+        params.push(`%${location}%`, geo.city);
+      } else {
+        whereClause += ` AND (j.location ILIKE $${++paramCount} OR j.remote_ok = true)`;
+        params.push(`%${location}%`);
+      }
+    }
+
+    // Radius filter around a point
+    let distanceExpression = null;
+    if (lat !== undefined && lng !== undefined) {
+      const latParam = ++paramCount;
+      const lngParam = ++paramCount;
+      distanceExpression = `(${EARTH_RADIUS_KM} * acos(LEAST(1,
+        cos(radians($${latParam})) * cos(radians(j.latitude)) * cos(radians(j.longitude) - radians($${lngParam}))
+        + sin(radians($${latParam})) * sin(radians(j.latitude))
+      )))`;
+      whereClause += ` AND j.latitude IS NOT NULL AND ${distanceExpression} <= $${++paramCount}`;
+      params.push(lat, lng, radius_km);
+    }
+
+    // Skills filter (aliases resolved, child skills included)
+    if (skills && skills.length > 0) {
+      whereClause += ` AND j.skills_required && $${++paramCount}`;
+      params.push(await skillService.expandSkills(skills));
+    }
+
+    // Employment type filter
+    if (employment_type && employment_type.length > 0) {
+      whereClause += ` AND j.employment_type = ANY($${++paramCount})`;
+      params.push(employment_type);
+    }
+
+    // Experience range filter
+    if (experience_min !== undefined) {
+      whereClause += ` AND (j.experience_max >= $${++paramCount} OR j.experience_max IS NULL)`;
+      params.push(experience_min);
+    }
+
+    if (experience_max !== undefined) {
+      whereClause += ` AND (j.experience_min <= $${++paramCount} OR j.experience_min IS NULL)`;
+      params.push(experience_max);
+    }
+
+    // Salary filter
+    if (salary_min !== undefined) {
+      whereClause += ` AND (j.salary_max >= $${++paramCount} OR j.salary_max IS NULL)`;
+      params.push(salary_min);
+    }
+
+    if (salary_max !== undefined) {
+      whereClause += ` AND (j.salary_min <= $${++paramCount} OR j.salary_min IS NULL)`;
+      params.push(salary_max);
+    }
+
+    // Remote work filter
+    if (remote_ok !== undefined) {
+      whereClause += ` AND j.remote_ok = $${++paramCount}`;
+      params.push(remote_ok);
+    }
+
+    // Company filter
+    if (company_id) {
+      whereClause += ` AND j.company_id = $${++paramCount}`;
+      params.push(company_id);
+    }
+
+    // Industry filter
+    if (industry) {
+      whereClause += ` AND j.industry ILIKE $${++paramCount}`;
+      params.push(`%${industry}%`);
+    }
+
+    // Posted after filter
+    if (posted_after) {
+      whereClause += ` AND j.posted_at >= $${++paramCount}`;
+      params.push(posted_after);
+    }
+
+    return { whereClause, params, distanceExpression };
+  }
+}
+
+module.exports = new JobSearchService();
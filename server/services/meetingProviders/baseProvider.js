@@ -0,0 +1,40 @@
+// Contract for meeting providers. `meeting` arguments are { meetingId, joinUrl, password }
+// as stored on the interview; create/update resolve to meeting details:
+// { meetingId, joinUrl, hostUrl, password, dialInNumbers, platform, created }
+class MeetingProvider {
+  constructor(name, label) {
+    this.name = name;
+    this.label = label;
+  }
+
+  // Whether the provider can create meetings with the current environment
+  isConfigured() {
+    return true;
+  }
+
+  async createMeeting() {
+    throw new Error(`${this.label} does not implement createMeeting`);
+  }
+
+  // New meeting details after a time change, or null when the existing link stays valid
+  async updateMeeting() {
+    return null;
+  }
+
+  async cancelMeeting() {}
+
+  // Recording URL once the provider has one, otherwise null
+  async getRecording() {
+    return null;
+  }
+
+  generateMeetingId() {
+    return Math.random().toString().substr(2, 10);
+  }
+
+  generateMeetingPassword() {
+    return Math.random().toString(36).substr(2, 8);
+  }
+}
+
+module.exports = MeetingProvider;
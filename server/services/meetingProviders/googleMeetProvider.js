@@ -0,0 +1,45 @@
+const MeetingProvider = require('./baseProvider');
+const logger = require('../../utils/logger');
+
+class GoogleMeetProvider extends MeetingProvider {
+  constructor() {
+    super('google_meet', 'Google Meet');
+
+    this.config = {
+      clientId: process.env.GOOGLE_MEET_CLIENT_ID,
+      clientSecret: process.env.GOOGLE_MEET_CLIENT_SECRET,
+      redirectUri: process.env.GOOGLE_MEET_REDIRECT_URI || `${process.env.API_BASE_URL}/auth/google/callback`,
+      scopes: ['https://www.googleapis.com/auth/calendar', 'https://www.googleapis.com/auth/meetings.space.created']
+    };
+  }
+
+  async createMeeting({ startTime, duration }) {
+    try {
+      // This is a simplified implementation
+      // In production, you would integrate with Google Calendar API
+
+      const meetingId = this.generateMeetingId();
+      const joinUrl = `https://meet.google.com/${meetingId}`;
+
+      // For demo purposes, return mock data
+      // In production, you would make actual API calls to Google Calendar
+      return {
+        meetingId,
+        joinUrl,
+        password: null, // Google Meet doesn't use passwords typically
+        startTime,
+        duration,
+        platform: this.name,
+        hostUrl: joinUrl,
+        dialInNumbers: ['+91-80-6918-2000'], // Sample dial-in number for India
+        created: true
+      };
+
+    } catch (error) {
+      logger.error('Google Meet creation failed:', error);
+      throw new Error('Failed to create Google Meet meeting');
+    }
+  }
+}
+
+module.exports = GoogleMeetProvider;
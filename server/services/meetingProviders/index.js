@@ -0,0 +1,54 @@
+const { query } = require('../../config/database');
+const GoogleMeetProvider = require('./googleMeetProvider');
+const ZoomProvider = require('./zoomProvider');
+const JitsiProvider = require('./jitsiProvider');
+
+const DEFAULT_PROVIDER = 'google_meet';
+
+// Meeting providers by platform name (the value stored in video_interviews.meeting_platform)
+class MeetingProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+  }
+
+  register(provider) {
+    this.providers.set(provider.name, provider);
+  }
+
+  get(name) {
+    return this.providers.get(name) || null;
+  }
+
+  list() {
+    return [...this.providers.values()].map(provider => ({
+      name: provider.name,
+      label: provider.label,
+      configured: provider.isConfigured()
+    }));
+  }
+
+  // Company's chosen provider, falling back to the platform default
+  async getCompanyDefault(companyId) {
+    if (!companyId) return DEFAULT_PROVIDER;
+
+    const result = await query(
+      'SELECT default_meeting_provider FROM company_settings WHERE company_id = $1',
+      [companyId]
+    );
+    const name = result.rows[0]?.default_meeting_provider;
+
+    return this.providers.has(name) ? name : DEFAULT_PROVIDER;
+  }
+
+  // Explicitly requested provider, otherwise the company default
+  async resolve(name, companyId) {
+    return this.get(name) || this.get(await this.getCompanyDefault(companyId));
+  }
+}
+
+const registry = new MeetingProviderRegistry();
+registry.register(new GoogleMeetProvider());
+registry.register(new ZoomProvider());
+registry.register(new JitsiProvider());
+
+module.exports = registry;
@@ -0,0 +1,74 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const MeetingProvider = require('./baseProvider');
+
+// Rooms open this long before the interview and stay joinable this long after it ends
+const EARLY_JOIN_MINUTES = 30;
+const OVERRUN_MINUTES = 60;
+
+// Self-hosted (or meet.jit.si) rooms with JWT-signed URLs; no third-party API calls
+class JitsiProvider extends MeetingProvider {
+  constructor() {
+    super('jitsi', 'Jitsi Meet');
+
+    this.config = {
+      baseUrl: (process.env.JITSI_BASE_URL || 'https://meet.jit.si').replace(/\/+$/, ''),
+      appId: process.env.JITSI_APP_ID,
+      appSecret: process.env.JITSI_APP_SECRET
+    };
+  }
+
+  // Unguessable room names keep unsigned rooms private enough for public servers
+  generateRoomName() {
+    return `jobsro-${crypto.randomBytes(12).toString('hex')}`;
+  }
+
+  // Token accepted by Jitsi's JWT auth (prosody token plugin) for one room and time window
+  signRoomToken(room, { startTime, duration }, moderator) {
+    const start = Math.floor(new Date(startTime).getTime() / 1000);
+
+    return jwt.sign({
+      aud: 'jitsi',
+      iss: this.config.appId,
+      sub: new URL(this.config.baseUrl).hostname,
+      room,
+      nbf: start - EARLY_JOIN_MINUTES * 60,
+      exp: start + (duration + OVERRUN_MINUTES) * 60,
+      context: { user: { moderator } }
+    }, this.config.appSecret, { algorithm: 'HS256' });
+  }
+
+  roomUrl(room, window, moderator) {
+    const url = `${this.config.baseUrl}/${room}`;
+    if (!this.config.appId || !this.config.appSecret) return url;
+
+    return `${url}?jwt=${this.signRoomToken(room, window, moderator)}`;
+  }
+
+  buildMeeting(room, { startTime, duration }) {
+    const window = { startTime, duration };
+
+    return {
+      meetingId: room,
+      joinUrl: this.roomUrl(room, window, false),
+      password: null,
+      startTime,
+      duration,
+      platform: this.name,
+      hostUrl: this.roomUrl(room, window, true),
+      dialInNumbers: [],
+      created: true
+    };
+  }
+
+  async createMeeting({ startTime, duration }) {
+    return this.buildMeeting(this.generateRoomName(), { startTime, duration });
+  }
+
+  // Same room, with tokens re-signed for the new time
+  async updateMeeting(meeting, { startTime, duration }) {
+    return this.buildMeeting(meeting.meetingId, { startTime, duration });
+  }
+}
+
+module.exports = JitsiProvider;
@@ -0,0 +1,274 @@
+const { query, transaction } = require('../config/database');
+const jobAlertService = require('./jobAlertService');
+const logger = require('../utils/logger');
+
+const CLAIM_TIMEOUT_MINUTES = 30; // An abandoned claim can be taken over after this
+const OPEN_STATUSES = ['pending', 'in_review'];
+
+// Content changes for each decision
+const DECISIONS = {
+  job: {
+    // A job held for review goes live; a reported job that is already live stays as it is
+    approved: `
+      WITH previous AS (SELECT id, status FROM jobs WHERE id = $1 FOR UPDATE)
+      UPDATE jobs j SET
+        status = CASE WHEN p.status = 'pending_review' THEN 'active'::job_status ELSE p.status END,
+        posted_at = CASE WHEN p.status = 'pending_review' THEN NOW() ELSE j.posted_at END,
+        updated_at = NOW()
+      FROM previous p
+      WHERE j.id = p.id
+      RETURNING j.*, p.status as previous_status`,
+    rejected: `
+      UPDATE jobs SET status = 'rejected', updated_at = NOW()
+      WHERE id = $1
+      RETURNING *`
+  },
+  review: {
+    approved: `UPDATE company_reviews SET status = 'published' WHERE id = $1 RETURNING *`,
+    rejected: `UPDATE company_reviews SET status = 'hidden' WHERE id = $1 RETURNING *`
+  }
+};
+
+// Content users can see, and so report
+const VISIBLE_CONTENT = {
+  job: `SELECT id FROM jobs WHERE id = $1 AND status = 'active' AND deleted_at IS NULL`,
+  review: `SELECT id FROM company_reviews WHERE id = $1 AND status = 'published'`
+};
+
+// Queue of jobs and company reviews awaiting a moderator. Items are added automatically
+// (jobs from unverified companies or with a high scam risk, new reviews) or by user reports; an admin claims an item
+// and approves or rejects it, which publishes or takes down the content.
+class ModerationService {
+  // Add content to the queue, or fold into its open item. `details` is merged into the
+  // item's details. Runs on `client` when given so it joins the caller's transaction.
+  async enqueue({ contentType, contentId, source, reason, details = {}, reports = 0 }, client = null) {
+    const db = client || { query };
+
+    const result = await db.query(`
+      INSERT INTO content_moderation (content_type, content_id, source, reason, details, report_count)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (content_type, content_id) WHERE status IN ('pending', 'in_review')
+      DO UPDATE SET
+        report_count = content_moderation.report_count + EXCLUDED.report_count,
+        details = content_moderation.details || EXCLUDED.details,
+        updated_at = NOW()
+      RETURNING *
+    `, [contentType, contentId, source, reason, JSON.stringify(details), reports]);
+
+    return result.rows[0];
+  }
+
+  // Content as shown to moderators; null if it no longer exists
+  async getContent(contentType, contentId) {
+    const result = contentType === 'job'
+      ? await query(`
+          SELECT j.id, j.title, j.slug, j.status, j.description, j.location, j.salary_min, j.salary_max,
+                 j.created_at, c.id as company_id, c.name as company_name, c.verified as company_verified,
+                 u.id as owner_user_id, u.email as owner_email,
+                 ra.score as risk_score, ra.flags as risk_flags
+          FROM jobs j
+          LEFT JOIN companies c ON j.company_id = c.id
+          LEFT JOIN employers e ON j.employer_id = e.id
+          LEFT JOIN users u ON e.user_id = u.id
+          LEFT JOIN job_risk_assessments ra ON ra.job_id = j.id
+          WHERE j.id = $1 AND j.deleted_at IS NULL
+        `, [contentId])
+      : await query(`
+          SELECT cr.id, cr.title, cr.status, cr.rating, cr.pros, cr.cons, cr.advice_to_management,
+                 cr.created_at, c.id as company_id, c.name as company_name,
+                 u.id as owner_user_id, u.email as owner_email
+          FROM company_reviews cr
+          JOIN companies c ON cr.company_id = c.id
+          LEFT JOIN users u ON cr.reviewer_id = u.id
+          WHERE cr.id = $1
+        `, [contentId]);
+
+    return result.rows[0] || null;
+  }
+
+  // Record a user's report and queue the content. Returns null if the content is not
+  // visible, { error: 'duplicate' } if the user already reported it, otherwise { report, item }.
+  async report(userId, contentType, contentId, { reason, details }) {
+    const visible = await query(VISIBLE_CONTENT[contentType], [contentId]);
+    if (visible.rows.length === 0) return null;
+
+    return transaction(async (client) => {
+      const reportResult = await client.query(`
+        INSERT INTO content_reports (content_type, content_id, reporter_id, reason, details)
+        VALUES ($1, $2, $3, $4, $5)
+        ON CONFLICT (content_type, content_id, reporter_id) DO NOTHING
+        RETURNING *
+      `, [contentType, contentId, userId, reason, details || null]);
+
+      if (reportResult.rows.length === 0) {
+        return { error: 'duplicate' };
+      }
+
+      const item = await this.enqueue({
+        contentType,
+        contentId,
+        source: 'report',
+        reason: `Reported by users: ${reason}`,
+        reports: 1
+      }, client);
+
+      const report = reportResult.rows[0];
+      await client.query('UPDATE content_reports SET moderation_id = $1 WHERE id = $2', [item.id, report.id]);
+
+      return { report: { ...report, moderation_id: item.id }, item };
+    });
+  }
+
+  async list({ status, contentType, source, page = 1, limit = 20 } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (status === 'open') {
+      conditions.push(`m.status IN ('pending', 'in_review')`);
+    } else if (status) {
+      params.push(status);
+      conditions.push(`m.status = $${params.length}`);
+    }
+    if (contentType) {
+      params.push(contentType);
+      conditions.push(`m.content_type = $${params.length}`);
+    }
+    if (source) {
+      params.push(source);
+      conditions.push(`m.source = $${params.length}`);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const offset = (page - 1) * limit;
+
+    const [itemsResult, countResult] = await Promise.all([
+      query(`
+        SELECT m.*, cu.email as claimed_by_email, mu.email as moderated_by_email,
+               COALESCE(j.title, cr.title) as content_title,
+               COALESCE(j.status::text, cr.status) as content_status,
+               c.name as company_name
+        FROM content_moderation m
+        LEFT JOIN jobs j ON m.content_type = 'job' AND j.id = m.content_id
+        LEFT JOIN company_reviews cr ON m.content_type = 'review' AND cr.id = m.content_id
+        LEFT JOIN companies c ON c.id = COALESCE(j.company_id, cr.company_id)
+        LEFT JOIN users cu ON m.claimed_by = cu.id
+        LEFT JOIN users mu ON m.moderated_by = mu.id
+        ${whereClause}
+        ORDER BY m.report_count DESC, m.created_at ASC
+        LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+      `, [...params, limit, offset]),
+      query(`SELECT COUNT(*) as total FROM content_moderation m ${whereClause}`, params)
+    ]);
+
+    return { items: itemsResult.rows, total: parseInt(countResult.rows[0].total) };
+  }
+
+  // Item with its content and reports; null if there is no such item
+  async getItem(id) {
+    const result = await query('SELECT * FROM content_moderation WHERE id = $1', [id]);
+    const item = result.rows[0];
+    if (!item) return null;
+
+    const [content, reportsResult] = await Promise.all([
+      this.getContent(item.content_type, item.content_id),
+      query(`
+        SELECT r.id, r.reason, r.details, r.created_at, u.email as reporter_email
+        FROM content_reports r
+        LEFT JOIN users u ON r.reporter_id = u.id
+        WHERE r.content_type = $1 AND r.content_id = $2
+        ORDER BY r.created_at DESC
+      `, [item.content_type, item.content_id])
+    ]);
+
+    return { ...item, content, reports: reportsResult.rows };
+  }
+
+  // Whether another admin holds a live claim on the item
+  isClaimedByOther(item, adminId) {
+    if (item.status !== 'in_review' || !item.claimed_by || item.claimed_by === adminId) return false;
+    return new Date(item.claimed_at) > new Date(Date.now() - CLAIM_TIMEOUT_MINUTES * 60 * 1000);
+  }
+
+  // Take an open item for review. Returns { item }, or { error } with 'not_found',
+  // 'closed' (already decided) or 'claimed' (another admin is on it).
+  async claim(id, adminId) {
+    return transaction(async (client) => {
+      const result = await client.query('SELECT * FROM content_moderation WHERE id = $1 FOR UPDATE', [id]);
+      const item = result.rows[0];
+
+      if (!item) return { error: 'not_found' };
+      if (!OPEN_STATUSES.includes(item.status)) return { error: 'closed', item };
+      if (this.isClaimedByOther(item, adminId)) return { error: 'claimed', item };
+
+      const updated = await client.query(`
+        UPDATE content_moderation SET status = 'in_review', claimed_by = $1, claimed_at = NOW()
+        WHERE id = $2
+        RETURNING *
+      `, [adminId, id]);
+
+      return { item: updated.rows[0] };
+    });
+  }
+
+  // Approve or reject an open item, applying the decision to its content and logging it to
+  // admin_actions. Returns { item, content } or { error } as for claim().
+  async decide(id, adminId, decision, reason = null) {
+    const outcome = await transaction(async (client) => {
+      const result = await client.query('SELECT * FROM content_moderation WHERE id = $1 FOR UPDATE', [id]);
+      const item = result.rows[0];
+
+      if (!item) return { error: 'not_found' };
+      if (!OPEN_STATUSES.includes(item.status)) return { error: 'closed', item };
+      if (this.isClaimedByOther(item, adminId)) return { error: 'claimed', item };
+
+      const contentResult = await client.query(DECISIONS[item.content_type][decision], [item.content_id]);
+      const content = contentResult.rows[0] || null;
+
+      const updated = await client.query(`
+        UPDATE content_moderation SET
+          status = $1, decision_reason = $2, moderated_by = $3, moderated_at = NOW(),
+          claimed_by = COALESCE(claimed_by, $3), claimed_at = COALESCE(claimed_at, NOW())
+        WHERE id = $4
+        RETURNING *
+      `, [decision, reason, adminId, id]);
+
+      await client.query(`
+        INSERT INTO admin_actions (admin_user_id, action_type, target_type, target_id, details)
+        VALUES ($1, $2, $3, $4, $5)
+      `, [
+        adminId,
+        decision === 'approved' ? 'moderation_approve' : 'moderation_reject',
+        item.content_type,
+        item.content_id,
+        JSON.stringify({
+          moderation_id: item.id,
+          source: item.source,
+          report_count: item.report_count,
+          reason,
+          content_status: content?.status
+        })
+      ]);
+
+      return {
+        item: updated.rows[0],
+        content,
+        published: content?.previous_status === 'pending_review'
+      };
+    });
+
+    if (outcome.error) return outcome;
+
+    logger.info(`Moderation item ${id} (${outcome.item.content_type} ${outcome.item.content_id}) ${decision} by admin ${adminId}`);
+
+    // Alerts for held jobs go out when they are published rather than when posted
+    if (outcome.published) {
+      jobAlertService.sendImmediateAlerts(outcome.content).catch(error => {
+        logger.error('Failed to send job alerts:', error);
+      });
+    }
+
+    return { item: outcome.item, content: outcome.content };
+  }
+}
+
+module.exports = new ModerationService();
@@ -131,7 +131,8 @@ const sendNotification = async ({
   data = {},
   channels = ['email'], // email, sms, push
   priority = NOTIFICATION_PRIORITY.MEDIUM,
-  scheduledAt = null
+  scheduledAt = null,
+  attachments = [] // Email only, e.g. calendar invites
 }) => {
   try {
     // Get user details
@@ -172,7 +173,8 @@ const sendNotification = async ({
           data: {
             name: user.first_name,
             ...data
-          }
+          },
+          attachments
         });
         results.sent.push('email');
         logger.info(`Email notification sent to ${user.email} for type: ${type}`);
@@ -419,8 +421,11 @@ const processScheduledNotifications = async () => {
     if (notifications.length > 0) {
       logger.info(`Processed ${notifications.length} scheduled notifications`);
     }
+
+    return notifications.length;
   } catch (error) {
     logger.error('Error processing scheduled notifications:', error);
+    throw error;
   }
 };
 
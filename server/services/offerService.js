@@ -0,0 +1,428 @@
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const { query, transaction } = require('../config/database');
+const { sendEmail, renderString } = require('./email');
+const pipelineService = require('./pipelineService');
+const applicationEventService = require('./applicationEventService');
+const logger = require('../utils/logger');
+
+// Used when a company has no offer template of its own
+const DEFAULT_OFFER_TEMPLATE = `Dear {{candidateName}},
+
+We are delighted to offer you the position of {{designation}} at {{companyName}}.
+
+Your annual cost to company (CTC) will be {{ctcTotal}}, structured as follows:
+{{#each ctcBreakup}}
+  - {{component}}: {{amount}}
+{{/each}}
+
+Your expected date of joining is {{joiningDate}}.
+
+This offer is valid until {{expiresAt}}. Please accept it on JobsRo before then to confirm your acceptance.
+
+We look forward to welcoming you to the team.
+
+Sincerely,
+{{senderName}}
+{{companyName}}`;
+
+// Offer letters and their lifecycle
+class OfferService {
+
+  formatAmount(amount, currency = 'INR') {
+    if (currency === 'INR') {
+      return `₹${Number(amount).toLocaleString('en-IN')}`;
+    }
+    return `${currency} ${Number(amount).toLocaleString('en-US')}`;
+  }
+
+  formatDate(date) {
+    return new Date(date).toLocaleDateString('en-IN', {
+      day: 'numeric',
+      month: 'long',
+      year: 'numeric',
+      timeZone: 'Asia/Kolkata'
+    });
+  }
+
+  // Offer with the application, job, company and both parties
+  async getOffer(offerId) {
+    const result = await query(`
+      SELECT o.*, a.job_id, a.status as application_status,
+             j.title as job_title, c.name as company_name,
+             js.user_id as candidate_user_id,
+             cu.email as candidate_email, cu.first_name as candidate_first_name,
+             cu.last_name as candidate_last_name,
+             emp.user_id as employer_user_id,
+             eu.email as employer_email, eu.first_name as employer_first_name
+      FROM offers o
+      JOIN applications a ON o.application_id = a.id
+      JOIN jobs j ON a.job_id = j.id
+      LEFT JOIN companies c ON o.company_id = c.id
+      LEFT JOIN job_seekers js ON a.job_seeker_id = js.id
+      LEFT JOIN users cu ON js.user_id = cu.id
+      LEFT JOIN employers emp ON j.employer_id = emp.id
+      LEFT JOIN users eu ON o.created_by = eu.id
+      WHERE o.id = $1
+    `, [offerId]);
+
+    return result.rows[0] || null;
+  }
+
+  async getTemplate(companyId, templateId) {
+    const result = await query(`
+      SELECT * FROM offer_templates
+      WHERE company_id = $1 AND ($2::uuid IS NULL OR id = $2)
+      ORDER BY is_default DESC, created_at DESC
+      LIMIT 1
+    `, [companyId, templateId || null]);
+
+    return result.rows[0] || null;
+  }
+
+  renderLetter(templateBody, { application, data, sender }) {
+    return renderString(templateBody, {
+      candidateName: `${application.job_seeker_first_name} ${application.job_seeker_last_name}`,
+      designation: data.designation,
+      companyName: application.company_name,
+      ctcTotal: this.formatAmount(data.ctc_total, data.currency),
+      ctcBreakup: data.ctc_breakup.map(item => ({
+        component: item.component,
+        amount: this.formatAmount(item.amount, data.currency)
+      })),
+      joiningDate: this.formatDate(data.joining_date),
+      expiresAt: this.formatDate(data.expires_at),
+      jobTitle: application.job_title,
+      senderName: `${sender.first_name} ${sender.last_name}`
+    });
+  }
+
+  // Create and send an offer; moves the application into the pipeline's offer stage
+  async createOffer(application, data, sender, template = null) {
+    const ctcTotal = data.ctc_breakup.reduce((sum, item) => sum + item.amount, 0);
+    const offerData = { ...data, ctc_total: ctcTotal };
+    const letterBody = this.renderLetter(template?.body || DEFAULT_OFFER_TEMPLATE, {
+      application,
+      data: offerData,
+      sender
+    });
+
+    const pipeline = await pipelineService.getPipelineForJob(application.job_id);
+    const offerStage = pipelineService.getStageByType(pipeline, 'offer');
+
+    const offer = await transaction(async (client) => {
+      const offerResult = await client.query(`
+        INSERT INTO offers (
+          application_id, company_id, template_id, created_by, designation,
+          ctc_total, ctc_breakup, currency, joining_date, expires_at,
+          letter_body, previous_application_status, offer_stage_key
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+        RETURNING *
+      `, [
+        application.id, application.company_id, template?.id || null, sender.id,
+        data.designation, ctcTotal, JSON.stringify(data.ctc_breakup), data.currency,
+        data.joining_date, data.expires_at, letterBody, application.status,
+        offerStage?.stage_key || null
+      ]);
+
+      if (offerStage && application.status !== offerStage.stage_key) {
+        await client.query(
+          'UPDATE applications SET status = $1, updated_at = NOW() WHERE id = $2',
+          [offerStage.stage_key, application.id]
+        );
+      }
+
+      await applicationEventService.record({
+        applicationId: application.id,
+        actor: sender,
+        eventType: 'offer_sent',
+        fromStatus: application.status,
+        toStatus: offerStage?.stage_key || application.status,
+        candidateNote: `Offer sent for ${data.designation}`
+      }, client);
+
+      return offerResult.rows[0];
+    });
+
+    // Email the candidate with the letter attached
+    try {
+      const pdf = await this.generatePdf({ ...offer, company_name: application.company_name });
+      await sendEmail({
+        to: application.job_seeker_email,
+        template: 'offer-letter',
+        data: {
+          name: application.job_seeker_first_name,
+          companyName: application.company_name,
+          designation: offer.designation,
+          ctcTotal: this.formatAmount(offer.ctc_total, offer.currency),
+          joiningDate: this.formatDate(offer.joining_date),
+          expiresAt: this.formatDate(offer.expires_at),
+          offerUrl: `${process.env.FRONTEND_URL}/offers/${offer.id}`
+        },
+        attachments: [{
+          content: pdf,
+          filename: `offer-letter-${offer.id}.pdf`,
+          type: 'application/pdf'
+        }]
+      });
+    } catch (emailError) {
+      logger.error('Failed to send offer email:', emailError);
+    }
+
+    logger.info(`Offer created: ${offer.id} for application ${application.id}`);
+
+    return offer;
+  }
+
+  // Tamper-evident signature over the letter, the signer and the acceptance time
+  signAcceptance(offer, signatureName, signedAt) {
+    const secret = process.env.OFFER_SIGNING_SECRET || process.env.JWT_SECRET;
+    const letterHash = crypto.createHash('sha256').update(offer.letter_body).digest('hex');
+
+    return crypto
+      .createHmac('sha256', secret)
+      .update(`${offer.id}|${letterHash}|${signatureName}|${signedAt.toISOString()}`)
+      .digest('hex');
+  }
+
+  verifyAcceptance(offer) {
+    if (offer.status !== 'accepted' || !offer.signature_hash) {
+      return false;
+    }
+
+    const expected = this.signAcceptance(offer, offer.signature_name, new Date(offer.responded_at));
+    return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(offer.signature_hash));
+  }
+
+  // Move the application as a result of the candidate's response or expiry
+  async moveApplication(client, offer, toStatus, event) {
+    if (!toStatus || toStatus === offer.application_status) {
+      return;
+    }
+
+    await client.query(
+      'UPDATE applications SET status = $1, updated_at = NOW() WHERE id = $2',
+      [toStatus, offer.application_id]
+    );
+
+    await applicationEventService.record({
+      applicationId: offer.application_id,
+      fromStatus: offer.application_status,
+      toStatus,
+      ...event
+    }, client);
+  }
+
+  // Accept, decline, withdraw and expire only apply to an offer still 'sent' when the update
+  // runs, so a concurrent response or expiry cannot both win; they return null otherwise.
+  async acceptOffer(offer, { signatureName, ip, userAgent, user }) {
+    const signedAt = new Date();
+    const signatureHash = this.signAcceptance(offer, signatureName, signedAt);
+
+    const pipeline = await pipelineService.getPipelineForJob(offer.job_id);
+    const hiredStage = pipelineService.getStageByType(pipeline, 'hired');
+
+    const accepted = await transaction(async (client) => {
+      const result = await client.query(`
+        UPDATE offers SET
+          status = 'accepted', responded_at = $1, signature_name = $2,
+          signature_hash = $3, signed_ip = $4, signed_user_agent = $5
+        WHERE id = $6 AND status = 'sent'
+      `, [signedAt, signatureName, signatureHash, ip, userAgent, offer.id]);
+
+      if (result.rowCount === 0) return false;
+
+      await this.moveApplication(client, offer, hiredStage?.stage_key, {
+        actor: user,
+        eventType: 'offer_accepted',
+        candidateNote: 'Offer accepted'
+      });
+      return true;
+    });
+
+    if (!accepted) return null;
+
+    await this.notifyEmployer(offer, 'accepted', { signatureName, respondedAt: signedAt });
+
+    logger.info(`Offer accepted: ${offer.id} by user ${user.id}`);
+
+    return this.getOffer(offer.id);
+  }
+
+  async declineOffer(offer, { reason, user }) {
+    const pipeline = await pipelineService.getPipelineForJob(offer.job_id);
+    const rejectedStage = pipelineService.getStageByType(pipeline, 'rejected');
+
+    const declined = await transaction(async (client) => {
+      const result = await client.query(`
+        UPDATE offers SET status = 'declined', responded_at = NOW(), decline_reason = $1
+        WHERE id = $2 AND status = 'sent'
+      `, [reason || null, offer.id]);
+
+      if (result.rowCount === 0) return false;
+
+      await this.moveApplication(client, offer, rejectedStage?.stage_key, {
+        actor: user,
+        eventType: 'offer_declined',
+        candidateNote: 'Offer declined'
+      });
+      return true;
+    });
+
+    if (!declined) return null;
+
+    await this.notifyEmployer(offer, 'declined', { declineReason: reason });
+
+    logger.info(`Offer declined: ${offer.id} by user ${user.id}`);
+
+    return this.getOffer(offer.id);
+  }
+
+  // Withdrawn and expired offers put the application back where it was before the offer.
+  // Returns false if the offer was no longer open.
+  async closeOffer(offer, status, event) {
+    return transaction(async (client) => {
+      const result = await client.query(
+        `UPDATE offers SET status = $1 WHERE id = $2 AND status = 'sent'`,
+        [status, offer.id]
+      );
+
+      if (result.rowCount === 0) return false;
+
+      if (offer.application_status === offer.offer_stage_key) {
+        await this.moveApplication(client, offer, offer.previous_application_status, event);
+      }
+      return true;
+    });
+  }
+
+  async withdrawOffer(offer, user) {
+    const withdrawn = await this.closeOffer(offer, 'withdrawn', {
+      actor: user,
+      eventType: 'offer_withdrawn',
+      candidateNote: 'Offer withdrawn by the employer'
+    });
+
+    if (!withdrawn) return null;
+
+    logger.info(`Offer withdrawn: ${offer.id} by user ${user.id}`);
+
+    return this.getOffer(offer.id);
+  }
+
+  async expireOffer(offer) {
+    const expired = await this.closeOffer(offer, 'expired', {
+      eventType: 'offer_expired',
+      candidateNote: 'Offer expired without a response'
+    });
+
+    if (!expired) return;
+
+    try {
+      await sendEmail({
+        to: offer.candidate_email,
+        template: 'offer-expired',
+        data: {
+          name: offer.candidate_first_name,
+          designation: offer.designation,
+          companyName: offer.company_name,
+          expiresAt: this.formatDate(offer.expires_at)
+        }
+      });
+    } catch (emailError) {
+      logger.error('Failed to send offer expiry email:', emailError);
+    }
+  }
+
+  // Expire open offers past their deadline
+  async expireOffers() {
+    const result = await query(`
+      SELECT id FROM offers
+      WHERE status = 'sent' AND expires_at < NOW()
+    `);
+
+    for (const row of result.rows) {
+      try {
+        const offer = await this.getOffer(row.id);
+        await this.expireOffer(offer);
+      } catch (error) {
+        logger.error(`Failed to expire offer ${row.id}:`, error);
+      }
+    }
+
+    if (result.rows.length > 0) {
+      logger.info(`Expired ${result.rows.length} offers`);
+    }
+
+    return result.rows.length;
+  }
+
+  // Expire on read so a stale offer can never be accepted
+  async refreshStatus(offer) {
+    if (offer.status === 'sent' && new Date(offer.expires_at) < new Date()) {
+      await this.expireOffer(offer);
+      return this.getOffer(offer.id);
+    }
+    return offer;
+  }
+
+  async notifyEmployer(offer, response, details) {
+    if (!offer.employer_email) return;
+
+    try {
+      await sendEmail({
+        to: offer.employer_email,
+        template: 'offer-response',
+        data: {
+          name: offer.employer_first_name,
+          candidateName: `${offer.candidate_first_name} ${offer.candidate_last_name}`,
+          designation: offer.designation,
+          response,
+          responseColor: response === 'accepted' ? '#10b981' : '#ef4444',
+          signatureName: details.signatureName,
+          respondedAt: details.respondedAt ? details.respondedAt.toISOString() : null,
+          declineReason: details.declineReason,
+          applicationUrl: `${process.env.FRONTEND_URL}/employer/candidates/${offer.application_id}`
+        }
+      });
+    } catch (emailError) {
+      logger.error('Failed to send offer response email:', emailError);
+    }
+  }
+
+  // Render the letter (plus acceptance block once signed) to a PDF buffer
+  generatePdf(offer) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: 'A4', margin: 60 });
+      const chunks = [];
+
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      doc.fontSize(18).text(offer.company_name || 'Offer Letter', { align: 'center' });
+      doc.moveDown(0.5);
+      doc.fontSize(12).text('Offer of Employment', { align: 'center' });
+      doc.moveDown(0.5);
+      doc.fontSize(9).fillColor('#666666')
+        .text(`Reference: ${offer.id}  |  Issued: ${this.formatDate(offer.created_at)}`, { align: 'center' });
+      doc.moveDown(2);
+
+      doc.fontSize(11).fillColor('#000000').text(offer.letter_body, { align: 'left', lineGap: 3 });
+
+      if (offer.status === 'accepted') {
+        doc.moveDown(2);
+        doc.fontSize(12).text('Acceptance', { underline: true });
+        doc.moveDown(0.5);
+        doc.fontSize(10)
+          .text(`Accepted and signed electronically by: ${offer.signature_name}`)
+          .text(`Signed at: ${new Date(offer.responded_at).toISOString()}`)
+          .text(`Signature: ${offer.signature_hash}`);
+      }
+
+      doc.end();
+    });
+  }
+}
+
+module.exports = new OfferService();
@@ -0,0 +1,189 @@
+const crypto = require('crypto');
+const { query, transaction } = require('../config/database');
+const sms = require('./sms');
+const logger = require('../utils/logger');
+
+const CODE_TTL_MINUTES = 10; // Matches the verification-code SMS template
+const MAX_ATTEMPTS = 5;
+const RESEND_INTERVAL_SECONDS = 60;
+const MAX_SENDS_PER_HOUR = 5;
+const MAX_SENDS_PER_IP_PER_HOUR = 10; // Across all numbers, so SMS cannot be sprayed from one client
+const RETENTION_DAYS = 7;
+
+// One-time SMS codes for verifying a phone number and for passwordless login. Codes are
+// stored hashed, expire after 10 minutes, allow a few guesses and are throttled per number
+// and per requesting IP address.
+class PhoneOtpService {
+  // E.164 form used for storage and lookups; null if the number cannot be parsed
+  normalizePhone(phone) {
+    try {
+      return sms.formatIndianPhoneNumber(phone);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  hashCode(phone, code) {
+    return crypto.createHmac('sha256', process.env.ENCRYPTION_KEY).update(`${phone}:${code}`).digest('hex');
+  }
+
+  // Text a new code. Returns { expiresAt }, or { retryAfter } in seconds when the number
+  // or the requesting address has been sent codes too recently or too often.
+  async sendOtp(phone, purpose, userId = null, ipAddress = null) {
+    if (ipAddress) {
+      const fromIp = await query(`
+        SELECT COUNT(*) as sent_last_hour, MIN(created_at) as first_sent_at
+        FROM phone_otps
+        WHERE ip_address = $1 AND created_at > NOW() - INTERVAL '1 hour'
+      `, [ipAddress]);
+
+      const { sent_last_hour, first_sent_at } = fromIp.rows[0];
+      if (parseInt(sent_last_hour) >= MAX_SENDS_PER_IP_PER_HOUR) {
+        const nextAllowed = new Date(first_sent_at).getTime() + 60 * 60 * 1000;
+        return { retryAfter: Math.max(Math.ceil((nextAllowed - Date.now()) / 1000), 1) };
+      }
+    }
+
+    const recent = await query(`
+      SELECT COUNT(*) as sent_last_hour, MAX(created_at) as last_sent_at
+      FROM phone_otps
+      WHERE phone = $1 AND created_at > NOW() - INTERVAL '1 hour'
+    `, [phone]);
+
+    const { sent_last_hour, last_sent_at } = recent.rows[0];
+    if (last_sent_at) {
+      const nextAllowed = new Date(last_sent_at).getTime() + RESEND_INTERVAL_SECONDS * 1000;
+      if (nextAllowed > Date.now()) {
+        return { retryAfter: Math.ceil((nextAllowed - Date.now()) / 1000) };
+      }
+    }
+    if (parseInt(sent_last_hour) >= MAX_SENDS_PER_HOUR) {
+      return { retryAfter: 60 * 60 };
+    }
+
+    const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+    const expiresAt = new Date(Date.now() + CODE_TTL_MINUTES * 60 * 1000);
+
+    const otp = await transaction(async (client) => {
+      // Only the latest code for a number and purpose is valid
+      await client.query(`
+        UPDATE phone_otps SET consumed_at = NOW()
+        WHERE phone = $1 AND purpose = $2 AND consumed_at IS NULL
+      `, [phone, purpose]);
+
+      const result = await client.query(`
+        INSERT INTO phone_otps (phone, purpose, user_id, code_hash, expires_at, ip_address)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING id
+      `, [phone, purpose, userId, this.hashCode(phone, code), expiresAt, ipAddress]);
+
+      return result.rows[0];
+    });
+
+    try {
+      await sms.sendVerificationCode(phone, code);
+    } catch (error) {
+      // Don't count an undelivered code against the resend limits
+      await query('DELETE FROM phone_otps WHERE id = $1', [otp.id]);
+      throw error;
+    }
+
+    return { expiresAt };
+  }
+
+  // Check and consume a code. Returns { valid: true }, or { error } with 'invalid' or
+  // 'too_many_attempts'. For 'verify' the code must have been requested by `userId`.
+  async verifyOtp(phone, purpose, code, userId = null) {
+    return transaction(async (client) => {
+      const result = await client.query(`
+        SELECT * FROM phone_otps
+        WHERE phone = $1 AND purpose = $2 AND consumed_at IS NULL AND expires_at > NOW()
+          AND ($3::uuid IS NULL OR user_id = $3)
+        ORDER BY created_at DESC
+        LIMIT 1
+        FOR UPDATE
+      `, [phone, purpose, userId]);
+
+      const otp = result.rows[0];
+      if (!otp) {
+        return { error: 'invalid' };
+      }
+
+      if (otp.attempts >= MAX_ATTEMPTS) {
+        return { error: 'too_many_attempts' };
+      }
+
+      const expected = Buffer.from(otp.code_hash);
+      const given = Buffer.from(this.hashCode(phone, code));
+      if (!crypto.timingSafeEqual(expected, given)) {
+        await client.query('UPDATE phone_otps SET attempts = attempts + 1 WHERE id = $1', [otp.id]);
+        return { error: otp.attempts + 1 >= MAX_ATTEMPTS ? 'too_many_attempts' : 'invalid' };
+      }
+
+      await client.query('UPDATE phone_otps SET consumed_at = NOW() WHERE id = $1', [otp.id]);
+      return { valid: true };
+    });
+  }
+
+  // Account with this verified number, if any
+  async findUserByPhone(phone) {
+    const result = await query(
+      'SELECT * FROM users WHERE phone = $1 AND phone_verified = true AND deleted_at IS NULL',
+      [phone]
+    );
+    return result.rows[0] || null;
+  }
+
+  // Attach a verified number to an account; false if another account already verified it
+  async markVerified(userId, phone) {
+    const owner = await this.findUserByPhone(phone);
+    if (owner && owner.id !== userId) {
+      return false;
+    }
+
+    try {
+      await query(
+        'UPDATE users SET phone = $1, phone_verified = true, updated_at = NOW() WHERE id = $2',
+        [phone, userId]
+      );
+    } catch (error) {
+      // Verified by another account in the meantime
+      if (error.code === '23505') return false;
+      throw error;
+    }
+    return true;
+  }
+
+  // Job seeker account for a new number, signed up through OTP login; null if the number
+  // was claimed in the meantime
+  async createJobSeeker(phone, { first_name, last_name }) {
+    try {
+      return await transaction(async (client) => {
+        const userResult = await client.query(`
+          INSERT INTO users (role, first_name, last_name, phone, phone_verified)
+          VALUES ('job_seeker', $1, $2, $3, true)
+          RETURNING *
+        `, [first_name, last_name, phone]);
+
+        const user = userResult.rows[0];
+        await client.query('INSERT INTO job_seekers (user_id) VALUES ($1)', [user.id]);
+
+        logger.info(`New job seeker registered by phone: ${user.id}`);
+        return user;
+      });
+    } catch (error) {
+      if (error.code === '23505') return null;
+      throw error;
+    }
+  }
+
+  async cleanup() {
+    const result = await query(
+      'DELETE FROM phone_otps WHERE created_at < NOW() - make_interval(days => $1)',
+      [RETENTION_DAYS]
+    );
+    return { removed: result.rowCount };
+  }
+}
+
+module.exports = new PhoneOtpService();
@@ -0,0 +1,190 @@
+const { query, transaction } = require('../config/database');
+const logger = require('../utils/logger');
+
+// System pipeline seeded by database/hiring_pipelines.sql, mirrors the legacy status enum
+const DEFAULT_PIPELINE_ID = '00000000-0000-0000-0000-000000000001';
+
+// Hiring pipeline lookups and stage transition rules
+class PipelineService {
+
+  // Load a pipeline with its ordered stages
+  async getPipeline(pipelineId, db = { query }) {
+    const pipelineResult = await db.query(
+      'SELECT * FROM hiring_pipelines WHERE id = $1',
+      [pipelineId]
+    );
+
+    if (pipelineResult.rows.length === 0) {
+      return null;
+    }
+
+    const stagesResult = await db.query(`
+      SELECT stage_key, name, position, stage_type, allowed_transitions,
+             email_enabled, email_message, email_color
+      FROM pipeline_stages
+      WHERE pipeline_id = $1
+      ORDER BY position ASC
+    `, [pipelineId]);
+
+    return {
+      ...pipelineResult.rows[0],
+      stages: stagesResult.rows
+    };
+  }
+
+  // Pipeline used by a job: job override, then company default, then system default
+  async getPipelineForJob(jobId, db = { query }) {
+    const result = await db.query(`
+      SELECT COALESCE(j.pipeline_id, c.default_pipeline_id) as pipeline_id
+      FROM jobs j
+      LEFT JOIN companies c ON j.company_id = c.id
+      WHERE j.id = $1
+    `, [jobId]);
+
+    const pipelineId = result.rows[0]?.pipeline_id || DEFAULT_PIPELINE_ID;
+    return this.getPipeline(pipelineId, db);
+  }
+
+  // Pick the pipeline for a new or updated job; returns null if the requested one is not usable
+  async resolvePipelineId(companyId, requestedPipelineId) {
+    if (requestedPipelineId) {
+      const result = await query(`
+        SELECT id FROM hiring_pipelines
+        WHERE id = $1 AND (is_system = true OR company_id = $2)
+      `, [requestedPipelineId, companyId]);
+
+      return result.rows.length > 0 ? result.rows[0].id : null;
+    }
+
+    const companyResult = await query(
+      'SELECT default_pipeline_id FROM companies WHERE id = $1',
+      [companyId]
+    );
+
+    return companyResult.rows[0]?.default_pipeline_id || DEFAULT_PIPELINE_ID;
+  }
+
+  getStage(pipeline, stageKey) {
+    return pipeline.stages.find(stage => stage.stage_key === stageKey) || null;
+  }
+
+  getInitialStage(pipeline) {
+    return pipeline.stages[0];
+  }
+
+  // First stage of a type ('offer', 'hired', 'rejected'), if the pipeline has one
+  getStageByType(pipeline, stageType) {
+    return pipeline.stages.find(stage => stage.stage_type === stageType) || null;
+  }
+
+  // Returns an error message, or null if the move is allowed
+  validateTransition(pipeline, fromKey, toKey) {
+    const target = this.getStage(pipeline, toKey);
+    if (!target) {
+      return `Invalid status: ${toKey} is not a stage of pipeline "${pipeline.name}"`;
+    }
+
+    const current = this.getStage(pipeline, fromKey);
+    if (current && !(current.allowed_transitions || []).includes(toKey)) {
+      return `Transition from ${current.name} to ${target.name} is not allowed`;
+    }
+
+    return null;
+  }
+
+  // Structural checks on a stage list before it is saved
+  validateStages(stages) {
+    const keys = stages.map(stage => stage.stage_key);
+
+    if (new Set(keys).size !== keys.length) {
+      return 'Stage keys must be unique';
+    }
+
+    for (const stage of stages) {
+      const unknown = (stage.allowed_transitions || []).filter(key => !keys.includes(key));
+      if (unknown.length > 0) {
+        return `Stage ${stage.stage_key} has transitions to unknown stages: ${unknown.join(', ')}`;
+      }
+    }
+
+    return null;
+  }
+
+  async insertStages(client, pipelineId, stages) {
+    for (const [position, stage] of stages.entries()) {
+      await client.query(`
+        INSERT INTO pipeline_stages (
+          pipeline_id, stage_key, name, position, stage_type, allowed_transitions,
+          email_enabled, email_message, email_color
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      `, [
+        pipelineId, stage.stage_key, stage.name, position, stage.stage_type,
+        stage.allowed_transitions || [], stage.email_enabled, stage.email_message || null,
+        stage.email_color || '#0ea5e9'
+      ]);
+    }
+  }
+
+  async createPipeline(companyId, data, userId) {
+    const pipelineId = await transaction(async (client) => {
+      const pipelineResult = await client.query(`
+        INSERT INTO hiring_pipelines (company_id, name, created_by)
+        VALUES ($1, $2, $3)
+        RETURNING id
+      `, [companyId, data.name, userId]);
+
+      const id = pipelineResult.rows[0].id;
+      await this.insertStages(client, id, data.stages);
+
+      if (data.is_company_default) {
+        await client.query(
+          'UPDATE companies SET default_pipeline_id = $1 WHERE id = $2',
+          [id, companyId]
+        );
+      }
+
+      return id;
+    });
+
+    logger.info(`Hiring pipeline created: ${pipelineId} for company ${companyId}`);
+
+    return this.getPipeline(pipelineId);
+  }
+
+  // Stage keys held by applications that a new stage list would drop
+  async getRemovedStagesInUse(pipelineId, newKeys) {
+    const result = await query(`
+      SELECT DISTINCT a.status
+      FROM applications a
+      JOIN jobs j ON a.job_id = j.id
+      WHERE j.pipeline_id = $1 AND NOT (a.status = ANY($2))
+    `, [pipelineId, newKeys]);
+
+    return result.rows.map(row => row.status);
+  }
+
+  // Replace a pipeline's name and stages
+  async updatePipeline(pipeline, data) {
+    await transaction(async (client) => {
+      await client.query(
+        'UPDATE hiring_pipelines SET name = $1 WHERE id = $2',
+        [data.name, pipeline.id]
+      );
+      await client.query('DELETE FROM pipeline_stages WHERE pipeline_id = $1', [pipeline.id]);
+      await this.insertStages(client, pipeline.id, data.stages);
+
+      if (data.is_company_default) {
+        await client.query(
+          'UPDATE companies SET default_pipeline_id = $1 WHERE id = $2',
+          [pipeline.id, pipeline.company_id]
+        );
+      }
+    });
+
+    logger.info(`Hiring pipeline updated: ${pipeline.id}`);
+
+    return this.getPipeline(pipeline.id);
+  }
+}
+
+module.exports = new PipelineService();
@@ -0,0 +1,294 @@
+const crypto = require('crypto');
+const { query, transaction } = require('../config/database');
+const logger = require('../utils/logger');
+const aiService = require('./aiService');
+const settingsService = require('./settingsService');
+
+const DEFAULT_PIPELINE_ID = '00000000-0000-0000-0000-000000000001';
+
+const NDCG_K = 10;
+const PRECISION_K = 5;
+const MIN_QUERIES = 10; // Jobs with at least two labelled candidates
+const MAX_EXAMPLES = 20000;
+const MAX_ROUNDS = 25;
+const STEPS = [0.2, -0.2, 0.1, -0.1, 0.05, -0.05, 0.02, -0.02];
+const MIN_IMPROVEMENT = 0.001; // Validation NDCG gain required to promote
+
+// Relevance grades (0-3) for recruiter decisions
+const STAGE_GRADES = { rejected: 0, active: 1, offer: 2, hired: 3 };
+
+const normalizeWeights = (weights) => {
+  const total = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+  return Object.fromEntries(Object.entries(weights).map(([factor, weight]) => [factor, weight / total]));
+};
+
+const roundWeights = (weights) =>
+  Object.fromEntries(Object.entries(weights).map(([factor, weight]) => [factor, Math.round(weight * 10000) / 10000]));
+
+const dcg = (grades) => grades.reduce((sum, grade, i) => sum + (2 ** grade - 1) / Math.log2(i + 2), 0);
+
+// Learning-to-rank for match score weights, trained offline on recruiter decisions and feedback
+class RankingService {
+  // Labelled (job, candidate) pairs with their factor scores, grouped by job
+  async getTrainingQueries(factors) {
+    const examples = new Map();
+
+    // Recruiter decisions: where each application currently sits in its job's pipeline.
+    // Applications still in the first stage (or only viewed) carry no decision yet.
+    const decisionsResult = await query(`
+      SELECT a.job_id, a.job_seeker_id, ps.stage_type, m.output_data
+      FROM applications a
+      JOIN jobs j ON a.job_id = j.id
+      LEFT JOIN companies c ON j.company_id = c.id
+      JOIN pipeline_stages ps ON ps.pipeline_id = COALESCE(j.pipeline_id, c.default_pipeline_id, $1::uuid)
+        AND ps.stage_key = a.status
+      LEFT JOIN LATERAL (
+        SELECT t.output_data
+        FROM ai_training_data t
+        WHERE t.data_type = 'job_match_score'
+          AND t.input_data->>'job_id' = a.job_id::text
+          AND t.input_data->>'job_seeker_profile_id' = a.job_seeker_id::text
+        ORDER BY t.created_at DESC
+        LIMIT 1
+      ) m ON true
+      WHERE ps.position > 0 AND ps.stage_key <> 'viewed'
+      ORDER BY a.updated_at DESC
+      LIMIT $2
+    `, [DEFAULT_PIPELINE_ID, MAX_EXAMPLES]);
+
+    for (const row of decisionsResult.rows) {
+      examples.set(`${row.job_id}:${row.job_seeker_id}`, {
+        jobId: row.job_id,
+        jobSeekerProfileId: row.job_seeker_id,
+        grade: STAGE_GRADES[row.stage_type],
+        scores: row.output_data
+      });
+    }
+
+    // Explicit feedback on a shown match score takes precedence over the pipeline stage
+    const feedbackResult = await query(`
+      SELECT input_data->>'job_id' as job_id,
+             input_data->>'job_seeker_profile_id' as job_seeker_id,
+             feedback_score, output_data
+      FROM ai_training_data
+      WHERE data_type = 'job_match_score' AND feedback_score IS NOT NULL
+      ORDER BY created_at DESC
+      LIMIT $1
+    `, [MAX_EXAMPLES]);
+
+    for (const row of feedbackResult.rows) {
+      const key = `${row.job_id}:${row.job_seeker_id}`;
+      if (examples.get(key)?.fromFeedback) continue; // Keep the latest feedback only
+
+      examples.set(key, {
+        jobId: row.job_id,
+        jobSeekerProfileId: row.job_seeker_id,
+        grade: Math.round(parseFloat(row.feedback_score) * 3),
+        scores: row.output_data,
+        fromFeedback: true
+      });
+    }
+
+    const queries = new Map();
+
+    for (const example of examples.values()) {
+      const features = await this.getFeatures(example, factors);
+      if (!features) continue;
+
+      if (!queries.has(example.jobId)) {
+        queries.set(example.jobId, { jobId: example.jobId, examples: [] });
+      }
+      queries.get(example.jobId).examples.push({ grade: example.grade, features });
+    }
+
+    // A ranking needs at least two candidates and one relevant one
+    return [...queries.values()].filter(q =>
+      q.examples.length >= 2 && q.examples.some(example => example.grade >= 1)
+    );
+  }
+
+  // Factor scores from the stored match, recomputed when the pair was never scored
+  async getFeatures(example, factors) {
+    let scores = example.scores;
+
+    if (!scores) {
+      try {
+        const { job, profile } = await aiService.getMatchSubjects(example.jobId, example.jobSeekerProfileId);
+        const match = await aiService.scoreMatch(job, profile);
+        scores = Object.fromEntries(factors.map(factor => [`${factor}_match`, match.scores[factor]]));
+      } catch (error) {
+        logger.warn(`Skipping training pair ${example.jobId}/${example.jobSeekerProfileId}:`, error.message);
+        return null;
+      }
+    }
+
+    const features = {};
+    for (const factor of factors) {
+      const value = parseFloat(scores[`${factor}_match`]);
+      if (!Number.isFinite(value)) return null;
+      features[factor] = value;
+    }
+    return features;
+  }
+
+  // Mean NDCG@k and precision@k of ranking each job's candidates by weighted score
+  evaluate(queries, weights) {
+    let ndcgSum = 0;
+    let precisionSum = 0;
+
+    for (const q of queries) {
+      const ranked = q.examples
+        .map(example => ({
+          grade: example.grade,
+          score: Object.keys(weights).reduce((sum, factor) => sum + example.features[factor] * weights[factor], 0)
+        }))
+        // Ties go to the less relevant candidate so flat weights are not rewarded
+        .sort((a, b) => b.score - a.score || a.grade - b.grade);
+
+      const grades = ranked.map(example => example.grade);
+      const idealGrades = [...grades].sort((a, b) => b - a);
+
+      ndcgSum += dcg(grades.slice(0, NDCG_K)) / dcg(idealGrades.slice(0, NDCG_K));
+
+      const top = grades.slice(0, PRECISION_K);
+      precisionSum += top.filter(grade => grade >= 1).length / top.length;
+    }
+
+    return {
+      [`ndcg_at_${NDCG_K}`]: queries.length ? ndcgSum / queries.length : 0,
+      [`precision_at_${PRECISION_K}`]: queries.length ? precisionSum / queries.length : 0
+    };
+  }
+
+  // Coordinate ascent on NDCG, keeping weights non-negative and summing to 1
+  fitWeights(queries, initialWeights) {
+    const metric = `ndcg_at_${NDCG_K}`;
+    let best = normalizeWeights({ ...initialWeights });
+    let bestScore = this.evaluate(queries, best)[metric];
+
+    for (let round = 0; round < MAX_ROUNDS; round++) {
+      let improved = false;
+
+      for (const factor of Object.keys(best)) {
+        for (const step of STEPS) {
+          const adjusted = { ...best, [factor]: Math.max(0, best[factor] + step) };
+          if (Object.values(adjusted).every(weight => weight === 0)) continue;
+
+          const candidate = normalizeWeights(adjusted);
+          const score = this.evaluate(queries, candidate)[metric];
+
+          if (score > bestScore + 1e-9) {
+            best = candidate;
+            bestScore = score;
+            improved = true;
+          }
+        }
+      }
+
+      if (!improved) break;
+    }
+
+    return best;
+  }
+
+  // Deterministic ~20% hold-out by job so a job's candidates stay on one side
+  splitQueries(queries) {
+    const training = [];
+    const validation = [];
+
+    for (const q of queries) {
+      const bucket = crypto.createHash('md5').update(String(q.jobId)).digest()[0] % 5;
+      (bucket === 0 ? validation : training).push(q);
+    }
+
+    return { training, validation };
+  }
+
+  // Train a new weight set and promote it if it beats the live weights on held-out jobs
+  async trainMatchWeights({ trainedBy = null } = {}) {
+    const baselineWeights = await aiService.getMatchWeights();
+    const factors = Object.keys(baselineWeights);
+    const queries = await this.getTrainingQueries(factors);
+
+    const { training, validation } = this.splitQueries(queries);
+
+    if (queries.length < MIN_QUERIES || training.length === 0 || validation.length === 0) {
+      logger.info(`Match weight training skipped: ${queries.length} usable jobs`);
+      return { status: 'insufficient_data', queries: queries.length, required: MIN_QUERIES };
+    }
+
+    const weights = roundWeights(this.fitWeights(training, baselineWeights));
+    const metrics = {
+      model: this.evaluate(validation, weights),
+      baseline: this.evaluate(validation, baselineWeights),
+      training: this.evaluate(training, weights)
+    };
+
+    const metric = `ndcg_at_${NDCG_K}`;
+    const promoted = metrics.model[metric] >= metrics.baseline[metric] + MIN_IMPROVEMENT;
+    const exampleCount = queries.reduce((sum, q) => sum + q.examples.length, 0);
+
+    const model = await transaction(async (client) => {
+      const result = await client.query(`
+        INSERT INTO match_weight_models (
+          version, weights, baseline_weights, metrics, training_queries,
+          validation_queries, example_count, promoted, is_active, trained_by, promoted_at
+        )
+        SELECT COALESCE(MAX(version), 0) + 1, $1, $2, $3, $4, $5, $6, $7, $7, $8,
+               CASE WHEN $7 THEN NOW() END
+        FROM match_weight_models
+        RETURNING *
+      `, [
+        JSON.stringify(weights), JSON.stringify(roundWeights(baselineWeights)), JSON.stringify(metrics),
+        training.length, validation.length, exampleCount, promoted, trainedBy
+      ]);
+
+      const saved = result.rows[0];
+
+      if (promoted) {
+        await client.query(
+          'UPDATE match_weight_models SET is_active = false WHERE id <> $1 AND is_active = true',
+          [saved.id]
+        );
+
+        // The live weights are the ai.match_weight_* settings, versioned like any admin change
+        for (const [factor, weight] of Object.entries(weights)) {
+          const updated = await settingsService.update('ai', `match_weight_${factor}`, weight, {
+            userId: trainedBy,
+            reason: `Promoted match weight model v${saved.version}`,
+            client
+          });
+          if (!updated?.setting) {
+            throw new Error(`Could not store match weight ${factor}: ${updated?.error || 'setting missing'}`);
+          }
+        }
+      }
+
+      return saved;
+    });
+
+    if (promoted) {
+      settingsService.invalidate();
+    }
+
+    logger.info(`Match weight model v${model.version} trained: ${metric} ${metrics.model[metric].toFixed(4)} vs baseline ${metrics.baseline[metric].toFixed(4)}, ${promoted ? 'promoted' : 'not promoted'}`);
+
+    return { status: promoted ? 'promoted' : 'rejected', model };
+  }
+
+  async getModelHistory(limit = 20) {
+    const result = await query(`
+      SELECT m.id, m.version, m.weights, m.baseline_weights, m.metrics, m.training_queries,
+             m.validation_queries, m.example_count, m.promoted, m.is_active, m.promoted_at,
+             m.created_at, u.email as trained_by_email
+      FROM match_weight_models m
+      LEFT JOIN users u ON m.trained_by = u.id
+      ORDER BY m.version DESC
+      LIMIT $1
+    `, [limit]);
+
+    return result.rows;
+  }
+}
+
+module.exports = new RankingService();
@@ -0,0 +1,623 @@
+const geoService = require('./geoService');
+const skillService = require('./skillService');
+
+// Fields below this confidence are listed in needs_review for the user to confirm
+const REVIEW_THRESHOLD = 0.6;
+
+const SECTION_HEADINGS = {
+  summary: ['summary', 'professional summary', 'profile', 'profile summary', 'career summary', 'objective', 'career objective', 'about me'],
+  experience: ['experience', 'work experience', 'professional experience', 'employment', 'employment history', 'work history', 'career history', 'internships', 'internship experience'],
+  education: ['education', 'educational qualifications', 'educational qualification', 'academic qualifications', 'academic background', 'academics', 'qualifications', 'education and training'],
+  skills: ['skills', 'technical skills', 'key skills', 'core skills', 'it skills', 'soft skills', 'skill set', 'core competencies', 'areas of expertise', 'technologies', 'tools and technologies'],
+  certifications: ['certifications', 'certification', 'certificates', 'licenses and certifications', 'courses', 'courses and certifications', 'trainings and certifications'],
+  projects: ['projects', 'academic projects', 'personal projects', 'key projects'],
+  languages: ['languages', 'languages known', 'spoken languages']
+};
+
+const HEADING_INDEX = new Map(
+  Object.entries(SECTION_HEADINGS).flatMap(([section, headings]) => headings.map(heading => [heading, section]))
+);
+
+const SPOKEN_LANGUAGES = new Set([
+  'english', 'hindi', 'bengali', 'marathi', 'telugu', 'tamil', 'gujarati', 'urdu', 'kannada', 'odia',
+  'malayalam', 'punjabi', 'assamese', 'konkani', 'sanskrit', 'french', 'german', 'spanish', 'japanese',
+  'mandarin', 'chinese', 'arabic', 'russian', 'italian', 'portuguese', 'korean'
+]);
+
+const SOFT_SKILLS = new Set([
+  'communication', 'leadership', 'teamwork', 'problem solving', 'time management', 'critical thinking',
+  'adaptability', 'creativity', 'negotiation', 'presentation', 'collaboration', 'decision making',
+  'interpersonal skills', 'attention to detail', 'work ethic', 'mentoring'
+]);
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH = '(?:jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+const DATE = `(?:${MONTH}\\.?,?\\s*'?(?:19|20)?\\d{2}|(?:0?[1-9]|1[0-2])[/.-](?:19|20)\\d{2}|(?:19|20)\\d{2})`;
+const CURRENT = '(?:present|current|now|till date|to date|today|ongoing)';
+const DATE_RANGE_PATTERN = new RegExp(`\\b(${DATE})\\s*(?:-|–|—|to|till|until)\\s*(${DATE}|${CURRENT})\\b`, 'i');
+const DATE_PATTERN = new RegExp(`\\b${DATE}\\b`, 'gi');
+
+const BULLET_PATTERN = /^(?:[•▪◦●■►➢✓·]\s*|[-*–—>]\s+)/;
+const EMAIL_PATTERN = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g;
+const PHONE_PATTERN = /\+?\(?\d[\d\s().-]{7,18}\d/g;
+const LINKEDIN_PATTERN = /(?:https?:\/\/)?(?:[a-z]{2,3}\.)?linkedin\.com\/in\/[A-Za-z0-9_%-]+\/?/i;
+const GITHUB_PATTERN = /(?:https?:\/\/)?(?:www\.)?github\.com\/[A-Za-z0-9_-]+\/?/i;
+const URL_PATTERN = /https?:\/\/[^\s)]+/i;
+
+const TITLE_PATTERN = /\b(engineer|developer|programmer|manager|analyst|intern|trainee|consultant|designer|architect|lead|executive|specialist|officer|associate|administrator|scientist|tester|head|director|coordinator|accountant|technician|representative|assistant|supervisor|advisor|writer|editor|teacher|lecturer|professor|founder)\b/i;
+const COMPANY_PATTERN = /\b(pvt|private|ltd|limited|inc|llc|llp|corp|corporation|company|technologies|solutions|systems|services|labs|software|infotech|consultancy|consulting|group|bank|enterprises|industries)\b\.?/i;
+const INSTITUTION_PATTERN = /\b(university|college|institute|school|academy|vidyalaya|vidyapeeth|polytechnic|iit|nit|iiit|iim|bits)\b/i;
+const DEGREE_PATTERN = /\b(b\.?\s?tech|m\.?\s?tech|b\.?\s?sc|m\.?\s?sc|b\.?\s?com|m\.?\s?com|b\.?\s?pharm|m\.?\s?pharm|bba|mba|bca|mca|mbbs|pgdm|ph\.?\s?d|bachelor(?:'s)?(?:\s+of\s+[a-z]+)?|master(?:'s)?(?:\s+of\s+[a-z]+)?|diploma|higher secondary|senior secondary|secondary school|hsc|ssc|12th|10th|class\s+(?:xii|x)\b)\.?/i;
+// Short degree abbreviations only count in capitals ("B.E", "MS"), never as the words "be" or "ms"
+const SHORT_DEGREE_PATTERN = /\b([BM]\.?E|[BM]\.?A|[BM]\.?S|CA)\b\.?/;
+const GRADE_PATTERN = /(?:(?:cgpa|gpa|cpi|sgpa)\s*[:-]?\s*(\d{1,2}(?:\.\d+)?(?:\s*\/\s*\d{1,2})?)|(\d{1,2}(?:\.\d+)?)\s*(?:\/\s*10\s*)?(?:cgpa|gpa|cpi)|(\d{2}(?:\.\d+)?)\s*%)/i;
+const PART_SEPARATOR = /\s*(?:\||,|\s[-–—]\s|\s@\s|\s+at\s+|\s+from\s+)\s*/i;
+
+const round = (value) => Math.round(value * 100) / 100;
+const average = (values) => values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+
+// Rule-based resume parser: works entirely offline on extracted text and reports a
+// confidence for every field so low-confidence values can be confirmed by the user
+class ResumeParserService {
+  async parse(text) {
+    const lines = String(text || '')
+      .split(/\r?\n/)
+      .map(line => line.replace(/\s+/g, ' ').trim())
+      .filter(Boolean);
+
+    const { header, sections } = this.splitSections(lines);
+
+    const personal = this.extractPersonalInfo(header, lines.join('\n'));
+    const experience = (sections.experience || []).length > 0 ? this.parseExperience(sections.experience) : [];
+    const education = (sections.education || []).length > 0 ? this.parseEducation(sections.education) : [];
+    const projects = (sections.projects || []).length > 0 ? await this.parseProjects(sections.projects) : [];
+    const skills = await this.parseSkills(sections, lines.join('\n'));
+    const summary = (sections.summary || []).join(' ');
+    const certifications = (sections.certifications || []).map(line => line.replace(BULLET_PATTERN, ''));
+
+    const data = {
+      personal_info: personal.values,
+      summary,
+      experience: experience.map(entry => entry.values),
+      education: education.map(entry => entry.values),
+      skills: { ...skills.values, certifications },
+      projects: projects.map(entry => entry.values)
+    };
+
+    const confidence = {
+      personal_info: personal.confidence,
+      summary: summary ? 0.9 : 0,
+      experience: experience.map(entry => entry.confidence),
+      education: education.map(entry => entry.confidence),
+      skills: skills.confidence,
+      certifications: certifications.length > 0 ? 0.9 : 0,
+      projects: projects.map(entry => entry.confidence)
+    };
+
+    confidence.overall = round(average([
+      confidence.personal_info.name,
+      confidence.personal_info.email,
+      confidence.personal_info.phone,
+      experience.length > 0 ? average(confidence.experience) : 0,
+      education.length > 0 ? average(confidence.education) : 0,
+      confidence.skills
+    ]));
+
+    return {
+      data,
+      confidence,
+      needs_review: this.getFieldsForReview(data, confidence)
+    };
+  }
+
+  // Section a heading line starts, with any text after "Heading:" on the same line
+  matchHeading(line) {
+    if (line.length > 60) return null;
+
+    const inline = line.match(/^([A-Za-z][A-Za-z &/]*?)\s*:\s*(.*)$/);
+    const label = (inline ? inline[1] : line)
+      .toLowerCase()
+      .replace(/&/g, ' and ')
+      .replace(/[^a-z ]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    const section = HEADING_INDEX.get(label);
+    return section ? { section, content: inline ? inline[2].trim() : '' } : null;
+  }
+
+  // Lines before the first heading are the header (name and contact details)
+  splitSections(lines) {
+    const header = [];
+    const sections = {};
+    let current = null;
+
+    for (const line of lines) {
+      const heading = this.matchHeading(line);
+
+      // "Languages: Java, Python" inside a skills list is a labelled skills line
+      if (heading && !(current === 'skills' && heading.content && ['skills', 'languages'].includes(heading.section))) {
+        current = heading.section;
+        sections[current] = sections[current] || [];
+        if (heading.content) sections[current].push(heading.content);
+        continue;
+      }
+
+      if (current) {
+        sections[current].push(line);
+      } else {
+        header.push(line);
+      }
+    }
+
+    return { header, sections };
+  }
+
+  extractPersonalInfo(header, text) {
+    const values = { name: '', email: '', phone: '', location: '', linkedin: '', github: '' };
+    const confidence = { name: 0, email: 0, phone: 0, location: 0, linkedin: 0, github: 0 };
+
+    const emails = [...new Set(text.match(EMAIL_PATTERN) || [])];
+    if (emails.length > 0) {
+      values.email = emails[0].toLowerCase();
+      confidence.email = emails.length === 1 ? 1 : 0.8;
+    }
+
+    const phone = this.extractPhone(header.join('\n')) || this.extractPhone(text);
+    if (phone) {
+      values.phone = phone.value;
+      confidence.phone = phone.confidence;
+    }
+
+    const linkedin = text.match(LINKEDIN_PATTERN);
+    if (linkedin) {
+      values.linkedin = linkedin[0].startsWith('http') ? linkedin[0] : `https://${linkedin[0]}`;
+      confidence.linkedin = 1;
+    }
+
+    const github = text.match(GITHUB_PATTERN);
+    if (github) {
+      values.github = github[0].startsWith('http') ? github[0] : `https://${github[0]}`;
+      confidence.github = 1;
+    }
+
+    // Name: the first short, letters-only line of the header
+    const nameIndex = header.findIndex(line => this.isNameLine(line));
+    if (nameIndex !== -1) {
+      let name = header[nameIndex].replace(/^name\s*:\s*/i, '');
+      if (name === name.toUpperCase()) {
+        name = name.toLowerCase().replace(/\b[a-z]/g, letter => letter.toUpperCase());
+      }
+
+      const capitalised = name.split(' ').every(word => word[0] === word[0].toUpperCase());
+
+      values.name = name;
+      confidence.name = capitalised ? (nameIndex === 0 ? 0.9 : 0.75) : 0.5;
+    }
+
+    // Location: a header segment that resolves against the city gazetteer
+    const segments = header
+      .filter((line, index) => index !== nameIndex)
+      .flatMap(line => line.split(/\s*[|•·]\s*/));
+
+    for (const segment of segments) {
+      if (!segment || /@|https?:|www\.|\.com\//i.test(segment) || segment.replace(/\D/g, '').length >= 7) continue;
+
+      const labelled = /^(address|location|city|current location)\s*:/i.test(segment);
+      const location = segment.replace(/^[a-z ]+:\s*/i, '').trim();
+
+      if (geoService.geocode(location)) {
+        values.location = location;
+        confidence.location = labelled ? 0.9 : 0.8;
+        break;
+      }
+
+      if (labelled && location) {
+        values.location = location;
+        confidence.location = 0.5;
+        break;
+      }
+    }
+
+    return { values, confidence };
+  }
+
+  isNameLine(line) {
+    if (/@|https?:|www\.|\d|resume|curriculum vitae|\bcv\b/i.test(line) || TITLE_PATTERN.test(line)) {
+      return false;
+    }
+
+    const words = line.replace(/^name\s*:\s*/i, '').split(' ');
+    return words.length >= 2 && words.length <= 4 && words.every(word => /^[A-Za-z][A-Za-z.'-]*$/.test(word));
+  }
+
+  extractPhone(text) {
+    for (const candidate of text.match(PHONE_PATTERN) || []) {
+      const digits = candidate.replace(/\D/g, '');
+      if (digits.length < 10 || digits.length > 13) continue;
+
+      // Indian mobile numbers: 10 digits starting 6-9, optionally prefixed with 91 or 0
+      const indianMobile = /^[6-9]\d{9}$/.test(digits.slice(-10)) &&
+        (digits.length === 10 || (digits.length === 12 && digits.startsWith('91')) || (digits.length === 11 && digits.startsWith('0')));
+
+      return { value: candidate.trim(), confidence: indianMobile ? 0.95 : 0.7 };
+    }
+
+    return null;
+  }
+
+  // ISO date for a single date token; year-only dates are imprecise
+  parseDateToken(token, isEnd) {
+    const text = token.toLowerCase().replace(/[.,']/g, ' ').replace(/\s+/g, ' ').trim();
+
+    if (new RegExp(`^${CURRENT}$`).test(text)) {
+      return { date: '', current: true, precise: true };
+    }
+
+    const toYear = (value) => {
+      if (value.length === 4) return parseInt(value);
+      const year = 2000 + parseInt(value);
+      return year > new Date().getFullYear() + 5 ? year - 100 : year;
+    };
+    const format = (year, month) => ({
+      date: `${year}-${String(month).padStart(2, '0')}-01`,
+      current: false,
+      precise: true
+    });
+
+    let match = text.match(/^([a-z]+) ?(\d{2,4})$/);
+    if (match && MONTHS.includes(match[1].slice(0, 3))) {
+      return format(toYear(match[2]), MONTHS.indexOf(match[1].slice(0, 3)) + 1);
+    }
+
+    match = text.match(/^(\d{1,2})[/-](\d{4})$/) || token.match(/^(\d{1,2})\.(\d{4})$/);
+    if (match) return format(parseInt(match[2]), parseInt(match[1]));
+
+    match = text.match(/^(\d{4})$/);
+    if (match) return { ...format(parseInt(match[1]), isEnd ? 12 : 1), precise: false };
+
+    return null;
+  }
+
+  // Dates in a line: a "from - to" range, otherwise the single dates it mentions
+  extractDates(text, single = 'end') {
+    const range = text.match(DATE_RANGE_PATTERN);
+    if (range) {
+      const start = this.parseDateToken(range[1], false);
+      const end = this.parseDateToken(range[2], true);
+
+      if (start && end) {
+        return {
+          start_date: start.date,
+          end_date: end.date,
+          is_current: end.current,
+          precise: start.precise && end.precise,
+          text: range[0]
+        };
+      }
+    }
+
+    const tokens = (text.match(DATE_PATTERN) || [])
+      .map(token => ({ token, parsed: this.parseDateToken(token, true) }))
+      .filter(({ parsed }) => parsed);
+    if (tokens.length === 0) return null;
+
+    const last = tokens[tokens.length - 1];
+    return {
+      start_date: single === 'start' ? last.parsed.date : '',
+      end_date: single === 'end' ? last.parsed.date : '',
+      is_current: false,
+      precise: last.parsed.precise,
+      text: last.token
+    };
+  }
+
+  // Header text of an entry with its dates and empty brackets removed, split into parts
+  splitParts(line, dates) {
+    const text = (dates ? line.replace(dates.text, ' ') : line)
+      .replace(/\(\s*\)|\[\s*\]/g, ' ')
+      .replace(/[()]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .replace(/^[\s|,–—-]+|[\s|,–—-]+$/g, '');
+
+    return text.split(PART_SEPARATOR).map(part => part.trim()).filter(Boolean);
+  }
+
+  isEntryHeader(line) {
+    return line.length <= 100 && !/[.;]$/.test(line);
+  }
+
+  // Entries are filled line by line; a line supplying a field the current entry already
+  // has, or a header line after the previous entry's bullets, starts the next entry
+  parseExperience(lines) {
+    const entries = [];
+    let entry = null;
+    let afterBullets = false;
+
+    const startEntry = () => {
+      entry = { position: '', company: '', location: '', dates: null, titleMatched: false, companyMatched: false, lines: [], bullets: [] };
+      entries.push(entry);
+      afterBullets = false;
+    };
+
+    for (const line of lines) {
+      if (BULLET_PATTERN.test(line)) {
+        if (!entry) startEntry();
+        const bullet = line.replace(BULLET_PATTERN, '');
+        entry.lines.push(bullet);
+        entry.bullets.push(bullet);
+        afterBullets = true;
+        continue;
+      }
+
+      const fields = this.isEntryHeader(line) ? this.classifyExperienceLine(line) : null;
+
+      if (!fields) {
+        if (!entry) startEntry();
+        entry.lines.push(line);
+        continue;
+      }
+
+      const conflict = !entry ||
+        (fields.dates && entry.dates) ||
+        (fields.position && entry.position) ||
+        (fields.companyMatched && entry.company) ||
+        (afterBullets && entry.dates);
+
+      if (conflict) startEntry();
+
+      if (fields.dates) entry.dates = fields.dates;
+      if (fields.position && !entry.position) {
+        entry.position = fields.position;
+        entry.titleMatched = true;
+      }
+      if (fields.company && !entry.company) {
+        entry.company = fields.company;
+        entry.companyMatched = fields.companyMatched;
+      }
+      if (fields.location && !entry.location) entry.location = fields.location;
+
+      // Leftover text fills whichever of company and position is still missing
+      for (const part of fields.other) {
+        if (!entry.company) {
+          entry.company = part;
+        } else if (!entry.position) {
+          entry.position = part;
+        } else {
+          entry.lines.push(part);
+        }
+      }
+    }
+
+    return entries
+      .filter(item => item.position || item.company || item.dates)
+      .map(item => ({
+        values: {
+          company: item.company,
+          position: item.position,
+          location: item.location,
+          start_date: item.dates?.start_date || '',
+          end_date: item.dates?.end_date || '',
+          is_current: item.dates?.is_current || false,
+          description: item.lines.join('\n'),
+          achievements: item.bullets
+        },
+        confidence: round(Math.min(1,
+          (item.dates ? (item.dates.precise ? 0.35 : 0.25) : 0) +
+          (item.position ? (item.titleMatched ? 0.35 : 0.15) : 0) +
+          (item.company ? (item.companyMatched ? 0.3 : 0.2) : 0)
+        ))
+      }));
+  }
+
+  // Position, company, location and dates a header line supplies, or null for plain text
+  classifyExperienceLine(line) {
+    const dates = this.extractDates(line, 'start');
+    const parts = this.splitParts(line, dates);
+    const fields = { dates, position: '', company: '', companyMatched: false, location: '', other: [] };
+
+    for (const part of parts) {
+      if (!fields.position && TITLE_PATTERN.test(part)) {
+        fields.position = part;
+      } else if (!fields.company && COMPANY_PATTERN.test(part)) {
+        fields.company = part;
+        fields.companyMatched = true;
+      } else if (!fields.location && (/^remote$/i.test(part) || (part.split(' ').length <= 3 && geoService.geocode(part)))) {
+        fields.location = part;
+      } else if (part.split(' ').length <= 6) {
+        fields.other.push(part);
+      } else {
+        return null;
+      }
+    }
+
+    const recognised = fields.dates || fields.position || fields.company || fields.location;
+    return recognised || fields.other.length > 0 ? fields : null;
+  }
+
+  parseEducation(lines) {
+    const entries = [];
+    let entry = null;
+
+    const startEntry = () => {
+      entry = { degree: '', field_of_study: '', institution: '', grade: '', dates: null };
+      entries.push(entry);
+    };
+
+    for (const rawLine of lines) {
+      const line = rawLine.replace(BULLET_PATTERN, '');
+      const dates = this.extractDates(line, 'end');
+      const degreeMatch = line.match(DEGREE_PATTERN) || line.match(SHORT_DEGREE_PATTERN);
+      const grade = line.match(GRADE_PATTERN);
+      const institution = this.splitParts(line, dates).find(part => INSTITUTION_PATTERN.test(part) && !DEGREE_PATTERN.test(part));
+
+      if (!degreeMatch && !institution && !dates && !grade) continue;
+
+      const conflict = !entry ||
+        (degreeMatch && entry.degree) ||
+        (institution && entry.institution) ||
+        (dates && entry.dates && !degreeMatch && !institution);
+
+      if (conflict) startEntry();
+
+      if (degreeMatch && !entry.degree) {
+        entry.degree = degreeMatch[0].trim();
+        entry.field_of_study = this.extractFieldOfStudy(line.slice(degreeMatch.index + degreeMatch[0].length), dates);
+      }
+      if (institution && !entry.institution) entry.institution = institution;
+      if (dates && !entry.dates) entry.dates = dates;
+      if (grade && !entry.grade) {
+        entry.grade = grade[1] ? `${grade[1].replace(/\s+/g, '')} CGPA` : grade[2] ? `${grade[2]} CGPA` : `${grade[3]}%`;
+      }
+    }
+
+    return entries.map(item => ({
+      values: {
+        institution: item.institution,
+        degree: item.degree,
+        field_of_study: item.field_of_study,
+        start_date: item.dates?.start_date || '',
+        end_date: item.dates?.end_date || '',
+        grade: item.grade
+      },
+      confidence: round(
+        (item.degree ? 0.4 : 0) +
+        (item.institution ? 0.35 : 0) +
+        (item.dates ? (item.dates.precise || item.dates.start_date ? 0.25 : 0.2) : 0)
+      )
+    }));
+  }
+
+  // "B.Tech in Computer Science from ..." -> "Computer Science"
+  extractFieldOfStudy(rest, dates) {
+    const text = (dates ? rest.replace(dates.text, ' ') : rest)
+      .replace(/^[\s.,:(–—-]*(?:(?:in|of)\s+)?/i, '');
+    const field = text.split(/\s+(?:from|at)\s+|[,|()–—:]|\s-\s/i)[0].trim();
+
+    if (!field || INSTITUTION_PATTERN.test(field) || GRADE_PATTERN.test(field) || /\d/.test(field)) return '';
+    return field;
+  }
+
+  async parseSkills(sections, text) {
+    const technical = [];
+    const soft = [];
+    const languages = [];
+
+    // Unknown one-word items only count as spoken languages under a languages heading
+    const addItem = (item, inLanguagesSection) => {
+      const name = item.replace(/\s*\((?:basic|beginner|intermediate|advanced|expert|fluent|native|proficient)\)\s*$/i, '').trim();
+      const key = name.toLowerCase();
+      if (!name || name.length > 40) return;
+
+      if (SPOKEN_LANGUAGES.has(key)) {
+        languages.push(name);
+      } else if (inLanguagesSection && name.split(' ').length === 1 && !skillService.resolve(name)) {
+        languages.push(name);
+      } else if (SOFT_SKILLS.has(key) || skillService.resolve(name)?.category === 'soft_skill') {
+        soft.push(name);
+      } else {
+        technical.push(name);
+      }
+    };
+
+    await skillService.ensureLoaded();
+
+    for (const rawLine of sections.skills || []) {
+      const line = rawLine.replace(BULLET_PATTERN, '');
+      const labelled = line.match(/^([^:]{1,40}):\s*(.+)$/);
+      const content = labelled ? labelled[2] : line;
+      const items = content.split(/\s*[,;|•·]\s*/).filter(Boolean);
+
+      // A sentence rather than a list: pick out the skills it mentions
+      if (items.length === 1 && items[0].split(' ').length > 4) {
+        (await skillService.findSkills(items[0])).forEach(skill => addItem(skill, false));
+        continue;
+      }
+
+      items.forEach(item => addItem(item, false));
+    }
+
+    for (const line of sections.languages || []) {
+      line.replace(BULLET_PATTERN, '').split(/\s*[,;|•·]\s*/).filter(Boolean).forEach(item => addItem(item, true));
+    }
+
+    let confidence = technical.length + soft.length > 0 ? 0.9 : 0;
+
+    // No skills section: fall back to taxonomy skills mentioned anywhere in the resume
+    if (!sections.skills) {
+      (await skillService.findSkills(text)).forEach(skill => addItem(skill, false));
+      confidence = technical.length + soft.length > 0 ? 0.5 : 0;
+    }
+
+    const unique = (items) => [...new Map(items.map(item => [item.toLowerCase(), item])).values()];
+
+    return {
+      values: { technical: unique(technical), soft: unique(soft), languages: unique(languages) },
+      confidence
+    };
+  }
+
+  // A short non-bullet line after the previous project's details starts the next project
+  async parseProjects(lines) {
+    const projects = [];
+    let project = null;
+
+    for (const line of lines) {
+      const isBullet = BULLET_PATTERN.test(line);
+      const text = line.replace(BULLET_PATTERN, '');
+      const technologies = text.match(/^(?:tech(?:nologies| stack)?|tools|stack|built with)\s*:\s*(.+)$/i);
+
+      if (!isBullet && !technologies && this.isEntryHeader(text) && (!project || project.lines.length > 0)) {
+        project = { name: text.replace(URL_PATTERN, '').replace(/[\s|–—-]+$/, '').trim(), lines: [], technologies: [], url: '' };
+        projects.push(project);
+      } else if (!project) {
+        project = { name: '', lines: [], technologies: [], url: '' };
+        projects.push(project);
+      }
+
+      const url = text.match(URL_PATTERN);
+      if (url && !project.url) project.url = url[0];
+
+      if (technologies) {
+        project.technologies.push(...technologies[1].split(/\s*[,;|]\s*/).filter(Boolean));
+      } else if (text !== project.name) {
+        project.lines.push(text);
+      }
+    }
+
+    return Promise.all(projects.map(async (item) => {
+      const description = item.lines.join('\n');
+      const technologies = item.technologies.length > 0
+        ? await skillService.normalizeSkills(item.technologies)
+        : await skillService.findSkills(`${item.name} ${description}`);
+
+      return {
+        values: { name: item.name, description, technologies, url: item.url },
+        confidence: round((item.name ? 0.5 : 0) + (description ? 0.3 : 0) + (technologies.length > 0 ? 0.2 : 0))
+      };
+    }));
+  }
+
+  // Paths of extracted values the user should confirm, e.g. "personal_info.name" or "experience[1]"
+  getFieldsForReview(data, confidence) {
+    const fields = [];
+
+    for (const [field, score] of Object.entries(confidence.personal_info)) {
+      if (data.personal_info[field] && score < REVIEW_THRESHOLD) fields.push(`personal_info.${field}`);
+    }
+
+    for (const section of ['experience', 'education', 'projects']) {
+      confidence[section].forEach((score, index) => {
+        if (score < REVIEW_THRESHOLD) fields.push(`${section}[${index}]`);
+      });
+    }
+
+    if ((data.skills.technical.length > 0 || data.skills.soft.length > 0) && confidence.skills < REVIEW_THRESHOLD) {
+      fields.push('skills');
+    }
+
+    return fields;
+  }
+}
+
+module.exports = new ResumeParserService();
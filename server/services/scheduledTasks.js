@@ -0,0 +1,76 @@
+const { query } = require('../config/database');
+const taskScheduler = require('./taskScheduler');
+const settingsService = require('./settingsService');
+const videoInterviewService = require('./videoInterviewService');
+const offerService = require('./offerService');
+const jobAlertService = require('./jobAlertService');
+const sessionService = require('./sessionService');
+const phoneOtpService = require('./phoneOtpService');
+const accountLockoutService = require('./accountLockoutService');
+const { processScheduledNotifications } = require('./notificationService');
+const logger = require('../utils/logger');
+
+// Close active jobs past their expiry date, or past the maximum posting duration when
+// none was set. Controlled by the jobs.auto_expire_jobs system setting.
+const expireJobs = async () => {
+  if (!(await settingsService.get('jobs', 'auto_expire_jobs'))) {
+    return { skipped: true };
+  }
+
+  const maxDays = await settingsService.get('jobs', 'max_job_posting_duration');
+
+  const result = await query(`
+    UPDATE jobs SET status = 'expired', updated_at = NOW()
+    WHERE status = 'active' AND deleted_at IS NULL
+      AND (expires_at < NOW()
+           OR (expires_at IS NULL AND posted_at < NOW() - make_interval(days => $1)))
+    RETURNING id
+  `, [maxDays]);
+
+  if (result.rows.length > 0) {
+    logger.info(`Expired ${result.rows.length} jobs`);
+  }
+
+  return { expired: result.rows.length };
+};
+
+const registerScheduledTasks = () => {
+  taskScheduler.register('interview-reminders',
+    async () => ({ sent: await videoInterviewService.sendInterviewReminders() }),
+    { cron: '*/15 * * * *', description: 'Remind candidates of interviews starting in 1-2 hours' }
+  );
+
+  taskScheduler.register('scheduled-notifications',
+    async () => ({ processed: await processScheduledNotifications() }),
+    { cron: '* * * * *', description: 'Send notifications whose scheduled time has passed', backoffSeconds: 30 }
+  );
+
+  taskScheduler.register('offer-expiry',
+    async () => ({ expired: await offerService.expireOffers() }),
+    { cron: '*/15 * * * *', description: 'Expire offers past their response deadline' }
+  );
+
+  taskScheduler.register('job-expiry', expireJobs,
+    { cron: '0 * * * *', description: 'Expire job postings past their expiry date or maximum duration' }
+  );
+
+  taskScheduler.register('job-alert-digests', () => jobAlertService.sendDigests(),
+    { cron: '30 3 * * *', description: 'Daily and weekly job alert digests (09:00 IST)', timeoutSeconds: 1800 }
+  );
+
+  taskScheduler.register('session-cleanup', () => sessionService.cleanup(),
+    { cron: '0 2 * * *', description: 'Delete login sessions and refresh tokens that ended over 30 days ago' }
+  );
+
+  taskScheduler.register('phone-otp-cleanup', () => phoneOtpService.cleanup(),
+    { cron: '15 2 * * *', description: 'Delete phone verification codes older than 7 days' }
+  );
+
+  taskScheduler.register('login-attempt-cleanup', () => accountLockoutService.cleanup(),
+    { cron: '30 2 * * *', description: 'Delete login attempt records older than 90 days' }
+  );
+};
+
+module.exports = {
+  registerScheduledTasks
+};
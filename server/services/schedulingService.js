@@ -0,0 +1,412 @@
+const crypto = require('crypto');
+const { query, transaction } = require('../config/database');
+const { sendEmail } = require('./email');
+const videoInterviewService = require('./videoInterviewService');
+const logger = require('../utils/logger');
+
+const DEFAULT_SETTINGS = {
+  timezone: 'Asia/Kolkata',
+  working_hours: {
+    mon: [{ start: '09:00', end: '18:00' }],
+    tue: [{ start: '09:00', end: '18:00' }],
+    wed: [{ start: '09:00', end: '18:00' }],
+    thu: [{ start: '09:00', end: '18:00' }],
+    fri: [{ start: '09:00', end: '18:00' }]
+  },
+  buffer_before_minutes: 0,
+  buffer_after_minutes: 15,
+  min_notice_hours: 12
+};
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const SLOT_STEP_MINUTES = 30;
+const MAX_SLOTS = 200;
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Minutes a timezone is ahead of UTC at the given instant
+const getTimezoneOffset = (timezone, date) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit'
+  }).formatToParts(date);
+  const value = (type) => parseInt(parts.find(part => part.type === type).value);
+  const asUtc = Date.UTC(value('year'), value('month') - 1, value('day'), value('hour'), value('minute'));
+
+  return Math.round((asUtc - Math.floor(date.getTime() / MINUTE) * MINUTE) / MINUTE);
+};
+
+// UTC instant of a wall-clock time in a timezone (re-checked once for DST changes)
+const zonedTimeToUtc = (year, month, day, minutes, timezone) => {
+  const guess = Date.UTC(year, month, day, 0, minutes);
+  const offset = getTimezoneOffset(timezone, new Date(guess));
+  const corrected = getTimezoneOffset(timezone, new Date(guess - offset * MINUTE));
+  return guess - corrected * MINUTE;
+};
+
+// Overlapping parts of two sorted interval lists
+const intersect = (a, b) => {
+  const result = [];
+  for (const x of a) {
+    for (const y of b) {
+      const start = Math.max(x.start, y.start);
+      const end = Math.min(x.end, y.end);
+      if (start < end) result.push({ start, end });
+    }
+  }
+  return result.sort((x, y) => x.start - y.start);
+};
+
+// Interviewer availability: published windows, clipped to working hours, minus booked interviews
+class SchedulingService {
+  isValidTimezone(timezone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async getSettings(userId, client = { query }) {
+    const result = await client.query('SELECT * FROM interviewer_settings WHERE user_id = $1', [userId]);
+    return result.rows[0] || { user_id: userId, ...DEFAULT_SETTINGS };
+  }
+
+  async updateSettings(userId, updates) {
+    const settings = { ...(await this.getSettings(userId)), ...updates };
+
+    const result = await query(`
+      INSERT INTO interviewer_settings (
+        user_id, timezone, working_hours, buffer_before_minutes, buffer_after_minutes, min_notice_hours
+      ) VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (user_id) DO UPDATE SET
+        timezone = EXCLUDED.timezone,
+        working_hours = EXCLUDED.working_hours,
+        buffer_before_minutes = EXCLUDED.buffer_before_minutes,
+        buffer_after_minutes = EXCLUDED.buffer_after_minutes,
+        min_notice_hours = EXCLUDED.min_notice_hours
+      RETURNING *
+    `, [
+      userId,
+      settings.timezone,
+      JSON.stringify(settings.working_hours),
+      settings.buffer_before_minutes,
+      settings.buffer_after_minutes,
+      settings.min_notice_hours
+    ]);
+
+    return result.rows[0];
+  }
+
+  async getWindows(interviewerId, from, until) {
+    const result = await query(`
+      SELECT * FROM interviewer_availability
+      WHERE interviewer_id = $1 AND ends_at > $2 AND starts_at < $3
+      ORDER BY starts_at
+    `, [interviewerId, from, until]);
+
+    return result.rows;
+  }
+
+  async addWindows(interviewerId, windows) {
+    return transaction(async (client) => {
+      const created = [];
+      for (const window of windows) {
+        const result = await client.query(`
+          INSERT INTO interviewer_availability (interviewer_id, starts_at, ends_at)
+          VALUES ($1, $2, $3)
+          RETURNING *
+        `, [interviewerId, window.starts_at, window.ends_at]);
+        created.push(result.rows[0]);
+      }
+      return created;
+    });
+  }
+
+  async deleteWindow(interviewerId, windowId) {
+    const result = await query(
+      'DELETE FROM interviewer_availability WHERE id = $1 AND interviewer_id = $2 RETURNING id',
+      [windowId, interviewerId]
+    );
+    return result.rowCount > 0;
+  }
+
+  // Working hours of every local day touching [from, until), as UTC intervals in ms
+  getWorkingIntervals(settings, from, until) {
+    const intervals = [];
+    const offset = getTimezoneOffset(settings.timezone, new Date(from));
+    const firstDay = new Date(from + offset * MINUTE);
+
+    for (let day = 0; ; day++) {
+      const date = new Date(Date.UTC(firstDay.getUTCFullYear(), firstDay.getUTCMonth(), firstDay.getUTCDate() + day));
+      const year = date.getUTCFullYear();
+      const month = date.getUTCMonth();
+      const dayOfMonth = date.getUTCDate();
+
+      if (zonedTimeToUtc(year, month, dayOfMonth, 0, settings.timezone) >= until) break;
+
+      for (const hours of settings.working_hours[WEEKDAYS[date.getUTCDay()]] || []) {
+        const start = zonedTimeToUtc(year, month, dayOfMonth, toMinutes(hours.start), settings.timezone);
+        const end = zonedTimeToUtc(year, month, dayOfMonth, toMinutes(hours.end), settings.timezone);
+        if (start < end) intervals.push({ start, end });
+      }
+    }
+
+    return intervals;
+  }
+
+  // Scheduled interviews and reserved self-scheduling slots per interviewer
+  async getBusyIntervals(interviewerIds, from, until, client = { query }) {
+    const result = await client.query(`
+      SELECT interviewer_id, scheduled_at as starts_at,
+             scheduled_at + make_interval(mins => COALESCE(duration_minutes, 60)) as ends_at
+      FROM video_interviews
+      WHERE interviewer_id = ANY($1) AND status = 'scheduled'
+        AND scheduled_at < $3
+        AND scheduled_at + make_interval(mins => COALESCE(duration_minutes, 60)) > $2
+      UNION ALL
+      SELECT booked_interviewer_id, booked_start,
+             booked_start + make_interval(mins => duration_minutes)
+      FROM scheduling_links
+      WHERE booked_interviewer_id = ANY($1) AND status = 'booked' AND interview_id IS NULL
+        AND booked_start < $3
+        AND booked_start + make_interval(mins => duration_minutes) > $2
+    `, [interviewerIds, new Date(from - DAY), new Date(until + DAY)]);
+
+    const busy = new Map(interviewerIds.map(id => [id, []]));
+    for (const row of result.rows) {
+      busy.get(row.interviewer_id)?.push({
+        start: new Date(row.starts_at).getTime(),
+        end: new Date(row.ends_at).getTime()
+      });
+    }
+    return busy;
+  }
+
+  // Buffers pad both the new slot and existing interviews
+  isFree(start, durationMinutes, busy, settings) {
+    const before = settings.buffer_before_minutes * MINUTE;
+    const after = settings.buffer_after_minutes * MINUTE;
+    const end = start + durationMinutes * MINUTE;
+
+    return busy.every(interval =>
+      end + after <= interval.start - before || start - before >= interval.end + after
+    );
+  }
+
+  async hasConflict(interviewerId, scheduledAt, durationMinutes) {
+    const start = new Date(scheduledAt).getTime();
+    const [settings, busy] = await Promise.all([
+      this.getSettings(interviewerId),
+      this.getBusyIntervals([interviewerId], start, start + durationMinutes * MINUTE)
+    ]);
+
+    return !this.isFree(start, durationMinutes, busy.get(interviewerId), settings);
+  }
+
+  // Open slots across interviewers: [{ start, end, interviewer_ids }]
+  async getOpenSlots({ interviewerIds, durationMinutes, from, until, client = { query } }) {
+    const fromMs = new Date(from).getTime();
+    const untilMs = new Date(until).getTime();
+
+    const [windowsResult, busy] = await Promise.all([
+      client.query(`
+        SELECT interviewer_id, starts_at, ends_at FROM interviewer_availability
+        WHERE interviewer_id = ANY($1) AND ends_at > $2 AND starts_at < $3
+        ORDER BY starts_at
+      `, [interviewerIds, new Date(fromMs), new Date(untilMs)]),
+      this.getBusyIntervals(interviewerIds, fromMs, untilMs, client)
+    ]);
+
+    const slots = new Map();
+    const step = SLOT_STEP_MINUTES * MINUTE;
+    const duration = durationMinutes * MINUTE;
+
+    for (const interviewerId of interviewerIds) {
+      const settings = await this.getSettings(interviewerId, client);
+      const earliest = Math.max(fromMs, Date.now() + settings.min_notice_hours * 60 * MINUTE);
+
+      const windows = windowsResult.rows
+        .filter(row => row.interviewer_id === interviewerId)
+        .map(row => ({ start: new Date(row.starts_at).getTime(), end: new Date(row.ends_at).getTime() }));
+      const open = intersect(windows, this.getWorkingIntervals(settings, fromMs, untilMs));
+
+      for (const interval of open) {
+        const first = Math.ceil(Math.max(interval.start, earliest) / step) * step;
+
+        for (let start = first; start + duration <= Math.min(interval.end, untilMs); start += step) {
+          if (!this.isFree(start, durationMinutes, busy.get(interviewerId), settings)) continue;
+
+          if (!slots.has(start)) slots.set(start, []);
+          if (!slots.get(start).includes(interviewerId)) slots.get(start).push(interviewerId);
+        }
+      }
+    }
+
+    return [...slots.entries()]
+      .sort(([a], [b]) => a - b)
+      .slice(0, MAX_SLOTS)
+      .map(([start, ids]) => ({
+        start: new Date(start).toISOString(),
+        end: new Date(start + duration).toISOString(),
+        interviewer_ids: ids
+      }));
+  }
+
+  async createLink({ application, interviewerIds, durationMinutes, platform, notes, roundId, daysAhead, expiresInDays, createdBy }) {
+    const token = crypto.randomBytes(24).toString('hex');
+
+    const result = await query(`
+      INSERT INTO scheduling_links (
+        token, application_id, created_by, interviewer_ids, duration_minutes,
+        meeting_platform, notes, round_id, slots_until, expires_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW() + make_interval(days => $9), NOW() + make_interval(days => $10))
+      RETURNING *
+    `, [token, application.id, createdBy, interviewerIds, durationMinutes, platform, notes || null, roundId || null, daysAhead, expiresInDays]);
+
+    const link = result.rows[0];
+    const url = this.getLinkUrl(link);
+
+    try {
+      await sendEmail({
+        to: application.candidate_email,
+        template: 'interview-scheduling-link',
+        data: {
+          name: application.candidate_name,
+          jobTitle: application.job_title,
+          companyName: application.company_name,
+          duration: durationMinutes,
+          expiresAt: new Date(link.expires_at).toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata', dateStyle: 'long' }),
+          schedulingUrl: url
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to send scheduling link email:', error);
+    }
+
+    return { ...link, url };
+  }
+
+  getLinkUrl(link) {
+    return `${process.env.FRONTEND_URL}/schedule/${link.token}`;
+  }
+
+  async getLinkByToken(token) {
+    const result = await query(`
+      SELECT sl.*, j.title as job_title, c.name as company_name
+      FROM scheduling_links sl
+      JOIN applications a ON sl.application_id = a.id
+      JOIN jobs j ON a.job_id = j.id
+      LEFT JOIN companies c ON j.company_id = c.id
+      WHERE sl.token = $1
+    `, [token]);
+
+    const link = result.rows[0];
+    if (link && link.status === 'active' && new Date(link.expires_at) <= new Date()) {
+      await query(`UPDATE scheduling_links SET status = 'expired' WHERE id = $1 AND status = 'active'`, [link.id]);
+      link.status = 'expired';
+    }
+    return link || null;
+  }
+
+  async getLinkSlots(link) {
+    const slots = await this.getOpenSlots({
+      interviewerIds: link.interviewer_ids,
+      durationMinutes: link.duration_minutes,
+      from: new Date(),
+      until: link.slots_until
+    });
+
+    // Candidates see times only, not who is free when
+    return slots.map(({ start, end }) => ({ start, end }));
+  }
+
+  // Reserve the slot atomically, then create the interview. Returns null if the slot is gone.
+  async bookSlot(link, start) {
+    const startMs = new Date(start).getTime();
+
+    const reservation = await transaction(async (client) => {
+      const lockedLink = await client.query(
+        `SELECT * FROM scheduling_links WHERE id = $1 AND status = 'active' FOR UPDATE`,
+        [link.id]
+      );
+      if (lockedLink.rows.length === 0) return null;
+
+      // Serialise bookings per interviewer across links (sorted to avoid deadlocks)
+      for (const interviewerId of [...link.interviewer_ids].sort()) {
+        await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [interviewerId]);
+      }
+
+      const slots = await this.getOpenSlots({
+        interviewerIds: link.interviewer_ids,
+        durationMinutes: link.duration_minutes,
+        from: new Date(startMs),
+        until: new Date(Math.min(startMs + link.duration_minutes * MINUTE, new Date(link.slots_until).getTime())),
+        client
+      });
+      const slot = slots.find(candidate => new Date(candidate.start).getTime() === startMs);
+      if (!slot) return null;
+
+      // Spread bookings: the interviewer with the fewest upcoming interviews gets the slot
+      const loadResult = await client.query(`
+        SELECT u.id, COUNT(vi.id) as upcoming
+        FROM users u
+        LEFT JOIN video_interviews vi ON vi.interviewer_id = u.id
+          AND vi.status = 'scheduled' AND vi.scheduled_at > NOW()
+        WHERE u.id = ANY($1)
+        GROUP BY u.id
+        ORDER BY COUNT(vi.id), u.id
+      `, [slot.interviewer_ids]);
+      const interviewerId = loadResult.rows[0].id;
+
+      const updated = await client.query(`
+        UPDATE scheduling_links
+        SET status = 'booked', booked_start = $2, booked_interviewer_id = $3, booked_at = NOW()
+        WHERE id = $1
+        RETURNING *
+      `, [link.id, new Date(startMs), interviewerId]);
+
+      return updated.rows[0];
+    });
+
+    if (!reservation) return null;
+
+    try {
+      const result = await videoInterviewService.scheduleInterview({
+        applicationId: reservation.application_id,
+        interviewerId: reservation.booked_interviewer_id,
+        scheduledAt: reservation.booked_start,
+        durationMinutes: reservation.duration_minutes,
+        platform: reservation.meeting_platform,
+        notes: reservation.notes || '',
+        roundId: reservation.round_id
+      });
+
+      await query('UPDATE scheduling_links SET interview_id = $1 WHERE id = $2', [result.interview.id, link.id]);
+      logger.info(`Scheduling link ${link.id} booked with interviewer ${reservation.booked_interviewer_id}`);
+
+      return result;
+    } catch (error) {
+      // Release the reservation so the candidate can try again
+      await query(`
+        UPDATE scheduling_links
+        SET status = 'active', booked_start = NULL, booked_interviewer_id = NULL, booked_at = NULL
+        WHERE id = $1 AND interview_id IS NULL
+      `, [link.id]);
+      throw error;
+    }
+  }
+}
+
+module.exports = new SchedulingService();
@@ -0,0 +1,212 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { query, transaction } = require('../config/database');
+const logger = require('../utils/logger');
+
+const DEFAULT_REFRESH_TTL = '7d';
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// Ended sessions are kept this long for the session history before cleanup
+const SESSION_RETENTION_DAYS = 30;
+
+// "30d"-style durations, as used by the *_EXPIRES_IN settings
+const parseDuration = (value) => {
+  const match = /^(\d+)\s*([smhd])$/.exec(String(value || '').trim());
+  return match ? parseInt(match[1], 10) * DURATION_UNITS[match[2]] : null;
+};
+
+// Login sessions, one per device. Each session owns a family of opaque refresh tokens that
+// are stored hashed and rotated on every use; presenting a rotated token again revokes the
+// whole session, since either the client or an attacker holds a stolen copy.
+class SessionService {
+  getRefreshTtl() {
+    return parseDuration(process.env.REFRESH_TOKEN_EXPIRES_IN) || parseDuration(DEFAULT_REFRESH_TTL);
+  }
+
+  hashToken(token) {
+    return crypto.createHmac('sha256', process.env.REFRESH_TOKEN_SECRET).update(token).digest('hex');
+  }
+
+  generateAccessToken(user, sessionId) {
+    return jwt.sign({
+      userId: user.id,
+      email: user.email,
+      role: user.role,
+      sid: sessionId
+    }, process.env.JWT_SECRET, {
+      expiresIn: process.env.JWT_EXPIRES_IN || '15m',
+      algorithm: 'HS256'
+    });
+  }
+
+  async issueRefreshToken(client, userId, sessionId, expiresAt) {
+    const token = crypto.randomBytes(48).toString('base64url');
+
+    const result = await client.query(`
+      INSERT INTO refresh_tokens (user_id, session_id, token_hash, expires_at)
+      VALUES ($1, $2, $3, $4)
+      RETURNING id
+    `, [userId, sessionId, this.hashToken(token), expiresAt]);
+
+    return { id: result.rows[0].id, token };
+  }
+
+  // Start a session for a successful login and return its first token pair
+  async createSession(user, { ipAddress, userAgent } = {}) {
+    const expiresAt = new Date(Date.now() + this.getRefreshTtl());
+
+    return transaction(async (client) => {
+      const sessionResult = await client.query(`
+        INSERT INTO user_sessions (user_id, ip_address, user_agent, expires_at)
+        VALUES ($1, $2, $3, $4)
+        RETURNING id
+      `, [user.id, ipAddress || null, userAgent || null, expiresAt]);
+
+      const sessionId = sessionResult.rows[0].id;
+      const refresh = await this.issueRefreshToken(client, user.id, sessionId, expiresAt);
+
+      return {
+        accessToken: this.generateAccessToken(user, sessionId),
+        refreshToken: refresh.token
+      };
+    });
+  }
+
+  // Exchange a refresh token for a new pair: { tokens } on success, otherwise { error }
+  // with 'invalid' or 'reused'
+  async rotate(refreshToken, { ipAddress, userAgent } = {}) {
+    return transaction(async (client) => {
+      const result = await client.query(`
+        SELECT rt.*, s.is_active as session_active, u.email, u.role, u.status as user_status
+        FROM refresh_tokens rt
+        JOIN user_sessions s ON rt.session_id = s.id
+        JOIN users u ON rt.user_id = u.id
+        WHERE rt.token_hash = $1
+        FOR UPDATE OF rt, s
+      `, [this.hashToken(refreshToken)]);
+
+      const stored = result.rows[0];
+      if (!stored) {
+        return { error: 'invalid' };
+      }
+
+      if (stored.used_at || stored.is_revoked) {
+        if (stored.session_active) {
+          await this.revokeSession(stored.session_id, { reason: 'token_reuse' }, client);
+          logger.warn(`Refresh token reuse for user ${stored.user_id}; session ${stored.session_id} revoked`);
+        }
+        return { error: 'reused' };
+      }
+
+      if (!stored.session_active || stored.user_status !== 'active' || new Date(stored.expires_at) < new Date()) {
+        return { error: 'invalid' };
+      }
+
+      const expiresAt = new Date(Date.now() + this.getRefreshTtl());
+      const next = await this.issueRefreshToken(client, stored.user_id, stored.session_id, expiresAt);
+
+      await client.query(
+        'UPDATE refresh_tokens SET used_at = NOW(), replaced_by = $1 WHERE id = $2',
+        [next.id, stored.id]
+      );
+
+      await client.query(`
+        UPDATE user_sessions SET
+          last_used_at = NOW(), expires_at = $1,
+          ip_address = COALESCE($2, ip_address), user_agent = COALESCE($3, user_agent)
+        WHERE id = $4
+      `, [expiresAt, ipAddress || null, userAgent || null, stored.session_id]);
+
+      const user = { id: stored.user_id, email: stored.email, role: stored.role };
+      return {
+        tokens: {
+          accessToken: this.generateAccessToken(user, stored.session_id),
+          refreshToken: next.token
+        }
+      };
+    });
+  }
+
+  // End a session and revoke its refresh tokens. With `userId`, only that user's session
+  // is touched. Returns false if no active session matched.
+  async revokeSession(sessionId, { userId = null, reason }, client = { query }) {
+    const result = await client.query(`
+      UPDATE user_sessions SET is_active = false, revoked_at = NOW(), revoke_reason = $1
+      WHERE id = $2 AND is_active = true AND ($3::uuid IS NULL OR user_id = $3)
+      RETURNING id
+    `, [reason, sessionId, userId]);
+
+    if (result.rows.length === 0) return false;
+
+    await client.query(
+      'UPDATE refresh_tokens SET is_revoked = true WHERE session_id = $1 AND is_revoked = false',
+      [sessionId]
+    );
+
+    return true;
+  }
+
+  // Session a refresh token belongs to, if the token is known
+  async findSessionByRefreshToken(refreshToken) {
+    const result = await query(
+      'SELECT session_id, user_id FROM refresh_tokens WHERE token_hash = $1',
+      [this.hashToken(refreshToken)]
+    );
+    return result.rows[0] || null;
+  }
+
+  async revokeAllSessions(userId, reason, client = { query }) {
+    await client.query(`
+      UPDATE refresh_tokens SET is_revoked = true
+      WHERE user_id = $1 AND is_revoked = false
+    `, [userId]);
+
+    const result = await client.query(`
+      UPDATE user_sessions SET is_active = false, revoked_at = NOW(), revoke_reason = $1
+      WHERE user_id = $2 AND is_active = true
+    `, [reason, userId]);
+
+    return result.rowCount;
+  }
+
+  async listSessions(userId, currentSessionId) {
+    const result = await query(`
+      SELECT id, ip_address, user_agent, created_at, last_used_at, expires_at
+      FROM user_sessions
+      WHERE user_id = $1 AND is_active = true AND expires_at > NOW()
+      ORDER BY last_used_at DESC
+    `, [userId]);
+
+    return result.rows.map(session => ({
+      ...session,
+      current: session.id === currentSessionId
+    }));
+  }
+
+  // Checked on every authenticated request so revoking a session also stops its access tokens
+  async isActive(sessionId) {
+    const result = await query(`
+      SELECT 1 FROM user_sessions
+      WHERE id = $1 AND is_active = true AND expires_at > NOW()
+    `, [sessionId]);
+
+    return result.rows.length > 0;
+  }
+
+  // Drop sessions (and their tokens) that ended more than the retention period ago
+  async cleanup() {
+    const result = await query(`
+      DELETE FROM user_sessions
+      WHERE expires_at < NOW() - make_interval(days => $1)
+         OR (is_active = false AND revoked_at < NOW() - make_interval(days => $1))
+    `, [SESSION_RETENTION_DAYS]);
+
+    if (result.rowCount > 0) {
+      logger.info(`Removed ${result.rowCount} old sessions`);
+    }
+
+    return { removed: result.rowCount };
+  }
+}
+
+module.exports = new SessionService();
@@ -0,0 +1,266 @@
+const cluster = require('cluster');
+const { query, transaction } = require('../config/database');
+const { settingsSchema, buildValidator } = require('../config/settingsSchema');
+const logger = require('../utils/logger');
+
+// Cached values are refreshed at least this often, in case an invalidation was missed
+// (e.g. a change made by another server)
+const CACHE_TTL = 60 * 1000;
+
+// Typed access to system_settings. Values are validated against config/settingsSchema on
+// write, cached in process and re-read when any worker changes a setting. Every change is
+// kept in system_setting_history and can be rolled back.
+class SettingsService {
+  constructor() {
+    this.cache = null;
+    this.loadedAt = 0;
+    this.loading = null;
+  }
+
+  getDefinition(category, key, dataType) {
+    return settingsSchema[`${category}.${key}`] || { type: dataType || 'string' };
+  }
+
+  // Text as stored in system_settings to a typed value; throws if it does not parse
+  parse(text, type) {
+    switch (type) {
+      case 'number': {
+        const number = Number(text);
+        if (String(text).trim() === '' || !Number.isFinite(number)) {
+          throw new Error('must be a number');
+        }
+        return number;
+      }
+      case 'boolean':
+        if (text === 'true' || text === 'false') return text === 'true';
+        throw new Error('must be true or false');
+      case 'json':
+        try {
+          return JSON.parse(text);
+        } catch (error) {
+          throw new Error('must be valid JSON');
+        }
+      default:
+        return String(text);
+    }
+  }
+
+  // Validate a new value given either in its native type or as text. Returns
+  // { value, text } with the stored text form, or { error }.
+  coerce(category, key, input, dataType) {
+    const definition = this.getDefinition(category, key, dataType);
+    let value = input;
+
+    if (typeof input === 'string' && definition.type !== 'string') {
+      try {
+        value = this.parse(input, definition.type);
+      } catch (error) {
+        return { error: `${category}.${key} ${error.message}` };
+      }
+    }
+
+    const id = `${category}.${key}`;
+    const { error, value: validated } = buildValidator(definition)
+      .label(id)
+      .validate(value, { errors: { wrap: { label: false } } });
+    if (error) {
+      // Nested JSON errors are labelled with their path, e.g. "[0]"
+      const message = error.message;
+      return { error: message.startsWith(id) ? message : `${id}${message.startsWith('[') ? '' : '.'}${message}` };
+    }
+
+    return {
+      value: validated,
+      text: definition.type === 'json' ? JSON.stringify(validated) : String(validated)
+    };
+  }
+
+  async load() {
+    const result = await query('SELECT category, key, value, data_type FROM system_settings');
+    const cache = new Map();
+
+    for (const row of result.rows) {
+      const id = `${row.category}.${row.key}`;
+      const parsed = this.coerce(row.category, row.key, row.value, row.data_type);
+
+      if (parsed.error) {
+        logger.warn(`Invalid system setting ${id} (${parsed.error}), using default`);
+        continue;
+      }
+      cache.set(id, parsed.value);
+    }
+
+    this.cache = cache;
+    this.loadedAt = Date.now();
+  }
+
+  // Reads keep working on stale values or defaults if the database is unavailable
+  async ensureLoaded() {
+    if (this.cache && Date.now() - this.loadedAt < CACHE_TTL) return;
+
+    if (!this.loading) {
+      this.loading = this.load().finally(() => {
+        this.loading = null;
+      });
+    }
+
+    try {
+      await this.loading;
+    } catch (error) {
+      logger.warn('Failed to load system settings, using cached values or defaults:', error.message);
+    }
+  }
+
+  // Typed value of a setting; the schema default when it is missing or invalid
+  async get(category, key) {
+    await this.ensureLoaded();
+    const id = `${category}.${key}`;
+
+    if (this.cache?.has(id)) {
+      return this.cache.get(id);
+    }
+    return settingsSchema[id] ? settingsSchema[id].default : null;
+  }
+
+  // All known settings in a category as { key: value }
+  async getCategory(category) {
+    await this.ensureLoaded();
+    const values = {};
+    const prefix = `${category}.`;
+
+    for (const [id, definition] of Object.entries(settingsSchema)) {
+      if (id.startsWith(prefix)) values[id.slice(prefix.length)] = definition.default;
+    }
+    for (const [id, value] of this.cache || []) {
+      if (id.startsWith(prefix)) values[id.slice(prefix.length)] = value;
+    }
+
+    return values;
+  }
+
+  // Drop the cache here and, from a cluster worker, ask the master to tell the others
+  invalidate({ broadcast = true } = {}) {
+    this.cache = null;
+    this.loadedAt = 0;
+
+    if (broadcast && cluster.isWorker && process.send) {
+      process.send({ type: 'settings_changed' });
+    }
+  }
+
+  // Settings with their stored text, typed value, schema and current version, for admins
+  async list() {
+    const result = await query(`
+      SELECT s.*, (
+        SELECT MAX(h.version) FROM system_setting_history h
+        WHERE h.category = s.category AND h.key = s.key
+      ) as version
+      FROM system_settings s
+      ORDER BY s.category, s.key
+    `);
+
+    return result.rows.map(row => {
+      const definition = this.getDefinition(row.category, row.key, row.data_type);
+      const parsed = this.coerce(row.category, row.key, row.value, row.data_type);
+      const { schema, ...rules } = definition;
+
+      return {
+        ...row,
+        version: row.version || 1,
+        parsed_value: parsed.error ? definition.default : parsed.value,
+        valid: !parsed.error,
+        rules
+      };
+    });
+  }
+
+  // Validate and store a new value, recording it as the next version. Returns null if the
+  // setting does not exist, { error } if the value is invalid, otherwise { setting, version }.
+  // With `client` the change joins the caller's transaction, and the caller must call
+  // invalidate() once it commits.
+  async update(category, key, input, { userId = null, reason = null, client = null } = {}) {
+    const apply = async (db) => {
+      const current = await db.query(
+        'SELECT * FROM system_settings WHERE category = $1 AND key = $2 FOR UPDATE',
+        [category, key]
+      );
+      const setting = current.rows[0];
+      if (!setting) return null;
+
+      const coerced = this.coerce(category, key, input, setting.data_type);
+      if (coerced.error) return { error: coerced.error };
+
+      const versionResult = await db.query(`
+        SELECT MAX(version) as version FROM system_setting_history
+        WHERE category = $1 AND key = $2
+      `, [category, key]);
+      let version = versionResult.rows[0].version;
+
+      // First recorded change: keep the value it replaces as version 1
+      if (!version) {
+        await db.query(`
+          INSERT INTO system_setting_history (category, key, version, value, reason, created_at)
+          VALUES ($1, $2, 1, $3, 'Initial value', $4)
+        `, [category, key, setting.value, setting.updated_at || new Date()]);
+        version = 1;
+      }
+
+      await db.query(`
+        INSERT INTO system_setting_history (category, key, version, value, changed_by, reason)
+        VALUES ($1, $2, $3, $4, $5, $6)
+      `, [category, key, version + 1, coerced.text, userId, reason]);
+
+      const updated = await db.query(`
+        UPDATE system_settings SET value = $1, updated_at = NOW()
+        WHERE id = $2
+        RETURNING *
+      `, [coerced.text, setting.id]);
+
+      return {
+        setting: updated.rows[0],
+        previousValue: setting.value,
+        version: version + 1
+      };
+    };
+
+    if (client) {
+      return apply(client);
+    }
+
+    const result = await transaction(apply);
+    if (result?.setting) {
+      this.invalidate();
+    }
+    return result;
+  }
+
+  async getHistory(category, key) {
+    const result = await query(`
+      SELECT h.version, h.value, h.reason, h.created_at,
+             h.changed_by, u.email as changed_by_email
+      FROM system_setting_history h
+      LEFT JOIN users u ON h.changed_by = u.id
+      WHERE h.category = $1 AND h.key = $2
+      ORDER BY h.version DESC
+    `, [category, key]);
+
+    return result.rows;
+  }
+
+  // Restore the value of an earlier version as a new version; null if the version is unknown
+  async rollback(category, key, version, { userId = null } = {}) {
+    const result = await query(`
+      SELECT value FROM system_setting_history
+      WHERE category = $1 AND key = $2 AND version = $3
+    `, [category, key, version]);
+
+    if (result.rows.length === 0) return null;
+
+    return this.update(category, key, result.rows[0].value, {
+      userId,
+      reason: `Rollback to version ${version}`
+    });
+  }
+}
+
+module.exports = new SettingsService();
@@ -0,0 +1,302 @@
+const { query } = require('../config/database');
+const logger = require('../utils/logger');
+
+const CACHE_TTL = 10 * 60 * 1000;
+
+// Trailing version markers: "Python 3", "Angular 15", "JavaScript ES6", "Java v8"
+const VERSION_SUFFIX = /\s+(v?\d+(\.\d+)*|es\d+|es20\d\d)$/;
+
+// Aliases that are also everyday words; only trusted in skills lists, not free text
+const AMBIGUOUS_ALIASES = new Set(['rest', 'spring', 'express', 'swift', 'ruby', 'node', 'oracle', 'sales', 'excel']);
+
+// Relation weights used to rank suggestions
+const SUGGESTION_WEIGHTS = {
+  builds_on: 3, // A framework or tool on top of a skill the user has
+  related: 2, // Shares a parent with a skill the user has
+  foundation: 1 // The parent of a skill the user has
+};
+
+// Canonical skills taxonomy: alias resolution and parent/child relations
+class SkillService {
+  constructor() {
+    this.skills = new Map();
+    this.aliases = new Map();
+    this.children = new Map();
+    this.loadedAt = 0;
+  }
+
+  normalizeKey(name) {
+    return String(name).toLowerCase().trim().replace(/\s+/g, ' ');
+  }
+
+  async ensureLoaded() {
+    if (Date.now() - this.loadedAt < CACHE_TTL) return;
+
+    try {
+      await this.load();
+    } catch (error) {
+      // Keep serving the previous taxonomy (or raw skills) until the next attempt
+      logger.warn('Failed to load skills taxonomy:', error.message);
+    }
+  }
+
+  async load() {
+    const [skillsResult, aliasesResult] = await Promise.all([
+      query('SELECT id, name, category, parent_id FROM skills'),
+      query('SELECT alias, skill_id FROM skill_aliases')
+    ]);
+
+    const skills = new Map();
+    const aliases = new Map();
+    const children = new Map();
+
+    for (const skill of skillsResult.rows) {
+      skills.set(skill.id, skill);
+      aliases.set(this.normalizeKey(skill.name), skill);
+    }
+
+    for (const row of aliasesResult.rows) {
+      const skill = skills.get(row.skill_id);
+      if (skill) aliases.set(this.normalizeKey(row.alias), skill);
+    }
+
+    for (const skill of skills.values()) {
+      if (!skill.parent_id) continue;
+      if (!children.has(skill.parent_id)) children.set(skill.parent_id, []);
+      children.get(skill.parent_id).push(skill);
+    }
+
+    this.skills = skills;
+    this.aliases = aliases;
+    this.children = children;
+    this.loadedAt = Date.now();
+  }
+
+  // Canonical skill for a free-text name, or null if it is not in the taxonomy
+  resolve(name) {
+    if (!name) return null;
+
+    const key = this.normalizeKey(name);
+    const skill = this.aliases.get(key);
+    if (skill) return skill;
+
+    const unversioned = key.replace(VERSION_SUFFIX, '');
+    return unversioned !== key ? this.aliases.get(unversioned) || null : null;
+  }
+
+  // Canonical names, keeping unknown skills as typed and dropping duplicates
+  normalizeLoaded(names) {
+    const seen = new Set();
+    const normalized = [];
+
+    for (const name of names) {
+      if (typeof name !== 'string' || !name.trim()) continue;
+
+      const canonical = this.resolve(name)?.name || name.trim().replace(/\s+/g, ' ');
+      const key = canonical.toLowerCase();
+
+      if (!seen.has(key)) {
+        seen.add(key);
+        normalized.push(canonical);
+      }
+    }
+
+    return normalized;
+  }
+
+  // Normalise a skills array before it is stored or searched; non-arrays pass through
+  async normalizeSkills(names) {
+    if (!Array.isArray(names)) return names;
+
+    await this.ensureLoaded();
+    return this.normalizeLoaded(names);
+  }
+
+  // Canonical skills mentioned anywhere in free text, in order of first mention.
+  // Very short aliases and everyday words ("go", "rest", "spring") are skipped to avoid false hits.
+  async findSkills(text) {
+    if (!text) return [];
+
+    await this.ensureLoaded();
+
+    const normalized = ` ${String(text).toLowerCase()
+      .replace(/[^a-z0-9+#./\s-]/g, ' ')
+      .replace(/[.-](?=\s|$)/g, ' ')
+      .replace(/\s+/g, ' ')} `;
+    const found = [];
+
+    for (const [alias, skill] of this.aliases) {
+      if (alias.length < 3 || AMBIGUOUS_ALIASES.has(alias)) continue;
+
+      const position = normalized.indexOf(` ${alias} `);
+      if (position !== -1) found.push({ name: skill.name, position });
+    }
+
+    return this.normalizeLoaded(
+      found.sort((a, b) => a.position - b.position).map(match => match.name)
+    );
+  }
+
+  getParent(skill) {
+    return skill.parent_id ? this.skills.get(skill.parent_id) || null : null;
+  }
+
+  getAncestors(skill) {
+    const ancestors = [];
+    const seen = new Set([skill.id]);
+    let parent = this.getParent(skill);
+
+    while (parent && !seen.has(parent.id)) {
+      ancestors.push(parent);
+      seen.add(parent.id);
+      parent = this.getParent(parent);
+    }
+
+    return ancestors;
+  }
+
+  getDescendants(skill) {
+    const descendants = [];
+    const seen = new Set([skill.id]);
+    const queue = [...(this.children.get(skill.id) || [])];
+
+    while (queue.length > 0) {
+      const child = queue.shift();
+      if (seen.has(child.id)) continue;
+
+      seen.add(child.id);
+      descendants.push(child);
+      queue.push(...(this.children.get(child.id) || []));
+    }
+
+    return descendants;
+  }
+
+  // Search terms for a skills filter: canonical names plus everything built on them,
+  // so a JavaScript search also finds jobs that only list React
+  async expandSkills(names) {
+    const normalized = await this.normalizeSkills(names);
+    const expanded = new Set(normalized);
+
+    for (const name of normalized) {
+      const skill = this.resolve(name);
+      if (skill) {
+        this.getDescendants(skill).forEach(descendant => expanded.add(descendant.name));
+      }
+    }
+
+    return [...expanded];
+  }
+
+  // How a candidate's skills cover one required skill: 'matched', 'partial' or 'missing'.
+  // Call ensureLoaded() first; without a taxonomy only exact and substring matches count.
+  classifySkill(requiredName, candidateNames) {
+    const requiredKey = this.normalizeKey(requiredName);
+    const required = this.resolve(requiredName);
+    const candidates = candidateNames.map(name => ({
+      key: this.normalizeKey(name),
+      skill: this.resolve(name)
+    }));
+
+    if (candidates.some(c => c.key === requiredKey || (required && c.skill?.id === required.id))) {
+      return 'matched';
+    }
+
+    if (required) {
+      // Knowing a child skill implies the parent (React covers JavaScript)
+      const impliedBy = new Set(this.getDescendants(required).map(skill => skill.id));
+      if (candidates.some(c => c.skill && impliedBy.has(c.skill.id))) {
+        return 'matched';
+      }
+
+      // The parent, or a sibling under the same parent, is related experience
+      const parent = this.getParent(required);
+      if (parent && candidates.some(c => c.skill && (c.skill.id === parent.id || c.skill.parent_id === parent.id))) {
+        return 'partial';
+      }
+    }
+
+    // Partial matches (contains)
+    if (candidates.some(c => c.key && (c.key.includes(requiredKey) || requiredKey.includes(c.key)))) {
+      return 'partial';
+    }
+
+    return 'missing';
+  }
+
+  // Skills to learn next: relatives of the user's skills in the taxonomy, ranked by job demand
+  async suggestSkills(currentSkills, limit = 10) {
+    await this.ensureLoaded();
+
+    const owned = this.normalizeLoaded(currentSkills)
+      .map(name => this.resolve(name))
+      .filter(Boolean);
+    const ownedIds = new Set(owned.map(skill => skill.id));
+    const candidates = new Map();
+
+    const addCandidate = (skill, relation, relatedTo) => {
+      if (ownedIds.has(skill.id)) return;
+
+      const existing = candidates.get(skill.id);
+      if (!existing || SUGGESTION_WEIGHTS[relation] > existing.weight) {
+        candidates.set(skill.id, { skill, relation, related_to: relatedTo.name, weight: SUGGESTION_WEIGHTS[relation] });
+      }
+    };
+
+    for (const skill of owned) {
+      (this.children.get(skill.id) || []).forEach(child => addCandidate(child, 'builds_on', skill));
+
+      const parent = this.getParent(skill);
+      if (parent) {
+        addCandidate(parent, 'foundation', skill);
+        (this.children.get(parent.id) || []).forEach(sibling => addCandidate(sibling, 'related', skill));
+      }
+    }
+
+    // Nothing to build on yet: rank the whole taxonomy by demand
+    if (owned.length === 0) {
+      for (const skill of this.skills.values()) {
+        candidates.set(skill.id, { skill, relation: null, related_to: null, weight: 1 });
+      }
+    }
+
+    if (candidates.size === 0) return [];
+
+    const names = [...candidates.values()].map(candidate => candidate.skill.name);
+    const demandResult = await query(`
+      SELECT skill, COUNT(*) as job_count, AVG(salary_max) as avg_salary
+      FROM (
+        SELECT unnest(skills_required) as skill, salary_max
+        FROM jobs
+        WHERE status = 'active'
+          AND created_at >= NOW() - INTERVAL '3 months'
+          AND skills_required IS NOT NULL
+      ) skill_jobs
+      WHERE skill = ANY($1)
+      GROUP BY skill
+    `, [names]);
+
+    const demand = new Map(demandResult.rows.map(row => [row.skill, row]));
+
+    return [...candidates.values()]
+      .map(candidate => {
+        const stats = demand.get(candidate.skill.name);
+        const jobCount = stats ? parseInt(stats.job_count) : 0;
+
+        return {
+          skill: candidate.skill.name,
+          category: candidate.skill.category,
+          relation: candidate.relation,
+          related_to: candidate.related_to,
+          demand: jobCount,
+          average_salary: stats?.avg_salary ? Math.round(stats.avg_salary) : null,
+          score: candidate.weight * (1 + Math.log1p(jobCount))
+        };
+      })
+      .sort((a, b) => b.score - a.score || b.demand - a.demand || a.skill.localeCompare(b.skill))
+      .slice(0, limit)
+      .map(({ score, ...suggestion }) => suggestion);
+  }
+}
+
+module.exports = new SkillService();
@@ -0,0 +1,351 @@
+const os = require('os');
+const crypto = require('crypto');
+const { query, transaction } = require('../config/database');
+const { nextCronRun, validateCron } = require('../utils/cron');
+const logger = require('../utils/logger');
+
+const LEADER_LEASE = 'task-scheduler';
+const LEASE_SECONDS = 60;
+const LEASE_RENEW_INTERVAL_MS = 20 * 1000; // Well inside the lease, so a slow tick can't outlive it
+const POLL_INTERVAL_MS = 15 * 1000;
+
+const TASK_DEFAULTS = {
+  description: null,
+  maxAttempts: 3,
+  backoffSeconds: 60,
+  timeoutSeconds: 300
+};
+
+// DB-backed task scheduler shared by every worker process. The worker holding the leader
+// lease turns cron occurrences into task_runs rows; every worker then claims runs with
+// SKIP LOCKED, so each occurrence executes exactly once however many workers are up.
+class TaskScheduler {
+  constructor() {
+    this.tasks = new Map();
+    this.workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+    this.isLeader = false;
+    this.leaseExpiresAt = 0;
+    this.timer = null;
+    this.leaseTimer = null;
+    this.ticking = false;
+    this.renewing = false;
+  }
+
+  // Register a handler; the options only seed scheduled_tasks, which admins can then edit
+  register(name, handler, options) {
+    const error = validateCron(options.cron);
+    if (error) {
+      throw new Error(`Invalid schedule for task ${name}: ${error}`);
+    }
+
+    this.tasks.set(name, { ...TASK_DEFAULTS, ...options, name, handler });
+  }
+
+  has(name) {
+    return this.tasks.has(name);
+  }
+
+  async start() {
+    if (this.timer) return;
+
+    await this.syncTasks();
+
+    // The lease is kept on its own timer rather than in tick(), which waits for task runs
+    this.leaseTimer = setInterval(() => this.keepLease(), LEASE_RENEW_INTERVAL_MS);
+    this.leaseTimer.unref();
+    await this.keepLease();
+
+    this.timer = setInterval(() => this.tick(), POLL_INTERVAL_MS);
+    this.timer.unref();
+    this.tick();
+
+    logger.info(`Task scheduler started on ${this.workerId} with ${this.tasks.size} tasks`);
+  }
+
+  async stop() {
+    clearInterval(this.timer);
+    clearInterval(this.leaseTimer);
+    this.timer = null;
+    this.leaseTimer = null;
+
+    if (this.isLeader) {
+      await query('DELETE FROM scheduler_leases WHERE name = $1 AND holder = $2', [LEADER_LEASE, this.workerId]);
+      this.isLeader = false;
+      this.leaseExpiresAt = 0;
+    }
+  }
+
+  // Create rows for newly registered tasks without overwriting admin changes
+  async syncTasks() {
+    for (const task of this.tasks.values()) {
+      await query(`
+        INSERT INTO scheduled_tasks (
+          name, description, cron_expression, max_attempts, backoff_seconds, timeout_seconds, next_run_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+        ON CONFLICT (name) DO UPDATE SET
+          description = EXCLUDED.description,
+          next_run_at = COALESCE(scheduled_tasks.next_run_at, EXCLUDED.next_run_at)
+      `, [
+        task.name,
+        task.description,
+        task.cron,
+        task.maxAttempts,
+        task.backoffSeconds,
+        task.timeoutSeconds,
+        nextCronRun(task.cron)
+      ]);
+    }
+  }
+
+  async tick() {
+    if (this.ticking) return;
+    this.ticking = true;
+
+    try {
+      if (this.hasLease()) {
+        await this.enqueueDueRuns();
+      }
+      await this.recoverStaleRuns();
+      await this.processQueue();
+    } catch (error) {
+      logger.error('Task scheduler tick failed:', error);
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  async keepLease() {
+    if (this.renewing) return;
+    this.renewing = true;
+
+    try {
+      await this.renewLease();
+    } catch (error) {
+      logger.error('Task scheduler lease renewal failed:', error);
+    } finally {
+      this.renewing = false;
+    }
+  }
+
+  // Whether this worker is leader and its lease has not run out since it was last renewed
+  hasLease() {
+    return this.isLeader && Date.now() < this.leaseExpiresAt;
+  }
+
+  // Take the lease if it is free or expired, or extend it if we already hold it
+  async renewLease() {
+    // Counted from before the query, so our view of the lease never outlasts the database's
+    const requestedAt = Date.now();
+    const result = await query(`
+      INSERT INTO scheduler_leases (name, holder, expires_at)
+      VALUES ($1, $2, NOW() + make_interval(secs => $3))
+      ON CONFLICT (name) DO UPDATE SET
+        holder = EXCLUDED.holder,
+        expires_at = EXCLUDED.expires_at,
+        acquired_at = CASE WHEN scheduler_leases.holder = EXCLUDED.holder
+                           THEN scheduler_leases.acquired_at ELSE NOW() END
+      WHERE scheduler_leases.holder = EXCLUDED.holder OR scheduler_leases.expires_at < NOW()
+      RETURNING holder
+    `, [LEADER_LEASE, this.workerId, LEASE_SECONDS]);
+
+    const isLeader = result.rows.length > 0;
+    if (isLeader !== this.isLeader) {
+      logger.info(`Task scheduler ${isLeader ? 'acquired' : 'lost'} leadership on ${this.workerId}`);
+    }
+    this.isLeader = isLeader;
+    this.leaseExpiresAt = isLeader ? requestedAt + LEASE_SECONDS * 1000 : 0;
+  }
+
+  // Queue one run per due task and move its schedule forward. Occurrences missed while
+  // no worker was up collapse into a single run.
+  async enqueueDueRuns() {
+    const due = await query(`
+      SELECT name, cron_expression, next_run_at FROM scheduled_tasks
+      WHERE enabled = true AND next_run_at <= NOW() AND name = ANY($1)
+    `, [[...this.tasks.keys()]]);
+
+    for (const task of due.rows) {
+      // Another worker may have taken over if renewal stalled; leave the rest to it
+      if (!this.hasLease()) break;
+
+      await transaction(async (client) => {
+        await client.query(`
+          INSERT INTO task_runs (task_name, trigger, scheduled_for)
+          VALUES ($1, 'schedule', $2)
+          ON CONFLICT (task_name, scheduled_for) WHERE trigger = 'schedule' DO NOTHING
+        `, [task.name, task.next_run_at]);
+
+        await client.query(
+          'UPDATE scheduled_tasks SET next_run_at = $1 WHERE name = $2',
+          [nextCronRun(task.cron_expression), task.name]
+        );
+      });
+    }
+  }
+
+  // Runs whose worker died or hung past the task timeout count as a failed attempt
+  async recoverStaleRuns() {
+    const result = await query(`
+      UPDATE task_runs tr SET locked_by = $1
+      FROM scheduled_tasks st
+      WHERE st.name = tr.task_name AND tr.id IN (
+        SELECT id FROM task_runs
+        WHERE status = 'running' AND locked_until < NOW()
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING tr.*, st.max_attempts, st.backoff_seconds
+    `, [this.workerId]);
+
+    for (const run of result.rows) {
+      await this.fail(run, new Error('Run timed out before finishing'));
+    }
+  }
+
+  async processQueue() {
+    let run;
+    while (this.timer && (run = await this.claimRun())) {
+      await this.execute(run);
+    }
+  }
+
+  async claimRun() {
+    const result = await query(`
+      UPDATE task_runs tr SET
+        status = 'running',
+        attempts = tr.attempts + 1,
+        locked_by = $1,
+        locked_until = NOW() + make_interval(secs => st.timeout_seconds),
+        started_at = NOW(),
+        finished_at = NULL
+      FROM scheduled_tasks st
+      WHERE st.name = tr.task_name AND tr.id = (
+        SELECT id FROM task_runs
+        WHERE status = 'pending' AND run_after <= NOW() AND task_name = ANY($2)
+        ORDER BY run_after
+        LIMIT 1
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING tr.*, st.max_attempts, st.backoff_seconds
+    `, [this.workerId, [...this.tasks.keys()]]);
+
+    return result.rows[0] || null;
+  }
+
+  async execute(run) {
+    const task = this.tasks.get(run.task_name);
+    const startedAt = Date.now();
+
+    await query('UPDATE scheduled_tasks SET last_run_at = NOW() WHERE name = $1', [run.task_name]);
+
+    try {
+      const result = await task.handler(run);
+
+      const updated = await query(`
+        UPDATE task_runs SET
+          status = 'succeeded', result = $1, duration_ms = $2,
+          finished_at = NOW(), locked_until = NULL
+        WHERE id = $3 AND locked_by = $4
+      `, [JSON.stringify(result === undefined ? null : result), Date.now() - startedAt, run.id, this.workerId]);
+
+      if (updated.rowCount === 0) {
+        logger.warn(`Task run ${run.id} finished after its claim was taken over`);
+      }
+    } catch (error) {
+      logger.error(`Task ${run.task_name} failed (attempt ${run.attempts} of ${run.max_attempts}):`, error);
+      await this.fail(run, error, Date.now() - startedAt);
+    }
+  }
+
+  // Retry with exponential backoff, or dead-letter the run once attempts are used up
+  async fail(run, error, durationMs = null) {
+    const message = error.message || String(error);
+
+    if (run.attempts < run.max_attempts) {
+      const delaySeconds = run.backoff_seconds * 2 ** (run.attempts - 1);
+
+      await query(`
+        UPDATE task_runs SET
+          status = 'pending', run_after = NOW() + make_interval(secs => $1),
+          last_error = $2, duration_ms = $3, finished_at = NOW(),
+          locked_by = NULL, locked_until = NULL
+        WHERE id = $4 AND locked_by = $5
+      `, [delaySeconds, message, durationMs, run.id, this.workerId]);
+      return;
+    }
+
+    await transaction(async (client) => {
+      const updated = await client.query(`
+        UPDATE task_runs SET
+          status = 'failed', last_error = $1, duration_ms = $2,
+          finished_at = NOW(), locked_until = NULL
+        WHERE id = $3 AND locked_by = $4
+      `, [message, durationMs, run.id, this.workerId]);
+
+      if (updated.rowCount === 0) return;
+
+      await client.query(`
+        INSERT INTO task_dead_letters (run_id, task_name, attempts, error)
+        VALUES ($1, $2, $3, $4)
+      `, [run.id, run.task_name, run.attempts, message]);
+
+      logger.error(`Task ${run.task_name} dead-lettered after ${run.attempts} attempts: ${message}`);
+    });
+  }
+
+  // Queue an immediate run outside the schedule
+  async enqueue(name, trigger = 'manual', client = { query }) {
+    const result = await client.query(`
+      INSERT INTO task_runs (task_name, trigger, scheduled_for)
+      VALUES ($1, $2, NOW())
+      RETURNING *
+    `, [name, trigger]);
+
+    return result.rows[0];
+  }
+
+  // Re-queue a dead-lettered run; null if it was already retried
+  async retryDeadLetter(deadLetterId) {
+    return transaction(async (client) => {
+      const letter = await client.query(`
+        SELECT * FROM task_dead_letters
+        WHERE id = $1 AND retried_at IS NULL
+        FOR UPDATE
+      `, [deadLetterId]);
+
+      if (letter.rows.length === 0) return null;
+
+      const run = await this.enqueue(letter.rows[0].task_name, 'retry', client);
+
+      await client.query(`
+        UPDATE task_dead_letters SET retried_run_id = $1, retried_at = NOW()
+        WHERE id = $2
+      `, [run.id, deadLetterId]);
+
+      return run;
+    });
+  }
+
+  // Admin edits; the next run is recomputed so a new schedule takes effect immediately
+  async updateTask(name, updates) {
+    const fields = Object.keys(updates);
+    const values = fields.map(field => updates[field]);
+    const assignments = fields.map((field, i) => `${field} = $${i + 1}`);
+
+    const current = await query('SELECT cron_expression FROM scheduled_tasks WHERE name = $1', [name]);
+    if (current.rows.length === 0) return null;
+
+    const cron = updates.cron_expression || current.rows[0].cron_expression;
+    assignments.push(`next_run_at = $${fields.length + 1}`);
+    values.push(nextCronRun(cron), name);
+
+    const result = await query(`
+      UPDATE scheduled_tasks SET ${assignments.join(', ')}
+      WHERE name = $${values.length}
+      RETURNING *
+    `, values);
+
+    return result.rows[0];
+  }
+}
+
+module.exports = new TaskScheduler();
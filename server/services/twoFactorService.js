@@ -0,0 +1,304 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { query, transaction } = require('../config/database');
+const settingsService = require('./settingsService');
+const logger = require('../utils/logger');
+
+const ISSUER = 'JobsRo';
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_WINDOW = 1; // Accept one step either side for clock drift
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_AUDIENCE = 'two-factor-challenge';
+const CHALLENGE_EXPIRES_IN = '5m';
+const MAX_FAILED_ATTEMPTS = 5;
+const FAILED_ATTEMPT_WINDOW_MINUTES = 15;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, '0');
+  }
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  const bits = input.replace(/=+$/, '').toUpperCase().split('')
+    .map(char => BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0'))
+    .join('');
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+// HMAC-based one-time password (RFC 4226)
+const hotp = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const digest = crypto.createHmac('sha1', secret).update(counterBuffer).digest();
+  const offset = digest[digest.length - 1] & 0x0f;
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+// TOTP second factor (RFC 6238, SHA-1, 6 digits, 30s period as expected by authenticator
+// apps) with hashed one-time recovery codes. Secrets are stored encrypted with ENCRYPTION_KEY.
+class TwoFactorService {
+  getTimeStep(time = Date.now()) {
+    return Math.floor(time / 1000 / TOTP_PERIOD_SECONDS);
+  }
+
+  generateTotp(secret, time = Date.now()) {
+    return hotp(base32Decode(secret), this.getTimeStep(time));
+  }
+
+  // Time step the code belongs to within the drift window, or null if it does not match
+  matchTotp(secret, code, time = Date.now()) {
+    const key = base32Decode(secret);
+    const currentStep = this.getTimeStep(time);
+
+    for (let drift = -TOTP_WINDOW; drift <= TOTP_WINDOW; drift++) {
+      const expected = Buffer.from(hotp(key, currentStep + drift));
+      if (expected.length === code.length && crypto.timingSafeEqual(expected, Buffer.from(code))) {
+        return currentStep + drift;
+      }
+    }
+    return null;
+  }
+
+  generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+  }
+
+  // Provisioning URI that authenticator apps scan from a QR code
+  getOtpauthUri(secret, email) {
+    const label = encodeURIComponent(`${ISSUER}:${email}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer: ISSUER,
+      algorithm: 'SHA1',
+      digits: String(TOTP_DIGITS),
+      period: String(TOTP_PERIOD_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+
+  getEncryptionKey() {
+    return crypto.createHash('sha256').update(process.env.ENCRYPTION_KEY).digest();
+  }
+
+  encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.getEncryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':');
+  }
+
+  decryptSecret(value) {
+    const [iv, authTag, encrypted] = value.split(':').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.getEncryptionKey(), iv);
+    decipher.setAuthTag(authTag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  }
+
+  hashRecoveryCode(code) {
+    return crypto.createHash('sha256').update(code.replace(/-/g, '').toLowerCase()).digest('hex');
+  }
+
+  generateRecoveryCodes() {
+    return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const code = crypto.randomBytes(5).toString('hex');
+      return `${code.slice(0, 5)}-${code.slice(5)}`;
+    });
+  }
+
+  async getStatus(userId) {
+    const result = await query(`
+      SELECT tf.enabled_at,
+             (SELECT COUNT(*) FROM user_recovery_codes rc
+              WHERE rc.user_id = tf.user_id AND rc.used_at IS NULL) as recovery_codes_remaining
+      FROM user_two_factor tf
+      WHERE tf.user_id = $1 AND tf.enabled_at IS NOT NULL
+    `, [userId]);
+
+    const row = result.rows[0];
+    return {
+      enabled: Boolean(row),
+      enabled_at: row?.enabled_at || null,
+      recovery_codes_remaining: row ? parseInt(row.recovery_codes_remaining) : 0
+    };
+  }
+
+  async isEnabled(userId) {
+    return (await this.getStatus(userId)).enabled;
+  }
+
+  // Whether the security.require_2fa_roles policy makes 2FA mandatory for the role
+  async isRequired(role) {
+    const roles = await settingsService.get('security', 'require_2fa_roles');
+    return roles.includes(role);
+  }
+
+  // Start (or restart) enrollment with a fresh secret; null if 2FA is already enabled
+  async beginSetup(user) {
+    const secret = this.generateSecret();
+
+    const result = await query(`
+      INSERT INTO user_two_factor (user_id, secret_encrypted)
+      VALUES ($1, $2)
+      ON CONFLICT (user_id) DO UPDATE SET
+        secret_encrypted = EXCLUDED.secret_encrypted, last_used_step = NULL, failed_attempts = 0
+      WHERE user_two_factor.enabled_at IS NULL
+      RETURNING user_id
+    `, [user.id, this.encryptSecret(secret)]);
+
+    if (result.rows.length === 0) return null;
+
+    return {
+      secret,
+      otpauth_url: this.getOtpauthUri(secret, user.email)
+    };
+  }
+
+  // Confirm enrollment with a code from the app. Returns the recovery codes, or null if
+  // there is no pending enrollment or the code is wrong.
+  async enable(userId, code) {
+    return transaction(async (client) => {
+      const result = await client.query(
+        'SELECT * FROM user_two_factor WHERE user_id = $1 AND enabled_at IS NULL FOR UPDATE',
+        [userId]
+      );
+      const pending = result.rows[0];
+      if (!pending) return null;
+
+      const step = this.matchTotp(this.decryptSecret(pending.secret_encrypted), code);
+      if (step === null) return null;
+
+      await client.query(`
+        UPDATE user_two_factor SET enabled_at = NOW(), last_used_step = $1, failed_attempts = 0
+        WHERE user_id = $2
+      `, [step, userId]);
+
+      const recoveryCodes = await this.replaceRecoveryCodes(client, userId);
+      logger.info(`Two-factor authentication enabled for user ${userId}`);
+      return recoveryCodes;
+    });
+  }
+
+  async disable(userId) {
+    return transaction(async (client) => {
+      await client.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+      const result = await client.query('DELETE FROM user_two_factor WHERE user_id = $1', [userId]);
+      return result.rowCount > 0;
+    });
+  }
+
+  async replaceRecoveryCodes(client, userId) {
+    const codes = this.generateRecoveryCodes();
+
+    await client.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+    await client.query(`
+      INSERT INTO user_recovery_codes (user_id, code_hash)
+      SELECT $1, unnest($2::varchar[])
+    `, [userId, codes.map(code => this.hashRecoveryCode(code))]);
+
+    return codes;
+  }
+
+  // New set of recovery codes, invalidating the old ones; null if 2FA is not enabled
+  async regenerateRecoveryCodes(userId) {
+    if (!(await this.isEnabled(userId))) return null;
+    return transaction(client => this.replaceRecoveryCodes(client, userId));
+  }
+
+  // Check a TOTP or recovery code for a user with 2FA enabled. Returns
+  // { valid, method } or { locked: true } after too many recent failures.
+  async verify(userId, code) {
+    return transaction(async (client) => {
+      const result = await client.query(
+        'SELECT * FROM user_two_factor WHERE user_id = $1 AND enabled_at IS NOT NULL FOR UPDATE',
+        [userId]
+      );
+      const settings = result.rows[0];
+      if (!settings) return { valid: false };
+
+      const recentlyFailed = settings.last_failed_at &&
+        new Date(settings.last_failed_at) > new Date(Date.now() - FAILED_ATTEMPT_WINDOW_MINUTES * 60 * 1000);
+      if (recentlyFailed && settings.failed_attempts >= MAX_FAILED_ATTEMPTS) {
+        return { locked: true };
+      }
+
+      let method = null;
+      const normalized = code.replace(/\s/g, '');
+
+      if (/^\d+$/.test(normalized)) {
+        const step = this.matchTotp(this.decryptSecret(settings.secret_encrypted), normalized);
+        // A code is good for one login only
+        if (step !== null && (settings.last_used_step === null || step > parseInt(settings.last_used_step))) {
+          await client.query('UPDATE user_two_factor SET last_used_step = $1 WHERE user_id = $2', [step, userId]);
+          method = 'totp';
+        }
+      } else {
+        const used = await client.query(`
+          UPDATE user_recovery_codes SET used_at = NOW()
+          WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+          RETURNING id
+        `, [userId, this.hashRecoveryCode(normalized)]);
+        if (used.rows.length > 0) {
+          method = 'recovery_code';
+        }
+      }
+
+      if (!method) {
+        await client.query(`
+          UPDATE user_two_factor SET
+            failed_attempts = CASE WHEN $2 THEN failed_attempts + 1 ELSE 1 END,
+            last_failed_at = NOW()
+          WHERE user_id = $1
+        `, [userId, Boolean(recentlyFailed)]);
+        return { valid: false };
+      }
+
+      await client.query('UPDATE user_two_factor SET failed_attempts = 0 WHERE user_id = $1', [userId]);
+      return { valid: true, method };
+    });
+  }
+
+  // Short-lived token standing in for a password-verified login until the second factor is
+  // given. `purpose` is 'login' (enter a code) or 'setup' (policy requires enrolling first).
+  // It uses `sub` and an audience so it can never be accepted as an access token.
+  createChallengeToken(userId, purpose) {
+    return jwt.sign({ purpose }, process.env.JWT_SECRET, {
+      subject: userId,
+      audience: CHALLENGE_AUDIENCE,
+      expiresIn: CHALLENGE_EXPIRES_IN,
+      algorithm: 'HS256'
+    });
+  }
+
+  // { userId, purpose } for a valid challenge token, otherwise null
+  verifyChallengeToken(token) {
+    try {
+      const payload = jwt.verify(token, process.env.JWT_SECRET, {
+        audience: CHALLENGE_AUDIENCE,
+        algorithms: ['HS256']
+      });
+      return { userId: payload.sub, purpose: payload.purpose };
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = new TwoFactorService();
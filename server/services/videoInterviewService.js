@@ -1,28 +1,14 @@
-const axios = require('axios');
-const jwt = require('jsonwebtoken');
 const { query, transaction } = require('../config/database');
 const { sendEmail } = require('./email');
 const { sendSMS } = require('./sms');
 const { sendNotification, NOTIFICATION_TYPES } = require('./notificationService');
+const applicationEventService = require('./applicationEventService');
+const interviewPlanService = require('./interviewPlanService');
+const calendarService = require('./calendarService');
+const meetingProviders = require('./meetingProviders');
 const logger = require('../utils/logger');
 
 class VideoInterviewService {
-  constructor() {
-    // Google Meet configuration
-    this.googleConfig = {
-      clientId: process.env.GOOGLE_MEET_CLIENT_ID,
-      clientSecret: process.env.GOOGLE_MEET_CLIENT_SECRET,
-      redirectUri: process.env.GOOGLE_MEET_REDIRECT_URI || `${process.env.API_BASE_URL}/auth/google/callback`,
-      scopes: ['https://www.googleapis.com/auth/calendar', 'https://www.googleapis.com/auth/meetings.space.created']
-    };
-
-    // Zoom configuration
-    this.zoomConfig = {
-      apiKey: process.env.ZOOM_API_KEY,
-      apiSecret: process.env.ZOOM_API_SECRET,
-      baseUrl: 'https://api.zoom.us/v2'
-    };
-  }
 
   // Schedule video interview
   async scheduleInterview({
@@ -30,9 +16,11 @@ class VideoInterviewService {
     interviewerId,
     scheduledAt,
     durationMinutes = 60,
-    platform = 'google_meet',
+    platform = null, // Company default when not given
     notes = '',
-    timezone = 'Asia/Kolkata'
+    timezone = 'Asia/Kolkata',
+    roundId = null,
+    panelistIds = []
   }) {
     try {
       // Get application and participant details
@@ -42,7 +30,7 @@ class VideoInterviewService {
                cu.email as candidate_email, cu.first_name as candidate_name, cu.phone as candidate_phone,
                e.user_id as employer_user_id,
                iu.email as interviewer_email, iu.first_name as interviewer_name,
-               c.name as company_name
+               iu.role as interviewer_role, c.name as company_name
         FROM applications a
         JOIN jobs j ON a.job_id = j.id
         JOIN job_seekers js ON a.job_seeker_id = js.id
@@ -59,51 +47,69 @@ class VideoInterviewService {
 
       const applicationData = applicationResult.rows[0];
 
-      // Create meeting based on platform
-      let meetingDetails;
-      if (platform === 'zoom') {
-        meetingDetails = await this.createZoomMeeting({
-          topic: `Interview: ${applicationData.job_title} - ${applicationData.candidate_name}`,
-          startTime: scheduledAt,
-          duration: durationMinutes,
-          timezone
-        });
-      } else {
-        meetingDetails = await this.createGoogleMeet({
-          summary: `Interview: ${applicationData.job_title} - ${applicationData.candidate_name}`,
-          startTime: scheduledAt,
-          duration: durationMinutes,
-          attendees: [applicationData.candidate_email, applicationData.interviewer_email]
-        });
-      }
+      // Create meeting with the requested or company default provider
+      const provider = await meetingProviders.resolve(platform, applicationData.company_id);
+      const meetingDetails = await provider.createMeeting({
+        topic: `Interview: ${applicationData.job_title} - ${applicationData.candidate_name}`,
+        startTime: scheduledAt,
+        duration: durationMinutes,
+        timezone,
+        attendees: [applicationData.candidate_email, applicationData.interviewer_email]
+      });
 
       // Store interview record
+      let panelists = [];
       const interview = await transaction(async (client) => {
         const interviewResult = await client.query(`
           INSERT INTO video_interviews (
             application_id, interviewer_id, scheduled_at, duration_minutes,
-            meeting_platform, meeting_url, meeting_id, meeting_password, notes
-          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+            meeting_platform, meeting_url, meeting_id, meeting_password, notes, round_id
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
           RETURNING *
         `, [
           applicationId,
           interviewerId,
           scheduledAt,
           durationMinutes,
-          platform,
+          provider.name,
           meetingDetails.joinUrl,
           meetingDetails.meetingId,
           meetingDetails.password,
-          notes
+          notes,
+          roundId
         ]);
 
-        // Update application status
-        await client.query(`
-          UPDATE applications 
+        // The interviewer leads the panel; the round's default panel joins them
+        panelists = await interviewPlanService.addPanelists(
+          interviewResult.rows[0].id,
+          [interviewerId, ...panelistIds],
+          roundId,
+          client
+        );
+
+        // Update application status (only when the job's pipeline has an interviewed stage)
+        const statusResult = await client.query(`
+          UPDATE applications a
           SET status = 'interviewed', updated_at = NOW()
-          WHERE id = $1
+          FROM jobs j
+          WHERE a.id = $1 AND a.job_id = j.id
+            AND EXISTS (
+              SELECT 1 FROM pipeline_stages ps
+              WHERE ps.pipeline_id = j.pipeline_id AND ps.stage_key = 'interviewed'
+            )
+          RETURNING a.id
         `, [applicationId]);
 
+        if (statusResult.rowCount > 0 && applicationData.status !== 'interviewed') {
+          await applicationEventService.record({
+            applicationId,
+            actor: { id: interviewerId, role: applicationData.interviewer_role },
+            eventType: 'interview_scheduled',
+            fromStatus: applicationData.status,
+            toStatus: 'interviewed'
+          }, client);
+        }
+
         return interviewResult.rows[0];
       });
 
@@ -111,7 +117,8 @@ class VideoInterviewService {
       await this.sendInterviewNotifications({
         interview,
         applicationData,
-        meetingDetails
+        meetingDetails,
+        panelists
       });
 
       logger.info(`Interview scheduled: ${interview.id} for application ${applicationId}`);
@@ -127,126 +134,8 @@ class VideoInterviewService {
     }
   }
 
-  // Create Google Meet meeting
-  async createGoogleMeet({ summary, startTime, duration, attendees = [] }) {
-    try {
-      // This is a simplified implementation
-      // In production, you would integrate with Google Calendar API
-      
-      const meetingId = this.generateMeetingId();
-      const joinUrl = `https://meet.google.com/${meetingId}`;
-
-      // For demo purposes, return mock data
-      // In production, you would make actual API calls to Google Calendar
-      return {
-        meetingId,
-        joinUrl,
-        password: null, // Google Meet doesn't use passwords typically
-        startTime,
-        duration,
-        platform: 'google_meet',
-        hostUrl: joinUrl,
-        dialInNumbers: ['+91-80-6918-2000'], // Sample dial-in number for India
-        created: true
-      };
-
-    } catch (error) {
-      logger.error('Google Meet creation failed:', error);
-      throw new Error('Failed to create Google Meet meeting');
-    }
-  }
-
-  // Create Zoom meeting
-  async createZoomMeeting({ topic, startTime, duration, timezone = 'Asia/Kolkata' }) {
-    try {
-      if (!this.zoomConfig.apiKey || !this.zoomConfig.apiSecret) {
-        throw new Error('Zoom API credentials not configured');
-      }
-
-      // Generate JWT token for Zoom API
-      const token = this.generateZoomJWT();
-
-      const meetingData = {
-        topic,
-        type: 2, // Scheduled meeting
-        start_time: new Date(startTime).toISOString(),
-        duration,
-        timezone,
-        password: this.generateMeetingPassword(),
-        settings: {
-          host_video: true,
-          participant_video: true,
-          join_before_host: false,
-          mute_upon_entry: true,
-          watermark: false,
-          use_pmi: false,
-          approval_type: 0,
-          audio: 'both',
-          auto_recording: 'none',
-          waiting_room: true
-        }
-      };
-
-      const response = await axios.post(`${this.zoomConfig.baseUrl}/users/me/meetings`, meetingData, {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        }
-      });
-
-      const meeting = response.data;
-
-      return {
-        meetingId: meeting.id.toString(),
-        joinUrl: meeting.join_url,
-        password: meeting.password,
-        startTime,
-        duration,
-        platform: 'zoom',
-        hostUrl: meeting.start_url,
-        dialInNumbers: meeting.settings?.global_dial_in_numbers?.map(d => d.number) || [],
-        created: true
-      };
-
-    } catch (error) {
-      logger.error('Zoom meeting creation failed:', error);
-      
-      // Fallback to manual meeting creation
-      return this.createFallbackMeeting({ topic, startTime, duration });
-    }
-  }
-
-  // Generate Zoom JWT token
-  generateZoomJWT() {
-    const payload = {
-      iss: this.zoomConfig.apiKey,
-      exp: Math.round(Date.now() / 1000) + 3600 // 1 hour expiration
-    };
-
-    return jwt.sign(payload, this.zoomConfig.apiSecret, { algorithm: 'HS256' });
-  }
-
-  // Create fallback meeting when API fails
-  createFallbackMeeting({ topic, startTime, duration }) {
-    const meetingId = this.generateMeetingId();
-    const password = this.generateMeetingPassword();
-
-    return {
-      meetingId,
-      joinUrl: `https://zoom.us/j/${meetingId}?pwd=${password}`,
-      password,
-      startTime,
-      duration,
-      platform: 'zoom',
-      hostUrl: `https://zoom.us/s/${meetingId}?pwd=${password}`,
-      dialInNumbers: ['+91-80-7143-2000'], // Sample dial-in number for India
-      created: false, // Manual creation required
-      fallback: true
-    };
-  }
-
   // Send interview notifications
-  async sendInterviewNotifications({ interview, applicationData, meetingDetails }) {
+  async sendInterviewNotifications({ interview, applicationData, meetingDetails, panelists = [] }) {
     try {
       const interviewDateTime = new Date(interview.scheduled_at).toLocaleString('en-IN', {
         timeZone: 'Asia/Kolkata',
@@ -254,6 +143,9 @@ class VideoInterviewService {
         timeStyle: 'short'
       });
 
+      const invite = await calendarService.getInterviewInvite(interview.id);
+      const attachments = invite ? [invite] : [];
+
       // Notify candidate
       await sendNotification({
         userId: applicationData.candidate_user_id,
@@ -261,6 +153,7 @@ class VideoInterviewService {
         title: 'Interview Scheduled',
         message: `Your interview for ${applicationData.job_title} at ${applicationData.company_name} has been scheduled.`,
         channels: ['email', 'sms'],
+        attachments,
         data: {
           jobTitle: applicationData.job_title,
           companyName: applicationData.company_name,
@@ -274,25 +167,29 @@ class VideoInterviewService {
         }
       });
 
-      // Notify interviewer
-      await sendNotification({
-        userId: applicationData.employer_user_id,
-        type: NOTIFICATION_TYPES.INTERVIEW_SCHEDULED,
-        title: 'Interview Scheduled',
-        message: `Interview scheduled with ${applicationData.candidate_name} for ${applicationData.job_title}.`,
-        channels: ['email'],
-        data: {
-          candidateName: applicationData.candidate_name,
-          jobTitle: applicationData.job_title,
-          interviewDateTime,
-          duration: `${interview.duration_minutes} minutes`,
-          platform: interview.meeting_platform,
-          meetingUrl: meetingDetails.hostUrl || meetingDetails.joinUrl,
-          meetingId: meetingDetails.meetingId,
-          password: meetingDetails.password,
-          candidateProfile: `${process.env.FRONTEND_URL}/employer/candidates/${applicationData.id}`
-        }
-      });
+      // Notify the job owner and everyone else on the panel
+      const recipients = [...new Set([applicationData.employer_user_id, ...panelists])];
+      for (const userId of recipients) {
+        await sendNotification({
+          userId,
+          type: NOTIFICATION_TYPES.INTERVIEW_SCHEDULED,
+          title: 'Interview Scheduled',
+          message: `Interview scheduled with ${applicationData.candidate_name} for ${applicationData.job_title}.`,
+          channels: ['email'],
+          attachments,
+          data: {
+            candidateName: applicationData.candidate_name,
+            jobTitle: applicationData.job_title,
+            interviewDateTime,
+            duration: `${interview.duration_minutes} minutes`,
+            platform: interview.meeting_platform,
+            meetingUrl: meetingDetails.hostUrl || meetingDetails.joinUrl,
+            meetingId: meetingDetails.meetingId,
+            password: meetingDetails.password,
+            candidateProfile: `${process.env.FRONTEND_URL}/employer/candidates/${applicationData.id}`
+          }
+        });
+      }
 
       logger.info(`Interview notifications sent for interview: ${interview.id}`);
 
@@ -381,8 +278,11 @@ class VideoInterviewService {
         logger.info(`Processed ${upcomingInterviews.rows.length} interview reminders`);
       }
 
+      return upcomingInterviews.rows.length;
+
     } catch (error) {
       logger.error('Interview reminders processing failed:', error);
+      throw error;
     }
   }
 
@@ -414,14 +314,36 @@ class VideoInterviewService {
       const oldDateTime = new Date(interview.scheduled_at);
       const newDateTime = new Date(newScheduledAt);
 
+      // Move the meeting with its provider; some providers issue new links
+      let meeting = this.toMeeting(interview);
+      const provider = meetingProviders.get(interview.meeting_platform);
+      if (provider) {
+        try {
+          meeting = await provider.updateMeeting(meeting, {
+            startTime: newScheduledAt,
+            duration: interview.duration_minutes
+          }) || meeting;
+        } catch (error) {
+          logger.error(`Failed to update ${provider.label} meeting for interview ${interviewId}:`, error);
+        }
+      }
+
       // Update interview record
       await query(`
         UPDATE video_interviews 
         SET scheduled_at = $1,
+            meeting_url = $3,
+            meeting_id = $4,
+            meeting_password = $5,
             reminder_sent = false,
+            ics_sequence = ics_sequence + 1,
             updated_at = NOW()
         WHERE id = $2
-      `, [newScheduledAt, interviewId]);
+      `, [newScheduledAt, interviewId, meeting.joinUrl, meeting.meetingId, meeting.password]);
+
+      // Same UID with a higher SEQUENCE moves the event in calendars
+      const invite = await calendarService.getInterviewInvite(interviewId);
+      const attachments = invite ? [invite] : [];
 
       // Send rescheduling notifications
       const newDateTimeFormatted = newDateTime.toLocaleString('en-IN', {
@@ -437,17 +359,24 @@ class VideoInterviewService {
         title: 'Interview Rescheduled',
         message: `Your interview for ${interview.job_title} has been rescheduled.`,
         channels: ['email', 'sms'],
+        attachments,
         data: {
           jobTitle: interview.job_title,
           companyName: interview.company_name,
           oldDateTime: oldDateTime.toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' }),
           newDateTime: newDateTimeFormatted,
           reason: rescheduleReason,
-          meetingUrl: interview.meeting_url,
+          meetingUrl: meeting.joinUrl,
           detailsUrl: `${process.env.FRONTEND_URL}/interviews/${interview.id}`
         }
       });
 
+      await this.notifyPanel(interviewId, {
+        title: 'Interview Rescheduled',
+        message: `Interview with ${interview.candidate_name} for ${interview.job_title} has been rescheduled to ${newDateTimeFormatted}.`,
+        attachments
+      });
+
       logger.info(`Interview rescheduled: ${interviewId} from ${oldDateTime} to ${newDateTime}`);
 
       return {
@@ -487,15 +416,29 @@ class VideoInterviewService {
 
       const interview = interviewResult.rows[0];
 
+      const provider = meetingProviders.get(interview.meeting_platform);
+      if (provider) {
+        try {
+          await provider.cancelMeeting(this.toMeeting(interview));
+        } catch (error) {
+          logger.error(`Failed to cancel ${provider.label} meeting for interview ${interviewId}:`, error);
+        }
+      }
+
       // Update interview status
       await query(`
         UPDATE video_interviews 
         SET status = 'cancelled',
             feedback = $1,
+            ics_sequence = ics_sequence + 1,
             updated_at = NOW()
         WHERE id = $2
       `, [cancellationReason, interviewId]);
 
+      // METHOD:CANCEL removes the event from calendars
+      const invite = await calendarService.getInterviewInvite(interviewId);
+      const attachments = invite ? [invite] : [];
+
       // Notify candidate
       await sendNotification({
         userId: interview.candidate_user_id,
@@ -503,6 +446,7 @@ class VideoInterviewService {
         title: 'Interview Cancelled',
         message: `Your interview for ${interview.job_title} has been cancelled.`,
         channels: ['email', 'sms'],
+        attachments,
         data: {
           jobTitle: interview.job_title,
           companyName: interview.company_name,
@@ -511,6 +455,12 @@ class VideoInterviewService {
         }
       });
 
+      await this.notifyPanel(interviewId, {
+        title: 'Interview Cancelled',
+        message: `Interview with ${interview.candidate_name} for ${interview.job_title} has been cancelled.`,
+        attachments
+      });
+
       logger.info(`Interview cancelled: ${interviewId}, reason: ${cancellationReason}`);
 
       return {
@@ -525,14 +475,56 @@ class VideoInterviewService {
     }
   }
 
-  // Generate meeting ID
-  generateMeetingId() {
-    return Math.random().toString().substr(2, 10);
+  // Email everyone on the interview panel; failures are logged, not thrown
+  async notifyPanel(interviewId, { title, message, attachments = [] }) {
+    const panelResult = await query(
+      'SELECT panelist_id FROM interview_panelists WHERE interview_id = $1',
+      [interviewId]
+    );
+
+    for (const { panelist_id: userId } of panelResult.rows) {
+      try {
+        await sendNotification({
+          userId,
+          type: NOTIFICATION_TYPES.INTERVIEW_SCHEDULED,
+          title,
+          message,
+          channels: ['email'],
+          attachments,
+          data: {
+            detailsUrl: `${process.env.FRONTEND_URL}/interviews/${interviewId}`
+          }
+        });
+      } catch (error) {
+        logger.error(`Failed to notify panelist ${userId} about interview ${interviewId}:`, error);
+      }
+    }
+  }
+
+  // Meeting fields stored on an interview, in the shape providers expect
+  toMeeting(interview) {
+    return {
+      meetingId: interview.meeting_id,
+      joinUrl: interview.meeting_url,
+      password: interview.meeting_password
+    };
   }
 
-  // Generate meeting password
-  generateMeetingPassword() {
-    return Math.random().toString(36).substr(2, 8);
+  // Recording URL from the meeting provider, saved on the interview once available
+  async fetchRecording(interviewId) {
+    const result = await query('SELECT * FROM video_interviews WHERE id = $1', [interviewId]);
+    const interview = result.rows[0];
+    if (!interview) return null;
+    if (interview.recording_url) return interview.recording_url;
+
+    const provider = meetingProviders.get(interview.meeting_platform);
+    const recordingUrl = provider ? await provider.getRecording(this.toMeeting(interview)) : null;
+
+    if (recordingUrl) {
+      await query('UPDATE video_interviews SET recording_url = $1, updated_at = NOW() WHERE id = $2', [recordingUrl, interviewId]);
+    }
+
+    return recordingUrl;
   }
 
   // Complete interview (add feedback)
@@ -0,0 +1,139 @@
+// Minimal 5-field cron expressions (minute hour day-of-month month day-of-week), evaluated in UTC.
+// Supports *, lists, ranges and steps (e.g. "*/15 8-18 * * 1-5") plus the common @ macros.
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 } // 0 and 7 are both Sunday
+];
+
+const MACROS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+
+// Give up looking for a match after this many years (e.g. "0 0 30 2 *" never fires)
+const SEARCH_YEARS = 5;
+
+const parseNumber = (value, field) => {
+  if (!/^\d+$/.test(value)) {
+    throw new Error(`Invalid ${field.name} value "${value}"`);
+  }
+  const number = parseInt(value, 10);
+  if (number < field.min || number > field.max) {
+    throw new Error(`${field.name} must be between ${field.min} and ${field.max}`);
+  }
+  return number;
+};
+
+const parseField = (source, field) => {
+  const values = new Set();
+
+  for (const part of source.split(',')) {
+    const [range, stepSource] = part.split('/');
+    const step = stepSource === undefined ? 1 : parseNumber(stepSource, { ...field, min: 1, max: field.max });
+
+    let start = field.min;
+    let end = field.max;
+    if (range !== '*') {
+      const [from, to] = range.split('-');
+      start = parseNumber(from, field);
+      end = to === undefined ? (stepSource === undefined ? start : field.max) : parseNumber(to, field);
+      if (end < start) {
+        throw new Error(`Invalid ${field.name} range "${range}"`);
+      }
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+};
+
+const parseCron = (expression) => {
+  const source = MACROS[String(expression).trim()] || String(expression).trim();
+  const parts = source.split(/\s+/);
+
+  if (parts.length !== FIELDS.length) {
+    throw new Error('Cron expression must have 5 fields');
+  }
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseField(part, FIELDS[i]));
+  if (weekdays.has(7)) weekdays.add(0);
+
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    // Standard cron: when both day fields are restricted, either may match
+    anyDay: parts[2] === '*' || parts[4] === '*',
+    daysRestricted: parts[2] !== '*',
+    weekdaysRestricted: parts[4] !== '*'
+  };
+};
+
+const matchesDay = (schedule, date) => {
+  const dayMatch = schedule.days.has(date.getUTCDate());
+  const weekdayMatch = schedule.weekdays.has(date.getUTCDay());
+
+  if (schedule.anyDay) {
+    return (!schedule.daysRestricted || dayMatch) && (!schedule.weekdaysRestricted || weekdayMatch);
+  }
+  return dayMatch || weekdayMatch;
+};
+
+// First occurrence strictly after `after`, or null if the expression never fires
+const nextCronRun = (expression, after = new Date()) => {
+  const schedule = typeof expression === 'string' ? parseCron(expression) : expression;
+
+  const date = new Date(after);
+  date.setUTCSeconds(0, 0);
+  date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+  const limit = new Date(date);
+  limit.setUTCFullYear(limit.getUTCFullYear() + SEARCH_YEARS);
+
+  while (date < limit) {
+    if (!schedule.months.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0, 0, 0);
+    } else if (!matchesDay(schedule, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0, 0, 0);
+    } else if (!schedule.hours.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+    } else if (!schedule.minutes.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+
+  return null;
+};
+
+// Error message for an unusable expression, or null when it is valid
+const validateCron = (expression) => {
+  try {
+    if (!nextCronRun(expression)) {
+      return 'Cron expression never matches a date';
+    }
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+};
+
+module.exports = {
+  parseCron,
+  nextCronRun,
+  validateCron
+};
@@ -244,6 +244,35 @@ describe('Admin API', () => {
       expect(response.body.error).toContain('Invalid status');
     });
 
+    it('should unlock an account locked by failed logins', async () => {
+      const lockedData = global.testHelpers.createUserPayload({ email: 'admin-unlock@example.com' });
+      const registered = await request(app).post('/api/auth/register').send(lockedData);
+
+      for (let i = 0; i < 5; i++) {
+        await request(app)
+          .post('/api/auth/login')
+          .send({ email: lockedData.email, password: 'WrongPassword123!' });
+      }
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: lockedData.email, password: lockedData.password })
+        .expect(423);
+
+      const response = await request(app)
+        .patch(`/api/admin/users/${registered.body.user.id}/status`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ unlock: true, reason: 'Verified by phone' })
+        .expect(200);
+
+      expect(response.body.user.locked_until).toBeNull();
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: lockedData.email, password: lockedData.password })
+        .expect(200);
+    });
+
     it('should reject non-admin access', async () => {
       const statusData = {
         status: 'active'
@@ -454,6 +483,113 @@ describe('Admin API', () => {
     });
   });
 
+  describe('Setting validation and history', () => {
+    it('should reject values that do not match the setting schema', async () => {
+      const response = await request(app)
+        .put('/api/admin/settings/users/max_login_attempts')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ value: 'abc' })
+        .expect(400);
+
+      expect(response.body.error).toContain('users.max_login_attempts');
+
+      await request(app)
+        .put('/api/admin/settings/users/max_login_attempts')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ value: 0 })
+        .expect(400);
+    });
+
+    it('should version changes and roll back to an earlier value', async () => {
+      const before = await request(app)
+        .get('/api/admin/settings')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      const original = before.body.settings.jobs.max_job_posting_duration;
+
+      const update = await request(app)
+        .put('/api/admin/settings/jobs/max_job_posting_duration')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ value: 45, reason: 'Shorter postings' })
+        .expect(200);
+
+      expect(update.body.setting.value).toBe('45');
+      expect(update.body.version).toBe(original.version + 1);
+
+      const history = await request(app)
+        .get('/api/admin/settings/jobs/max_job_posting_duration/history')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(history.body.history[0]).toMatchObject({ version: update.body.version, value: '45', reason: 'Shorter postings' });
+      expect(history.body.history.some(entry => entry.version === original.version)).toBe(true);
+
+      const rollback = await request(app)
+        .post('/api/admin/settings/jobs/max_job_posting_duration/rollback')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ version: original.version })
+        .expect(200);
+
+      expect(rollback.body.setting.value).toBe(original.value);
+      expect(rollback.body.version).toBe(update.body.version + 1);
+
+      await request(app)
+        .post('/api/admin/settings/jobs/max_job_posting_duration/rollback')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ version: 999 })
+        .expect(404);
+    });
+  });
+
+  describe('Maintenance and read-only mode', () => {
+    const setMode = (key, value) => request(app)
+      .put(`/api/admin/settings/general/${key}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ value })
+      .expect(200);
+
+    afterEach(async () => {
+      await setMode('maintenance_mode', false);
+      await setMode('read_only_mode', false);
+    });
+
+    it('should return a structured 503 to everyone but admins during maintenance', async () => {
+      await setMode('maintenance_mode', true);
+
+      const response = await request(app)
+        .get('/api/jobs')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(503);
+
+      expect(response.body).toMatchObject({ code: 'MAINTENANCE_MODE' });
+      expect(response.body).toHaveProperty('message');
+      expect(response.headers['retry-after']).toBe(String(response.body.retry_after));
+
+      await request(app)
+        .get('/api/admin/settings')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const health = await request(app).get('/health').expect(200);
+      expect(health.body.mode).toBe('maintenance');
+    });
+
+    it('should block writes but keep browsing available in read-only mode', async () => {
+      await setMode('read_only_mode', true);
+
+      await request(app)
+        .get('/api/jobs')
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send(global.testHelpers.createUserPayload({ email: 'readonly@example.com' }))
+        .expect(503);
+
+      expect(response.body.code).toBe('READ_ONLY_MODE');
+    });
+  });
+
   describe('GET /api/admin/actions', () => {
     it('should get admin actions log with admin token', async () => {
       const response = await request(app)
@@ -494,6 +630,72 @@ describe('Admin API', () => {
     });
   });
 
+  describe('Background tasks', () => {
+    const { nextCronRun, validateCron } = require('../server/utils/cron');
+
+    it('should list scheduled tasks and the current leader', async () => {
+      const response = await request(app)
+        .get('/api/admin/tasks')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body).toHaveProperty('tasks');
+      expect(response.body).toHaveProperty('leader');
+      expect(Array.isArray(response.body.tasks)).toBe(true);
+    });
+
+    it('should list task runs and dead letters', async () => {
+      const runs = await request(app)
+        .get('/api/admin/tasks/runs?status=failed')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(runs.body).toHaveProperty('runs');
+      expect(runs.body).toHaveProperty('pagination');
+
+      const deadLetters = await request(app)
+        .get('/api/admin/tasks/dead-letters')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(deadLetters.body).toHaveProperty('dead_letters');
+    });
+
+    it('should reject an invalid cron expression', async () => {
+      const response = await request(app)
+        .put('/api/admin/tasks/job-expiry')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ cron_expression: '61 * * * *' })
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error');
+    });
+
+    it('should return 404 when triggering an unknown task', async () => {
+      await request(app)
+        .post('/api/admin/tasks/no-such-task/run')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(404);
+    });
+
+    it('should reject non-admin access', async () => {
+      await request(app)
+        .get('/api/admin/tasks/runs')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(403);
+    });
+
+    it('should compute the next cron occurrence in UTC', () => {
+      const after = new Date('2026-03-06T10:07:30Z'); // a Friday
+
+      expect(nextCronRun('*/15 * * * *', after).toISOString()).toBe('2026-03-06T10:15:00.000Z');
+      expect(nextCronRun('0 9 * * 1-5', after).toISOString()).toBe('2026-03-09T09:00:00.000Z');
+      expect(nextCronRun('@monthly', after).toISOString()).toBe('2026-04-01T00:00:00.000Z');
+      expect(validateCron('0 0 30 2 *')).toBeTruthy();
+      expect(validateCron('0 * * *')).toBeTruthy();
+    });
+  });
+
   describe('GET /api/admin/health', () => {
     it('should get system health status with admin token', async () => {
       const response = await request(app)
@@ -516,4 +718,141 @@ describe('Admin API', () => {
       expect(response.body).toHaveProperty('error');
     });
   });
+
+  describe('Content moderation', () => {
+    let itemId;
+
+    it('should let users report a job once', async () => {
+      const response = await request(app)
+        .post(`/api/jobs/${testJobId}/report`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ reason: 'scam', details: 'Asks for a registration fee' })
+        .expect(201);
+
+      expect(response.body.report).toMatchObject({ content_type: 'job', content_id: testJobId, reason: 'scam' });
+
+      await request(app)
+        .post(`/api/jobs/${testJobId}/report`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ reason: 'spam' })
+        .expect(409);
+    });
+
+    it('should list reported jobs in the moderation queue', async () => {
+      const response = await request(app)
+        .get('/api/admin/moderation?content_type=job')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const item = response.body.items.find(entry => entry.content_id === testJobId);
+      expect(item).toMatchObject({ source: 'report', status: 'pending', report_count: 1 });
+      itemId = item.id;
+
+      const detail = await request(app)
+        .get(`/api/admin/moderation/${itemId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(detail.body.item.content.id).toBe(testJobId);
+      expect(detail.body.item.reports).toHaveLength(1);
+    });
+
+    it('should claim and decide an item once', async () => {
+      const claim = await request(app)
+        .post(`/api/admin/moderation/${itemId}/claim`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(claim.body.item.status).toBe('in_review');
+
+      await request(app)
+        .post(`/api/admin/moderation/${itemId}/reject`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({})
+        .expect(400);
+
+      const approve = await request(app)
+        .post(`/api/admin/moderation/${itemId}/approve`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ reason: 'Fee is for an optional course' })
+        .expect(200);
+
+      expect(approve.body.item.status).toBe('approved');
+      expect(approve.body.content.status).toBe('active');
+
+      await request(app)
+        .post(`/api/admin/moderation/${itemId}/reject`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ reason: 'Scam' })
+        .expect(409);
+
+      const actions = await request(app)
+        .get('/api/admin/actions?action_type=moderation_approve')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(actions.body.actions.some(action => action.target_id === testJobId)).toBe(true);
+    });
+
+    it('should reject non-admin access', async () => {
+      await request(app)
+        .get('/api/admin/moderation')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(403);
+    });
+  });
+
+  describe('Company verification', () => {
+    const unknownId = '00000000-0000-0000-0000-000000000000';
+
+    it('should list the pending verification queue', async () => {
+      const response = await request(app)
+        .get('/api/admin/company-verifications')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(Array.isArray(response.body.requests)).toBe(true);
+      expect(response.body.pagination).toHaveProperty('total');
+    });
+
+    it('should require a reason to reject and a known request to decide', async () => {
+      await request(app)
+        .post(`/api/admin/company-verifications/${unknownId}/reject`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({})
+        .expect(400);
+
+      await request(app)
+        .post(`/api/admin/company-verifications/${unknownId}/approve`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({})
+        .expect(404);
+    });
+
+    it('should only let company employers and admins request verification', async () => {
+      await request(app)
+        .post(`/api/companies/${unknownId}/verification`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({})
+        .expect(403);
+
+      await request(app)
+        .post(`/api/companies/${unknownId}/verification`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ gst_number: 'NOT-A-GSTIN' })
+        .expect(400);
+
+      await request(app)
+        .get(`/api/companies/${unknownId}/verification`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(404);
+    });
+
+    it('should reject non-admin access to the queue', async () => {
+      await request(app)
+        .get('/api/admin/company-verifications')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(403);
+    });
+  });
 });
\ No newline at end of file
@@ -273,6 +273,26 @@ describe('AI Services API', () => {
       expect(response.body.match_score).toHaveProperty('experience_match');
     });
 
+    it('should compute the semantic match without network access', async () => {
+      const previousProvider = process.env.EMBEDDING_PROVIDER;
+      process.env.EMBEDDING_PROVIDER = 'local';
+
+      const response = await request(app)
+        .post('/api/ai/match-score')
+        .set('Authorization', `Bearer ${employerToken}`)
+        .send({ job_id: testJobId, job_seeker_profile_id: testJobSeekerId })
+        .expect(200);
+
+      if (previousProvider === undefined) {
+        delete process.env.EMBEDDING_PROVIDER;
+      } else {
+        process.env.EMBEDDING_PROVIDER = previousProvider;
+      }
+
+      expect(response.body.match_score.semantic_match).toBeGreaterThanOrEqual(0);
+      expect(response.body.match_score.semantic_match).toBeLessThanOrEqual(100);
+    });
+
     it('should reject match score calculation for job seekers', async () => {
       const matchData = {
         job_id: testJobId,
@@ -336,6 +356,54 @@ describe('AI Services API', () => {
     });
   });
 
+  describe('GET /api/ai/match-score/:jobId/explain', () => {
+    it('should explain the candidate\'s own match factor by factor', async () => {
+      const response = await request(app)
+        .get(`/api/ai/match-score/${testJobId}/explain`)
+        .set('Authorization', `Bearer ${jobSeekerToken}`)
+        .expect(200);
+
+      expect(response.body).toHaveProperty('total_score');
+      expect(response.body.factors.map(factor => factor.factor)).toEqual([
+        'skills', 'experience', 'semantic', 'location', 'education'
+      ]);
+      expect(response.body.skills).toHaveProperty('matched');
+      expect(response.body.skills).toHaveProperty('missing');
+      expect(response.body.factors[0].reason).toMatch(/of 2 required skills/);
+      expect(response.body.reasons).toHaveLength(5);
+
+      const totalWeight = response.body.factors.reduce((sum, factor) => sum + factor.weight, 0);
+      expect(totalWeight).toBeCloseTo(1, 2);
+    });
+
+    it('should require a profile id for employers', async () => {
+      const response = await request(app)
+        .get(`/api/ai/match-score/${testJobId}/explain`)
+        .set('Authorization', `Bearer ${employerToken}`)
+        .expect(400);
+
+      expect(response.body.error).toContain('required');
+    });
+
+    it('should not let other roles explain a candidate\'s score', async () => {
+      const recruiterData = global.testHelpers.createUserPayload({
+        email: 'recruiter@example.com',
+        role: 'recruiter'
+      });
+      await request(app).post('/api/auth/register').send(recruiterData);
+
+      const recruiterLogin = await request(app)
+        .post('/api/auth/login')
+        .send({ email: recruiterData.email, password: recruiterData.password });
+
+      await request(app)
+        .get(`/api/ai/match-score/${testJobId}/explain`)
+        .query({ job_seeker_profile_id: testJobSeekerId })
+        .set('Authorization', `Bearer ${recruiterLogin.body.tokens.accessToken}`)
+        .expect(403);
+    });
+  });
+
   describe('GET /api/ai/search-suggestions', () => {
     it('should get search suggestions for job seeker', async () => {
       const response = await request(app)
@@ -461,6 +529,24 @@ describe('AI Services API', () => {
       expect(response.body.current_skills).toContain('Node.js');
     });
 
+    it('should normalise aliases and suggest related skills from the taxonomy', async () => {
+      const response = await request(app)
+        .get('/api/ai/skill-suggestions?current_skills=JS,ReactJS')
+        .set('Authorization', `Bearer ${jobSeekerToken}`)
+        .expect(200);
+
+      expect(response.body.current_skills).toEqual(['JavaScript', 'React']);
+
+      const suggested = response.body.suggestions.map(suggestion => suggestion.skill);
+      expect(suggested).not.toContain('JavaScript');
+      expect(suggested).not.toContain('React');
+      expect(suggested).toContain('Redux');
+      response.body.suggestions.forEach(suggestion => {
+        expect(suggestion).toHaveProperty('relation');
+        expect(suggestion).toHaveProperty('demand');
+      });
+    });
+
     it('should reject skill suggestions for employers', async () => {
       const response = await request(app)
         .get('/api/ai/skill-suggestions')
@@ -517,4 +603,146 @@ describe('AI Services API', () => {
       expect(response.body.error).toContain('between 0 and 1');
     });
   });
-});
\ No newline at end of file
+
+  describe('Match weight training', () => {
+    let adminToken;
+
+    beforeAll(async () => {
+      const adminData = global.testHelpers.createUserPayload({
+        email: 'ai-admin@example.com',
+        role: 'admin'
+      });
+
+      await request(app).post('/api/auth/register').send(adminData);
+
+      const adminLogin = await request(app)
+        .post('/api/auth/login')
+        .send({ email: adminData.email, password: adminData.password });
+      adminToken = adminLogin.body.tokens.accessToken;
+    });
+
+    it('should not train without enough labelled matches', async () => {
+      const response = await request(app)
+        .post('/api/ai/train-match-weights')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body).toHaveProperty('status', 'insufficient_data');
+    });
+
+    it('should expose the model history in training stats', async () => {
+      const response = await request(app)
+        .get('/api/ai/training-stats')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(Array.isArray(response.body.model_history)).toBe(true);
+      expect(response.body).toHaveProperty('active_model');
+    });
+
+    it('should reject training requests from employers', async () => {
+      await request(app)
+        .post('/api/ai/train-match-weights')
+        .set('Authorization', `Bearer ${employerToken}`)
+        .expect(403);
+    });
+  });
+
+  describe('Local embedding provider', () => {
+    const embeddingService = require('../server/services/embeddingService');
+
+    it('should rank related documents above unrelated ones', async () => {
+      const provider = embeddingService.localProvider;
+      const documents = [
+        'Senior Node.js developer building REST APIs with Express and PostgreSQL',
+        'Backend engineer working on Node.js microservices, Kafka and PostgreSQL',
+        'Accountant handling GST filings, Tally and payroll'
+      ];
+
+      provider.use(provider.fit(documents));
+      const [job, related, unrelated] = await provider.embed(documents);
+
+      expect(embeddingService.cosineSimilarity(job, related))
+        .toBeGreaterThan(embeddingService.cosineSimilarity(job, unrelated));
+    });
+  });
+
+  describe('Offline resume parser', () => {
+    const aiService = require('../server/services/aiService');
+
+    const resumeText = [
+      'PRIYA SHARMA',
+      'priya.sharma@example.com | +91 98200 12345 | Bengaluru, Karnataka',
+      'linkedin.com/in/priya-sharma',
+      '',
+      'WORK EXPERIENCE',
+      'Infosys Technologies Ltd, Pune',
+      'Senior Software Engineer',
+      'Jan 2021 – Present',
+      '• Led migration of billing services to Node.js and PostgreSQL',
+      'Acme Retail',
+      'Backend Developer | Mumbai | Jun 2018 - Dec 2020',
+      '• Built order APIs with Express',
+      '',
+      'EDUCATION',
+      'Indian Institute of Technology, Delhi',
+      'Bachelor of Technology in Electrical Engineering, 2014 - 2018, CGPA: 8.4/10',
+      '',
+      'TECHNICAL SKILLS',
+      'Languages: Java, Python',
+      'Frameworks: React, Express',
+      '',
+      'CERTIFICATIONS',
+      '• AWS Certified Developer – Associate'
+    ].join('\n');
+
+    it('should extract contact details, sections and dates without external services', async () => {
+      const parsed = await aiService.parseResumeOffline(resumeText);
+
+      expect(parsed.personal_info).toMatchObject({
+        name: 'Priya Sharma',
+        email: 'priya.sharma@example.com',
+        phone: '+91 98200 12345',
+        location: 'Bengaluru, Karnataka',
+        linkedin: 'https://linkedin.com/in/priya-sharma'
+      });
+
+      expect(parsed.experience).toHaveLength(2);
+      expect(parsed.experience[0]).toMatchObject({
+        company: 'Infosys Technologies Ltd',
+        position: 'Senior Software Engineer',
+        start_date: '2021-01-01',
+        is_current: true
+      });
+      expect(parsed.experience[1]).toMatchObject({
+        company: 'Acme Retail',
+        position: 'Backend Developer',
+        start_date: '2018-06-01',
+        end_date: '2020-12-01'
+      });
+
+      expect(parsed.education[0]).toMatchObject({
+        institution: 'Indian Institute of Technology',
+        degree: 'Bachelor of Technology',
+        field_of_study: 'Electrical Engineering',
+        grade: '8.4/10 CGPA'
+      });
+
+      expect(parsed.skills.technical).toEqual(expect.arrayContaining(['Java', 'Python', 'React', 'Express']));
+      expect(parsed.skills.certifications).toEqual(['AWS Certified Developer – Associate']);
+    });
+
+    it('should report confidence scores and flag uncertain fields', async () => {
+      const parsed = await aiService.parseResumeOffline(resumeText);
+
+      expect(parsed.confidence.overall).toBeGreaterThan(0.8);
+      expect(parsed.confidence.personal_info.email).toBe(1);
+      expect(parsed.confidence.experience).toHaveLength(2);
+      expect(parsed.needs_review).toEqual([]);
+
+      const sparse = await aiService.parseResumeOffline('EXPERIENCE\nFreelance work\n• Built websites');
+      expect(sparse.confidence.overall).toBeLessThan(0.5);
+      expect(sparse.needs_review).toContain('experience[0]');
+    });
+  });
+});
@@ -362,6 +362,64 @@ describe('Job Applications API', () => {
     });
   });
 
+  describe('GET /api/applications/:id/timeline', () => {
+    beforeAll(async () => {
+      await request(app)
+        .patch(`/api/applications/${testApplicationId}/status`)
+        .set('Authorization', `Bearer ${employerToken}`)
+        .send({
+          status: 'interviewed',
+          recruiter_notes: 'Strong system design answers',
+          candidate_note: 'We will share interview slots shortly'
+        });
+    });
+
+    it('should return the full timeline with internal notes to the employer', async () => {
+      const response = await request(app)
+        .get(`/api/applications/${testApplicationId}/timeline`)
+        .set('Authorization', `Bearer ${employerToken}`)
+        .expect(200);
+
+      expect(response.body).toHaveProperty('timeline');
+      expect(response.body.timeline[0]).toHaveProperty('event_type', 'applied');
+
+      const lastEvent = response.body.timeline[response.body.timeline.length - 1];
+      expect(lastEvent).toHaveProperty('to_status', 'interviewed');
+      expect(lastEvent).toHaveProperty('from_status');
+      expect(lastEvent).toHaveProperty('internal_note', 'Strong system design answers');
+      expect(lastEvent).toHaveProperty('actor');
+    });
+
+    it('should hide internal notes from the candidate', async () => {
+      const response = await request(app)
+        .get(`/api/applications/${testApplicationId}/timeline`)
+        .set('Authorization', `Bearer ${jobSeekerToken}`)
+        .expect(200);
+
+      const lastEvent = response.body.timeline[response.body.timeline.length - 1];
+      expect(lastEvent).toHaveProperty('candidate_note', 'We will share interview slots shortly');
+      expect(response.body.timeline.every(event =>
+        !('internal_note' in event) && !('actor' in event)
+      )).toBe(true);
+    });
+
+    it('should reject unrelated users', async () => {
+      const otherUser = global.testHelpers.createUserPayload({
+        email: 'timeline-outsider@example.com',
+        role: 'job_seeker'
+      });
+      await request(app).post('/api/auth/register').send(otherUser);
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: otherUser.email, password: otherUser.password });
+
+      await request(app)
+        .get(`/api/applications/${testApplicationId}/timeline`)
+        .set('Authorization', `Bearer ${login.body.tokens.accessToken}`)
+        .expect(403);
+    });
+  });
+
   describe('DELETE /api/applications/:id', () => {
     let applicationToDeleteId;
 
@@ -1,5 +1,8 @@
 const request = require('supertest');
 const app = require('../server/index');
+const twoFactorService = require('../server/services/twoFactorService');
+const sms = require('../server/services/sms');
+const accountLockoutService = require('../server/services/accountLockoutService');
 
 describe('Authentication API', () => {
   let server;
@@ -335,4 +338,513 @@ describe('Authentication API', () => {
       expect(response.body).toHaveProperty('error');
     });
   });
-});
\ No newline at end of file
+
+  describe('Refresh token rotation', () => {
+    let userData;
+    let tokens;
+
+    beforeAll(async () => {
+      userData = global.testHelpers.createUserPayload({ email: 'rotation@example.com' });
+      await request(app).post('/api/auth/register').send(userData);
+    });
+
+    beforeEach(async () => {
+      const loginResponse = await request(app)
+        .post('/api/auth/login')
+        .send({ email: userData.email, password: userData.password });
+      tokens = loginResponse.body.tokens;
+    });
+
+    it('should issue a new refresh token on each use', async () => {
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: tokens.refreshToken })
+        .expect(200);
+
+      expect(response.body.tokens.refreshToken).not.toBe(tokens.refreshToken);
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: response.body.tokens.refreshToken })
+        .expect(200);
+    });
+
+    it('should revoke the whole session when a used refresh token is replayed', async () => {
+      const rotated = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: tokens.refreshToken })
+        .expect(200);
+
+      const replay = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: tokens.refreshToken })
+        .expect(401);
+
+      expect(replay.body.code).toBe('REFRESH_TOKEN_REUSED');
+
+      // The legitimately rotated token and the session's access tokens die with it
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: rotated.body.tokens.refreshToken })
+        .expect(401);
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${rotated.body.tokens.accessToken}`)
+        .expect(401);
+    });
+
+    it('should revoke tokens on logout', async () => {
+      await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${tokens.accessToken}`)
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: tokens.refreshToken })
+        .expect(401);
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${tokens.accessToken}`)
+        .expect(401);
+    });
+  });
+
+  describe('Sessions', () => {
+    let userData;
+    let laptop;
+    let phone;
+
+    beforeAll(async () => {
+      userData = global.testHelpers.createUserPayload({ email: 'sessions@example.com' });
+      await request(app).post('/api/auth/register').send(userData);
+
+      const laptopLogin = await request(app)
+        .post('/api/auth/login')
+        .set('User-Agent', 'Laptop Browser')
+        .send({ email: userData.email, password: userData.password });
+      laptop = laptopLogin.body.tokens;
+
+      const phoneLogin = await request(app)
+        .post('/api/auth/login')
+        .set('User-Agent', 'Phone App')
+        .send({ email: userData.email, password: userData.password });
+      phone = phoneLogin.body.tokens;
+    });
+
+    it('should list active sessions and flag the current one', async () => {
+      const response = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${laptop.accessToken}`)
+        .expect(200);
+
+      const agents = response.body.sessions.map(session => session.user_agent);
+      expect(agents).toEqual(expect.arrayContaining(['Laptop Browser', 'Phone App']));
+
+      const current = response.body.sessions.filter(session => session.current);
+      expect(current).toHaveLength(1);
+      expect(current[0].user_agent).toBe('Laptop Browser');
+    });
+
+    it('should sign out another device', async () => {
+      const list = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${laptop.accessToken}`)
+        .expect(200);
+      const phoneSession = list.body.sessions.find(session => session.user_agent === 'Phone App');
+
+      await request(app)
+        .delete(`/api/auth/sessions/${phoneSession.id}`)
+        .set('Authorization', `Bearer ${laptop.accessToken}`)
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: phone.refreshToken })
+        .expect(401);
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${laptop.accessToken}`)
+        .expect(200);
+    });
+
+    it('should return 404 for a session that is not the user\'s', async () => {
+      await request(app)
+        .delete('/api/auth/sessions/00000000-0000-0000-0000-000000000000')
+        .set('Authorization', `Bearer ${laptop.accessToken}`)
+        .expect(404);
+    });
+  });
+
+  describe('Two-factor authentication', () => {
+    let userData;
+    let accessToken;
+    let secret;
+    let recoveryCodes;
+
+    beforeAll(async () => {
+      userData = global.testHelpers.createUserPayload({ email: 'two-factor@example.com', role: 'employer' });
+      await request(app).post('/api/auth/register').send(userData);
+
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: userData.email, password: userData.password });
+      accessToken = login.body.tokens.accessToken;
+    });
+
+    it('should generate RFC 6238 codes', () => {
+      // SHA-1 test vector from RFC 6238 Appendix B (secret "12345678901234567890")
+      const rfcSecret = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+      expect(twoFactorService.generateTotp(rfcSecret, 59 * 1000)).toBe('287082');
+      expect(twoFactorService.generateTotp(rfcSecret, 1111111109 * 1000)).toBe('081804');
+    });
+
+    it('should enroll with a code from the authenticator app', async () => {
+      const setup = await request(app)
+        .post('/api/auth/2fa/setup')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({})
+        .expect(200);
+
+      secret = setup.body.secret;
+      expect(setup.body.otpauth_url).toMatch(/^otpauth:\/\/totp\/JobsRo/);
+
+      await request(app)
+        .post('/api/auth/2fa/enable')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ code: twoFactorService.generateTotp(secret, Date.now() + 10 * 60 * 1000) })
+        .expect(400);
+
+      const response = await request(app)
+        .post('/api/auth/2fa/enable')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ code: twoFactorService.generateTotp(secret) })
+        .expect(200);
+
+      recoveryCodes = response.body.recovery_codes;
+      expect(recoveryCodes).toHaveLength(10);
+    });
+
+    it('should return a challenge instead of tokens on login', async () => {
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: userData.email, password: userData.password })
+        .expect(200);
+
+      expect(login.body.two_factor_required).toBe(true);
+      expect(login.body).not.toHaveProperty('tokens');
+
+      // The challenge token is not an access token
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${login.body.challenge_token}`)
+        .expect(401);
+
+      const wrong = await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ challenge_token: login.body.challenge_token, code: '12345' })
+        .expect(401);
+      expect(wrong.body.code).toBe('INVALID_2FA_CODE');
+
+      // The enrollment code was already used, so take the next one
+      const response = await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({
+          challenge_token: login.body.challenge_token,
+          code: twoFactorService.generateTotp(secret, Date.now() + 30 * 1000)
+        })
+        .expect(200);
+
+      expect(response.body.tokens).toHaveProperty('accessToken');
+      expect(response.body.user.email).toBe(userData.email);
+    });
+
+    it('should accept each recovery code once', async () => {
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: userData.email, password: userData.password });
+
+      await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ challenge_token: login.body.challenge_token, code: recoveryCodes[0] })
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ challenge_token: login.body.challenge_token, code: recoveryCodes[0] })
+        .expect(401);
+
+      const status = await request(app)
+        .get('/api/auth/2fa')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+      expect(status.body.two_factor.enabled).toBe(true);
+      expect(status.body.two_factor.recovery_codes_remaining).toBe(9);
+    });
+
+    it('should make users of a required role enroll during login', async () => {
+      const adminData = global.testHelpers.createUserPayload({ email: 'two-factor-admin@example.com', role: 'admin' });
+      await request(app).post('/api/auth/register').send(adminData);
+      const adminLogin = await request(app)
+        .post('/api/auth/login')
+        .send({ email: adminData.email, password: adminData.password });
+
+      const recruiterData = global.testHelpers.createUserPayload({ email: 'two-factor-recruiter@example.com', role: 'recruiter' });
+      await request(app).post('/api/auth/register').send(recruiterData);
+
+      await request(app)
+        .put('/api/admin/settings/security/require_2fa_roles')
+        .set('Authorization', `Bearer ${adminLogin.body.tokens.accessToken}`)
+        .send({ value: '["recruiter"]' })
+        .expect(200);
+
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: recruiterData.email, password: recruiterData.password })
+        .expect(200);
+
+      expect(login.body.two_factor_setup_required).toBe(true);
+      expect(login.body).not.toHaveProperty('tokens');
+
+      const setup = await request(app)
+        .post('/api/auth/2fa/setup')
+        .send({ challenge_token: login.body.challenge_token })
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/auth/2fa/enable')
+        .send({
+          challenge_token: login.body.challenge_token,
+          code: twoFactorService.generateTotp(setup.body.secret)
+        })
+        .expect(200);
+
+      expect(response.body.tokens).toHaveProperty('accessToken');
+      expect(response.body.recovery_codes).toHaveLength(10);
+
+      // Required 2FA cannot be turned off
+      await request(app)
+        .post('/api/auth/2fa/disable')
+        .set('Authorization', `Bearer ${response.body.tokens.accessToken}`)
+        .send({ password: recruiterData.password, code: response.body.recovery_codes[0] })
+        .expect(403);
+
+      await request(app)
+        .put('/api/admin/settings/security/require_2fa_roles')
+        .set('Authorization', `Bearer ${adminLogin.body.tokens.accessToken}`)
+        .send({ value: '[]' })
+        .expect(200);
+    });
+
+    it('should make users of a required role enroll before registration issues tokens', async () => {
+      const adminData = global.testHelpers.createUserPayload({ email: 'two-factor-admin-2@example.com', role: 'admin' });
+      await request(app).post('/api/auth/register').send(adminData);
+      const adminLogin = await request(app)
+        .post('/api/auth/login')
+        .send({ email: adminData.email, password: adminData.password });
+
+      await request(app)
+        .put('/api/admin/settings/security/require_2fa_roles')
+        .set('Authorization', `Bearer ${adminLogin.body.tokens.accessToken}`)
+        .send({ value: '["recruiter"]' })
+        .expect(200);
+
+      const recruiterData = global.testHelpers.createUserPayload({ email: 'two-factor-recruiter-2@example.com', role: 'recruiter' });
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send(recruiterData)
+        .expect(201);
+
+      expect(response.body.user).toHaveProperty('email', recruiterData.email);
+      expect(response.body.two_factor_setup_required).toBe(true);
+      expect(response.body).toHaveProperty('challenge_token');
+      expect(response.body).not.toHaveProperty('tokens');
+
+      await request(app)
+        .put('/api/admin/settings/security/require_2fa_roles')
+        .set('Authorization', `Bearer ${adminLogin.body.tokens.accessToken}`)
+        .send({ value: '[]' })
+        .expect(200);
+    });
+  });
+
+  describe('Phone OTP', () => {
+    let sendCode;
+
+    // The code texted by the last send-otp call
+    const lastCode = () => sendCode.mock.calls[sendCode.mock.calls.length - 1][1];
+
+    beforeAll(() => {
+      sendCode = jest.spyOn(sms, 'sendVerificationCode').mockResolvedValue({ success: true });
+    });
+
+    afterAll(() => {
+      sendCode.mockRestore();
+    });
+
+    it('should sign up a new job seeker with a texted code', async () => {
+      await request(app)
+        .post('/api/auth/phone/send-otp')
+        .send({ phone: '9876543210' })
+        .expect(200);
+
+      expect(sendCode).toHaveBeenLastCalledWith('+919876543210', expect.stringMatching(/^\d{6}$/));
+
+      // Names are asked for before the code is spent
+      const missing = await request(app)
+        .post('/api/auth/phone/login')
+        .send({ phone: '9876543210', code: lastCode() })
+        .expect(400);
+      expect(missing.body.code).toBe('REGISTRATION_DETAILS_REQUIRED');
+
+      const response = await request(app)
+        .post('/api/auth/phone/login')
+        .send({ phone: '9876543210', code: lastCode(), first_name: 'Ravi', last_name: 'Kumar' })
+        .expect(200);
+
+      expect(response.body.is_new_user).toBe(true);
+      expect(response.body.user.role).toBe('job_seeker');
+      expect(response.body.user.email).toBeNull();
+      expect(response.body.tokens).toHaveProperty('accessToken');
+
+      // Each code works once
+      await request(app)
+        .post('/api/auth/phone/login')
+        .send({ phone: '9876543210', code: lastCode() })
+        .expect(401);
+    });
+
+    it('should throttle resends to the same number', async () => {
+      await request(app)
+        .post('/api/auth/phone/send-otp')
+        .send({ phone: '9876500001' })
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/auth/phone/send-otp')
+        .send({ phone: '9876500001' })
+        .expect(429);
+
+      expect(response.body.retryAfter).toBeGreaterThan(0);
+    });
+
+    it('should lock a code after too many wrong guesses', async () => {
+      await request(app)
+        .post('/api/auth/phone/send-otp')
+        .send({ phone: '9876500002' })
+        .expect(200);
+      const code = lastCode();
+      const wrong = code === '000000' ? '111111' : '000000';
+
+      for (let i = 0; i < 4; i++) {
+        await request(app)
+          .post('/api/auth/phone/login')
+          .send({ phone: '9876500002', code: wrong, first_name: 'Asha', last_name: 'Devi' })
+          .expect(401);
+      }
+
+      await request(app)
+        .post('/api/auth/phone/login')
+        .send({ phone: '9876500002', code: wrong, first_name: 'Asha', last_name: 'Devi' })
+        .expect(429);
+
+      await request(app)
+        .post('/api/auth/phone/login')
+        .send({ phone: '9876500002', code, first_name: 'Asha', last_name: 'Devi' })
+        .expect(429);
+    });
+
+    it('should verify the phone number of a signed-in user', async () => {
+      const userData = global.testHelpers.createUserPayload({ email: 'phone-verify@example.com' });
+      await request(app).post('/api/auth/register').send(userData);
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: userData.email, password: userData.password });
+      const token = login.body.tokens.accessToken;
+
+      await request(app)
+        .post('/api/auth/phone/send-otp')
+        .send({ phone: '9876500003', purpose: 'verify' })
+        .expect(401);
+
+      await request(app)
+        .post('/api/auth/phone/send-otp')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ phone: '9876500003', purpose: 'verify' })
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/auth/phone/verify')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ phone: '9876500003', code: lastCode() })
+        .expect(200);
+
+      expect(response.body.phone).toBe('+919876500003');
+
+      const me = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      expect(me.body.user.phone).toBe('+919876500003');
+    });
+  });
+
+  describe('Account lockout', () => {
+    let userData;
+    let userId;
+
+    beforeAll(async () => {
+      userData = global.testHelpers.createUserPayload({ email: 'lockout@example.com' });
+      const registered = await request(app).post('/api/auth/register').send(userData);
+      userId = registered.body.user.id;
+    });
+
+    it('should lock the account after the configured number of failures', async () => {
+      for (let i = 0; i < 4; i++) {
+        await request(app)
+          .post('/api/auth/login')
+          .send({ email: userData.email, password: 'WrongPassword123!' })
+          .expect(401);
+      }
+
+      const locked = await request(app)
+        .post('/api/auth/login')
+        .send({ email: userData.email, password: 'WrongPassword123!' })
+        .expect(423);
+      expect(locked.body.code).toBe('ACCOUNT_LOCKED');
+
+      // Even the right password is refused while locked
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: userData.email, password: userData.password })
+        .expect(423);
+    });
+
+    it('should unlock from the emailed link', async () => {
+      const locked = await request(app)
+        .post('/api/auth/login')
+        .send({ email: userData.email, password: userData.password })
+        .expect(423);
+      const lockedUntil = new Date(locked.body.locked_until);
+
+      // A link from an earlier lockout does not work
+      await request(app)
+        .post('/api/auth/unlock')
+        .send({ token: accountLockoutService.getUnlockToken(userId, new Date(lockedUntil.getTime() - 60000)) })
+        .expect(400);
+
+      await request(app)
+        .post('/api/auth/unlock')
+        .send({ token: accountLockoutService.getUnlockToken(userId, lockedUntil) })
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: userData.email, password: userData.password })
+        .expect(200);
+    });
+  });
+});
@@ -0,0 +1,263 @@
+const request = require('supertest');
+const app = require('../server/index');
+
+describe('Interview Plans and Scorecards API', () => {
+  let server;
+  let jobSeekerToken;
+  let jobSeekerId;
+  let employerToken;
+  let adminToken;
+  let adminId;
+  let testJobId;
+  let testApplicationId;
+  let firstRoundId;
+  let interviewId;
+
+  const DAY = 24 * 60 * 60 * 1000;
+
+  // Midnight UTC a number of days from now
+  const daysFromNow = (days) => {
+    const date = new Date(Date.now() + days * DAY);
+    date.setUTCHours(0, 0, 0, 0);
+    return date.toISOString();
+  };
+
+  const competencies = [
+    {
+      key: 'problem_solving',
+      name: 'Problem solving',
+      rubric: { 1: 'Could not break the problem down', 4: 'Clear, optimal approach unprompted' }
+    },
+    { key: 'communication', name: 'Communication', weight: 2 }
+  ];
+
+  const submitScorecard = (token, recommendation) => request(app)
+    .put(`/api/interviews/${interviewId}/scorecard`)
+    .set('Authorization', `Bearer ${token}`)
+    .send({
+      ratings: [
+        { competency: 'problem_solving', rating: 3 },
+        { competency: 'communication', rating: 4 }
+      ],
+      recommendation,
+      submit: true
+    });
+
+  beforeAll(async () => {
+    await global.setupTestDatabase();
+
+    // Create test users
+    const jobSeekerData = global.testHelpers.createUserPayload({
+      email: 'panel-candidate@example.com',
+      role: 'job_seeker'
+    });
+
+    const employerData = global.testHelpers.createUserPayload({
+      email: 'panel-employer@example.com',
+      role: 'employer'
+    });
+
+    const adminData = global.testHelpers.createUserPayload({
+      email: 'panel-admin@example.com',
+      role: 'admin'
+    });
+
+    // Register users
+    await request(app).post('/api/auth/register').send(jobSeekerData);
+    await request(app).post('/api/auth/register').send(employerData);
+    await request(app).post('/api/auth/register').send(adminData);
+
+    // Login and get tokens
+    const jobSeekerLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ email: jobSeekerData.email, password: jobSeekerData.password });
+    jobSeekerToken = jobSeekerLogin.body.tokens.accessToken;
+    jobSeekerId = jobSeekerLogin.body.user.id;
+
+    const employerLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ email: employerData.email, password: employerData.password });
+    employerToken = employerLogin.body.tokens.accessToken;
+
+    const adminLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ email: adminData.email, password: adminData.password });
+    adminToken = adminLogin.body.tokens.accessToken;
+    adminId = adminLogin.body.user.id;
+
+    // Create a job and an application on it
+    const jobResponse = await request(app)
+      .post('/api/jobs')
+      .set('Authorization', `Bearer ${employerToken}`)
+      .send(global.testHelpers.createJobPayload());
+    testJobId = jobResponse.body.job.id;
+
+    const applicationResponse = await request(app)
+      .post('/api/applications')
+      .set('Authorization', `Bearer ${jobSeekerToken}`)
+      .send({
+        job_id: testJobId,
+        cover_letter: 'I am very interested in this position. I have relevant experience in JavaScript and Node.js development, and I believe I would be a great fit for your team.'
+      });
+    testApplicationId = applicationResponse.body.application.id;
+
+    // The employer is free around the clock so the candidate can book a slot
+    const allDay = [{ start: '00:00', end: '24:00' }];
+    await request(app)
+      .put('/api/interviews/availability/settings')
+      .set('Authorization', `Bearer ${employerToken}`)
+      .send({
+        working_hours: { mon: allDay, tue: allDay, wed: allDay, thu: allDay, fri: allDay, sat: allDay, sun: allDay },
+        min_notice_hours: 0
+      });
+    await request(app)
+      .post('/api/interviews/availability/windows')
+      .set('Authorization', `Bearer ${employerToken}`)
+      .send({ windows: [{ starts_at: daysFromNow(2), ends_at: daysFromNow(4) }] });
+  });
+
+  afterAll(async () => {
+    await global.cleanupTestDatabase();
+    if (server) {
+      server.close();
+    }
+  });
+
+  describe('PUT /api/interview-plans/jobs/:jobId', () => {
+    it('should reject panelists from outside the hiring company', async () => {
+      await request(app)
+        .put(`/api/interview-plans/jobs/${testJobId}`)
+        .set('Authorization', `Bearer ${employerToken}`)
+        .send({ rounds: [{ name: 'Technical', panelist_ids: [jobSeekerId], competencies }] })
+        .expect(400);
+    });
+
+    it('should save ordered rounds with their scorecards', async () => {
+      const response = await request(app)
+        .put(`/api/interview-plans/jobs/${testJobId}`)
+        .set('Authorization', `Bearer ${employerToken}`)
+        .send({
+          rounds: [
+            { name: 'Technical', duration_minutes: 45, panelist_ids: [adminId], competencies },
+            { name: 'Culture', competencies: [{ key: 'ownership', name: 'Ownership' }] }
+          ]
+        })
+        .expect(200);
+
+      const { rounds } = response.body.plan;
+      expect(rounds.map(round => round.position)).toEqual([1, 2]);
+      expect(rounds[0].competencies).toHaveLength(2);
+      expect(response.body.plan.rating_scale).toHaveProperty('4');
+      firstRoundId = rounds[0].id;
+    });
+
+    it('should keep round ids when the plan is reordered', async () => {
+      const current = await request(app)
+        .get(`/api/interview-plans/jobs/${testJobId}`)
+        .set('Authorization', `Bearer ${employerToken}`)
+        .expect(200);
+
+      const [technical, culture] = current.body.plan.rounds;
+      const response = await request(app)
+        .put(`/api/interview-plans/jobs/${testJobId}`)
+        .set('Authorization', `Bearer ${employerToken}`)
+        .send({
+          rounds: [
+            { id: culture.id, name: culture.name, competencies: culture.competencies },
+            { id: technical.id, name: technical.name, panelist_ids: [adminId], competencies }
+          ]
+        })
+        .expect(200);
+
+      expect(response.body.plan.rounds[1].id).toBe(firstRoundId);
+    });
+
+    it('should not let job seekers read the plan', async () => {
+      await request(app)
+        .get(`/api/interview-plans/jobs/${testJobId}`)
+        .set('Authorization', `Bearer ${jobSeekerToken}`)
+        .expect(403);
+    });
+  });
+
+  describe('Scorecards', () => {
+    beforeAll(async () => {
+      // The candidate books the technical round; its default panel joins the interviewer
+      const linkResponse = await request(app)
+        .post('/api/interviews/scheduling-links')
+        .set('Authorization', `Bearer ${employerToken}`)
+        .send({ application_id: testApplicationId, round_id: firstRoundId, duration_minutes: 45 });
+      const token = linkResponse.body.link.url.split('/').pop();
+
+      const slotsResponse = await request(app).get(`/api/interviews/scheduling-links/${token}`);
+      const bookResponse = await request(app)
+        .post(`/api/interviews/scheduling-links/${token}/book`)
+        .send({ start: slotsResponse.body.slots[0].start });
+      interviewId = bookResponse.body.interview.id;
+    });
+
+    it('should require every competency before submitting', async () => {
+      const response = await request(app)
+        .put(`/api/interviews/${interviewId}/scorecard`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ ratings: [{ competency: 'problem_solving', rating: 3 }], recommendation: 'hire', submit: true })
+        .expect(400);
+
+      expect(response.body.error).toContain('communication');
+    });
+
+    it('should hide other panelists\' scores until the panelist submits', async () => {
+      await submitScorecard(adminToken, 'strong_hire').expect(200);
+
+      const response = await request(app)
+        .get(`/api/interviews/${interviewId}/scorecards`)
+        .set('Authorization', `Bearer ${employerToken}`)
+        .expect(200);
+
+      expect(response.body.others_hidden).toBe(true);
+      expect(response.body.scorecards).toHaveLength(0);
+
+      await request(app)
+        .get(`/api/interview-plans/applications/${testApplicationId}/summary`)
+        .set('Authorization', `Bearer ${employerToken}`)
+        .expect(403);
+    });
+
+    it('should reveal the panel once the panelist has submitted', async () => {
+      await submitScorecard(employerToken, 'no_hire').expect(200);
+
+      const response = await request(app)
+        .get(`/api/interviews/${interviewId}/scorecards`)
+        .set('Authorization', `Bearer ${employerToken}`)
+        .expect(200);
+
+      expect(response.body.others_hidden).toBe(false);
+      expect(response.body.scorecards).toHaveLength(2);
+    });
+
+    it('should not allow a submitted scorecard to change', async () => {
+      await submitScorecard(employerToken, 'hire').expect(409);
+    });
+
+    it('should aggregate a hire recommendation for the application', async () => {
+      const response = await request(app)
+        .get(`/api/interview-plans/applications/${testApplicationId}/summary`)
+        .set('Authorization', `Bearer ${employerToken}`)
+        .expect(200);
+
+      const { overall, rounds } = response.body.summary;
+      expect(overall.score).toBe(3);
+      expect(overall.decision).toBe('hire');
+      expect(overall.complete).toBe(true);
+      expect(rounds[0].name).toBe('Technical');
+      expect(rounds[0].competencies.find(c => c.key === 'communication').average).toBe(4);
+    });
+
+    it('should keep scorecards away from candidates', async () => {
+      await request(app)
+        .get(`/api/interviews/${interviewId}/scorecards`)
+        .set('Authorization', `Bearer ${jobSeekerToken}`)
+        .expect(403);
+    });
+  });
+});
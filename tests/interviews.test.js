@@ -0,0 +1,358 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const app = require('../server/index');
+const calendarService = require('../server/services/calendarService');
+const JitsiProvider = require('../server/services/meetingProviders/jitsiProvider');
+
+describe('Interview Self-Scheduling API', () => {
+  let server;
+  let jobSeekerToken;
+  let employerToken;
+  let testApplicationId;
+  let linkToken;
+  let bookedStart;
+  let bookedInterviewId;
+
+  const DAY = 24 * 60 * 60 * 1000;
+
+  // Midnight UTC a number of days from now
+  const daysFromNow = (days) => {
+    const date = new Date(Date.now() + days * DAY);
+    date.setUTCHours(0, 0, 0, 0);
+    return date.toISOString();
+  };
+
+  const tokenFromUrl = (url) => url.split('/').pop();
+
+  beforeAll(async () => {
+    await global.setupTestDatabase();
+
+    // Create test users
+    const jobSeekerData = global.testHelpers.createUserPayload({
+      email: 'scheduling-candidate@example.com',
+      role: 'job_seeker'
+    });
+
+    const employerData = global.testHelpers.createUserPayload({
+      email: 'scheduling-employer@example.com',
+      role: 'employer'
+    });
+
+    // Register users
+    await request(app).post('/api/auth/register').send(jobSeekerData);
+    await request(app).post('/api/auth/register').send(employerData);
+
+    // Login and get tokens
+    const jobSeekerLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ email: jobSeekerData.email, password: jobSeekerData.password });
+    jobSeekerToken = jobSeekerLogin.body.tokens.accessToken;
+
+    const employerLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ email: employerData.email, password: employerData.password });
+    employerToken = employerLogin.body.tokens.accessToken;
+
+    // Create a job and an application on it
+    const jobResponse = await request(app)
+      .post('/api/jobs')
+      .set('Authorization', `Bearer ${employerToken}`)
+      .send(global.testHelpers.createJobPayload());
+
+    const applicationResponse = await request(app)
+      .post('/api/applications')
+      .set('Authorization', `Bearer ${jobSeekerToken}`)
+      .send({
+        job_id: jobResponse.body.job.id,
+        cover_letter: 'I am very interested in this position. I have relevant experience in JavaScript and Node.js development, and I believe I would be a great fit for your team.'
+      });
+    testApplicationId = applicationResponse.body.application.id;
+  });
+
+  afterAll(async () => {
+    await global.cleanupTestDatabase();
+    if (server) {
+      server.close();
+    }
+  });
+
+  describe('Interviewer availability', () => {
+    it('should reject an unknown timezone', async () => {
+      const response = await request(app)
+        .put('/api/interviews/availability/settings')
+        .set('Authorization', `Bearer ${employerToken}`)
+        .send({ timezone: 'Mars/Olympus_Mons' })
+        .expect(400);
+
+      expect(response.body.error).toBe('Invalid timezone');
+    });
+
+    it('should update working hours and buffers', async () => {
+      const allDay = [{ start: '00:00', end: '24:00' }];
+
+      const response = await request(app)
+        .put('/api/interviews/availability/settings')
+        .set('Authorization', `Bearer ${employerToken}`)
+        .send({
+          timezone: 'Asia/Kolkata',
+          working_hours: { mon: allDay, tue: allDay, wed: allDay, thu: allDay, fri: allDay, sat: allDay, sun: allDay },
+          buffer_after_minutes: 15,
+          min_notice_hours: 0
+        })
+        .expect(200);
+
+      expect(response.body.settings).toHaveProperty('timezone', 'Asia/Kolkata');
+      expect(response.body.settings).toHaveProperty('buffer_after_minutes', 15);
+    });
+
+    it('should publish availability windows', async () => {
+      const response = await request(app)
+        .post('/api/interviews/availability/windows')
+        .set('Authorization', `Bearer ${employerToken}`)
+        .send({ windows: [{ starts_at: daysFromNow(2), ends_at: daysFromNow(4) }] })
+        .expect(201);
+
+      expect(response.body.windows).toHaveLength(1);
+
+      const availability = await request(app)
+        .get('/api/interviews/availability')
+        .set('Authorization', `Bearer ${employerToken}`)
+        .expect(200);
+
+      expect(availability.body.windows.length).toBeGreaterThan(0);
+    });
+
+    it('should reject availability from job seekers', async () => {
+      await request(app)
+        .post('/api/interviews/availability/windows')
+        .set('Authorization', `Bearer ${jobSeekerToken}`)
+        .send({ windows: [{ starts_at: daysFromNow(2), ends_at: daysFromNow(3) }] })
+        .expect(403);
+    });
+  });
+
+  describe('Scheduling links', () => {
+    it('should send the candidate a link with open slots', async () => {
+      const response = await request(app)
+        .post('/api/interviews/scheduling-links')
+        .set('Authorization', `Bearer ${employerToken}`)
+        .send({ application_id: testApplicationId, duration_minutes: 45 })
+        .expect(201);
+
+      expect(response.body.link.url).toContain('/schedule/');
+      expect(response.body.open_slots).toBeGreaterThan(0);
+      linkToken = tokenFromUrl(response.body.link.url);
+    });
+
+    it('should not create a second active link for the same application', async () => {
+      await request(app)
+        .post('/api/interviews/scheduling-links')
+        .set('Authorization', `Bearer ${employerToken}`)
+        .send({ application_id: testApplicationId })
+        .expect(409);
+    });
+
+    it('should list open slots without exposing interviewers', async () => {
+      const response = await request(app)
+        .get(`/api/interviews/scheduling-links/${linkToken}`)
+        .expect(200);
+
+      expect(response.body).toHaveProperty('duration_minutes', 45);
+      expect(response.body.slots.length).toBeGreaterThan(0);
+      expect(response.body.slots[0]).not.toHaveProperty('interviewer_ids');
+      bookedStart = response.body.slots[0].start;
+    });
+
+    it('should reject a time that is not an open slot', async () => {
+      const offGrid = new Date(new Date(bookedStart).getTime() + 7 * 60 * 1000).toISOString();
+
+      await request(app)
+        .post(`/api/interviews/scheduling-links/${linkToken}/book`)
+        .send({ start: offGrid })
+        .expect(409);
+    });
+
+    it('should book a slot exactly once under concurrent requests', async () => {
+      const [first, second] = await Promise.all([
+        request(app).post(`/api/interviews/scheduling-links/${linkToken}/book`).send({ start: bookedStart }),
+        request(app).post(`/api/interviews/scheduling-links/${linkToken}/book`).send({ start: bookedStart })
+      ]);
+
+      const statuses = [first.status, second.status].sort();
+      expect(statuses[0]).toBe(201);
+      expect([409, 410]).toContain(statuses[1]);
+
+      const booked = first.status === 201 ? first : second;
+      expect(new Date(booked.body.interview.scheduled_at).toISOString()).toBe(bookedStart);
+      expect(booked.body.interview).toHaveProperty('meeting_url');
+      bookedInterviewId = booked.body.interview.id;
+    });
+
+    it('should close the link once booked', async () => {
+      const response = await request(app)
+        .get(`/api/interviews/scheduling-links/${linkToken}`)
+        .expect(410);
+
+      expect(response.body).toHaveProperty('status', 'booked');
+    });
+
+    it('should no longer offer the booked time', async () => {
+      const linkResponse = await request(app)
+        .post('/api/interviews/scheduling-links')
+        .set('Authorization', `Bearer ${employerToken}`)
+        .send({ application_id: testApplicationId, duration_minutes: 45 })
+        .expect(201);
+
+      const response = await request(app)
+        .get(`/api/interviews/scheduling-links/${tokenFromUrl(linkResponse.body.link.url)}`)
+        .expect(200);
+
+      expect(response.body.slots.map(slot => slot.start)).not.toContain(bookedStart);
+
+      await request(app)
+        .patch(`/api/interviews/scheduling-links/${linkResponse.body.link.id}/cancel`)
+        .set('Authorization', `Bearer ${employerToken}`)
+        .expect(200);
+    });
+
+    it('should return 404 for an unknown link', async () => {
+      await request(app)
+        .get('/api/interviews/scheduling-links/not-a-real-token')
+        .expect(404);
+    });
+  });
+
+  describe('Calendar feeds', () => {
+    const feedPath = (url) => `/api/interviews/calendar/${tokenFromUrl(url)}`;
+
+    it('should list the booked interview in the candidate\'s feed', async () => {
+      const feedResponse = await request(app)
+        .get('/api/interviews/calendar-feed')
+        .set('Authorization', `Bearer ${jobSeekerToken}`)
+        .expect(200);
+
+      expect(feedResponse.body.url).toMatch(/\.ics$/);
+
+      const response = await request(app)
+        .get(feedPath(feedResponse.body.url))
+        .expect('Content-Type', /text\/calendar/)
+        .expect(200);
+
+      expect(response.text).toContain('METHOD:PUBLISH');
+      expect(response.text).toContain(`UID:interview-${bookedInterviewId}@jobsro.com`);
+      expect(response.text).not.toContain('ATTENDEE');
+    });
+
+    it('should revoke the old feed URL on reset', async () => {
+      const oldFeed = await request(app)
+        .get('/api/interviews/calendar-feed')
+        .set('Authorization', `Bearer ${employerToken}`)
+        .expect(200);
+
+      const newFeed = await request(app)
+        .post('/api/interviews/calendar-feed/reset')
+        .set('Authorization', `Bearer ${employerToken}`)
+        .expect(200);
+
+      expect(newFeed.body.url).not.toBe(oldFeed.body.url);
+      await request(app).get(feedPath(oldFeed.body.url)).expect(404);
+      await request(app).get(feedPath(newFeed.body.url)).expect(200);
+    });
+  });
+
+  describe('Meeting providers', () => {
+    it('should book a Jitsi room without calling a third-party API', async () => {
+      const linkResponse = await request(app)
+        .post('/api/interviews/scheduling-links')
+        .set('Authorization', `Bearer ${employerToken}`)
+        .send({ application_id: testApplicationId, duration_minutes: 30, meeting_platform: 'jitsi' })
+        .expect(201);
+
+      const token = tokenFromUrl(linkResponse.body.link.url);
+      const slotsResponse = await request(app)
+        .get(`/api/interviews/scheduling-links/${token}`)
+        .expect(200);
+
+      expect(slotsResponse.body.meeting_platform).toBe('jitsi');
+
+      const response = await request(app)
+        .post(`/api/interviews/scheduling-links/${token}/book`)
+        .send({ start: slotsResponse.body.slots[0].start })
+        .expect(201);
+
+      expect(response.body.interview.meeting_platform).toBe('jitsi');
+      expect(response.body.interview.meeting_url).toMatch(/^https:\/\/meet\.jit\.si\/jobsro-[0-9a-f]{24}/);
+    });
+
+    it('should sign room URLs for the interview window when a secret is set', async () => {
+      const originalEnv = { ...process.env };
+      process.env.JITSI_BASE_URL = 'https://meet.example.com/';
+      process.env.JITSI_APP_ID = 'jobsro';
+      process.env.JITSI_APP_SECRET = 'jitsi-test-secret';
+
+      try {
+        const provider = new JitsiProvider();
+        const startTime = new Date(Date.now() + DAY);
+        const meeting = await provider.createMeeting({ startTime, duration: 60 });
+
+        const [roomUrl, token] = meeting.joinUrl.split('?jwt=');
+        expect(roomUrl).toBe(`https://meet.example.com/${meeting.meetingId}`);
+
+        const claims = jwt.verify(token, 'jitsi-test-secret', { audience: 'jitsi', clockTimestamp: Math.floor(startTime.getTime() / 1000) });
+        expect(claims).toMatchObject({ iss: 'jobsro', sub: 'meet.example.com', room: meeting.meetingId });
+        expect(claims.context.user.moderator).toBe(false);
+        expect(jwt.decode(meeting.hostUrl.split('?jwt=')[1]).context.user.moderator).toBe(true);
+
+        // Rescheduling keeps the room and re-signs for the new time
+        const moved = await provider.updateMeeting(meeting, { startTime: new Date(startTime.getTime() + DAY), duration: 60 });
+        expect(moved.meetingId).toBe(meeting.meetingId);
+        expect(jwt.decode(moved.joinUrl.split('?jwt=')[1]).exp).toBe(claims.exp + DAY / 1000);
+      } finally {
+        process.env = originalEnv;
+      }
+    });
+
+    it('should not let job seekers read company settings', async () => {
+      await request(app)
+        .get('/api/companies/00000000-0000-0000-0000-000000000000/settings')
+        .set('Authorization', `Bearer ${jobSeekerToken}`)
+        .expect(403);
+    });
+
+    it('should reject unknown meeting providers as the company default', async () => {
+      await request(app)
+        .put('/api/companies/00000000-0000-0000-0000-000000000000/settings')
+        .set('Authorization', `Bearer ${employerToken}`)
+        .send({ default_meeting_provider: 'skype' })
+        .expect(400);
+    });
+  });
+
+  describe('Calendar invites', () => {
+    it('should cancel with the same UID, a higher sequence and folded lines', () => {
+      const event = calendarService.interviewToEvent({
+        id: 'interview-1',
+        scheduled_at: '2024-01-20T09:30:00Z',
+        duration_minutes: 45,
+        ics_sequence: 2,
+        status: 'cancelled',
+        job_title: 'Senior Engineer, Platform; Backend and Infrastructure with a very long title',
+        company_name: 'Acme',
+        meeting_url: 'https://meet.google.com/abc-defg-hij',
+        attendees: [{ name: 'Test User', email: 'test@example.com' }]
+      });
+
+      const ics = calendarService.buildCalendar({ method: 'CANCEL', events: [event] });
+      const lines = ics.split('\r\n');
+
+      expect(lines).toContain('METHOD:CANCEL');
+      expect(lines).toContain('UID:interview-interview-1@jobsro.com');
+      expect(lines).toContain('SEQUENCE:2');
+      expect(lines).toContain('DTSTART:20240120T093000Z');
+      expect(lines).toContain('DTEND:20240120T101500Z');
+      expect(lines).toContain('STATUS:CANCELLED');
+      expect(ics).toContain('Senior Engineer\\, Platform\\; Backend');
+      expect(lines.every(line => Buffer.byteLength(line) <= 75)).toBe(true);
+    });
+  });
+});
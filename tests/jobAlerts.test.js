@@ -0,0 +1,179 @@
+const request = require('supertest');
+const app = require('../server/index');
+const jobAlertService = require('../server/services/jobAlertService');
+
+describe('Job Alerts API', () => {
+  let seekerToken;
+  let employerToken;
+  let jobId;
+  let alertId;
+
+  beforeAll(async () => {
+    await global.setupTestDatabase();
+
+    const seekerData = global.testHelpers.createUserPayload({
+      email: 'alerts-seeker@example.com',
+      role: 'job_seeker'
+    });
+    const employerData = global.testHelpers.createUserPayload({
+      email: 'alerts-employer@example.com',
+      role: 'employer'
+    });
+
+    await request(app).post('/api/auth/register').send(seekerData);
+    await request(app).post('/api/auth/register').send(employerData);
+
+    const seekerLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ email: seekerData.email, password: seekerData.password });
+    seekerToken = seekerLogin.body.tokens.accessToken;
+
+    const employerLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ email: employerData.email, password: employerData.password });
+    employerToken = employerLogin.body.tokens.accessToken;
+
+    const jobResponse = await request(app)
+      .post('/api/jobs')
+      .set('Authorization', `Bearer ${employerToken}`)
+      .send(global.testHelpers.createJobPayload({
+        title: 'Senior Rust Engineer',
+        location: 'Pune, Maharashtra'
+      }));
+    jobId = jobResponse.body.job.id;
+  });
+
+  afterAll(async () => {
+    await global.cleanupTestDatabase();
+  });
+
+  describe('POST /api/users/job-alerts', () => {
+    it('should create an alert from search filters', async () => {
+      const response = await request(app)
+        .post('/api/users/job-alerts')
+        .set('Authorization', `Bearer ${seekerToken}`)
+        .send({
+          name: 'Rust in Pune',
+          frequency: 'weekly',
+          filters: { keywords: 'Rust', location: 'Pune', employment_type: ['full_time'] }
+        })
+        .expect(201);
+
+      expect(response.body.alert).toHaveProperty('id');
+      expect(response.body.alert.frequency).toBe('weekly');
+      expect(response.body.alert.filters).toEqual({
+        keywords: 'Rust',
+        location: 'Pune',
+        employment_type: ['full_time']
+      });
+      alertId = response.body.alert.id;
+    });
+
+    it('should reject an invalid frequency', async () => {
+      await request(app)
+        .post('/api/users/job-alerts')
+        .set('Authorization', `Bearer ${seekerToken}`)
+        .send({ name: 'Hourly', frequency: 'hourly', filters: {} })
+        .expect(400);
+    });
+
+    it('should reject employers', async () => {
+      await request(app)
+        .get('/api/users/job-alerts')
+        .set('Authorization', `Bearer ${employerToken}`)
+        .expect(403);
+    });
+  });
+
+  describe('POST /api/users/job-alerts/from-search', () => {
+    it('should save the search query as alert filters', async () => {
+      const response = await request(app)
+        .post('/api/users/job-alerts/from-search?keywords=Rust&salary_min=600000&page=2&sort_by=date')
+        .set('Authorization', `Bearer ${seekerToken}`)
+        .send({ name: 'Well paid Rust jobs' })
+        .expect(201);
+
+      // Paging and sorting are not part of an alert
+      expect(response.body.alert.filters).toEqual({ keywords: 'Rust', salary_min: 600000 });
+      expect(response.body.alert.frequency).toBe('daily');
+    });
+  });
+
+  describe('GET /api/users/job-alerts/:id/matches', () => {
+    it('should match a job that meets every criterion', async () => {
+      const response = await request(app)
+        .get(`/api/users/job-alerts/${alertId}/matches`)
+        .set('Authorization', `Bearer ${seekerToken}`)
+        .expect(200);
+
+      expect(response.body.jobs.map(job => job.id)).toContain(jobId);
+    });
+
+    it('should not match when any criterion fails', async () => {
+      const created = await request(app)
+        .post('/api/users/job-alerts')
+        .set('Authorization', `Bearer ${seekerToken}`)
+        .send({ name: 'Rust in Chennai', filters: { keywords: 'Rust', location: 'Chennai' } })
+        .expect(201);
+
+      const response = await request(app)
+        .get(`/api/users/job-alerts/${created.body.alert.id}/matches`)
+        .set('Authorization', `Bearer ${seekerToken}`)
+        .expect(200);
+
+      expect(response.body.jobs.map(job => job.id)).not.toContain(jobId);
+    });
+  });
+
+  describe('PUT /api/users/job-alerts/:id', () => {
+    it('should update the alert', async () => {
+      const response = await request(app)
+        .put(`/api/users/job-alerts/${alertId}`)
+        .set('Authorization', `Bearer ${seekerToken}`)
+        .send({ frequency: 'daily', filters: { keywords: 'Rust' } })
+        .expect(200);
+
+      expect(response.body.alert.frequency).toBe('daily');
+      expect(response.body.alert.filters).toEqual({ keywords: 'Rust' });
+    });
+  });
+
+  describe('POST /api/users/job-alerts/unsubscribe', () => {
+    it('should reject tokens that were not issued for unsubscribing', async () => {
+      await request(app)
+        .post('/api/users/job-alerts/unsubscribe')
+        .send({ token: seekerToken })
+        .expect(400);
+    });
+
+    it('should deactivate the alert for a signed token', async () => {
+      const response = await request(app)
+        .post('/api/users/job-alerts/unsubscribe')
+        .send({ token: jobAlertService.getUnsubscribeToken(alertId) })
+        .expect(200);
+
+      expect(response.body.alert.id).toBe(alertId);
+
+      const list = await request(app)
+        .get('/api/users/job-alerts')
+        .set('Authorization', `Bearer ${seekerToken}`)
+        .expect(200);
+
+      expect(list.body.alerts.find(alert => alert.id === alertId).is_active).toBe(false);
+    });
+  });
+
+  describe('DELETE /api/users/job-alerts/:id', () => {
+    it('should delete the alert', async () => {
+      await request(app)
+        .delete(`/api/users/job-alerts/${alertId}`)
+        .set('Authorization', `Bearer ${seekerToken}`)
+        .expect(200);
+
+      await request(app)
+        .delete(`/api/users/job-alerts/${alertId}`)
+        .set('Authorization', `Bearer ${seekerToken}`)
+        .expect(404);
+    });
+  });
+});
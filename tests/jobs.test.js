@@ -134,6 +134,78 @@ describe('Jobs API', () => {
       expect(response.body).toHaveProperty('job');
       expect(response.body.job).toHaveProperty('title', minimalJobData.title);
     });
+
+    it('should store required skills under their canonical names', async () => {
+      const jobData = global.testHelpers.createJobPayload({
+        skills_required: ['reactjs', 'ReactJS', 'nodejs', 'Kafka']
+      });
+
+      const response = await request(app)
+        .post('/api/jobs')
+        .set('Authorization', `Bearer ${employerToken}`)
+        .send(jobData)
+        .expect(201);
+
+      expect(response.body.job.skills_required).toEqual(['React', 'Node.js', 'Kafka']);
+    });
+
+    it('should hold likely scam postings for moderation with the reasons', async () => {
+      const jobData = global.testHelpers.createJobPayload({
+        title: 'Work From Home Data Entry',
+        description: 'Earn from home with simple data entry work. A refundable registration fee of Rs 1500 ' +
+          'confirms your seat. WhatsApp 98765 43210 or mail hiring.desk@gmail.com to join today.',
+        experience_min: 0,
+        salary_max: 3000000
+      });
+
+      const response = await request(app)
+        .post('/api/jobs')
+        .set('Authorization', `Bearer ${employerToken}`)
+        .send(jobData)
+        .expect(201);
+
+      expect(response.body.job.status).toBe('pending_review');
+
+      const queue = await request(app)
+        .get('/api/admin/moderation?content_type=job')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const item = queue.body.items.find(entry => entry.content_id === response.body.job.id);
+      expect(item.reason).toContain('High scam risk');
+      expect(item.details.risk_flags.map(flag => flag.code)).toEqual(
+        expect.arrayContaining(['fee_request', 'personal_email', 'contact_number', 'unrealistic_salary'])
+      );
+    });
+
+    it('should not treat statements that there is no fee as fee requests', async () => {
+      const jobRiskService = require('../server/services/jobRiskService');
+
+      for (const description of [
+        'There is no registration fee for this job.',
+        'We never charge any joining fees',
+        'JobsRo never asks for an interview fee'
+      ]) {
+        const flags = jobRiskService.checkContent({ title: 'Sales Executive', description });
+        expect(flags.map(flag => flag.code)).not.toContain('fee_request');
+      }
+
+      const flags = jobRiskService.checkContent({
+        title: 'Sales Executive',
+        description: 'There is no registration fee. Pay Rs 500 to confirm your seat.'
+      });
+      expect(flags.map(flag => flag.code)).toContain('fee_request');
+    });
+
+    it('should treat a changed fee as a new flag when re-scoring an edit', async () => {
+      const jobRiskService = require('../server/services/jobRiskService');
+      const assessFlags = description => ({ flags: jobRiskService.checkContent({ title: 'Sales Executive', description }) });
+
+      const previous = assessFlags('A refundable deposit applies.');
+      expect(jobRiskService.getNewFlags(assessFlags('A refundable deposit applies.'), previous)).toHaveLength(0);
+      expect(jobRiskService.getNewFlags(assessFlags('Pay Rs 5000 to join the team.'), previous)
+        .map(flag => flag.code)).toEqual(['fee_request']);
+    });
   });
 
   describe('GET /api/jobs', () => {
@@ -192,6 +264,50 @@ describe('Jobs API', () => {
       )).toBe(true);
     });
 
+    it('should match city aliases through the gazetteer', async () => {
+      const response = await request(app)
+        .get('/api/jobs?location=Bombay')
+        .expect(200);
+
+      expect(response.body).toHaveProperty('jobs');
+      expect(response.body.jobs.some(job => job.id === testJobId)).toBe(true);
+    });
+
+    it('should geocode the longest known place name in free text', async () => {
+      const geoService = require('../server/services/geoService');
+
+      expect(geoService.geocode('Navi Mumbai Sector 15').city).toBe('Navi Mumbai');
+      expect(geoService.geocode('Near Navi Mumbai airport').city).toBe('Navi Mumbai');
+      expect(geoService.geocode('Greater Noida West').city).toBe('Noida');
+    });
+
+    it('should filter jobs within a radius', async () => {
+      // Mumbai test job, searched from Thane (~20 km away)
+      const response = await request(app)
+        .get('/api/jobs?lat=19.2183&lng=72.9781&radius_km=30&sort_by=distance&sort_order=asc')
+        .expect(200);
+
+      expect(response.body.jobs.length).toBeGreaterThan(0);
+      expect(response.body.jobs.every(job =>
+        job.distance_km !== null && parseFloat(job.distance_km) <= 30
+      )).toBe(true);
+    });
+
+    it('should exclude jobs outside the radius', async () => {
+      // Bengaluru is ~850 km from Mumbai
+      const response = await request(app)
+        .get('/api/jobs?lat=12.9716&lng=77.5946&radius_km=25')
+        .expect(200);
+
+      expect(response.body.jobs.some(job => job.id === testJobId)).toBe(false);
+    });
+
+    it('should require lat and lng together', async () => {
+      await request(app)
+        .get('/api/jobs?lat=19.07')
+        .expect(400);
+    });
+
     it('should search jobs by keyword', async () => {
       const response = await request(app)
         .get('/api/jobs?search=JavaScript')
@@ -201,6 +317,15 @@ describe('Jobs API', () => {
       // Jobs should contain the search keyword in title, description, or skills
     });
 
+    it('should match skill aliases and child skills in the skills filter', async () => {
+      // "js" resolves to JavaScript, which also covers jobs that only list Node.js
+      const response = await request(app)
+        .get('/api/jobs?skills[]=js')
+        .expect(200);
+
+      expect(response.body.jobs.some(job => job.id === testJobId)).toBe(true);
+    });
+
     it('should paginate jobs correctly', async () => {
       const response = await request(app)
         .get('/api/jobs?page=1&limit=5')
@@ -211,6 +336,34 @@ describe('Jobs API', () => {
       expect(response.body.pagination).toHaveProperty('limit', 5);
       expect(response.body.jobs.length).toBeLessThanOrEqual(5);
     });
+
+    it('should return facet counts for the applied filters', async () => {
+      const response = await request(app)
+        .get('/api/jobs?employment_type=full_time')
+        .expect(200);
+
+      expect(response.body).toHaveProperty('facets');
+      expect(response.body.facets).toHaveProperty('employment_type');
+      expect(response.body.facets).toHaveProperty('industry');
+      expect(response.body.facets).toHaveProperty('experience');
+      expect(response.body.facets).toHaveProperty('salary');
+      expect(response.body.facets).toHaveProperty('remote_ok');
+      expect(response.body.facets).toHaveProperty('company');
+      expect(response.body.facets).toHaveProperty('skills');
+      expect(response.body.facets.employment_type.every(bucket =>
+        bucket.value === 'full_time'
+      )).toBe(true);
+      expect(response.body.facets.experience.map(bucket => bucket.value))
+        .toEqual(['0-1', '1-3', '3-5', '5-10', '10+']);
+    });
+
+    it('should omit facets when include_facets is false', async () => {
+      const response = await request(app)
+        .get('/api/jobs?include_facets=false')
+        .expect(200);
+
+      expect(response.body).not.toHaveProperty('facets');
+    });
   });
 
   describe('GET /api/jobs/:id', () => {
@@ -0,0 +1,191 @@
+const request = require('supertest');
+const app = require('../server/index');
+
+describe('Offer Letters API', () => {
+  let server;
+  let jobSeekerToken;
+  let employerToken;
+  let outsiderToken;
+  let testApplicationId;
+  let testOfferId;
+
+  const daysFromNow = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+
+  const createOfferPayload = (overrides = {}) => ({
+    application_id: testApplicationId,
+    designation: 'Software Engineer',
+    ctc_breakup: [
+      { component: 'Basic', amount: 600000 },
+      { component: 'HRA', amount: 240000 },
+      { component: 'Special allowance', amount: 160000 }
+    ],
+    joining_date: daysFromNow(30),
+    expires_at: daysFromNow(7),
+    ...overrides
+  });
+
+  beforeAll(async () => {
+    await global.setupTestDatabase();
+
+    // Create test users
+    const jobSeekerData = global.testHelpers.createUserPayload({
+      email: 'offer-candidate@example.com',
+      role: 'job_seeker'
+    });
+
+    const employerData = global.testHelpers.createUserPayload({
+      email: 'offer-employer@example.com',
+      role: 'employer'
+    });
+
+    const outsiderData = global.testHelpers.createUserPayload({
+      email: 'offer-outsider@example.com',
+      role: 'job_seeker'
+    });
+
+    // Register users
+    await request(app).post('/api/auth/register').send(jobSeekerData);
+    await request(app).post('/api/auth/register').send(employerData);
+    await request(app).post('/api/auth/register').send(outsiderData);
+
+    // Login and get tokens
+    const jobSeekerLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ email: jobSeekerData.email, password: jobSeekerData.password });
+    jobSeekerToken = jobSeekerLogin.body.tokens.accessToken;
+
+    const employerLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ email: employerData.email, password: employerData.password });
+    employerToken = employerLogin.body.tokens.accessToken;
+
+    const outsiderLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ email: outsiderData.email, password: outsiderData.password });
+    outsiderToken = outsiderLogin.body.tokens.accessToken;
+
+    // Create a job and an application on it
+    const jobResponse = await request(app)
+      .post('/api/jobs')
+      .set('Authorization', `Bearer ${employerToken}`)
+      .send(global.testHelpers.createJobPayload());
+
+    const applicationResponse = await request(app)
+      .post('/api/applications')
+      .set('Authorization', `Bearer ${jobSeekerToken}`)
+      .send({
+        job_id: jobResponse.body.job.id,
+        cover_letter: 'I am very interested in this position. I have relevant experience in JavaScript and Node.js development, and I believe I would be a great fit for your team.'
+      });
+    testApplicationId = applicationResponse.body.application.id;
+  });
+
+  afterAll(async () => {
+    await global.cleanupTestDatabase();
+    if (server) {
+      server.close();
+    }
+  });
+
+  describe('POST /api/offers', () => {
+    it('should reject an offer that expires after the joining date', async () => {
+      const response = await request(app)
+        .post('/api/offers')
+        .set('Authorization', `Bearer ${employerToken}`)
+        .send(createOfferPayload({ expires_at: daysFromNow(40) }))
+        .expect(400);
+
+      expect(response.body.error).toContain('expire before the joining date');
+    });
+
+    it('should create an offer and move the application to the offer stage', async () => {
+      const response = await request(app)
+        .post('/api/offers')
+        .set('Authorization', `Bearer ${employerToken}`)
+        .send(createOfferPayload())
+        .expect(201);
+
+      expect(response.body.offer).toHaveProperty('status', 'sent');
+      expect(response.body.offer).toHaveProperty('ctc_total', 1000000);
+      testOfferId = response.body.offer.id;
+
+      const applicationResponse = await request(app)
+        .get(`/api/applications/${testApplicationId}`)
+        .set('Authorization', `Bearer ${jobSeekerToken}`)
+        .expect(200);
+
+      expect(applicationResponse.body.application).toHaveProperty('status', 'offered');
+    });
+
+    it('should not allow a second open offer on the same application', async () => {
+      await request(app)
+        .post('/api/offers')
+        .set('Authorization', `Bearer ${employerToken}`)
+        .send(createOfferPayload())
+        .expect(409);
+    });
+
+    it('should reject job seekers', async () => {
+      await request(app)
+        .post('/api/offers')
+        .set('Authorization', `Bearer ${jobSeekerToken}`)
+        .send(createOfferPayload())
+        .expect(403);
+    });
+  });
+
+  describe('GET /api/offers/:id', () => {
+    it('should let the candidate download the offer letter PDF', async () => {
+      const response = await request(app)
+        .get(`/api/offers/${testOfferId}/pdf`)
+        .set('Authorization', `Bearer ${jobSeekerToken}`)
+        .expect(200);
+
+      expect(response.headers['content-type']).toContain('application/pdf');
+    });
+
+    it('should deny access to other users', async () => {
+      await request(app)
+        .get(`/api/offers/${testOfferId}`)
+        .set('Authorization', `Bearer ${outsiderToken}`)
+        .expect(403);
+    });
+  });
+
+  describe('POST /api/offers/:id/accept', () => {
+    it('should require a typed signature', async () => {
+      await request(app)
+        .post(`/api/offers/${testOfferId}/accept`)
+        .set('Authorization', `Bearer ${jobSeekerToken}`)
+        .send({})
+        .expect(400);
+    });
+
+    it('should accept the offer and record a verifiable signature', async () => {
+      await request(app)
+        .post(`/api/offers/${testOfferId}/accept`)
+        .set('Authorization', `Bearer ${jobSeekerToken}`)
+        .send({ signature_name: 'Test User' })
+        .expect(200);
+
+      const response = await request(app)
+        .get(`/api/offers/${testOfferId}`)
+        .set('Authorization', `Bearer ${employerToken}`)
+        .expect(200);
+
+      expect(response.body.offer).toHaveProperty('status', 'accepted');
+      expect(response.body.offer).toHaveProperty('signature_name', 'Test User');
+      expect(response.body.offer).toHaveProperty('signature_valid', true);
+    });
+
+    it('should not accept an offer twice', async () => {
+      const response = await request(app)
+        .post(`/api/offers/${testOfferId}/accept`)
+        .set('Authorization', `Bearer ${jobSeekerToken}`)
+        .send({ signature_name: 'Test User' })
+        .expect(400);
+
+      expect(response.body.error).toContain('already accepted');
+    });
+  });
+});
@@ -0,0 +1,190 @@
+const request = require('supertest');
+const app = require('../server/index');
+
+describe('Hiring Pipelines API', () => {
+  let server;
+  let jobSeekerToken;
+  let employerToken;
+  let customPipelineId;
+  let testJobId;
+  let testApplicationId;
+
+  const customPipeline = {
+    name: 'Engineering pipeline',
+    stages: [
+      { stage_key: 'applied', name: 'Applied', allowed_transitions: ['phone_screen', 'rejected'], email_enabled: false },
+      { stage_key: 'phone_screen', name: 'Phone screen', allowed_transitions: ['assignment', 'rejected'], email_message: 'We would like to set up a quick phone call.' },
+      { stage_key: 'assignment', name: 'Assignment', allowed_transitions: ['panel_1', 'rejected'], email_message: 'Please complete the take-home assignment.' },
+      { stage_key: 'panel_1', name: 'Panel 1', allowed_transitions: ['offer', 'rejected'], email_message: 'You have been invited to the first panel round.' },
+      { stage_key: 'offer', name: 'Offer', stage_type: 'hired', allowed_transitions: [], email_message: 'Congratulations! An offer is on its way.' },
+      { stage_key: 'rejected', name: 'Rejected', stage_type: 'rejected', allowed_transitions: [], email_message: 'Unfortunately, we will not be moving forward.' }
+    ]
+  };
+
+  beforeAll(async () => {
+    await global.setupTestDatabase();
+
+    // Create test users
+    const jobSeekerData = global.testHelpers.createUserPayload({
+      email: 'pipeline-applicant@example.com',
+      role: 'job_seeker'
+    });
+
+    const employerData = global.testHelpers.createUserPayload({
+      email: 'pipeline-employer@example.com',
+      role: 'employer'
+    });
+
+    // Register users
+    await request(app).post('/api/auth/register').send(jobSeekerData);
+    await request(app).post('/api/auth/register').send(employerData);
+
+    // Login and get tokens
+    const jobSeekerLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ email: jobSeekerData.email, password: jobSeekerData.password });
+    jobSeekerToken = jobSeekerLogin.body.tokens.accessToken;
+
+    const employerLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ email: employerData.email, password: employerData.password });
+    employerToken = employerLogin.body.tokens.accessToken;
+  });
+
+  afterAll(async () => {
+    await global.cleanupTestDatabase();
+    if (server) {
+      server.close();
+    }
+  });
+
+  describe('GET /api/pipelines', () => {
+    it('should include the default pipeline with the legacy statuses and an offer stage', async () => {
+      const response = await request(app)
+        .get('/api/pipelines')
+        .set('Authorization', `Bearer ${employerToken}`)
+        .expect(200);
+
+      const defaultPipeline = response.body.pipelines.find(pipeline => pipeline.is_system);
+      expect(defaultPipeline).toBeDefined();
+      expect(defaultPipeline.stages.map(stage => stage.stage_key)).toEqual([
+        'applied', 'viewed', 'shortlisted', 'interviewed', 'offered', 'rejected', 'hired'
+      ]);
+    });
+
+    it('should reject job seekers', async () => {
+      await request(app)
+        .get('/api/pipelines')
+        .set('Authorization', `Bearer ${jobSeekerToken}`)
+        .expect(403);
+    });
+  });
+
+  describe('POST /api/pipelines', () => {
+    it('should create a custom pipeline', async () => {
+      const response = await request(app)
+        .post('/api/pipelines')
+        .set('Authorization', `Bearer ${employerToken}`)
+        .send(customPipeline)
+        .expect(201);
+
+      expect(response.body.pipeline.stages).toHaveLength(6);
+      expect(response.body.pipeline.stages[1]).toHaveProperty('name', 'Phone screen');
+      customPipelineId = response.body.pipeline.id;
+    });
+
+    it('should reject transitions to unknown stages', async () => {
+      const response = await request(app)
+        .post('/api/pipelines')
+        .set('Authorization', `Bearer ${employerToken}`)
+        .send({
+          name: 'Broken pipeline',
+          stages: [
+            { stage_key: 'applied', name: 'Applied', allowed_transitions: ['missing'] },
+            { stage_key: 'hired', name: 'Hired', stage_type: 'hired' }
+          ]
+        })
+        .expect(400);
+
+      expect(response.body.error).toContain('unknown stages');
+    });
+  });
+
+  describe('PATCH /api/applications/:id/status with a custom pipeline', () => {
+    beforeAll(async () => {
+      const jobResponse = await request(app)
+        .post('/api/jobs')
+        .set('Authorization', `Bearer ${employerToken}`)
+        .send(global.testHelpers.createJobPayload({ pipeline_id: customPipelineId }));
+      testJobId = jobResponse.body.job.id;
+
+      const applicationResponse = await request(app)
+        .post('/api/applications')
+        .set('Authorization', `Bearer ${jobSeekerToken}`)
+        .send({
+          job_id: testJobId,
+          cover_letter: 'I am very interested in this position. I have relevant experience in JavaScript and Node.js development, and I believe I would be a great fit for your team.'
+        });
+      testApplicationId = applicationResponse.body.application.id;
+    });
+
+    it('should place new applications in the first stage', async () => {
+      const response = await request(app)
+        .get(`/api/applications/${testApplicationId}`)
+        .set('Authorization', `Bearer ${jobSeekerToken}`)
+        .expect(200);
+
+      expect(response.body.application).toHaveProperty('status', 'applied');
+    });
+
+    it('should allow a configured transition', async () => {
+      const response = await request(app)
+        .patch(`/api/applications/${testApplicationId}/status`)
+        .set('Authorization', `Bearer ${employerToken}`)
+        .send({ status: 'phone_screen' })
+        .expect(200);
+
+      expect(response.body.application).toHaveProperty('status', 'phone_screen');
+    });
+
+    it('should reject a transition that skips stages', async () => {
+      const response = await request(app)
+        .patch(`/api/applications/${testApplicationId}/status`)
+        .set('Authorization', `Bearer ${employerToken}`)
+        .send({ status: 'offer' })
+        .expect(400);
+
+      expect(response.body.error).toContain('not allowed');
+    });
+
+    it('should reject legacy statuses that are not in the pipeline', async () => {
+      const response = await request(app)
+        .patch(`/api/applications/${testApplicationId}/status`)
+        .set('Authorization', `Bearer ${employerToken}`)
+        .send({ status: 'shortlisted' })
+        .expect(400);
+
+      expect(response.body.error).toContain('Invalid status');
+    });
+  });
+
+  describe('PUT /api/pipelines/:id', () => {
+    it('should refuse to drop a stage that holds applications', async () => {
+      const response = await request(app)
+        .put(`/api/pipelines/${customPipelineId}`)
+        .set('Authorization', `Bearer ${employerToken}`)
+        .send({
+          ...customPipeline,
+          stages: customPipeline.stages
+            .filter(stage => stage.stage_key !== 'phone_screen')
+            .map(stage => ({
+              ...stage,
+              allowed_transitions: stage.allowed_transitions.filter(key => key !== 'phone_screen')
+            }))
+        })
+        .expect(409);
+
+      expect(response.body.stages).toContain('phone_screen');
+    });
+  });
+});